@@ -9,7 +9,7 @@ if (import.meta.env.DEV) {
   // Auto-export cache every 30 seconds if there are changes
   let lastCacheSize = 0;
   
-  setInterval(() => {
+  setInterval(async () => {
     const cacheStats = window.Game?.ttsService?.getCacheStats();
     if (!cacheStats) return;
     
@@ -17,31 +17,8 @@ if (import.meta.env.DEV) {
     if (cacheStats.count > lastCacheSize) {
       lastCacheSize = cacheStats.count;
       
-      // Export cache
-      const cachePrefix = 'tts_cache_';
-      const cacheIndexKey = 'tts_cache_index';
-      const cache = {};
-      
-      // Get all TTS cache entries
-      Object.keys(localStorage).forEach(key => {
-        if (key.startsWith(cachePrefix)) {
-          cache[key] = localStorage.getItem(key);
-        }
-      });
-      
-      // Get the index
-      const index = localStorage.getItem(cacheIndexKey);
-      if (index) {
-        cache[cacheIndexKey] = index;
-      }
-      
-      // Create export object
-      const exportData = {
-        version: 1,
-        exportDate: new Date().toISOString(),
-        entries: Object.keys(cache).length,
-        cache: cache
-      };
+      // Export cache (read from IndexedDB by the service)
+      const exportData = await window.Game.ttsService.buildCacheExport();
       
       // Send to backend (you'll need to set up an endpoint)
       fetch('/api/save-tts-cache', {
@@ -3,14 +3,21 @@
 /**
  * Automated TTS Cache Builder
  * 
- * This script automatically generates all TTS audio during build time
+ * This script automatically generates all TTS audio during build time.
+ * Simon Says phrases come from the game's own script templates (see
+ * scripts/extract-tts-phrases.js), split exactly as they will be spoken.
+ * Every language Simon speaks gets its own preload file: English in
+ * public/tts-cache-preload.json, others in tts-cache-preload.<locale>.json.
+ * Set TTS_CACHE_LOCALES=en-US,es-ES to build only some of them.
  */
 
 import { chromium } from 'playwright';
 import fs from 'fs';
 import path from 'path';
+import process from 'process';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { extractPhrases, localizedPath, resolveLocales } from './extract-tts-phrases.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,46 +25,13 @@ const __dirname = path.dirname(__filename);
 // Load environment variables
 dotenv.config();
 
-// Phrases to pre-generate
-const PHRASES_TO_CACHE = [
-  // Game names
+const DEFAULT_LOCALE = 'en-US';
+
+// Spoken by the app itself rather than by a game's scripts (game names in the selector)
+const MENU_PHRASES = [
   'Simon Says',
   'Audio Tag',
-  'Sexy Mama',
-  
-  // Common UI phrases
-  'Start Game',
-  'Game Over',
-  'You Win',
-  'You Lose',
-  'Next Round',
-  'Final Round',
-  
-  // Player phrases
-  'Player 1',
-  'Player 2', 
-  'Player 3',
-  'Player 4',
-  'Red Team',
-  'Blue Team',
-  
-  // Numbers and rounds
-  'Round 1',
-  'Round 2',
-  'Round 3',
-  'Round 4',
-  'Round 5',
-  
-  // Simon Says specific
-  'Simon says',
-  'Do not',
-  'Freeze',
-  'Jump',
-  'Clap your hands',
-  'Touch your toes',
-  'Spin around',
-  
-  // Add more phrases as needed
+  'Sexy Mama'
 ];
 
 async function buildTTSCache() {
@@ -70,6 +44,8 @@ async function buildTTSCache() {
     return;
   }
   
+  const locales = await resolveLocales((process.env.TTS_CACHE_LOCALES || 'all').split(',').map(l => l.trim()));
+  
   // Launch headless browser
   const browser = await chromium.launch({ 
     headless: true,
@@ -102,63 +78,46 @@ async function buildTTSCache() {
     // Wait for TTS service to initialize
     await page.waitForTimeout(2000);
     
-    // Inject cache generation script
-    await page.evaluate((phrases) => {
-      return new Promise(async (resolve) => {
-        console.log('Generating TTS cache for phrases:', phrases);
+    for (const locale of locales) {
+      const { phrases, dynamic } = await extractPhrases({ locale });
+      const phrasesToCache = [...new Set([...(locale === DEFAULT_LOCALE ? MENU_PHRASES : []), ...phrases])];
+      console.log(`\n📝 [${locale}] ${phrasesToCache.length} phrases to cache (${dynamic.length} player-specific segments stay live)\n`);
+      
+      // Generate each phrase into the locale's cache without playing it
+      const failed = await page.evaluate(async ({ phrases, locale }) => {
+        const failures = [];
+        window.Game.ttsService.setLocale(locale);
         
-        // Generate audio for each phrase
         for (const phrase of phrases) {
-          try {
-            console.log(`Generating: "${phrase}"`);
-            await window.Game.speak(phrase);
-            // Wait between generations to avoid rate limits
-            await new Promise(r => setTimeout(r, 1000));
-          } catch (error) {
-            console.error(`Failed to generate "${phrase}":`, error);
+          console.log(`Generating: "${phrase}"`);
+          if (!(await window.Game.ttsService.prefetch(phrase))) {
+            failures.push(phrase);
           }
+          // Wait between generations to avoid rate limits
+          await new Promise(r => setTimeout(r, 1000));
         }
         
-        resolve();
-      });
-    }, PHRASES_TO_CACHE);
-    
-    console.log('\n✅ Audio generation complete');
-    
-    // Extract the cache
-    const cacheData = await page.evaluate(() => {
-      const cachePrefix = 'tts_cache_';
-      const cacheIndexKey = 'tts_cache_index';
-      const cache = {};
-      
-      // Get all TTS cache entries
-      Object.keys(localStorage).forEach(key => {
-        if (key.startsWith(cachePrefix)) {
-          cache[key] = localStorage.getItem(key);
-        }
-      });
+        return failures;
+      }, { phrases: phrasesToCache, locale });
       
-      // Get the index
-      const index = localStorage.getItem(cacheIndexKey);
-      if (index) {
-        cache[cacheIndexKey] = index;
+      if (failed.length > 0) {
+        console.log(`\n⚠️  ${failed.length} phrases failed to generate:`);
+        failed.forEach(phrase => console.log(`   ${phrase}`));
       }
       
-      return {
-        version: 1,
-        exportDate: new Date().toISOString(),
-        entries: Object.keys(cache).length,
-        cache: cache
-      };
-    });
-    
-    // Save cache to file
-    const outputPath = path.join(__dirname, '../public/tts-cache-preload.json');
-    fs.writeFileSync(outputPath, JSON.stringify(cacheData, null, 2));
-    
-    console.log(`\n📦 Cache saved to: public/tts-cache-preload.json`);
-    console.log(`   ${cacheData.entries} entries cached`);
-    console.log(`   Size: ${(JSON.stringify(cacheData).length / 1024).toFixed(1)}KB`);
+      console.log(`\n✅ [${locale}] Audio generation complete`);
+      
+      // Extract this locale's part of the cache
+      const cacheData = await page.evaluate(locale => window.Game.ttsService.buildCacheExport(locale), locale);
+      
+      // Save cache to file
+      const file = localizedPath('public/tts-cache-preload.json', locale);
+      fs.writeFileSync(path.join(__dirname, '..', file), JSON.stringify(cacheData, null, 2));
+      
+      console.log(`\n📦 Cache saved to: ${file}`);
+      console.log(`   ${cacheData.entries} entries cached`);
+      console.log(`   Size: ${(JSON.stringify(cacheData).length / 1024).toFixed(1)}KB`);
+    }
     
   } catch (error) {
     console.error('❌ Error building cache:', error);
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * ElevenLabs Request Check
+ *
+ * Builds the request the ElevenLabs provider sends for a line in each built-in
+ * language and runs it through the SDK's own serializer, the same way
+ * textToSpeech.convert() does. The SDK silently strips keys it doesn't know,
+ * so a misnamed field would otherwise only show up as English audio or the
+ * wrong model on the bill. Makes no API calls and needs no key.
+ *
+ * Usage:
+ *   npm run check:elevenlabs
+ */
+
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import { createServer } from 'vite';
+import { TextToSpeechRequest } from '@elevenlabs/elevenlabs-js/serialization/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+
+// Fields convert() sends as query parameters rather than in the body
+const QUERY_FIELDS = ['enableLogging', 'optimizeStreamingLatency', 'outputFormat'];
+
+// ============================================
+// CHECKS
+// ============================================
+
+/**
+ * What convert() would send for a request: its body and query parameters
+ */
+function serialize(request) {
+  const body = { ...request };
+  const query = {};
+  QUERY_FIELDS.forEach(field => {
+    if (field in body) {
+      query[field] = body[field];
+      delete body[field];
+    }
+  });
+
+  return {
+    body: TextToSpeechRequest.jsonOrThrow(body, { unrecognizedObjectKeys: 'strip' }),
+    query
+  };
+}
+
+/**
+ * Problems with the serialized request for one locale
+ */
+function checkRequest(provider, locale) {
+  const problems = [];
+  const { body, query } = serialize(provider.buildRequest('Simon says check', { locale }));
+  const language = locale.split('-')[0].toLowerCase();
+
+  if (!body.model_id) {
+    problems.push('model_id was dropped');
+  }
+  if (language !== 'en' && body.language_code !== language) {
+    problems.push(`language_code is ${JSON.stringify(body.language_code)}, expected "${language}"`);
+  }
+  if (!body.voice_settings || body.voice_settings.similarity_boost === undefined) {
+    problems.push('voice_settings were dropped');
+  }
+  if (query.outputFormat === undefined || query.optimizeStreamingLatency === undefined) {
+    problems.push('outputFormat or optimizeStreamingLatency is missing');
+  }
+
+  return { body, problems };
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+async function main() {
+  const server = await createServer({
+    root: ROOT,
+    logLevel: 'error',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false },
+    optimizeDeps: { noDiscovery: true, include: [] }
+  });
+
+  let failed = false;
+
+  try {
+    const { default: ElevenLabsProvider } = await server.ssrLoadModule('/src/common/services/ttsProviders/ElevenLabsProvider.js');
+    const { BUILT_IN_LOCALES } = await server.ssrLoadModule('/src/games/simon-says/locales/index.js');
+    const provider = new ElevenLabsProvider();
+
+    for (const { locale } of BUILT_IN_LOCALES) {
+      const { body, problems } = checkRequest(provider, locale);
+      if (problems.length > 0) {
+        failed = true;
+        console.log(`✗ ${locale}: ${problems.join('; ')}`);
+      } else {
+        console.log(`✓ ${locale}: ${body.model_id}${body.language_code ? ` (${body.language_code})` : ''}`);
+      }
+    }
+  } finally {
+    await server.close();
+  }
+
+  if (failed) {
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  process.stderr.write(`ElevenLabs request check failed: ${error.message}\n`);
+  process.exit(1);
+});
@@ -3,7 +3,7 @@
 /**
  * Export TTS Cache from Browser
  * 
- * Run this in your browser console to export your localStorage cache:
+ * Run this in your browser console to export your IndexedDB audio cache:
  * 
  * 1. Open the app in your browser
  * 2. Open Developer Console
@@ -11,31 +11,9 @@
  * 4. Save the output to src/common/data/tts-cache-preload.json
  */
 
-(function exportTTSCache() {
-  const cachePrefix = 'tts_cache_';
-  const cacheIndexKey = 'tts_cache_index';
-  const cache = {};
-  
-  // Get all TTS cache entries
-  Object.keys(localStorage).forEach(key => {
-    if (key.startsWith(cachePrefix)) {
-      cache[key] = localStorage.getItem(key);
-    }
-  });
-  
-  // Get the index
-  const index = localStorage.getItem(cacheIndexKey);
-  if (index) {
-    cache[cacheIndexKey] = index;
-  }
-  
-  // Create export object
-  const exportData = {
-    version: 1,
-    exportDate: new Date().toISOString(),
-    entries: Object.keys(cache).length,
-    cache: cache
-  };
+(async function exportTTSCache() {
+  // The cache lives in IndexedDB, so the service builds the export
+  const exportData = await window.Game.ttsService.buildCacheExport();
   
   // Output as JSON
   console.log('=== COPY EVERYTHING BELOW THIS LINE ===');
@@ -50,6 +28,6 @@
   a.download = 'tts-cache-export.json';
   a.click();
   
-  console.log(`Exported ${Object.keys(cache).length} cache entries`);
+  console.log(`Exported ${exportData.entries} cache entries`);
   console.log('File downloaded as: tts-cache-export.json');
 })();
\ No newline at end of file
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+
+/**
+ * Simon Says TTS Phrase Extractor
+ *
+ * Lists every phrase Simon can speak that doesn't depend on player names,
+ * exactly as it will be handed to the voice: template lines split on their
+ * [pause] tokens, with team names, round counts and durations filled in.
+ * These are the strings the preload cache needs so a match makes no live
+ * ElevenLabs calls beyond the lines that name players. Each language Simon
+ * speaks has its own list, and its own preload file.
+ *
+ * Usage:
+ *   npm run extract:phrases
+ *   npm run extract:phrases -- --teams "Red Team,Blue Team" --teams "Sharks,Jets"
+ *   npm run extract:phrases -- --out public/tts-phrases.json
+ *   npm run extract:phrases -- --personality calm
+ *   npm run extract:phrases -- --locale all --out public/tts-phrases.json
+ *
+ * Options:
+ *   --teams A,B     Team names to expand {team1}/{team2} with; repeat for more sets
+ *                   (default: the configured team names)
+ *   --no-packs      Leave out lines from the built-in content packs
+ *   --no-chart      Use built-in round config instead of game-flow.mermaid.md
+ *   --personality ID  Extract what a built-in host personality says instead of
+ *                   the default Simon (its lines replace the ones it overrides)
+ *   --locale TAG    Extract a language's lines (es-ES, fr-FR); repeat for more, or
+ *                   "all" for every built-in language (default: English)
+ *   --out FILE      Write the result as JSON instead of printing it; other
+ *                   languages go next to it as FILE.<locale>.json
+ *   --json          Print the result as JSON
+ */
+
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import { createServer } from 'vite';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+const GAME_DIR = path.join(ROOT, 'src/games/simon-says');
+const DEFAULT_LOCALE = 'en-US';
+
+// ============================================
+// ARGUMENTS
+// ============================================
+
+function parseArgs(argv) {
+  const args = {
+    teamNames: [],
+    packs: true,
+    chart: true,
+    personality: null,
+    locales: [],
+    out: null,
+    json: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+
+    switch (flag) {
+      case '--teams': {
+        const names = (value || '').split(',').map(name => name.trim()).filter(Boolean);
+        if (names.length < 2) {
+          throw new Error(`--teams expects at least two names, got "${value}"`);
+        }
+        args.teamNames.push(names);
+        i++;
+        break;
+      }
+      case '--no-packs': args.packs = false; break;
+      case '--no-chart': args.chart = false; break;
+      case '--personality': args.personality = value; i++; break;
+      case '--locale': args.locales.push(value); i++; break;
+      case '--out': args.out = value; i++; break;
+      case '--json': args.json = true; break;
+      default:
+        throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+
+  if (args.locales.length === 0) args.locales.push(DEFAULT_LOCALE);
+  return args;
+}
+
+/**
+ * Where a locale's copy of a file goes: English keeps the name, others get
+ * the locale before the extension (tts-cache-preload.es-ES.json)
+ */
+export function localizedPath(file, locale = DEFAULT_LOCALE) {
+  if (locale === DEFAULT_LOCALE) return file;
+  const ext = path.extname(file);
+  return `${file.slice(0, file.length - ext.length)}.${locale}${ext}`;
+}
+
+/**
+ * Vite resolves the game's browser-style imports so the real modules run under Node
+ */
+function createGameServer() {
+  return createServer({
+    root: ROOT,
+    logLevel: 'error',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false },
+    optimizeDeps: { noDiscovery: true, include: [] }
+  });
+}
+
+/**
+ * The locales to extract, with "all" expanded to every built-in language
+ */
+export async function resolveLocales(requested = [DEFAULT_LOCALE]) {
+  if (!requested.includes('all')) return requested;
+  const server = await createGameServer();
+  try {
+    const { BUILT_IN_LOCALES } = await server.ssrLoadModule('/src/games/simon-says/locales/index.js');
+    return BUILT_IN_LOCALES.map(bundle => bundle.locale);
+  } finally {
+    await server.close();
+  }
+}
+
+// ============================================
+// EXTRACTION
+// ============================================
+
+/**
+ * Run the game's PhraseExtractor under Node
+ * @param {Object} options - { teamNames, packs, chart, personality, locale }
+ * @returns {Promise<Object>} { phrases, dynamic, lines, locale }
+ */
+export async function extractPhrases({
+  teamNames = [],
+  packs = true,
+  chart = true,
+  personality = null,
+  locale = DEFAULT_LOCALE
+} = {}) {
+  // The assembler logs every script it builds - thousands of them here
+  const methods = ['log', 'info', 'debug'];
+  const saved = methods.map(method => console[method]);
+  methods.forEach(method => { console[method] = () => {}; });
+
+  const server = await createGameServer();
+
+  try {
+    const { configLoader } = await server.ssrLoadModule('/src/games/simon-says/systems/index.js');
+    const { contentPackRegistry, personalityRegistry } = await server.ssrLoadModule('/src/games/simon-says/mechanics/index.js');
+    const { BUILT_IN_PACKS } = await server.ssrLoadModule('/src/games/simon-says/packs/index.js');
+    const { BUILT_IN_PERSONALITIES } = await server.ssrLoadModule('/src/games/simon-says/personalities/index.js');
+    const { BUILT_IN_LOCALES } = await server.ssrLoadModule('/src/games/simon-says/locales/index.js');
+    const { scriptAssembler } = await server.ssrLoadModule('/src/games/simon-says/mechanics/index.js');
+    const { default: phraseExtractor } = await server.ssrLoadModule('/src/games/simon-says/debug/PhraseExtractor.js');
+
+    configLoader.loadConfig({ player: {}, developer: {} });
+    if (chart) {
+      configLoader.loadFlowChart(fs.readFileSync(path.join(GAME_DIR, 'game-flow.mermaid.md'), 'utf8'));
+    }
+    contentPackRegistry.setActivePacks(packs ? BUILT_IN_PACKS : []);
+
+    scriptAssembler.setLocale(locale);
+    if (scriptAssembler.locale.split('-')[0] !== locale.split('-')[0].toLowerCase()) {
+      throw new Error(`No script bundle for locale "${locale}" (built-in: ${BUILT_IN_LOCALES.map(b => b.locale).join(', ')})`);
+    }
+    // Packs that aren't written in this language stay out of its matches, so they stay out of its phrases too
+    contentPackRegistry.setLocale(scriptAssembler.locale);
+
+    if (personality) {
+      BUILT_IN_PERSONALITIES.forEach(definition => personalityRegistry.register(definition));
+      if (!personalityRegistry.isRegistered(personality)) {
+        throw new Error(`Unknown personality "${personality}" (built-in: ${BUILT_IN_PERSONALITIES.map(p => p.id).join(', ')})`);
+      }
+      personalityRegistry.activate(personality);
+    }
+
+    return { ...phraseExtractor.extract({ teamNames }), locale: scriptAssembler.locale };
+  } finally {
+    methods.forEach((method, index) => { console[method] = saved[index]; });
+    await server.close();
+  }
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const locales = await resolveLocales(args.locales);
+
+  for (const locale of locales) {
+    const result = await extractPhrases({ ...args, locale });
+
+    const output = {
+      version: 1,
+      generatedAt: new Date().toISOString(),
+      locale: result.locale,
+      phrases: result.phrases,
+      dynamic: result.dynamic
+    };
+
+    if (args.out) {
+      const out = localizedPath(args.out, result.locale);
+      fs.writeFileSync(path.resolve(ROOT, out), JSON.stringify(output, null, 2) + '\n');
+      console.log(`Wrote ${result.phrases.length} phrases to ${out}`);
+    } else if (args.json) {
+      console.log(JSON.stringify(output, null, 2));
+    } else {
+      result.phrases.forEach(phrase => console.log(phrase));
+      console.log('');
+    }
+
+    if (!args.json) {
+      const label = locales.length > 1 ? `[${result.locale}] ` : '';
+      console.log(`${label}${result.phrases.length} phrases from ${result.lines} script lines`);
+      console.log(`${label}${result.dynamic.length} segments depend on who is playing and will be generated live`);
+    }
+  }
+}
+
+if (process.argv[1] === __filename) {
+  main().catch(error => {
+    process.stderr.write(`Phrase extraction failed: ${error.message}\n`);
+    process.exit(1);
+  });
+}
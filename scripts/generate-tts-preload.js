@@ -3,8 +3,11 @@
 /**
  * Generate TTS Preload Cache
  * 
- * This script helps create a preload cache for common phrases
+ * This script helps create a preload cache from a manual play-through
  * Run this after you've tested the app and have a good cache built up
+ * 
+ * To cache every Simon Says phrase automatically instead, run:
+ *   npm run build:tts-cache
  */
 
 import fs from 'fs';
@@ -14,27 +17,6 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Common phrases to preload (add more as needed)
-const COMMON_PHRASES = [
-  // Game names
-  'Simon Says',
-  'Audio Tag', 
-  'Sexy Mama',
-  
-  // Common commands
-  'Start Game',
-  'Game Over',
-  'You Win',
-  'You Lose',
-  'Player 1',
-  'Player 2',
-  'Round 1',
-  'Round 2',
-  'Round 3',
-  
-  // Add more phrases you want preloaded
-];
-
 console.log('TTS Cache Preload Generator');
 console.log('===========================');
 console.log('');
@@ -59,4 +41,7 @@ console.log('');
 console.log('5. Save the downloaded file as: public/tts-cache-preload.json');
 console.log('6. Commit the file to your repository');
 console.log('');
-console.log('The cache will now be preloaded for all new users!');
\ No newline at end of file
+console.log('The cache will now be preloaded for all new users!');
+console.log('');
+console.log('Tip: `npm run build:tts-cache` generates every Simon Says phrase');
+console.log('straight from the script templates, no play-through needed.');
\ No newline at end of file
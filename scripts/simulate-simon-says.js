@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Simon Says Match Simulator
+ *
+ * Plays thousands of headless Simon Says matches and prints how rounds, variants,
+ * player selections, duel partners and difficulty were actually distributed.
+ * Use it to check weight and fairness tuning before a playtest.
+ *
+ * Usage:
+ *   npm run simulate
+ *   npm run simulate -- --players 2,6,20,100 --matches 2000
+ *   npm run simulate -- --split 15,5 --rounds 15 --curve roller_coaster
+ *
+ * Options:
+ *   --matches N        Matches per scenario (default 1000)
+ *   --players A,B,...  Player counts to simulate, one scenario each (default 2,6,20,100)
+ *   --teams N          Teams to share players across (default 2)
+ *   --split A,B,...    Explicit team sizes; replaces --players and --teams
+ *   --rounds N         Rounds per match (default 10)
+ *   --minutes N        Time-box each match to N minutes instead of a round count
+ *   --curve NAME       Difficulty curve: gentle, steady, roller_coaster (default gentle)
+ *   --level NAME       Difficulty level: gentle, moderate, intense (default moderate)
+ *   --packs A,B        Content pack ids to switch on
+ *   --seed TEXT        Base seed; repeats a whole run exactly
+ *   --no-chart         Use built-in round weights instead of game-flow.mermaid.md
+ *   --json             Print the full reports as JSON
+ *   --verbose          Keep the game's own console logging
+ */
+
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import { createServer } from 'vite';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+const GAME_DIR = path.join(ROOT, 'src/games/simon-says');
+
+// ============================================
+// ARGUMENTS
+// ============================================
+
+function parseArgs(argv) {
+  const args = {
+    matches: 1000,
+    players: [2, 6, 20, 100],
+    teams: 2,
+    split: null,
+    rounds: 10,
+    minutes: null,
+    curve: 'gentle',
+    level: 'moderate',
+    packs: [],
+    seed: null,
+    chart: true,
+    json: false,
+    verbose: false
+  };
+
+  const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  const numbers = (flag, value) => list(value).map(item => {
+    const number = Number(item);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new Error(`${flag} expects whole numbers, got "${value}"`);
+    }
+    return number;
+  });
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+
+    switch (flag) {
+      case '--matches': args.matches = numbers(flag, value)[0]; i++; break;
+      case '--players': args.players = numbers(flag, value); i++; break;
+      case '--teams': args.teams = numbers(flag, value)[0]; i++; break;
+      case '--split': args.split = numbers(flag, value); i++; break;
+      case '--rounds': args.rounds = numbers(flag, value)[0]; i++; break;
+      case '--minutes': args.minutes = numbers(flag, value)[0]; i++; break;
+      case '--curve': args.curve = value; i++; break;
+      case '--level': args.level = value; i++; break;
+      case '--packs': args.packs = list(value); i++; break;
+      case '--seed': args.seed = value; i++; break;
+      case '--no-chart': args.chart = false; break;
+      case '--json': args.json = true; break;
+      case '--verbose': args.verbose = true; break;
+      default:
+        throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+
+  if (!args.matches || !args.rounds || !args.teams || args.minutes === 0) {
+    throw new Error('--matches, --rounds, --minutes and --teams must be at least 1');
+  }
+
+  return args;
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const print = console.log.bind(console);
+
+  // The game logs every line Simon says - thousands of matches would drown the report
+  if (!args.verbose) {
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(method => {
+      console[method] = () => {};
+    });
+  }
+
+  // Vite resolves the game's browser-style imports so the real modules run under Node
+  const server = await createServer({
+    root: ROOT,
+    logLevel: 'error',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false },
+    optimizeDeps: { noDiscovery: true, include: [] }
+  });
+
+  try {
+    const { default: matchSimulator } = await server.ssrLoadModule('/src/games/simon-says/debug/MatchSimulator.js');
+    const { contentPackRegistry } = await server.ssrLoadModule('/src/games/simon-says/mechanics/index.js');
+    const { BUILT_IN_PACKS } = await server.ssrLoadModule('/src/games/simon-says/packs/index.js');
+
+    const flowChart = args.chart
+      ? fs.readFileSync(path.join(GAME_DIR, 'game-flow.mermaid.md'), 'utf8')
+      : null;
+    await matchSimulator.setup({ flowChart });
+
+    const unknownPacks = args.packs.filter(id => !BUILT_IN_PACKS.some(pack => pack.id === id));
+    if (unknownPacks.length > 0) {
+      throw new Error(`Unknown content pack: ${unknownPacks.join(', ')}`);
+    }
+    contentPackRegistry.setActivePacks(BUILT_IN_PACKS.filter(pack => args.packs.includes(pack.id)));
+
+    const scenarios = args.split
+      ? [{ teamSplit: args.split }]
+      : args.players.map(playerCount => ({ playerCount, teamCount: args.teams }));
+
+    const reports = [];
+    for (const scenario of scenarios) {
+      const report = await matchSimulator.simulate({
+        ...scenario,
+        matches: args.matches,
+        roundCount: args.rounds,
+        timeBudget: args.minutes,
+        difficultyCurve: args.curve,
+        difficultyLevel: args.level,
+        seed: args.seed
+      });
+      reports.push(report);
+
+      if (!args.json) {
+        print(matchSimulator.formatReport(report));
+        print('');
+      }
+    }
+
+    if (args.json) {
+      print(JSON.stringify(reports, null, 2));
+    }
+  } finally {
+    await server.close();
+  }
+}
+
+main().catch(error => {
+  process.stderr.write(`Simulation failed: ${error.message}\n`);
+  process.exit(1);
+});
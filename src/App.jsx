@@ -3,7 +3,6 @@ import { motion } from 'framer-motion'
 import { ThemeProvider, useThemeColor } from './common/contexts/ThemeContext'
 import GameSelector from './common/game-management/GameSelector'
 import GameLoader from './common/game-management/GameLoader'
-import SimonSaysDebugPage from './games/simon-says/debug/DebugPage'
 import SettingsButton from './common/components/SettingsButton'
 import useSound from './common/hooks/useSound'
 import ttsService from './common/services/ttsService'
@@ -26,7 +25,6 @@ window.Game = {
 
 function AppContent() {
   const [selectedGame, setSelectedGame] = useState(null);
-  const [showDebug, setShowDebug] = useState(false);
   const [musicEnabled, setMusicEnabled] = useState(false);
   const [analyser, setAnalyser] = useState(null);
   const audioRef = useRef(null);
@@ -74,17 +72,17 @@ function AppContent() {
   // Control music based on current state and user preference
   useEffect(() => {
     if (audioRef.current) {
-      if (musicEnabled && !selectedGame && !showDebug) {
+      if (musicEnabled && !selectedGame) {
         // On main menu with music enabled - play music
         audioRef.current.play().catch(err => {
           // Menu music play prevented: err
         });
       } else {
-        // In game, debug, or music disabled - pause music
+        // In game or music disabled - pause music
         audioRef.current.pause();
       }
     }
-  }, [selectedGame, showDebug, musicEnabled]);
+  }, [selectedGame, musicEnabled]);
 
   const toggleMusic = () => {
     playClick();
@@ -138,24 +136,13 @@ function AppContent() {
 
   const handleGameSelect = (gameId) => {
     // Selected game: ${gameId}
-    
-    // For Simon Says, go directly to debug page
-    if (gameId === 'simon-says') {
-      setShowDebug(true);
-    } else {
-      setSelectedGame(gameId);
-    }
+    setSelectedGame(gameId);
   };
 
   const handleExitGame = () => {
     setSelectedGame(null);
   };
 
-  // Show debug page if requested
-  if (showDebug) {
-    return <SimonSaysDebugPage onBack={() => setShowDebug(false)} />;
-  }
-
   return (
     <div className="App">
       {/* Dynamic cursor styles */}
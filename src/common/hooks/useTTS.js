@@ -3,7 +3,8 @@ import ttsService from '../services/ttsService';
 
 /**
  * Hook for text-to-speech using the unified TTS service
- * Now supports both browser TTS and ElevenLabs
+ * Works with any registered provider (browser TTS, ElevenLabs, local server).
+ * speak() resolves true when the line finishes, false if it was cancelled.
  */
 function useTTS(options = {}) {
   const { 
@@ -13,9 +14,10 @@ function useTTS(options = {}) {
 
   const speak = useCallback(async (text) => {
     try {
-      await ttsService.speak(text, pitch, rate);
+      return await ttsService.speak(text, pitch, rate);
     } catch (error) {
       console.error('[useTTS] Speech error:', error);
+      return false;
     }
   }, [pitch, rate]);
 
@@ -23,7 +25,19 @@ function useTTS(options = {}) {
     ttsService.cancel();
   }, []);
 
-  return { speak, cancel };
+  const pause = useCallback(() => {
+    ttsService.pause();
+  }, []);
+
+  const resume = useCallback(() => {
+    ttsService.resume();
+  }, []);
+
+  const fadeOut = useCallback((duration) => {
+    return ttsService.fadeOut(duration);
+  }, []);
+
+  return { speak, cancel, pause, resume, fadeOut };
 }
 
 export default useTTS;
\ No newline at end of file
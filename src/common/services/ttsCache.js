@@ -1,161 +1,491 @@
 /**
- * TTS Cache Manager - Handles persistent storage with fallbacks
- * 
- * Storage hierarchy:
- * 1. localStorage (default, 5-10MB limit)
- * 2. IndexedDB (fallback, 50MB+ limit)
- * 3. In-memory only (if all else fails)
+ * TTS Cache Manager - Persistent audio storage in IndexedDB
+ *
+ * Storage hierarchy (as used by ttsService):
+ * 1. In-memory object URLs (ttsService.audioCache, this session only)
+ * 2. IndexedDB (this manager, survives reloads, tens of MB)
+ * 3. Nothing - the line is generated again
+ *
+ * Audio lives in two object stores: `entries` holds small metadata records
+ * (voice, text, size, last access) and `audio` holds the Blobs themselves.
+ * Touching an entry on every hit only rewrites the metadata, and the usage
+ * totals are kept in memory so eviction and stats never walk the audio.
+ *
+ * Each voice is its own partition with its own size budget, evicted least
+ * recently used first; a global budget sits on top. Switching voices never
+ * pushes the old voice's lines out until the total is actually full.
+ *
+ * Entries written by older builds to localStorage (`tts_cache_<text>_<voice>`)
+ * are moved across on first run and removed from localStorage.
  */
 
+const DB_NAME = 'tts_cache_db';
+const DB_VERSION = 2;
+const ENTRY_STORE = 'entries';
+const AUDIO_STORE = 'audio';
+const LEGACY_STORE = 'audio_cache';
+
+// Legacy localStorage keys, also used as the preload file's key format
+const STORAGE_PREFIX = 'tts_cache_';
+const LEGACY_INDEX_KEY = 'tts_cache_index';
+
+const DEFAULT_LIMITS = {
+  maxBytes: 50 * 1024 * 1024,          // Everything together
+  maxBytesPerVoice: 25 * 1024 * 1024   // Any one voice
+};
+
 class TTSCacheManager {
-  constructor() {
-    this.dbName = 'tts_cache_db';
-    this.storeName = 'audio_cache';
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
     this.db = null;
-    this.useIndexedDB = false;
-    
-    // Test localStorage availability
-    this.localStorageAvailable = this.testLocalStorage();
-    
-    // Initialize IndexedDB if needed
-    if (!this.localStorageAvailable) {
-      this.initIndexedDB();
-    }
-  }
-  
-  /**
-   * Test if localStorage is available and working
-   */
-  testLocalStorage() {
-    try {
-      const test = '__tts_test__';
-      localStorage.setItem(test, 'test');
-      localStorage.removeItem(test);
-      return true;
-    } catch (e) {
-      console.warn('[TTSCache] localStorage not available, will use IndexedDB');
-      return false;
-    }
+    this.available = typeof indexedDB !== 'undefined';
+
+    // voiceId -> Map(key -> { size, lastAccess }), mirrored from the entries store
+    this.usage = new Map();
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0, byVoice: {} };
+
+    this.ready = this.available ? this.initIndexedDB() : Promise.resolve(false);
   }
-  
+
+  // ============================================
+  // SETUP
+  // ============================================
+
   /**
-   * Initialize IndexedDB as fallback
+   * Open the database and load the usage index
    */
   async initIndexedDB() {
     try {
-      const request = indexedDB.open(this.dbName, 1);
-      
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        if (!db.objectStoreNames.contains(this.storeName)) {
-          db.createObjectStore(this.storeName, { keyPath: 'key' });
-        }
-      };
-      
       this.db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+          const db = event.target.result;
+
+          // The version 1 store was only ever a fallback; nothing worth keeping
+          if (db.objectStoreNames.contains(LEGACY_STORE)) {
+            db.deleteObjectStore(LEGACY_STORE);
+          }
+          if (!db.objectStoreNames.contains(ENTRY_STORE)) {
+            const entries = db.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+            entries.createIndex('voiceId', 'voiceId');
+          }
+          if (!db.objectStoreNames.contains(AUDIO_STORE)) {
+            db.createObjectStore(AUDIO_STORE);
+          }
+        };
+
         request.onsuccess = () => resolve(request.result);
         request.onerror = () => reject(request.error);
       });
-      
-      this.useIndexedDB = true;
-      console.log('[TTSCache] IndexedDB initialized');
+
+      const entries = await this.request(ENTRY_STORE, 'readonly', store => store.getAll());
+      entries.forEach(entry => this.track(entry));
+
+      console.log(`[TTSCache] IndexedDB ready with ${entries.length} entries`);
+      return true;
     } catch (error) {
       console.error('[TTSCache] Failed to initialize IndexedDB:', error);
+      this.available = false;
+      return false;
     }
   }
-  
+
   /**
-   * Save audio data to cache
+   * Move entries an older build left in localStorage into IndexedDB
+   * @returns {Promise<number>} Number of entries migrated
    */
-  async save(key, data) {
-    // Try localStorage first
-    if (this.localStorageAvailable) {
-      try {
-        localStorage.setItem(key, data);
-        return true;
-      } catch (e) {
-        console.warn('[TTSCache] localStorage full, trying IndexedDB');
-        if (!this.useIndexedDB) await this.initIndexedDB();
-      }
+  async migrateFromLocalStorage() {
+    if (!(await this.ready) || typeof localStorage === 'undefined') return 0;
+
+    let keys;
+    try {
+      keys = Object.keys(localStorage).filter(key => key.startsWith(STORAGE_PREFIX));
+    } catch {
+      return 0;
     }
-    
-    // Try IndexedDB
-    if (this.useIndexedDB && this.db) {
-      try {
-        const transaction = this.db.transaction([this.storeName], 'readwrite');
-        const store = transaction.objectStore(this.storeName);
-        await new Promise((resolve, reject) => {
-          const request = store.put({ key, data, timestamp: Date.now() });
-          request.onsuccess = resolve;
-          request.onerror = reject;
-        });
-        return true;
-      } catch (error) {
-        console.error('[TTSCache] IndexedDB save failed:', error);
+    if (keys.length === 0) return 0;
+
+    let migrated = 0;
+    for (const storageKey of keys) {
+      if (storageKey !== LEGACY_INDEX_KEY) {
+        const parsed = parseStorageKey(storageKey);
+        const data = localStorage.getItem(storageKey);
+
+        if (parsed && data && await this.save(parsed.voiceId, parsed.text, await dataUrlToBlob(data))) {
+          migrated++;
+        }
       }
+      localStorage.removeItem(storageKey);
     }
-    
-    return false;
+
+    console.log(`[TTSCache] Migrated ${migrated} entries from localStorage`);
+    return migrated;
   }
-  
+
+  // ============================================
+  // READ & WRITE
+  // ============================================
+
   /**
-   * Load audio data from cache
+   * Load a line's audio
+   * @returns {Promise<Blob|null>} The audio, or null on a miss
    */
-  async load(key) {
-    // Try localStorage first
-    if (this.localStorageAvailable) {
-      try {
-        return localStorage.getItem(key);
-      } catch (e) {
-        // Fall through to IndexedDB
+  async load(voiceId, text) {
+    const key = cacheKey(voiceId, text);
+
+    if (!(await this.ready) || !this.usage.get(voiceId)?.has(key)) {
+      this.recordLookup(voiceId, false);
+      return null;
+    }
+
+    try {
+      const blob = await this.request(AUDIO_STORE, 'readonly', store => store.get(key));
+      if (!blob) {
+        this.untrack(voiceId, key);
+        this.recordLookup(voiceId, false);
+        return null;
       }
+
+      this.recordLookup(voiceId, true);
+      this.touch(voiceId, key);
+      return blob;
+    } catch (error) {
+      console.error('[TTSCache] IndexedDB load failed:', error);
+      this.recordLookup(voiceId, false);
+      return null;
     }
-    
-    // Try IndexedDB
-    if (this.useIndexedDB && this.db) {
-      try {
-        const transaction = this.db.transaction([this.storeName], 'readonly');
-        const store = transaction.objectStore(this.storeName);
-        const result = await new Promise((resolve, reject) => {
-          const request = store.get(key);
-          request.onsuccess = () => resolve(request.result);
-          request.onerror = reject;
+  }
+
+  /**
+   * Check for a line without counting a hit or miss
+   */
+  async has(voiceId, text) {
+    await this.ready;
+    return !!this.usage.get(voiceId)?.has(cacheKey(voiceId, text));
+  }
+
+  /**
+   * Save a line's audio, evicting older lines to make room
+   * @returns {Promise<boolean>} Whether the audio was stored
+   */
+  async save(voiceId, text, blob) {
+    if (!(await this.ready) || !blob) return false;
+
+    const size = blob.size;
+    if (size > this.limits.maxBytesPerVoice || size > this.limits.maxBytes) {
+      console.warn('[TTSCache] Audio larger than the cache itself, not stored:', text);
+      return false;
+    }
+
+    const key = cacheKey(voiceId, text);
+    const entry = { key, voiceId, text, size, lastAccess: Date.now() };
+
+    try {
+      await this.makeRoom(voiceId, key, size);
+      await this.transaction([ENTRY_STORE, AUDIO_STORE], 'readwrite', tx => {
+        tx.objectStore(ENTRY_STORE).put(entry);
+        tx.objectStore(AUDIO_STORE).put(blob, key);
+      });
+
+      this.track(entry);
+      this.stats.writes++;
+      return true;
+    } catch (error) {
+      console.error('[TTSCache] IndexedDB save failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove one line
+   */
+  async delete(voiceId, text) {
+    if (!(await this.ready)) return;
+    await this.remove([{ voiceId, key: cacheKey(voiceId, text) }]);
+  }
+
+  /**
+   * Clear one voice's partition, or everything
+   * @param {string} voiceId - Voice to clear (all voices if omitted)
+   */
+  async clear(voiceId = null) {
+    if (!(await this.ready)) return;
+
+    try {
+      if (voiceId) {
+        const keys = [...(this.usage.get(voiceId)?.keys() || [])];
+        await this.remove(keys.map(key => ({ voiceId, key })));
+      } else {
+        await this.transaction([ENTRY_STORE, AUDIO_STORE], 'readwrite', tx => {
+          tx.objectStore(ENTRY_STORE).clear();
+          tx.objectStore(AUDIO_STORE).clear();
         });
-        return result?.data;
-      } catch (error) {
-        console.error('[TTSCache] IndexedDB load failed:', error);
+        this.usage.clear();
       }
+    } catch (error) {
+      console.error('[TTSCache] IndexedDB clear failed:', error);
     }
-    
-    return null;
   }
-  
+
+  // ============================================
+  // PRELOAD FILE FORMAT
+  // ============================================
+
   /**
-   * Clear all cached data
+   * Add entries from a preload file without overwriting anything already cached
+   * @param {Object} entries - { 'tts_cache_<text>_<voice>': dataUrl }
+   * @returns {Promise<number>} Number of entries added
    */
-  async clear() {
-    // Clear localStorage
-    if (this.localStorageAvailable) {
-      try {
-        Object.keys(localStorage)
-          .filter(key => key.startsWith('tts_cache_'))
-          .forEach(key => localStorage.removeItem(key));
-      } catch (e) {
-        // Ignore
+  async importEntries(entries) {
+    if (!(await this.ready)) return 0;
+
+    let added = 0;
+    for (const [storageKey, data] of Object.entries(entries)) {
+      const parsed = parseStorageKey(storageKey);
+      if (!parsed || !data || await this.has(parsed.voiceId, parsed.text)) continue;
+
+      if (await this.save(parsed.voiceId, parsed.text, await dataUrlToBlob(data))) {
+        added++;
       }
     }
-    
-    // Clear IndexedDB
-    if (this.useIndexedDB && this.db) {
-      try {
-        const transaction = this.db.transaction([this.storeName], 'readwrite');
-        const store = transaction.objectStore(this.storeName);
-        store.clear();
-      } catch (error) {
-        console.error('[TTSCache] IndexedDB clear failed:', error);
+    return added;
+  }
+
+  /**
+   * Everything cached, in the preload file's format
+   * @param {Function} filter - Only partitions it returns true for (all if omitted)
+   * @returns {Promise<Object>} { 'tts_cache_<text>_<voice>': dataUrl }
+   */
+  async exportEntries(filter = null) {
+    if (!(await this.ready)) return {};
+
+    const entries = await this.request(ENTRY_STORE, 'readonly', store => store.getAll());
+    const exported = {};
+
+    for (const entry of entries) {
+      if (filter && !filter(entry.voiceId)) continue;
+      const blob = await this.request(AUDIO_STORE, 'readonly', store => store.get(entry.key));
+      if (blob) {
+        exported[`${STORAGE_PREFIX}${entry.text}_${entry.voiceId}`] = await blobToDataUrl(blob);
       }
     }
+    return exported;
+  }
+
+  // ============================================
+  // EVICTION
+  // ============================================
+
+  /**
+   * Evict least recently used lines until the new one fits
+   *
+   * The voice's own partition is trimmed first, so a voice can only ever push out its own lines. If the cache as a whole is still too full, the oldest lines across every voice go next.
+   */
+  async makeRoom(voiceId, key, size) {
+    const existing = this.usage.get(voiceId)?.get(key)?.size || 0;
+    const victims = [];
+    const chosen = new Set([key]);
+
+    let voiceBytes = this.voiceBytes(voiceId) - existing;
+    for (const candidate of this.byLeastRecent(voiceId)) {
+      if (voiceBytes + size <= this.limits.maxBytesPerVoice) break;
+      if (chosen.has(candidate.key)) continue;
+      victims.push(candidate);
+      chosen.add(candidate.key);
+      voiceBytes -= candidate.size;
+    }
+
+    let totalBytes = this.totalBytes() - existing - victims.reduce((sum, v) => sum + v.size, 0);
+    for (const candidate of this.byLeastRecent()) {
+      if (totalBytes + size <= this.limits.maxBytes) break;
+      if (chosen.has(candidate.key)) continue;
+      victims.push(candidate);
+      chosen.add(candidate.key);
+      totalBytes -= candidate.size;
+    }
+
+    if (victims.length > 0) {
+      await this.remove(victims);
+      this.stats.evictions += victims.length;
+    }
+  }
+
+  /**
+   * Tracked entries, oldest access first (one voice or all)
+   */
+  byLeastRecent(voiceId = null) {
+    const voices = voiceId ? [voiceId] : [...this.usage.keys()];
+    return voices
+      .flatMap(voice => [...(this.usage.get(voice)?.entries() || [])].map(([key, info]) => ({ voiceId: voice, key, ...info })))
+      .sort((a, b) => a.lastAccess - b.lastAccess);
+  }
+
+  /**
+   * Delete entries from both stores and the usage index
+   */
+  async remove(entries) {
+    if (entries.length === 0) return;
+
+    await this.transaction([ENTRY_STORE, AUDIO_STORE], 'readwrite', tx => {
+      entries.forEach(({ key }) => {
+        tx.objectStore(ENTRY_STORE).delete(key);
+        tx.objectStore(AUDIO_STORE).delete(key);
+      });
+    });
+    entries.forEach(({ voiceId, key }) => this.untrack(voiceId, key));
+  }
+
+  // ============================================
+  // USAGE INDEX
+  // ============================================
+
+  track(entry) {
+    if (!this.usage.has(entry.voiceId)) {
+      this.usage.set(entry.voiceId, new Map());
+    }
+    this.usage.get(entry.voiceId).set(entry.key, { size: entry.size, lastAccess: entry.lastAccess });
   }
+
+  untrack(voiceId, key) {
+    const voice = this.usage.get(voiceId);
+    voice?.delete(key);
+    if (voice?.size === 0) {
+      this.usage.delete(voiceId);
+    }
+  }
+
+  /**
+   * Mark a line as just used (metadata only; the audio isn't rewritten)
+   */
+  touch(voiceId, key) {
+    const info = this.usage.get(voiceId)?.get(key);
+    if (!info) return;
+
+    info.lastAccess = Date.now();
+    this.request(ENTRY_STORE, 'readwrite', store => store.get(key))
+      .then(entry => entry && this.request(ENTRY_STORE, 'readwrite', store => store.put({ ...entry, lastAccess: info.lastAccess })))
+      .catch(error => console.warn('[TTSCache] Could not update last access:', error));
+  }
+
+  voiceBytes(voiceId) {
+    let bytes = 0;
+    this.usage.get(voiceId)?.forEach(info => { bytes += info.size; });
+    return bytes;
+  }
+
+  totalBytes() {
+    let bytes = 0;
+    this.usage.forEach((_, voiceId) => { bytes += this.voiceBytes(voiceId); });
+    return bytes;
+  }
+
+  // ============================================
+  // STATS
+  // ============================================
+
+  recordLookup(voiceId, hit) {
+    const voice = this.stats.byVoice[voiceId] || (this.stats.byVoice[voiceId] = { hits: 0, misses: 0 });
+    if (hit) {
+      this.stats.hits++;
+      voice.hits++;
+    } else {
+      this.stats.misses++;
+      voice.misses++;
+    }
+  }
+
+  /**
+   * Hit/miss counts for this session and what's stored, overall and per voice
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    const voices = {};
+
+    new Set([...this.usage.keys(), ...Object.keys(this.stats.byVoice)]).forEach(voiceId => {
+      const counts = this.stats.byVoice[voiceId] || { hits: 0, misses: 0 };
+      voices[voiceId] = {
+        entries: this.usage.get(voiceId)?.size || 0,
+        bytes: this.voiceBytes(voiceId),
+        ...counts
+      };
+    });
+
+    return {
+      available: this.available,
+      entries: [...this.usage.values()].reduce((sum, voice) => sum + voice.size, 0),
+      bytes: this.totalBytes(),
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      writes: this.stats.writes,
+      evictions: this.stats.evictions,
+      limits: { ...this.limits },
+      voices
+    };
+  }
+
+  // ============================================
+  // INDEXEDDB HELPERS
+  // ============================================
+
+  /**
+   * Run one request against a store and resolve with its result
+   */
+  request(storeName, mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+      const request = makeRequest(this.db.transaction([storeName], mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run several writes in one transaction and resolve when it commits
+   */
+  transaction(storeNames, mode, work) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeNames, mode);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+      work(tx);
+    });
+  }
+}
+
+// ============================================
+// KEY & DATA HELPERS
+// ============================================
+
+function cacheKey(voiceId, text) {
+  return `${voiceId}:${text}`;
+}
+
+// 'tts_cache_<text>_<voice>' -> { text, voiceId } (voice IDs contain no underscores)
+function parseStorageKey(storageKey) {
+  if (!storageKey.startsWith(STORAGE_PREFIX) || storageKey === LEGACY_INDEX_KEY) return null;
+
+  const rest = storageKey.slice(STORAGE_PREFIX.length);
+  const split = rest.lastIndexOf('_');
+  if (split <= 0) return null;
+
+  return { text: rest.slice(0, split), voiceId: rest.slice(split + 1) };
+}
+
+async function dataUrlToBlob(dataUrl) {
+  const response = await fetch(dataUrl);
+  return response.blob();
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(blob);
+  });
 }
 
-export default TTSCacheManager;
\ No newline at end of file
+export default TTSCacheManager;
+export { parseStorageKey, STORAGE_PREFIX };
@@ -0,0 +1,100 @@
+/**
+ * ElevenLabs TTS Provider
+ *
+ * High-quality cloud voices. Needs an API key and an internet connection,
+ * and charges per character, so everything it generates is cached by the
+ * TTS service. Returns MP3 audio for the service to play.
+ *
+ * English lines use the English-only turbo model; other languages use the
+ * multilingual turbo model, told which language to read in.
+ */
+
+import { ElevenLabsClient } from '@elevenlabs/elevenlabs-js';
+
+const ELEVENLABS_API_KEY = import.meta.env.VITE_ELEVENLABS_API_KEY;
+const ELEVENLABS_VOICE_ID = import.meta.env.VITE_ELEVENLABS_VOICE_ID || 'mtrellq69YZsNwzUSyXh'; // Default voice
+
+const ENGLISH_MODEL = 'eleven_turbo_v2';          // Cheapest and fastest model
+const MULTILINGUAL_MODEL = 'eleven_turbo_v2_5';   // Same price, reads other languages
+
+class ElevenLabsProvider {
+  constructor() {
+    this.id = 'elevenlabs';
+    this.label = 'ElevenLabs';
+    this.defaultVoice = ELEVENLABS_VOICE_ID;
+    this.capabilities = {
+      pitch: false,
+      rate: false,
+      volume: false,
+      ssml: false,
+      caching: true,        // Paid per character - never generate a line twice
+      returnsAudio: true,
+      offline: false
+    };
+
+    this.client = ELEVENLABS_API_KEY
+      ? new ElevenLabsClient({ apiKey: ELEVENLABS_API_KEY })
+      : null;
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  /**
+   * Generate a line with the cheapest settings
+   * @param {Object} options - { locale } of the line
+   * @returns {Promise<Blob>} MP3 audio
+   */
+  async synthesize(text, voice = this.defaultVoice, { locale = 'en-US' } = {}) {
+    if (!this.client) {
+      throw new Error('ElevenLabs API key not configured');
+    }
+
+    const audioStream = await this.client.textToSpeech.convert(voice, this.buildRequest(text, { locale }));
+
+    // Collect chunks
+    const chunks = [];
+    for await (const chunk of audioStream) {
+      chunks.push(chunk);
+    }
+
+    return new Blob(chunks, { type: 'audio/mpeg' });
+  }
+
+  /**
+   * The convert() request for a line
+   *
+   * The SDK takes its own camelCase field names and strips any key it doesn't
+   * recognise, so snake_case API names here would be dropped without an error
+   * (`npm run check:elevenlabs` checks what actually gets sent).
+   */
+  buildRequest(text, { locale = 'en-US' } = {}) {
+    const language = locale.split('-')[0].toLowerCase();
+    const model = language === 'en'
+      ? { modelId: ENGLISH_MODEL }
+      : { modelId: MULTILINGUAL_MODEL, languageCode: language };
+
+    return {
+      text,
+      ...model,
+      voiceSettings: {
+        stability: 0.5,
+        similarityBoost: 0.75,
+        style: 0,  // Disable style for cheaper generation
+        useSpeakerBoost: false  // Disable speaker boost to save cost
+      },
+      optimizeStreamingLatency: 4, // Maximum optimization for streaming
+      outputFormat: 'mp3_22050_32' // Lower quality for smaller size and cost
+    };
+  }
+
+  /**
+   * Cache partition for a voice (the voice ID itself, matching the preload file)
+   */
+  cacheId(voice = this.defaultVoice) {
+    return voice;
+  }
+}
+
+export default ElevenLabsProvider;
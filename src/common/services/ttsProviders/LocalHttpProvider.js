@@ -0,0 +1,134 @@
+/**
+ * Local HTTP TTS Provider
+ *
+ * Talks to a TTS server running on the venue's own network - Piper, Coqui or
+ * Mimic 3 on localhost or a laptop by the speaker. Gym venues often have no internet,
+ * and falling back to speechSynthesis gives whatever voice the browser ships;
+ * a local server gives the same voice everywhere without a connection.
+ *
+ * Supported servers (set VITE_LOCAL_TTS_ENGINE):
+ * - 'piper': `python3 -m piper.http_server -m en_US-lessac-medium`
+ *            POST / with JSON { text, voice }, returns WAV
+ * - 'coqui': `tts-server --model_name tts_models/en/vctk/vits`
+ *            GET /api/tts?text=...&speaker_id=..., returns WAV
+ * - 'mimic3': `mimic3-server` (usually on port 59125)
+ *            GET /api/tts?text=...&voice=...&ssml=..., returns WAV
+ *            The only one of the three that understands SSML, so script
+ *            styles like [whisper] and [shout] come through as real prosody.
+ *
+ * Set VITE_LOCAL_TTS_URL to the server address (default http://localhost:5000)
+ * and optionally VITE_LOCAL_TTS_VOICE to a Piper voice, Coqui speaker or Mimic 3 voice.
+ * Local voices each speak one language, so VITE_LOCAL_TTS_VOICES maps locales to
+ * voices for matches in other languages: "es-ES=es_ES-davefx-medium,fr-FR=fr_FR-siwis-medium".
+ */
+
+const LOCAL_TTS_URL = (import.meta.env.VITE_LOCAL_TTS_URL || 'http://localhost:5000').replace(/\/$/, '');
+const LOCAL_TTS_ENGINE = import.meta.env.VITE_LOCAL_TTS_ENGINE || 'piper';
+const LOCAL_TTS_VOICE = import.meta.env.VITE_LOCAL_TTS_VOICE || null;
+const LOCAL_TTS_VOICES = import.meta.env.VITE_LOCAL_TTS_VOICES || '';
+
+const REQUEST_TIMEOUT = 15000; // Synthesis on a slow laptop can take a few seconds
+const ENGINES = ['piper', 'coqui', 'mimic3'];
+
+class LocalHttpProvider {
+  constructor() {
+    this.id = 'local';
+    this.label = `Local server (${LOCAL_TTS_ENGINE})`;
+    this.baseUrl = LOCAL_TTS_URL;
+    this.engine = LOCAL_TTS_ENGINE;
+    this.defaultVoice = LOCAL_TTS_VOICE;
+    this.localeVoices = parseLocaleVoices(LOCAL_TTS_VOICES);
+    this.capabilities = {
+      pitch: false,
+      rate: false,
+      volume: false,
+      ssml: LOCAL_TTS_ENGINE === 'mimic3',
+      caching: true,        // Cheap to generate, but caching keeps lines instant
+      returnsAudio: true,
+      offline: true
+    };
+  }
+
+  /**
+   * Configured, and the engine is one we know how to talk to
+   * (whether the server is actually up is only known on the first request)
+   */
+  isAvailable() {
+    return !!this.baseUrl && ENGINES.includes(this.engine);
+  }
+
+  /**
+   * The configured voice for a locale, then for its language
+   */
+  voiceForLocale(locale) {
+    const tag = String(locale || '').toLowerCase();
+    return this.localeVoices.get(tag) || this.localeVoices.get(tag.split('-')[0]) || null;
+  }
+
+  /**
+   * Ask the server for a line
+   * @param {Object} options - { ssml: true } when text is an SSML document
+   * @returns {Promise<Blob>} WAV audio
+   */
+  async synthesize(text, voice = this.defaultVoice, { ssml = false } = {}) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+    try {
+      const [url, options] = this.buildRequest(text, voice, ssml);
+      const response = await fetch(url, { ...options, signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`Local TTS server returned ${response.status}`);
+      }
+      return await response.blob();
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * URL and fetch options for the configured engine
+   */
+  buildRequest(text, voice, ssml = false) {
+    if (this.engine === 'mimic3') {
+      const params = new URLSearchParams({ text, ssml: String(ssml) });
+      if (voice) params.set('voice', voice);
+      return [`${this.baseUrl}/api/tts?${params}`, {}];
+    }
+
+    if (this.engine === 'coqui') {
+      const params = new URLSearchParams({ text });
+      if (voice) params.set('speaker_id', voice);
+      return [`${this.baseUrl}/api/tts?${params}`, {}];
+    }
+
+    return [this.baseUrl + '/', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(voice ? { text, voice } : { text })
+    }];
+  }
+
+  /**
+   * Cache partition for a voice
+   * Kept apart from ElevenLabs voice IDs; underscores are swapped out because
+   * the preload file's keys end in `_<voice>`.
+   */
+  cacheId(voice = this.defaultVoice) {
+    return `${this.engine}-${voice || 'default'}`.replace(/_/g, '-');
+  }
+}
+
+/**
+ * Parse "es-ES=voice,fr=voice" into a map of lowercased locale -> voice
+ */
+function parseLocaleVoices(setting) {
+  const voices = new Map();
+  setting.split(',').forEach(pair => {
+    const [locale, voice] = pair.split('=').map(part => part.trim());
+    if (locale && voice) voices.set(locale.toLowerCase(), voice);
+  });
+  return voices;
+}
+
+export default LocalHttpProvider;
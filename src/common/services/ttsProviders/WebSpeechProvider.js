@@ -0,0 +1,99 @@
+/**
+ * Web Speech TTS Provider
+ *
+ * The browser's built-in speechSynthesis. Free and offline, but the voice
+ * depends on the browser and OS. It speaks directly rather than handing
+ * back audio, so nothing it says can be cached.
+ */
+
+class WebSpeechProvider {
+  constructor() {
+    this.id = 'webspeech';
+    this.label = 'Browser speech';
+    this.defaultVoice = null; // Browser default
+    this.capabilities = {
+      pitch: true,
+      rate: true,
+      volume: true,
+      ssml: false,
+      caching: false,
+      returnsAudio: false,
+      offline: true
+    };
+  }
+
+  isAvailable() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window;
+  }
+
+  /**
+   * Speak a line, resolving when it finishes
+   * @param {string} voice - Name of an installed voice (browser default if null)
+   * @param {Object} options - { pitch, rate, volume, locale }
+   */
+  async synthesize(text, voice = this.defaultVoice, { pitch = 1, rate = 1, volume = 1, locale } = {}) {
+    // Cancel any pending speech first
+    window.speechSynthesis.cancel();
+
+    return new Promise((resolve, reject) => {
+      const utterance = new SpeechSynthesisUtterance(text);
+      utterance.pitch = pitch;
+      utterance.rate = rate;
+      utterance.volume = volume;
+      if (locale) utterance.lang = locale; // Read in the right language even without a matching voice
+
+      if (voice) {
+        const match = window.speechSynthesis.getVoices().find(v => v.name === voice);
+        if (match) utterance.voice = match;
+      }
+
+      utterance.onend = () => {
+        // WebSpeech completed
+        resolve();
+      };
+
+      utterance.onerror = (event) => {
+        console.error('[WebSpeechProvider] WebSpeech error:', event);
+        // Don't reject on 'canceled' errors
+        if (event.error === 'canceled') {
+          resolve();
+        } else {
+          reject(event);
+        }
+      };
+
+      // Add timeout fallback
+      const timeout = setTimeout(() => {
+        // WebSpeech timeout - resolving anyway
+        resolve();
+      }, 5000);
+
+      utterance.onstart = () => {
+        clearTimeout(timeout);
+        // WebSpeech started
+      };
+
+      window.speechSynthesis.speak(utterance);
+    });
+  }
+
+  cancel() {
+    if (this.isAvailable()) {
+      window.speechSynthesis.cancel();
+    }
+  }
+
+  pause() {
+    if (this.isAvailable()) {
+      window.speechSynthesis.pause();
+    }
+  }
+
+  resume() {
+    if (this.isAvailable()) {
+      window.speechSynthesis.resume();
+    }
+  }
+}
+
+export default WebSpeechProvider;
@@ -0,0 +1,23 @@
+/**
+ * TTS Providers
+ *
+ * Every provider implements the same small interface:
+ * - id, label              Registry key and display name
+ * - defaultVoice           Voice used when none is given
+ * - capabilities           { pitch, rate, volume, ssml, caching, returnsAudio, offline }
+ * - isAvailable()          Whether it can be used in this environment
+ * - synthesize(text, voice, options)
+ *       options holds only what the capabilities allow: pitch, rate, volume,
+ *       and ssml: true when text is an SSML document rather than plain text,
+ *       plus the locale the line is in ('es-ES') for every provider
+ *       returnsAudio: resolves with a Blob for the service to cache and play
+ *       otherwise:   speaks directly and resolves when finished
+ * - cacheId(voice)         Cache partition (only needed when caching, no underscores)
+ * - voiceForLocale(locale) Optional, a voice that speaks the locale (default voice otherwise)
+ * - cancel()               Stop speaking (only needed when speaking directly)
+ * - pause(), resume()      Optional, for providers that speak directly
+ */
+
+export { default as ElevenLabsProvider } from './ElevenLabsProvider';
+export { default as WebSpeechProvider } from './WebSpeechProvider';
+export { default as LocalHttpProvider } from './LocalHttpProvider';
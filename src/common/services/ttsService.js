@@ -1,90 +1,94 @@
 /**
- * TTS Service - Unified text-to-speech with provider switching
+ * TTS Service - Unified text-to-speech with pluggable providers
  * 
- * This service provides a single interface for TTS that can switch between:
- * - Browser's built-in Web Speech API (default)
- * - ElevenLabs API (when enabled)
+ * This service provides a single interface for TTS over any registered provider:
+ * - Browser's built-in Web Speech API ('webspeech')
+ * - ElevenLabs API ('elevenlabs', default when an API key is set)
+ * - A local Piper or Coqui server ('local', for venues without internet)
+ * 
+ * Providers declare what they can do (see ttsProviders/index.js). Ones that
+ * return audio are cached here - memory first, then IndexedDB - and played
+ * by the service; ones that speak directly are simply awaited. If a provider
+ * fails, the line is spoken with Web Speech instead.
+ * 
+ * Whatever is speaking can be cancelled, paused, resumed or faded out.
+ * speak() resolves true when a line finishes and false when it was cut off.
+ * 
+ * Lines are spoken in the service's locale (setLocale). Each locale is
+ * cached apart from the others and has its own preload file.
  * 
  * Usage:
- * - Set TTS_PROVIDER in .env to 'elevenlabs' to use ElevenLabs
- * - Or toggle at runtime: window.Game.ttsProvider = 'elevenlabs'
+ * - Set VITE_TTS_PROVIDER in .env to 'elevenlabs', 'local' or 'webspeech'
+ * - Or switch at runtime: window.Game.ttsService.setProvider('local')
+ * - Add a provider: ttsService.registerProvider(new MyProvider())
  */
 
-import { ElevenLabsClient } from '@elevenlabs/elevenlabs-js';
+import TTSCacheManager from './ttsCache';
+import { ElevenLabsProvider, WebSpeechProvider, LocalHttpProvider } from './ttsProviders';
 
 // Configuration
 const TTS_PROVIDER = import.meta.env.VITE_TTS_PROVIDER || 'elevenlabs'; // Default to ElevenLabs
-const ELEVENLABS_API_KEY = import.meta.env.VITE_ELEVENLABS_API_KEY;
-const ELEVENLABS_VOICE_ID = import.meta.env.VITE_ELEVENLABS_VOICE_ID || 'mtrellq69YZsNwzUSyXh'; // Default voice
+const FALLBACK_PROVIDER = 'webspeech';
+const DEFAULT_LOCALE = 'en-US';
+const FADE_STEP_MS = 25;
+
+// Lines handed over as SSML documents rather than plain text
+const isSsml = (text) => text.startsWith('<speak>');
 
 class TTSService {
   constructor() {
-    this.provider = TTS_PROVIDER;
-    this.elevenLabsClient = null;
+    this.providers = new Map();
+    this.provider = FALLBACK_PROVIDER;
+    this.voices = new Map(); // Provider id -> voice chosen at runtime
+    this.locale = DEFAULT_LOCALE;
+    this.preloadedLocales = new Set();
     this.audioCache = new Map(); // In-memory cache for quick access
-    this.cachePrefix = 'tts_cache_'; // Prefix for localStorage keys
-    this.cacheIndexKey = 'tts_cache_index'; // Key to store list of cached items
-    
-    // Initialize ElevenLabs if API key is available
-    if (ELEVENLABS_API_KEY) {
-      // ElevenLabs API key found, initializing client
-      this.elevenLabsClient = new ElevenLabsClient({
-        apiKey: ELEVENLABS_API_KEY
-      });
+    this.audioDurations = new Map(); // Cache key -> length of the line's audio in ms, once known
+    this.persistentCache = new TTSCacheManager(); // IndexedDB, survives reloads
+    this.memoryHits = 0;
+    this.pendingAudio = new Map(); // Lines being fetched or generated right now, by cache key
+    this.prefetchQueue = []; // Lines to generate ahead of time, oldest first
+    this.isPrefetching = false;
+    this.playback = null; // { audio, url, finish } for audio that's currently playing
+    this.speechId = 0; // Bumped on cancel so lines still being generated never play
+    this.isPaused = false;
+    
+    this.registerProvider(new WebSpeechProvider());
+    this.registerProvider(new ElevenLabsProvider());
+    this.registerProvider(new LocalHttpProvider());
+    
+    if (this.providers.get(TTS_PROVIDER)?.isAvailable()) {
+      this.provider = TTS_PROVIDER;
     } else {
-      console.warn('[TTSService] No ElevenLabs API key found, falling back to webspeech');
-      this.provider = 'webspeech';
+      console.warn(`[TTSService] Provider '${TTS_PROVIDER}' not available, falling back to ${FALLBACK_PROVIDER}`);
     }
     
     // Initialized with provider: ${this.provider}
     
-    // Load cache index from localStorage
-    this.loadCacheIndex();
-    
-    // Always try to load preload cache on startup
-    this.loadPreloadCache();
-  }
-  
-  /**
-   * Load cache index from localStorage
-   */
-  loadCacheIndex() {
-    try {
-      const cacheIndex = localStorage.getItem(this.cacheIndexKey);
-      if (cacheIndex) {
-        const index = JSON.parse(cacheIndex);
-        // Loaded ${index.length} cached items from localStorage
-      }
-    } catch (error) {
-      console.error('[TTSService] Error loading cache index:', error);
-    }
+    // Move any old localStorage entries across, then top up from the preload file
+    this.cacheReady = this.persistentCache.migrateFromLocalStorage()
+      .then(() => this.loadPreloadCache());
   }
   
   /**
    * Load preloaded cache data if available
+   * @param {string} locale - Each locale has its own file; English keeps the original name
    */
-  async loadPreloadCache() {
+  async loadPreloadCache(locale = DEFAULT_LOCALE) {
+    this.preloadedLocales.add(locale);
+    
     try {
       // Try to load preload data
-      const response = await fetch('/tts-cache-preload.json');
+      const response = await fetch(locale === DEFAULT_LOCALE
+        ? '/tts-cache-preload.json'
+        : `/tts-cache-preload.${locale}.json`);
       if (!response.ok) return;
       
       const preloadData = await response.json();
       console.log(`[TTS] Loading ${Object.keys(preloadData.cache).length} preloaded cache entries...`);
       
-      let loaded = 0;
-      // Load all cache entries
-      Object.entries(preloadData.cache).forEach(([key, value]) => {
-        try {
-          // Only set if not already present
-          if (!localStorage.getItem(key)) {
-            localStorage.setItem(key, value);
-            loaded++;
-          }
-        } catch (e) {
-          console.warn('[TTSService] Failed to preload entry:', key);
-        }
-      });
+      // Only adds lines that aren't already cached
+      const loaded = await this.persistentCache.importEntries(preloadData.cache);
       
       if (loaded > 0) {
         console.log(`[TTS] Successfully loaded ${loaded} new entries from preload cache`);
@@ -97,369 +101,611 @@ class TTSService {
     }
   }
   
+  // ============================================
+  // PROVIDERS
+  // ============================================
+  
+  /**
+   * Add a provider (replaces any provider with the same id)
+   * @param {Object} provider - Implements the interface in ttsProviders/index.js
+   */
+  registerProvider(provider) {
+    if (!provider?.id || typeof provider.synthesize !== 'function') {
+      throw new Error('[TTSService] A provider needs an id and a synthesize() method');
+    }
+    this.providers.set(provider.id, provider);
+  }
+  
   /**
    * Set the TTS provider
-   * @param {string} provider - 'webspeech' or 'elevenlabs'
+   * @param {string} provider - Id of a registered provider
+   * @returns {boolean} Whether the switch happened
    */
   setProvider(provider) {
-    if (!['webspeech', 'elevenlabs'].includes(provider)) {
+    const candidate = this.providers.get(provider);
+    
+    if (!candidate) {
       console.error(`[TTSService] Invalid provider: ${provider}`);
-      return;
+      return false;
     }
     
-    if (provider === 'elevenlabs' && !this.elevenLabsClient) {
-      console.error('[TTSService] ElevenLabs API key not configured');
-      return;
+    if (!candidate.isAvailable()) {
+      console.error(`[TTSService] Provider not available: ${provider}`);
+      return false;
     }
     
     this.provider = provider;
     // Switched to provider: ${provider}
+    return true;
   }
   
   /**
-   * Speak text using the current provider
-   * @param {string} text - Text to speak
-   * @param {number} pitch - Pitch (0.1-2.0) - only for webspeech
-   * @param {number} rate - Rate (0.1-10) - only for webspeech
+   * The active provider object
    */
-  async speak(text, pitch = 1, rate = 1) {
-    if (!text) return;
-    
-    // Speaking with provider
-    
-    if (this.provider === 'elevenlabs') {
-      return this.speakElevenLabs(text);
+  getProvider() {
+    return this.providers.get(this.provider);
+  }
+  
+  /**
+   * Every registered provider with its capabilities, for settings screens
+   */
+  listProviders() {
+    return [...this.providers.values()].map(provider => ({
+      id: provider.id,
+      label: provider.label,
+      available: provider.isAvailable(),
+      active: provider.id === this.provider,
+      capabilities: { ...provider.capabilities }
+    }));
+  }
+  
+  /**
+   * Choose the voice a provider speaks with
+   * @param {string|null} voice - Provider-specific voice (null for its default)
+   * @param {string} providerId - Provider to set it on (defaults to the active one)
+   */
+  setVoice(voice, providerId = this.provider) {
+    if (voice) {
+      this.voices.set(providerId, voice);
     } else {
-      return this.speakWebSpeech(text, pitch, rate);
+      this.voices.delete(providerId);
     }
   }
   
   /**
-   * Speak using Web Speech API
+   * The voice a provider speaks with: the one chosen, then its voice for the locale, then its default
    */
-  async speakWebSpeech(text, pitch, rate) {
-    // Cancel any pending speech first
-    window.speechSynthesis.cancel();
-    
-    return new Promise((resolve, reject) => {
-      const utterance = new SpeechSynthesisUtterance(text);
-      utterance.pitch = pitch;
-      utterance.rate = rate;
-      
-      utterance.onend = () => {
-        // WebSpeech completed
-        resolve();
-      };
-      
-      utterance.onerror = (event) => {
-        console.error('[TTSService] WebSpeech error:', event);
-        // Don't reject on 'canceled' errors
-        if (event.error === 'canceled') {
-          resolve();
-        } else {
-          reject(event);
-        }
-      };
-      
-      // Add timeout fallback
-      const timeout = setTimeout(() => {
-        // WebSpeech timeout - resolving anyway
-        resolve();
-      }, 5000);
-      
-      utterance.onstart = () => {
-        clearTimeout(timeout);
-        // WebSpeech started
-      };
-      
-      console.log(`[TTS] "${text}" - [WebSpeech]`);
-      window.speechSynthesis.speak(utterance);
-    });
+  getVoice(providerId = this.provider) {
+    const provider = this.providers.get(providerId);
+    return this.voices.get(providerId) ||
+      provider?.voiceForLocale?.(this.locale) ||
+      provider?.defaultVoice ||
+      null;
   }
   
+  // ============================================
+  // LOCALE
+  // ============================================
+  
   /**
-   * Speak using ElevenLabs API with streaming and persistent caching
+   * Speak in another language
+   *
+   * The locale goes to every provider with each line, and the first time a locale is used its preload file is loaded alongside the English one. Voices chosen with setVoice are kept - choosing one that speaks the language is up to the caller.
+   *
+   * @param {string} locale - BCP 47 tag, e.g. 'es-ES'
    */
-  async speakElevenLabs(text) {
-    if (!this.elevenLabsClient) {
-      console.error('[TTSService] ElevenLabs not initialized');
-      return this.speakWebSpeech(text, 1, 1); // Fallback
+  setLocale(locale = DEFAULT_LOCALE) {
+    this.locale = locale || DEFAULT_LOCALE;
+    
+    if (!this.preloadedLocales.has(this.locale)) {
+      this.cacheReady = this.cacheReady.then(() => this.loadPreloadCache(this.locale));
     }
+  }
+  
+  getLocale() {
+    return this.locale;
+  }
+  
+  /**
+   * Cache partition for a voice in the current locale
+   * The same text read by the same voice sounds different in another language, so each locale gets its own partition. English keeps the bare voice partition the original preload file was built with.
+   */
+  cachePartition(provider, voice) {
+    const partition = provider.cacheId(voice);
+    return this.locale === DEFAULT_LOCALE ? partition : `${partition}@${this.locale}`;
+  }
+  
+  // ============================================
+  // SPEAKING
+  // ============================================
+  
+  /**
+   * Speak text using the current provider
+   * @param {string} text - Text to speak
+   * @param {number} pitch - Pitch (0.1-2.0) - only for providers with the pitch capability
+   * @param {number} rate - Rate (0.1-10) - only for providers with the rate capability
+   * @param {Object} options - Optional delivery:
+   *   ssml          SSML version of the line, used instead of text by providers with the ssml capability
+   *   volume        0-1, for audio playback and providers with the volume capability
+   *   playbackRate  Playback speed for audio from providers without the rate capability
+   * @returns {Promise<boolean>} True if the line finished, false if it was cancelled
+   */
+  async speak(text, pitch = 1, rate = 1, options = {}) {
+    if (!text) return true;
     
-    const cacheKey = `${text}_${ELEVENLABS_VOICE_ID}`;
-    const storageKey = `${this.cachePrefix}${cacheKey}`;
+    return this.speakWith(this.provider, text, { ...options, pitch, rate });
+  }
+  
+  /**
+   * Speak text with a specific provider, falling back to Web Speech on failure
+   */
+  async speakWith(providerId, text, options = {}, speechId = this.startSpeech()) {
+    const provider = this.providers.get(providerId);
     
-    // Check in-memory cache first
-    if (this.audioCache.has(cacheKey)) {
-      console.log(`[TTS] "${text}" - [Cached: memory]`);
-      const cachedUrl = this.audioCache.get(cacheKey);
-      return this.playAudioUrl(cachedUrl);
+    if (!provider?.isAvailable()) {
+      console.error(`[TTSService] ${providerId} not available`);
+      return providerId === FALLBACK_PROVIDER
+        ? this.speechId === speechId
+        : this.speakWith(FALLBACK_PROVIDER, text, options, speechId);
     }
     
-    // Check localStorage cache
-    try {
-      const cachedData = localStorage.getItem(storageKey);
-      if (cachedData) {
-        console.log(`[TTS] "${text}" - [Cached: localStorage/preload]`);
-        const audioBlob = await this.base64ToBlob(cachedData);
-        const audioUrl = URL.createObjectURL(audioBlob);
-        this.audioCache.set(cacheKey, audioUrl); // Store in memory cache too
-        return this.playAudioUrl(audioUrl);
-      }
-    } catch (error) {
-      console.error('[TTSService] Error loading from localStorage:', error);
-    }
+    const voice = this.getVoice(providerId);
+    
+    // Only pass along what the provider can actually use
+    const synthOptions = { locale: this.locale };
+    if (provider.capabilities.pitch && options.pitch !== undefined) synthOptions.pitch = options.pitch;
+    if (provider.capabilities.rate && options.rate !== undefined) synthOptions.rate = options.rate;
+    if (provider.capabilities.volume && options.volume !== undefined) synthOptions.volume = options.volume;
+    
+    // SSML providers get the marked-up line, and cache it under the markup
+    const useSsml = !!options.ssml && provider.capabilities.ssml;
+    const input = useSsml ? options.ssml : text;
+    if (useSsml) synthOptions.ssml = true;
     
     try {
-      console.log(`[TTS] "${text}" - [New: generating with ElevenLabs]`);
-      
-      // Use the cheapest settings
-      const audioStream = await this.elevenLabsClient.textToSpeech.convert(
-        ELEVENLABS_VOICE_ID,
-        {
-          text,
-          model_id: 'eleven_turbo_v2', // Cheapest and fastest model
-          voice_settings: {
-            stability: 0.5,
-            similarity_boost: 0.75,
-            style: 0,  // Disable style for cheaper generation
-            use_speaker_boost: false  // Disable speaker boost to save cost
-          },
-          optimize_streaming_latency: 4, // Maximum optimization for streaming
-          output_format: 'mp3_22050_32' // Lower quality for smaller size and cost
-        }
-      );
-      
-      // Collect chunks
-      const chunks = [];
-      for await (const chunk of audioStream) {
-        chunks.push(chunk);
+      if (!provider.capabilities.returnsAudio) {
+        console.log(`[TTS] "${text}" - [${provider.label}]`);
+        await provider.synthesize(input, voice, synthOptions);
+        return this.speechId === speechId;
       }
       
-      // Convert to blob
-      const audioBlob = new Blob(chunks, { type: 'audio/mpeg' });
+      const audioUrl = provider.capabilities.caching
+        ? await this.getCachedAudioUrl(provider, input, voice, synthOptions)
+        : URL.createObjectURL(await provider.synthesize(input, voice, synthOptions));
       
-      // Save to localStorage
-      try {
-        const base64 = await this.blobToBase64(audioBlob);
-        localStorage.setItem(storageKey, base64);
-        this.updateCacheIndex(cacheKey);
-        console.log(`[TTS] "${text}" - [Saved to cache]`);
-      } catch (error) {
-        console.error('[TTSService] Error saving to localStorage:', error);
-        // Clean up old cache entries if storage is full
-        this.cleanupOldCache();
-      }
-      
-      // Create URL and cache in memory
-      const audioUrl = URL.createObjectURL(audioBlob);
-      this.audioCache.set(cacheKey, audioUrl);
-      
-      // Play the audio
-      return this.playAudioUrl(audioUrl);
+      // Cancelled while the audio was being fetched or generated
+      if (this.speechId !== speechId) return false;
       
+      return await this.playAudioUrl(audioUrl, {
+        volume: options.volume,
+        playbackRate: provider.capabilities.rate ? 1 : options.playbackRate
+      });
     } catch (error) {
-      console.error('[TTSService] ElevenLabs API error:', error);
+      if (this.speechId !== speechId) return false;
+      console.error(`[TTSService] ${provider.label} error:`, error);
+      if (providerId === FALLBACK_PROVIDER) throw error;
       // Fallback to Web Speech
-      return this.speakWebSpeech(text, 1, 1);
+      return this.speakWith(FALLBACK_PROVIDER, text, options, speechId);
     }
   }
   
   /**
-   * Convert blob to base64 for localStorage
+   * Start a new line, cutting off whatever was playing
    */
-  async blobToBase64(blob) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onloadend = () => resolve(reader.result);
-      reader.onerror = reject;
-      reader.readAsDataURL(blob);
-    });
+  startSpeech() {
+    this.stopPlayback();
+    this.isPaused = false;
+    return ++this.speechId;
   }
   
   /**
-   * Convert base64 back to blob
+   * Generate and cache a line without playing it
+   * @param {string} text - Exact text that will later be spoken (or its SSML, for SSML providers)
+   * @returns {Promise<boolean>} Whether the line is now cached
    */
-  async base64ToBlob(base64) {
-    const response = await fetch(base64);
-    return response.blob();
+  async prefetch(text) {
+    const provider = this.getProvider();
+    if (!text || !provider?.capabilities.caching) return false;
+    if (isSsml(text) && !provider.capabilities.ssml) return false;
+    
+    await this.cacheReady;
+    
+    try {
+      const options = isSsml(text) ? { ssml: true, locale: this.locale } : { locale: this.locale };
+      await this.getCachedAudioUrl(provider, text, this.getVoice(), options);
+      return true;
+    } catch (error) {
+      console.error(`[TTSService] Could not prefetch "${text}":`, error);
+      return false;
+    }
   }
   
   /**
-   * Update cache index in localStorage
+   * Queue lines to be generated in the background, ahead of being spoken
+   *
+   * Lines are generated one at a time, in the order they were queued, so the line needed soonest is ready first and a long block never fires a burst of parallel requests at the provider. Lines already in memory or already waiting are skipped. If a queued line is spoken before its turn comes it's simply generated then, and if it's already being generated the speech waits for that request rather than starting another.
+   *
+   * @param {string[]} texts - Exact strings that will later be spoken
+   * @returns {number} How many lines were added to the queue
    */
-  updateCacheIndex(cacheKey) {
+  queuePrefetch(texts) {
+    const provider = this.getProvider();
+    if (!provider?.capabilities.caching) return 0;
+    
+    const cacheVoice = this.cachePartition(provider, this.getVoice());
+    const added = texts.filter((text, index) => (
+      text &&
+      texts.indexOf(text) === index &&
+      !this.audioCache.has(`${text}_${cacheVoice}`) &&
+      !this.prefetchQueue.includes(text)
+    ));
+    
+    this.prefetchQueue.push(...added);
+    if (added.length > 0 && !this.isPrefetching) {
+      this.runPrefetchQueue();
+    }
+    return added.length;
+  }
+  
+  /**
+   * Work through the prefetch queue until it's empty
+   */
+  async runPrefetchQueue() {
+    this.isPrefetching = true;
     try {
-      let index = [];
-      const stored = localStorage.getItem(this.cacheIndexKey);
-      if (stored) {
-        index = JSON.parse(stored);
+      while (this.prefetchQueue.length > 0) {
+        await this.prefetch(this.prefetchQueue.shift());
       }
-      
-      // Add new key with timestamp
-      const entry = { key: cacheKey, timestamp: Date.now() };
-      index = index.filter(item => item.key !== cacheKey); // Remove if exists
-      index.push(entry);
-      
-      localStorage.setItem(this.cacheIndexKey, JSON.stringify(index));
-    } catch (error) {
-      console.error('[TTSService] Error updating cache index:', error);
+    } finally {
+      this.isPrefetching = false;
     }
   }
   
   /**
-   * Clean up old cache entries when storage is full
+   * Drop lines that haven't started generating yet
+   * @param {string[]} texts - Only drop these (default: the whole queue)
    */
-  cleanupOldCache() {
-    try {
-      const stored = localStorage.getItem(this.cacheIndexKey);
-      if (!stored) return;
-      
-      let index = JSON.parse(stored);
-      
-      // Sort by timestamp (oldest first)
-      index.sort((a, b) => a.timestamp - b.timestamp);
-      
-      // Remove oldest 25% of entries
-      const toRemove = Math.ceil(index.length * 0.25);
-      const removed = index.splice(0, toRemove);
-      
-      // Delete from localStorage
-      removed.forEach(entry => {
-        const storageKey = `${this.cachePrefix}${entry.key}`;
-        localStorage.removeItem(storageKey);
-      });
-      
-      // Update index
-      localStorage.setItem(this.cacheIndexKey, JSON.stringify(index));
-      // Cleaned up old cache entries
-    } catch (error) {
-      console.error('[TTSService] Error cleaning cache:', error);
+  clearPrefetchQueue(texts = null) {
+    this.prefetchQueue = texts
+      ? this.prefetchQueue.filter(text => !texts.includes(text))
+      : [];
+  }
+  
+  /**
+   * Prefetch queue status
+   */
+  getPrefetchState() {
+    return {
+      queued: this.prefetchQueue.length,
+      running: this.isPrefetching,
+      pending: this.pendingAudio.size
+    };
+  }
+  
+  /**
+   * Audio URL for a line, from memory, then IndexedDB, then the provider
+   * Concurrent requests for the same line share one fetch.
+   */
+  async getCachedAudioUrl(provider, text, voice, options) {
+    const cacheVoice = this.cachePartition(provider, voice);
+    const cacheKey = `${text}_${cacheVoice}`;
+    
+    // Check in-memory cache first
+    if (this.audioCache.has(cacheKey)) {
+      console.log(`[TTS] "${text}" - [Cached: memory]`);
+      this.memoryHits++;
+      return this.audioCache.get(cacheKey);
+    }
+    
+    // Already on its way (usually a prefetch) - wait for it instead of generating twice
+    if (this.pendingAudio.has(cacheKey)) {
+      console.log(`[TTS] "${text}" - [Pending: waiting for prefetch]`);
+      return this.pendingAudio.get(cacheKey);
+    }
+    
+    const pending = this.loadAudioUrl(provider, text, voice, options, cacheVoice, cacheKey)
+      .finally(() => this.pendingAudio.delete(cacheKey));
+    this.pendingAudio.set(cacheKey, pending);
+    return pending;
+  }
+  
+  /**
+   * Load a line from IndexedDB, or generate and store it
+   */
+  async loadAudioUrl(provider, text, voice, options, cacheVoice, cacheKey) {
+    // Check IndexedDB (includes migrated and preloaded lines)
+    const cachedBlob = await this.persistentCache.load(cacheVoice, text);
+    if (cachedBlob) {
+      console.log(`[TTS] "${text}" - [Cached: IndexedDB]`);
+      const audioUrl = URL.createObjectURL(cachedBlob);
+      this.audioCache.set(cacheKey, audioUrl); // Store in memory cache too
+      this.measureAudio(cacheKey, audioUrl);
+      return audioUrl;
+    }
+    
+    console.log(`[TTS] "${text}" - [New: generating with ${provider.label}]`);
+    const audioBlob = await provider.synthesize(text, voice, options);
+    
+    // Save to IndexedDB (evicts least recently used lines if full)
+    if (await this.persistentCache.save(cacheVoice, text, audioBlob)) {
+      console.log(`[TTS] "${text}" - [Saved to cache]`);
     }
+    
+    const audioUrl = URL.createObjectURL(audioBlob);
+    this.audioCache.set(cacheKey, audioUrl);
+    this.measureAudio(cacheKey, audioUrl);
+    return audioUrl;
   }
   
+  /**
+   * Note how long a line's audio runs once the browser has read its header
+   */
+  measureAudio(cacheKey, audioUrl) {
+    if (typeof Audio === 'undefined' || this.audioDurations.has(cacheKey)) return;
+    
+    const audio = new Audio();
+    audio.preload = 'metadata';
+    audio.onloadedmetadata = () => {
+      if (Number.isFinite(audio.duration)) {
+        this.audioDurations.set(cacheKey, Math.round(audio.duration * 1000));
+      }
+      audio.onloadedmetadata = null;
+    };
+    audio.src = audioUrl;
+  }
+  
+  /**
+   * How long a line's audio runs with the current provider and voice, if it's been generated or loaded
+   * @param {string} text - Exact text (or SSML) that will be spoken
+   * @returns {number|null} Milliseconds, or null when there's no audio to go by
+   */
+  getAudioDuration(text) {
+    const provider = this.getProvider();
+    if (!provider?.capabilities.caching) return null;
+    
+    return this.audioDurations.get(`${text}_${this.cachePartition(provider, this.getVoice())}`) ?? null;
+  }
+  
+  /**
+   * Speak using Web Speech API
+   */
+  async speakWebSpeech(text, pitch, rate) {
+    return this.speakWith('webspeech', text, { pitch, rate });
+  }
+  
+  /**
+   * Speak using ElevenLabs API with persistent caching
+   */
+  async speakElevenLabs(text) {
+    return this.speakWith('elevenlabs', text);
+  }
+  
+  // ============================================
+  // PLAYBACK CONTROL
+  // ============================================
+  
   /**
    * Play audio from URL
+   * The element is tracked so it can be cancelled, paused or faded out.
+   * @param {Object} options - { volume, playbackRate }
+   * @returns {Promise<boolean>} True when it plays to the end, false if stopped first
    */
-  async playAudioUrl(audioUrl) {
+  async playAudioUrl(audioUrl, { volume = 1, playbackRate = 1 } = {}) {
+    this.stopPlayback();
+    
     return new Promise((resolve, reject) => {
       const audio = new Audio(audioUrl);
+      audio.volume = Math.min(1, Math.max(0, volume));
+      audio.playbackRate = playbackRate;
+      const playback = { audio, url: audioUrl };
+      
+      playback.finish = (completed, error) => {
+        if (this.playback === playback) this.playback = null;
+        audio.onended = null;
+        audio.onerror = null;
+        if (error) {
+          reject(error);
+        } else {
+          resolve(completed);
+        }
+      };
+      
       audio.onended = () => {
-        resolve();
+        playback.finish(true);
       };
       audio.onerror = (error) => {
         console.error('[TTSService] Audio playback error:', error);
-        reject(error);
+        playback.finish(false, error);
       };
-      audio.play().catch(reject);
+      
+      this.playback = playback;
+      audio.play().catch(error => this.handlePlayRejection(playback, error));
     });
   }
   
+  /**
+   * Settle a playback whose play() was rejected
+   * play() rejects with AbortError when we pause it ourselves before it starts;
+   * that's not a failure, so the line stays pending for resume() or cancel().
+   */
+  handlePlayRejection(playback, error) {
+    if (this.playback !== playback) return;
+    if (this.isPaused || error?.name === 'AbortError') return;
+    playback.finish(false, error);
+  }
+  
+  /**
+   * Stop the tracked audio element and settle its promise as cancelled
+   */
+  stopPlayback() {
+    const playback = this.playback;
+    if (!playback) return;
+    
+    this.playback = null;
+    playback.audio.pause();
+    playback.audio.currentTime = 0;
+    playback.finish(false);
+  }
+  
   /**
    * Cancel any ongoing speech
+   * Audio stops immediately, lines still being generated are dropped, and
+   * the pending speak() resolves false.
    */
   cancel() {
-    if (this.provider === 'webspeech') {
-      window.speechSynthesis.cancel();
+    this.speechId++;
+    this.isPaused = false;
+    this.stopPlayback();
+    
+    // A fallback provider may be the one talking, so stop every direct speaker
+    this.providers.forEach(provider => {
+      if (provider.isAvailable()) provider.cancel?.();
+    });
+  }
+  
+  /**
+   * Pause speech mid-line (speak() stays pending until resumed or cancelled)
+   */
+  pause() {
+    if (this.isPaused) return;
+    this.isPaused = true;
+    
+    if (this.playback) {
+      this.playback.audio.pause();
+    } else {
+      this.getProvider()?.pause?.();
     }
-    // ElevenLabs doesn't support cancellation of in-progress audio
   }
   
   /**
-   * Clear all cached audio
+   * Carry on from where pause() left off
    */
-  clearCache() {
-    // Clear in-memory cache
-    this.audioCache.forEach(url => URL.revokeObjectURL(url));
-    this.audioCache.clear();
+  resume() {
+    if (!this.isPaused) return;
+    this.isPaused = false;
     
-    // Clear localStorage cache
-    try {
-      const stored = localStorage.getItem(this.cacheIndexKey);
-      if (stored) {
-        const index = JSON.parse(stored);
-        index.forEach(entry => {
-          const storageKey = `${this.cachePrefix}${entry.key}`;
-          localStorage.removeItem(storageKey);
-        });
-        localStorage.removeItem(this.cacheIndexKey);
-      }
-      // Cache cleared
-    } catch (error) {
-      console.error('[TTSService] Error clearing cache:', error);
+    if (this.playback) {
+      const playback = this.playback;
+      playback.audio.play().catch(error => this.handlePlayRejection(playback, error));
+    } else {
+      this.getProvider()?.resume?.();
     }
   }
   
   /**
-   * Get cache statistics
+   * Fade the current line out, then cancel it
+   * Speech that isn't audio we're playing has no volume to ramp, so it just stops.
+   * @param {number} duration - Fade length in ms
    */
-  getCacheStats() {
-    try {
-      const stored = localStorage.getItem(this.cacheIndexKey);
-      if (!stored) return { count: 0, size: 0 };
-      
-      const index = JSON.parse(stored);
-      let totalSize = 0;
+  async fadeOut(duration = 400) {
+    const playback = this.playback;
+    const speechId = this.speechId;
+    
+    if (playback && !this.isPaused && duration > 0) {
+      const { audio } = playback;
+      const startVolume = audio.volume;
+      const steps = Math.max(1, Math.round(duration / FADE_STEP_MS));
       
-      index.forEach(entry => {
-        const storageKey = `${this.cachePrefix}${entry.key}`;
-        const data = localStorage.getItem(storageKey);
-        if (data) {
-          totalSize += data.length;
-        }
-      });
+      for (let step = 1; step <= steps && this.playback === playback; step++) {
+        await new Promise(resolve => setTimeout(resolve, FADE_STEP_MS));
+        audio.volume = startVolume * (1 - step / steps);
+      }
       
-      return {
-        count: index.length,
-        size: Math.round(totalSize / 1024) + 'KB',
-        inMemory: this.audioCache.size
-      };
-    } catch (error) {
-      console.error('[TTSService] Error getting cache stats:', error);
-      return { count: 0, size: 0 };
+      audio.volume = startVolume;
     }
+    
+    // Don't cut off a line that started after this one finished by itself
+    if (this.speechId === speechId) this.cancel();
   }
   
   /**
-   * Export cache for preloading
-   * Run this in console: window.Game.ttsService.exportCache()
+   * Whether anything is speaking right now
    */
-  exportCache() {
-    const cache = {};
+  getPlaybackState() {
+    return {
+      playing: !!this.playback && !this.isPaused,
+      paused: this.isPaused,
+      speechId: this.speechId
+    };
+  }
+  
+  // ============================================
+  // CACHE
+  // ============================================
+  
+  /**
+   * Clear all cached audio
+   * @param {string} voiceId - Only clear this voice's lines (all voices if omitted)
+   */
+  async clearCache(voiceId = null) {
+    // Clear in-memory cache
+    this.audioCache.forEach(url => URL.revokeObjectURL(url));
+    this.audioCache.clear();
+    this.audioDurations.clear();
     
-    // Get all TTS cache entries
-    Object.keys(localStorage).forEach(key => {
-      if (key.startsWith(this.cachePrefix)) {
-        cache[key] = localStorage.getItem(key);
-      }
-    });
+    await this.persistentCache.clear(voiceId);
+  }
+  
+  /**
+   * Get cache statistics
+   * Memory hits never reach IndexedDB, so they're counted here and folded in.
+   */
+  getCacheStats() {
+    const stored = this.persistentCache.getStats();
+    const hits = stored.hits + this.memoryHits;
+    const lookups = hits + stored.misses;
     
-    // Get the index
-    const index = localStorage.getItem(this.cacheIndexKey);
-    if (index) {
-      cache[this.cacheIndexKey] = index;
-    }
+    return {
+      ...stored,
+      count: stored.entries,
+      size: Math.round(stored.bytes / 1024) + 'KB',
+      inMemory: this.audioCache.size,
+      memoryHits: this.memoryHits,
+      storeHits: stored.hits,
+      hits,
+      hitRate: lookups > 0 ? hits / lookups : 0
+    };
+  }
+  
+  /**
+   * Build the preload file's contents from everything cached
+   * @param {string} locale - Only lines cached in this locale (every line if omitted)
+   */
+  async buildCacheExport(locale = null) {
+    await this.cacheReady;
+    const cache = await this.persistentCache.exportEntries(locale && (partition => (
+      locale === DEFAULT_LOCALE ? !partition.includes('@') : partition.endsWith(`@${locale}`)
+    )));
     
-    // Create export object
-    const exportData = {
+    return {
       version: 1,
       exportDate: new Date().toISOString(),
       entries: Object.keys(cache).length,
       cache: cache
     };
+  }
+  
+  /**
+   * Export cache for preloading
+   * Run this in console: await window.Game.ttsService.exportCache()
+   * @param {string} locale - Locale to export (defaults to the current one)
+   */
+  async exportCache(locale = this.locale) {
+    const exportData = await this.buildCacheExport(locale);
+    const filename = locale === DEFAULT_LOCALE ? 'tts-cache-preload.json' : `tts-cache-preload.${locale}.json`;
     
     // Download as file
     const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'tts-cache-preload.json';
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
     
-    console.log(`[TTSService] Exported ${Object.keys(cache).length} cache entries to public/tts-cache-preload.json`);
+    console.log(`[TTSService] Exported ${exportData.entries} cache entries to public/${filename}`);
     
     return exportData;
   }
@@ -0,0 +1,216 @@
+/**
+ * HostControls.jsx - Phone-sized control surface for the match host
+ *
+ * Big thumb-friendly buttons for steering a live match: veto the current
+ * play, have Simon repeat himself, stretch a round that's going well, call
+ * an extra break, skip ahead, or pause. Every button goes through the
+ * MatchOrchestrator, which announces each action on the EventBus.
+ * After each round the host can also tell Simon how it went, and the
+ * rest of the match is adjusted to suit. Telling him who won lets him
+ * keep score and read out the standings.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { eventBus, Events } from '../systems';
+import { BlockType, HostFeedback, RoundType, playerRegistry } from '../state';
+import matchOrchestrator from '../mechanics/MatchOrchestrator';
+import styles from './HostControls.module.css';
+
+function HostControls() {
+  const [blockType, setBlockType] = useState(null);
+  const [isPaused, setIsPaused] = useState(false);
+  const [roundsPlayed, setRoundsPlayed] = useState(0);
+  const [notice, setNotice] = useState('');
+  const [roundPlay, setRoundPlay] = useState(null); // Play of the round being played, or the last one
+  const [survivors, setSurvivors] = useState([]);
+  const noticeTimer = useRef(null);
+
+  // Track what's on stage so only the actions that make sense are offered
+  useEffect(() => {
+    const unsubscribers = [
+      eventBus.on(Events.BLOCK_STARTED, ({ blockType, play }) => {
+        setBlockType(blockType);
+        if (blockType === BlockType.ROUND) {
+          setRoundPlay(play);
+          setSurvivors([]);
+        }
+      }),
+      eventBus.on(Events.HOST_PLAY_REROLLED, ({ play }) => {
+        setRoundPlay(play);
+        setSurvivors([]);
+      }),
+      eventBus.on(Events.BLOCK_COMPLETED, ({ block }) => {
+        setBlockType(null);
+        if (block.type === BlockType.ROUND) {
+          setRoundsPlayed(count => count + 1);
+        }
+      }),
+      eventBus.on(Events.MATCH_PAUSED, () => setIsPaused(true)),
+      eventBus.on(Events.MATCH_RESUMED, () => setIsPaused(false))
+    ];
+
+    return () => {
+      unsubscribers.forEach(unsub => unsub());
+      clearTimeout(noticeTimer.current);
+    };
+  }, []);
+
+  // Brief confirmation under the buttons
+  const flash = (message) => {
+    setNotice(message);
+    clearTimeout(noticeTimer.current);
+    noticeTimer.current = setTimeout(() => setNotice(''), 2000);
+  };
+
+  const run = (action, success, failure) => {
+    flash(action() ? success : failure);
+  };
+
+  const isRound = blockType === BlockType.ROUND;
+  const isAsymmetric = roundPlay?.roundType === RoundType.ASYMMETRIC;
+  const outcomeOptions = getOutcomeOptions(roundPlay);
+
+  const recordOutcome = (outcome, label) => {
+    run(() => matchOrchestrator.recordRoundOutcome(outcome), `Points to ${label}`, 'Couldn\'t record that');
+  };
+
+  const toggleSurvivor = (playerId) => {
+    setSurvivors(current => (
+      current.includes(playerId) ? current.filter(id => id !== playerId) : [...current, playerId]
+    ));
+  };
+
+  const feedbackOptions = [
+    { value: HostFeedback.TOO_HARD, label: 'Too hard', response: 'Easing off' },
+    { value: HostFeedback.TOO_EASY, label: 'Too easy', response: 'Turning it up' },
+    { value: HostFeedback.LOW_ENERGY, label: 'Flagging', response: 'Livening things up' }
+  ];
+
+  return (
+    <div className={styles.hostControls}>
+      <div className={styles.grid}>
+        <button
+          onClick={() => run(() => matchOrchestrator.rerollPlay(), 'Picking another play...', 'Nothing to re-roll')}
+          disabled={isPaused || !isRound}
+          className={styles.controlButton}
+        >
+          Re-roll
+        </button>
+        <button
+          onClick={() => run(() => matchOrchestrator.repeatLastInstruction(), 'Repeating...', 'Nothing to repeat')}
+          disabled={isPaused}
+          className={styles.controlButton}
+        >
+          Repeat
+        </button>
+        <button
+          onClick={() => run(() => matchOrchestrator.extendRound(30), '+30 seconds', 'Too late to extend')}
+          disabled={isPaused || !isRound}
+          className={styles.controlButton}
+        >
+          +30s
+        </button>
+        <button
+          onClick={() => run(() => matchOrchestrator.insertRelaxBlock(), 'Break coming up next', 'No room for a break')}
+          className={styles.controlButton}
+        >
+          Break
+        </button>
+        <button
+          onClick={() => run(() => matchOrchestrator.skipCurrentBlock(), 'Skipping...', 'Nothing to skip')}
+          disabled={isPaused || !blockType}
+          className={styles.controlButton}
+        >
+          Skip
+        </button>
+        <button
+          onClick={() => (isPaused ? matchOrchestrator.resumeMatch() : matchOrchestrator.pauseMatch())}
+          className={styles.controlButton}
+        >
+          {isPaused ? 'Resume' : 'Pause'}
+        </button>
+      </div>
+
+      <p className={styles.feedbackLabel}>That round was...</p>
+      <div className={styles.feedbackRow}>
+        {feedbackOptions.map(option => (
+          <button
+            key={option.value}
+            onClick={() => run(() => matchOrchestrator.submitFeedback(option.value), option.response, 'No match running')}
+            disabled={roundsPlayed === 0}
+            className={styles.controlButton}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {outcomeOptions.length > 0 && (
+        <>
+          <p className={styles.feedbackLabel}>{isAsymmetric ? 'Still standing...' : 'Who won?'}</p>
+          <div className={styles.outcomeRow}>
+            {outcomeOptions.map(option => (
+              <button
+                key={option.key}
+                onClick={() => (isAsymmetric
+                  ? toggleSurvivor(option.key)
+                  : recordOutcome(option.outcome, option.label))}
+                className={`${styles.controlButton} ${survivors.includes(option.key) ? styles.selected : ''}`}
+              >
+                {option.label}
+              </button>
+            ))}
+            {isAsymmetric && (
+              <button
+                onClick={() => recordOutcome({ survivors }, `${survivors.length} survivor${survivors.length === 1 ? '' : 's'}`)}
+                disabled={survivors.length === 0}
+                className={styles.controlButton}
+              >
+                Save
+              </button>
+            )}
+          </div>
+        </>
+      )}
+
+      <p className={styles.notice}>{notice}</p>
+    </div>
+  );
+}
+
+/**
+ * The results a host can record for a round, one button each
+ * Asymmetric rounds list every player, to be marked as still standing.
+ */
+function getOutcomeOptions(play) {
+  const players = play?.players || {};
+  const nameOf = (playerId) => playerRegistry.getPlayer(playerId)?.name || playerId;
+
+  switch (play?.roundType) {
+    case RoundType.DUEL:
+      return [players.player1, players.player2].filter(Boolean)
+        .map(player => ({ key: player.id, label: player.name, outcome: { winner: player.id } }));
+
+    case RoundType.FREE_FOR_ALL:
+      return (players.all || [])
+        .map(playerId => ({ key: playerId, label: nameOf(playerId), outcome: { winner: playerId } }));
+
+    case RoundType.TEAM:
+      return Object.entries(players).map(([side, playerIds]) => {
+        // Name the side after its team, unless it was made up of players from several
+        const teams = new Set(playerIds.map(playerId => playerRegistry.getPlayer(playerId)?.team));
+        const [team] = teams;
+        const label = teams.size === 1 && team ? team : side;
+        return { key: side, label, outcome: { winningTeam: side } };
+      });
+
+    case RoundType.ASYMMETRIC:
+      return [...new Set(Object.values(players).flat())]
+        .map(playerId => ({ key: playerId, label: nameOf(playerId) }));
+
+    default:
+      return [];
+  }
+}
+
+export default HostControls;
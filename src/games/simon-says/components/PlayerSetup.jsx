@@ -0,0 +1,373 @@
+/**
+ * PlayerSetup.jsx - Player registration screen for Simon Says
+ *
+ * This is the first thing players see after pressing START GAME. Everyone types their
+ * name into its own row, then drags that row left or right to pick a side - the left
+ * half of the screen belongs to the first team, the right half to the second. Team
+ * names are editable right in the column headers, and the Play button unlocks once
+ * at least two players have joined. Teams are allowed to be lopsided; Simon's fair
+ * rotation takes care of the rest once the match starts.
+ *
+ * The component only collects the roster. It hands a plain description of the match
+ * (names, sides, team names, round count or minutes, content packs, host personality, language) to onPlay, and the game component takes
+ * care of registering players and starting the orchestrator. When an interrupted match
+ * was saved, a banner at the top offers to resume it instead of setting up a new one.
+ */
+
+import { useState, useRef } from 'react';
+import { motion as Motion, AnimatePresence } from 'framer-motion';
+import { DEFAULT_PLAYER_CONFIG } from '../systems/ConfigLoader';
+import { PLAYER_LIMITS, MATCH_LENGTHS } from '../state/constants';
+import styles from './PlayerSetup.module.css';
+
+// How far (px) a name has to be dragged before it switches sides
+const SWITCH_THRESHOLD = 40;
+
+let nextRowKey = 0;
+
+// ============================================
+// PLAYER ROW
+// ============================================
+
+function PlayerRow({ player, teamNames, onMove, onRemove }) {
+  const rowRef = useRef(null);
+
+  const handleDragEnd = (event, info) => {
+    if (info.offset.x > SWITCH_THRESHOLD) {
+      onMove(player.key, 1);
+    } else if (info.offset.x < -SWITCH_THRESHOLD) {
+      onMove(player.key, 0);
+    }
+  };
+
+  // Arrow keys do the same job as dragging for keyboard users
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowLeft') {
+      onMove(player.key, 0);
+    } else if (event.key === 'ArrowRight') {
+      onMove(player.key, 1);
+    } else if (event.key === 'Delete' || event.key === 'Backspace') {
+      onRemove(player.key);
+    }
+  };
+
+  return (
+    <Motion.div
+      ref={rowRef}
+      className={`${styles.row} ${player.team === 1 ? styles.rowRight : ''}`}
+      layout
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, x: player.team === 1 ? 40 : -40 }}
+    >
+      <Motion.div
+        className={styles.nameChip}
+        layout
+        drag="x"
+        dragConstraints={rowRef}
+        dragElastic={0.2}
+        dragSnapToOrigin
+        onDragEnd={handleDragEnd}
+        tabIndex={0}
+        onKeyDown={handleKeyDown}
+        title={`Drag to switch teams (currently ${teamNames[player.team]})`}
+      >
+        <span className={styles.arrow}>{player.team === 1 ? '◀' : ''}</span>
+        <span className={styles.name}>{player.name}</span>
+        <span className={styles.arrow}>{player.team === 0 ? '▶' : ''}</span>
+      </Motion.div>
+      <button
+        className={styles.removeButton}
+        onClick={() => onRemove(player.key)}
+        aria-label={`Remove ${player.name}`}
+      >
+        ×
+      </button>
+    </Motion.div>
+  );
+}
+
+// ============================================
+// PLAYER SETUP SCREEN
+// ============================================
+
+function PlayerSetup({
+  onPlay,
+  onBack,
+  onOpenDebug,
+  resumeInfo,
+  onResume,
+  onDiscardResume,
+  availablePacks = [],
+  availablePersonalities = [],
+  availableLocales = []
+}) {
+  const [players, setPlayers] = useState([]);
+  const [teamNames, setTeamNames] = useState([...DEFAULT_PLAYER_CONFIG.teamConfig.teamNames]);
+  const [roundCount, setRoundCount] = useState(DEFAULT_PLAYER_CONFIG.matchLength);
+  const [minutes, setMinutes] = useState(MATCH_LENGTHS.STANDARD.estimatedMinutes);
+  const [lengthUnit, setLengthUnit] = useState('rounds'); // rounds, or minutes for a time-boxed match
+  const [selectedPacks, setSelectedPacks] = useState([]);
+  const [personality, setPersonality] = useState(DEFAULT_PLAYER_CONFIG.personality);
+  const [locale, setLocale] = useState(DEFAULT_PLAYER_CONFIG.locale);
+  const [newName, setNewName] = useState('');
+  const [error, setError] = useState('');
+  const [isStarting, setIsStarting] = useState(false);
+
+  const matchSize = lengthUnit === 'minutes' ? minutes : roundCount;
+  const setMatchSize = lengthUnit === 'minutes' ? setMinutes : setRoundCount;
+
+  const canPlay = players.length >= PLAYER_LIMITS.MIN_PLAYERS &&
+                  matchSize > 0 &&
+                  teamNames.every(name => name.trim()) &&
+                  !isStarting;
+
+  // --- Roster Editing ---
+
+  const addPlayer = () => {
+    const name = newName.trim();
+    if (!name) return;
+
+    if (players.some(p => p.name.toLowerCase() === name.toLowerCase())) {
+      setError(`"${name}" is already playing - try a nickname`);
+      return;
+    }
+
+    if (players.length >= PLAYER_LIMITS.MAX_PLAYERS) {
+      setError(`Simon can only host ${PLAYER_LIMITS.MAX_PLAYERS} players`);
+      return;
+    }
+
+    // New players join the smaller side; they can drag across afterwards
+    const leftCount = players.filter(p => p.team === 0).length;
+    const team = leftCount <= players.length - leftCount ? 0 : 1;
+
+    setPlayers(prev => [...prev, { key: nextRowKey++, name, team }]);
+    setNewName('');
+    setError('');
+  };
+
+  const movePlayer = (key, team) => {
+    setPlayers(prev => prev.map(p => p.key === key ? { ...p, team } : p));
+  };
+
+  const removePlayer = (key) => {
+    setPlayers(prev => prev.filter(p => p.key !== key));
+  };
+
+  const renameTeam = (index, name) => {
+    setTeamNames(prev => prev.map((n, i) => i === index ? name : n));
+  };
+
+  const togglePack = (id) => {
+    setSelectedPacks(prev => prev.includes(id) ? prev.filter(p => p !== id) : [...prev, id]);
+  };
+
+  // --- Start ---
+
+  const handlePlay = async () => {
+    if (!canPlay) return;
+
+    const names = teamNames.map(name => name.trim());
+    if (names[0].toLowerCase() === names[1].toLowerCase()) {
+      setError('Teams need different names');
+      return;
+    }
+
+    setIsStarting(true);
+    setError('');
+
+    try {
+      await onPlay({
+        players: players.map(p => ({ name: p.name, team: names[p.team] })),
+        teamNames: names,
+        ...(lengthUnit === 'minutes' ? { timeBudget: minutes } : { roundCount }),
+        packs: selectedPacks,
+        personality,
+        locale
+      });
+    } catch (err) {
+      setError(err.message);
+      setIsStarting(false);
+    }
+  };
+
+  const teamCounts = [0, 1].map(team => players.filter(p => p.team === team).length);
+
+  return (
+    <div className={styles.setupScreen}>
+      <div className={styles.header}>
+        <button onClick={onBack} className={styles.textButton}>← Back</button>
+        <h2>Who's Playing?</h2>
+        {onOpenDebug ? (
+          <button onClick={onOpenDebug} className={styles.textButton}>Debug</button>
+        ) : <span />}
+      </div>
+
+      {/* Interrupted match */}
+      {resumeInfo && (
+        <div className={styles.resumeBanner}>
+          <span>
+            Unfinished match: round {resumeInfo.roundsPlayed} of {resumeInfo.totalRounds},
+            {' '}{resumeInfo.playerCount} players
+          </span>
+          <div className={styles.resumeActions}>
+            <button onClick={onResume} className={styles.addButton}>Resume</button>
+            <button onClick={onDiscardResume} className={styles.textButton}>Discard</button>
+          </div>
+        </div>
+      )}
+
+      {/* Team headers */}
+      <div className={styles.teamHeaders}>
+        {teamNames.map((name, index) => (
+          <div key={index} className={styles.teamHeader}>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => renameTeam(index, e.target.value)}
+              className={styles.teamNameInput}
+              maxLength={24}
+              aria-label={`Team ${index + 1} name`}
+            />
+            <span className={styles.teamCount}>{teamCounts[index]}</span>
+          </div>
+        ))}
+      </div>
+
+      {/* Player rows */}
+      <div className={styles.playerList}>
+        <AnimatePresence>
+          {players.map(player => (
+            <PlayerRow
+              key={player.key}
+              player={player}
+              teamNames={teamNames}
+              onMove={movePlayer}
+              onRemove={removePlayer}
+            />
+          ))}
+        </AnimatePresence>
+
+        {players.length === 0 && (
+          <p className={styles.hint}>Add a name, then drag it left or right to pick a team</p>
+        )}
+      </div>
+
+      {/* New player entry */}
+      <form
+        className={styles.addForm}
+        onSubmit={(e) => {
+          e.preventDefault();
+          addPlayer();
+        }}
+      >
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="Player name"
+          className={styles.nameInput}
+          maxLength={24}
+          autoFocus
+        />
+        <button type="submit" className={styles.addButton} disabled={!newName.trim()}>
+          Add
+        </button>
+      </form>
+
+      {error && <p className={styles.error}>{error}</p>}
+
+      {/* Themed content packs */}
+      {availablePacks.length > 0 && (
+        <div className={styles.packList}>
+          <span className={styles.packLabel}>Packs</span>
+          {availablePacks.map(pack => (
+            <button
+              key={pack.id}
+              type="button"
+              onClick={() => togglePack(pack.id)}
+              className={`${styles.packToggle} ${selectedPacks.includes(pack.id) ? styles.packToggleOn : ''}`}
+              aria-pressed={selectedPacks.includes(pack.id)}
+              title={pack.description}
+            >
+              {pack.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Who hosts */}
+      {availablePersonalities.length > 1 && (
+        <div className={styles.personalityList}>
+          <span className={styles.personalityLabel}>Host</span>
+          {availablePersonalities.map(option => (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => setPersonality(option.id)}
+              className={`${styles.personalityOption} ${personality === option.id ? styles.personalityOptionOn : ''}`}
+              aria-pressed={personality === option.id}
+              title={option.description}
+            >
+              {option.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* What language Simon speaks */}
+      {availableLocales.length > 1 && (
+        <div className={styles.localeList}>
+          <span className={styles.localeLabel}>Language</span>
+          {availableLocales.map(option => (
+            <button
+              key={option.locale}
+              type="button"
+              onClick={() => setLocale(option.locale)}
+              className={`${styles.localeOption} ${locale === option.locale ? styles.localeOptionOn : ''}`}
+              aria-pressed={locale === option.locale}
+              lang={option.locale}
+            >
+              {option.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Match settings and start */}
+      <div className={styles.footer}>
+        <div className={styles.roundsLabel}>
+          <input
+            type="number"
+            min="1"
+            value={matchSize}
+            onChange={(e) => setMatchSize(Math.max(0, parseInt(e.target.value) || 0))}
+            className={styles.roundsInput}
+            aria-label={lengthUnit === 'minutes' ? 'Minutes' : 'Rounds'}
+          />
+          <select
+            value={lengthUnit}
+            onChange={(e) => setLengthUnit(e.target.value)}
+            className={styles.unitSelect}
+            aria-label="Match length in"
+          >
+            <option value="rounds">Rounds</option>
+            <option value="minutes">Minutes</option>
+          </select>
+        </div>
+        <button onClick={handlePlay} className={styles.playButton} disabled={!canPlay}>
+          {isStarting ? 'Starting...' : 'Play'}
+        </button>
+      </div>
+
+      {players.length < PLAYER_LIMITS.MIN_PLAYERS && (
+        <p className={styles.hint}>
+          Need at least {PLAYER_LIMITS.MIN_PLAYERS} players to start
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default PlayerSetup;
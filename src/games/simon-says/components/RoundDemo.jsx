@@ -1,10 +1,12 @@
 /**
  * RoundDemo.jsx - Demo component showing the flow engine in action
  * 
- * This demonstrates how the Mermaid chart data drives actual gameplay.
+ * This demonstrates how the Mermaid chart data drives actual gameplay. The FlowEngine
+ * builds one round from the live configuration and performs it through Simon's voice,
+ * without starting a match.
  */
 
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import { FlowEngine } from '../mechanics/FlowEngine';
 import styles from './RoundDemo.module.css';
 
@@ -15,6 +17,11 @@ function RoundDemo() {
   const [roundInfo, setRoundInfo] = useState(null);
   const engineRef = useRef(null);
 
+  // Don't leave Simon talking after the demo goes away
+  useEffect(() => {
+    return () => engineRef.current?.stop();
+  }, []);
+
   // Demo game state
   const gameState = {
     teams: [
@@ -32,13 +39,9 @@ function RoundDemo() {
     const engine = new FlowEngine(gameState);
     engineRef.current = engine;
     
-    // Set up callbacks
+    // Set up callbacks (the engine speaks through the PerformanceSystem)
     engine.onSpeak = (text) => {
       setCurrentScript(text);
-      // Use TTS
-      const utterance = new SpeechSynthesisUtterance(text);
-      utterance.rate = 0.9;
-      window.speechSynthesis.speak(utterance);
     };
     
     engine.onPhaseChange = (phase) => {
@@ -63,11 +66,11 @@ function RoundDemo() {
     }
     
     setIsPlaying(false);
-    setCurrentPhase('complete');
+    setCurrentPhase(engine.phase);
   };
 
   const stopRound = () => {
-    window.speechSynthesis.cancel();
+    engineRef.current?.stop();
     setIsPlaying(false);
     setCurrentPhase('stopped');
   };
@@ -110,7 +113,7 @@ function RoundDemo() {
                 <strong>Modifier:</strong> {roundInfo.modifier}
               </div>
             )}
-            {roundInfo.players.player1 && (
+            {roundInfo.players?.player1 && (
               <div>
                 <strong>Players:</strong> {roundInfo.players.player1} vs {roundInfo.players.player2}
               </div>
@@ -137,7 +140,7 @@ function RoundDemo() {
           <li>The round executes with proper timing and TTS</li>
         </ol>
         <p>
-          This demo shows how updating the Mermaid chart (via gameFlowData.js) 
+          This demo shows how updating the Mermaid chart (game-flow.mermaid.md)
           automatically updates the game experience!
         </p>
       </div>
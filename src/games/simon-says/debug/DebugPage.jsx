@@ -10,6 +10,8 @@
 import { useState, useEffect, useRef } from 'react';
 import { motion } from 'framer-motion';
 import styles from './DebugPage.module.css';
+import RoundDemo from '../components/RoundDemo';
+import gameFlowChart from '../game-flow.mermaid.md?raw';
 
 // Import all our systems
 import { 
@@ -18,7 +20,8 @@ import {
   configLoader, 
   stateStore, 
   StateKeys,
-  performanceSystem 
+  performanceSystem,
+  audioMixer
 } from '../systems';
 
 import { PAUSE_DURATIONS } from '../state/constants';
@@ -44,6 +47,7 @@ function SimonSaysDebugPage({ onBack }) {
   const [timeInBlock, setTimeInBlock] = useState(0);
   const [activeCountdowns, setActiveCountdowns] = useState([]); // Track active countdowns
   const [lastPlayExpanded, setLastPlayExpanded] = useState(false); // Collapsible state
+  const [replaySeed, setReplaySeed] = useState(''); // Seed to replay (blank = fresh)
   const [pauseTimings, setPauseTimings] = useState({
     micro: 500,
     small: 1000,
@@ -97,7 +101,7 @@ function SimonSaysDebugPage({ onBack }) {
     
     try {
       // Initialize orchestrator (which initializes all other systems)
-      await matchOrchestrator.initialize();
+      await matchOrchestrator.initialize({ flowChart: gameFlowChart });
       
       // Subscribe to events for debugging
       subscribeToDebugEvents();
@@ -131,7 +135,25 @@ function SimonSaysDebugPage({ onBack }) {
     
     // Match events
     eventBus.on(Events.MATCH_INITIALIZED, (data) => {
-      addLog(`Match initialized: ${data.id}`, 'info');
+      addLog(`Match initialized: ${data.id} (seed ${data.match?.seed})`, 'info');
+    });
+    
+    // Host control events
+    eventBus.on(Events.HOST_PLAY_REROLLED, ({ previous, play }) => {
+      addLog(`Host re-rolled ${previous.variant} → ${play.variant}`, 'info');
+    });
+    
+    eventBus.on(Events.HOST_ROUND_EXTENDED, ({ seconds }) => {
+      addLog(`Host extended the round by ${seconds}s`, 'info');
+    });
+    
+    eventBus.on(Events.DIFFICULTY_ADJUSTED, ({ adjustment }) => {
+      addLog(`Host feedback "${adjustment.feedback}" after round ${adjustment.afterRound}: curve ${adjustment.tuning.curveShift >= 0 ? '+' : ''}${adjustment.tuning.curveShift}`, 'info');
+    });
+    
+    eventBus.on(Events.HOST_RELAX_INSERTED, ({ index }) => {
+      addLog(`Host inserted a relax block at ${index}`, 'info');
+      updatePatternViz();
     });
     
     eventBus.on(Events.MATCH_STARTED, (data) => {
@@ -170,7 +192,11 @@ function SimonSaysDebugPage({ onBack }) {
       setCurrentBlock(null);
       updatePatternViz();
     });
-    
+
+    eventBus.on(Events.BLOCK_PREPARED, ({ blockType, index, play }) => {
+      addLog(`Next block prepared early: ${blockType} ${index}${play.variant ? ` (${play.variant})` : ''}`, 'info');
+    });
+
     // Play events
     eventBus.on(Events.PLAY_SELECTED, (data) => {
       const play = data.play;
@@ -183,10 +209,18 @@ function SimonSaysDebugPage({ onBack }) {
       addLog(`Speaking: "${data.text}"`, 'speech');
     });
     
+    eventBus.on(Events.AUDIO_CUE_PLAYED, ({ cue, section }) => {
+      addLog(`Audio cue: ${cue} (${section})`, 'info');
+    });
+    
     eventBus.on(Events.PERFORMANCE_COMPLETED, () => {
       addLog('Performance completed', 'info');
     });
     
+    eventBus.on(Events.PERSONALITY_CHANGED, (personality) => {
+      addLog(`Host personality: ${personality?.name || 'built-in Simon'}`, 'info');
+    });
+    
     // Pause events
     eventBus.on(Events.PAUSE_STARTED, (data) => {
       const { type, milliseconds } = data;
@@ -284,6 +318,7 @@ function SimonSaysDebugPage({ onBack }) {
     }
     
     addLog('Starting test match...', 'info');
+    audioMixer.start();
     
     const config = {
       roundCount: 5,
@@ -296,6 +331,11 @@ function SimonSaysDebugPage({ onBack }) {
       }
     };
     
+    // Same seed + same roster = the same match again
+    if (replaySeed.trim()) {
+      config.seed = replaySeed.trim();
+    }
+    
     try {
       await matchOrchestrator.startMatch(config);
     } catch (error) {
@@ -560,6 +600,13 @@ function SimonSaysDebugPage({ onBack }) {
             >
               Start Test Match (5 rounds)
             </button>
+            <input
+              type="text"
+              value={replaySeed}
+              onChange={(e) => setReplaySeed(e.target.value)}
+              placeholder="Seed (optional)"
+              className={styles.seedInput}
+            />
             <button 
               onClick={pauseMatch} 
               disabled={matchStatus !== 'running'}
@@ -607,6 +654,13 @@ function SimonSaysDebugPage({ onBack }) {
           </div>
         </div>
 
+        {/* Single-round preview (not while a match is using Simon's voice) */}
+        {isInitialized && !['running', 'paused'].includes(matchStatus) && (
+          <div className={styles.section}>
+            <RoundDemo />
+          </div>
+        )}
+
         <div className={styles.grid}>
           {/* Pattern Visualization */}
           <div className={styles.section}>
@@ -0,0 +1,459 @@
+/**
+ * Match Simulator for Simon Says
+ *
+ * Weights like DEFAULT_ROUND_WEIGHTS, RECENCY_PENALTIES, SELECTION_FAIRNESS and PLAYER_COUNT_ADJUSTMENTS shape every match, but a single playtest only ever shows one roll of the dice. Did the kid on the small team get picked less, or were we just unlucky? Do duels really disappear at twenty players, or did it only feel that way? The MatchSimulator answers those questions by playing the same match hundreds or thousands of times in a row, headless, and counting what happened. Each simulated match walks the real pipeline - PatternSelector picks the shape, BlockSelector hands out blocks, PlaySelector and VarietyEnforcer choose every round, and the MatchOrchestrator's own block processors assemble scripts and hand them to the PerformanceSystem - so a number in the report is a number a real party would see.
+ *
+ * The only thing taken out is time. The PerformanceSystem runs in mock mode with its time scale at zero, so every line is "spoken" and every pause taken instantly, and a thirty-minute match finishes in a few milliseconds. The simulator drives blocks in a plain loop instead of waiting on BLOCK_COMPLETED events and skips checkpointing, which keeps runs deterministic in length and lets an error in one match be counted instead of stalling the rest. The report covers the round-type mix against the configured weights, variant usage and back-to-back repeats, selections per player and per team, repeat duel pairings, and the difficulty actually delivered against the curve. It runs from Node through `npm run simulate`.
+ */
+
+import { configLoader, performanceSystem, createSeed } from '../systems';
+import { matchState, playerRegistry, BlockType, getPlayerCountAdjustment } from '../state';
+import { matchOrchestrator, patternSelector, blockSelector } from '../mechanics';
+
+// ============================================
+// DEFAULTS
+// ============================================
+
+const DEFAULT_OPTIONS = {
+  matches: 1000,
+  playerCount: 6,
+  teamCount: 2,
+  teamSplit: null,          // Explicit team sizes, e.g. [15, 5]; overrides playerCount and teamCount
+  roundCount: 10,
+  timeBudget: null,         // Minutes, for time-boxed matches; replaces roundCount
+  difficultyCurve: 'gentle',
+  difficultyLevel: 'moderate',
+  seed: null                // Base seed; match N plays from "<seed>-N" so a whole run can be repeated
+};
+
+// ============================================
+// MATCH SIMULATOR CLASS
+// ============================================
+
+class MatchSimulator {
+  constructor() {
+    this.ready = false;
+  }
+
+  /**
+   * Prepare the systems for headless matches
+   * @param {Object} options - { flowChart: Mermaid source to load, as the app does at startup }
+   */
+  async setup(options = {}) {
+    performanceSystem.setMockMode(true);
+    performanceSystem.setTimeScale(0);
+
+    await matchOrchestrator.loadConfiguration(options);
+    matchOrchestrator.initializeSystems();
+    matchOrchestrator.wireDependencies();
+
+    this.ready = true;
+  }
+
+  /**
+   * Simulate many matches with one roster and report the distributions
+   *
+   * Every match starts from a clean slate - fresh roster, empty variety history, no recent plays - exactly as it would if the setup screen were filled in again and Play pressed. The roster is built from the player count and team split: by default players are shared out as evenly as possible across the teams, and an explicit split like [15, 5] seats lopsided teams so their effect on fairness can be measured. Results are tallied as each match finishes rather than kept, so a thousand matches with a hundred players costs no more memory than one.
+   *
+   * A match that throws is recorded as a failure with its error message and seed, and the run carries on; a configuration that can't produce a valid round for some player count shows up in the report instead of ending the run, and the seed replays the failing match in the real game.
+   *
+   * @param {Object} options - { matches, playerCount, teamCount, teamSplit, roundCount, timeBudget, difficultyCurve, difficultyLevel, seed }
+   * @returns {Object} Simulation report
+   */
+  async simulate(options = {}) {
+    if (!this.ready) {
+      await this.setup();
+    }
+
+    if (matchOrchestrator.isRunning) {
+      throw new Error('Cannot simulate while a match is running');
+    }
+
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const teams = this.buildTeams(settings);
+    const playerCount = teams.reduce((sum, team) => sum + team.size, 0);
+
+    const matchConfig = {
+      roundCount: settings.roundCount,
+      matchLength: settings.roundCount,
+      timeBudget: settings.timeBudget,
+      difficultyCurve: settings.difficultyCurve,
+      difficultyLevel: settings.difficultyLevel,
+      teamConfig: {
+        teamCount: teams.length,
+        teamSelection: 'manual',
+        teamNames: teams.map(team => team.name)
+      }
+    };
+    configLoader.loadPlayerConfig(matchConfig);
+
+    const tally = this.createTally();
+
+    for (let i = 0; i < settings.matches; i++) {
+      matchOrchestrator.resetState();
+      this.seatPlayers(teams);
+
+      const seed = settings.seed !== null ? `${settings.seed}-${i + 1}` : createSeed();
+
+      try {
+        await this.runMatch({ ...matchConfig, seed });
+        this.tallyMatch(tally);
+      } catch (error) {
+        if (!tally.failures.has(error.message)) {
+          tally.failures.set(error.message, { count: 0, seeds: [] });
+        }
+        const failure = tally.failures.get(error.message);
+        failure.count++;
+        if (failure.seeds.length < 5) failure.seeds.push(seed);
+      }
+    }
+
+    matchOrchestrator.resetState();
+
+    return this.buildReport(tally, {
+      ...settings,
+      playerCount,
+      teams: teams.map(({ name, size }) => ({ name, size }))
+    });
+  }
+
+  /**
+   * Work out team names and sizes for the roster
+   */
+  buildTeams(settings) {
+    const sizes = settings.teamSplit?.length
+      ? settings.teamSplit
+      : Array.from({ length: Math.max(1, settings.teamCount) }, (_, index) =>
+          Math.floor(settings.playerCount / settings.teamCount) +
+          (index < settings.playerCount % settings.teamCount ? 1 : 0)
+        );
+
+    if (sizes.some(size => !Number.isInteger(size) || size < 0)) {
+      throw new Error(`Invalid team split: ${sizes.join(', ')}`);
+    }
+
+    return sizes.map((size, index) => ({ name: `Team ${index + 1}`, size }));
+  }
+
+  /**
+   * Register the roster, numbering players across teams
+   */
+  seatPlayers(teams) {
+    let number = 1;
+    teams.forEach(team => {
+      for (let i = 0; i < team.size; i++) {
+        playerRegistry.addPlayer(`Player ${number++}`, team.name);
+      }
+    });
+  }
+
+  /**
+   * Play one match from pattern to closing ceremony
+   *
+   * Mirrors MatchOrchestrator.startMatch and processNextBlock, minus the event chain, the checkpoint timer and the isRunning flag.
+   */
+  async runMatch(config) {
+    matchOrchestrator.random.setSeed(config.seed);
+    matchState.initializeMatch(config);
+
+    const preferences = { difficulty: config.difficultyLevel };
+    const pattern = config.timeBudget
+      ? patternSelector.selectPatternForDuration(config.timeBudget, preferences)
+      : patternSelector.selectPattern(config.roundCount, preferences);
+    blockSelector.initialize(pattern);
+    matchState.setPattern(pattern);
+    matchState.startMatch();
+
+    let blockInfo = blockSelector.getNextBlock();
+    while (blockInfo) {
+      blockSelector.confirmBlockStart(blockInfo.type);
+
+      if (blockInfo.type === BlockType.CEREMONY) {
+        await matchOrchestrator.processCeremonyBlock(blockInfo);
+      } else if (blockInfo.type === BlockType.ROUND) {
+        await matchOrchestrator.processRoundBlock(blockInfo);
+      } else if (blockInfo.type === BlockType.RELAX) {
+        await matchOrchestrator.processRelaxBlock(blockInfo);
+      }
+
+      blockInfo = blockSelector.getNextBlock();
+    }
+  }
+
+  // ============================================
+  // TALLYING
+  // ============================================
+
+  /**
+   * Empty running totals for a simulation
+   */
+  createTally() {
+    return {
+      matches: 0,
+      rounds: 0,
+      failures: new Map(),               // error message -> { count, seeds }
+      roundTypes: {},                    // roundType -> count
+      variants: {},                      // roundType-variant -> count
+      repeats: { roundType: 0, variant: 0, transitions: 0 },
+      players: new Map(),                // name -> { team, selected, duels }
+      spreadTotal: 0,
+      spreadMax: 0,
+      neverSelectedTotal: 0,
+      duels: { count: 0, repeatPairs: 0, sameTeam: 0 },
+      difficulty: []                     // round index -> { curve, target, selected, count }
+    };
+  }
+
+  /**
+   * Add the match that just finished to the running totals
+   */
+  tallyMatch(tally) {
+    const rounds = matchState.getBlocksByType(BlockType.ROUND).map(block => block.play);
+    const curve = matchState.getDifficultyCurve(matchState.getState().config.difficultyCurve);
+    const pairs = new Set();
+
+    tally.matches++;
+    tally.rounds += rounds.length;
+
+    rounds.forEach((play, index) => {
+      const variantId = `${play.roundType}-${play.variant}`;
+      tally.roundTypes[play.roundType] = (tally.roundTypes[play.roundType] || 0) + 1;
+      tally.variants[variantId] = (tally.variants[variantId] || 0) + 1;
+
+      // Back-to-back repeats
+      const previous = rounds[index - 1];
+      if (previous) {
+        tally.repeats.transitions++;
+        if (previous.roundType === play.roundType) tally.repeats.roundType++;
+        if (previous.roundType === play.roundType && previous.variant === play.variant) tally.repeats.variant++;
+      }
+
+      // Duel pairings
+      if (play.roundType === 'duel') {
+        const { player1, player2 } = play.players;
+        const pair = [player1.name, player2.name].sort().join(' & ');
+
+        tally.duels.count++;
+        if (pairs.has(pair)) tally.duels.repeatPairs++;
+        if (player1.team === player2.team) tally.duels.sameTeam++;
+        pairs.add(pair);
+
+        [player1, player2].forEach(player => {
+          this.getPlayerTally(tally, player.name, player.team).duels++;
+        });
+      }
+
+      // Difficulty against the curve
+      if (!tally.difficulty[index]) {
+        tally.difficulty[index] = { curve: 0, target: 0, selected: 0, count: 0 };
+      }
+      const slot = tally.difficulty[index];
+      slot.curve += curve[Math.min(index, curve.length - 1)];
+      slot.target += play.performanceHints?.difficulty || 0;
+      slot.selected += play.difficulty;
+      slot.count++;
+    });
+
+    // Selections per player
+    const players = playerRegistry.getActivePlayers();
+    players.forEach(player => {
+      this.getPlayerTally(tally, player.name, player.team).selected += player.stats.timesSelected;
+    });
+
+    const fairness = playerRegistry.getFairnessReport(players);
+    tally.spreadTotal += fairness.spread;
+    tally.spreadMax = Math.max(tally.spreadMax, fairness.spread);
+    tally.neverSelectedTotal += fairness.neverSelected.length;
+  }
+
+  /**
+   * Running totals for one player, created on first sight
+   */
+  getPlayerTally(tally, name, team) {
+    if (!tally.players.has(name)) {
+      tally.players.set(name, { team, selected: 0, duels: 0 });
+    }
+    return tally.players.get(name);
+  }
+
+  // ============================================
+  // REPORTING
+  // ============================================
+
+  /**
+   * Turn running totals into averages and shares
+   */
+  buildReport(tally, settings) {
+    const matches = tally.matches || 1;
+    const rounds = tally.rounds || 1;
+    const configuredShares = this.getConfiguredShares(settings.playerCount);
+
+    const roundTypes = {};
+    new Set([...Object.keys(configuredShares), ...Object.keys(tally.roundTypes)]).forEach(type => {
+      const count = tally.roundTypes[type] || 0;
+      roundTypes[type] = {
+        count,
+        share: ratio(count, rounds),
+        configuredShare: configuredShares[type] ?? 0
+      };
+    });
+
+    const variants = {};
+    Object.entries(tally.variants)
+      .sort(([, a], [, b]) => b - a)
+      .forEach(([variant, count]) => {
+        variants[variant] = { count, share: ratio(count, rounds) };
+      });
+
+    const playerList = Array.from(tally.players.entries()).map(([name, stats]) => ({
+      name,
+      team: stats.team,
+      selectionsPerMatch: round(stats.selected / matches),
+      duelsPerMatch: round(stats.duels / matches)
+    }));
+    const perMatch = playerList.map(player => player.selectionsPerMatch);
+
+    const byTeam = {};
+    settings.teams.forEach(team => {
+      const members = playerList.filter(player => player.team === team.name);
+      byTeam[team.name] = members.length
+        ? round(members.reduce((sum, player) => sum + player.selectionsPerMatch, 0) / members.length)
+        : 0;
+    });
+
+    const byRound = tally.difficulty.map((slot, index) => ({
+      round: index + 1,
+      curve: round(slot.curve / slot.count),
+      target: round(slot.target / slot.count),
+      selected: round(slot.selected / slot.count)
+    }));
+
+    return {
+      scenario: {
+        matches: settings.matches,
+        playerCount: settings.playerCount,
+        teams: settings.teams,
+        roundCount: settings.roundCount,
+        ...(settings.timeBudget && { timeBudget: settings.timeBudget }),
+        difficultyCurve: settings.difficultyCurve,
+        difficultyLevel: settings.difficultyLevel,
+        seed: settings.seed
+      },
+      completed: tally.matches,
+      failures: Array.from(tally.failures.entries()).map(([message, failure]) => ({ message, ...failure })),
+      roundTypes,
+      variants,
+      repeats: {
+        roundType: { count: tally.repeats.roundType, rate: ratio(tally.repeats.roundType, tally.repeats.transitions) },
+        variant: { count: tally.repeats.variant, rate: ratio(tally.repeats.variant, tally.repeats.transitions) }
+      },
+      players: {
+        selectionsPerMatch: {
+          min: perMatch.length ? Math.min(...perMatch) : 0,
+          max: perMatch.length ? Math.max(...perMatch) : 0,
+          mean: perMatch.length ? round(perMatch.reduce((sum, value) => sum + value, 0) / perMatch.length) : 0
+        },
+        byTeam,
+        averageSpread: round(tally.spreadTotal / matches),
+        worstSpread: tally.spreadMax,
+        neverSelectedPerMatch: round(tally.neverSelectedTotal / matches),
+        list: playerList
+      },
+      partners: {
+        duels: tally.duels.count,
+        repeatPairs: tally.duels.repeatPairs,
+        repeatRate: ratio(tally.duels.repeatPairs, tally.duels.count),
+        sameTeam: tally.duels.sameTeam,
+        sameTeamRate: ratio(tally.duels.sameTeam, tally.duels.count)
+      },
+      difficulty: {
+        byRound,
+        meanAbsoluteError: round(
+          byRound.reduce((sum, slot) => sum + Math.abs(slot.selected - slot.curve), 0) / (byRound.length || 1)
+        )
+      }
+    };
+  }
+
+  /**
+   * Round-type shares implied by configured weights and player count alone, before variety enforcement
+   */
+  getConfiguredShares(playerCount) {
+    const weights = {};
+    Object.entries(configLoader.get('roundTypes', {})).forEach(([type, settings]) => {
+      if (playerCount < settings.minPlayers || playerCount > settings.maxPlayers) return;
+      weights[type] = (settings.weight || 0) * getPlayerCountAdjustment(playerCount, type.toUpperCase());
+    });
+
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    return Object.fromEntries(Object.entries(weights).map(([type, weight]) => [type, ratio(weight, total)]));
+  }
+
+  /**
+   * Render a report as plain text for the console
+   */
+  formatReport(report) {
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const { scenario } = report;
+    const lines = [
+      `=== ${scenario.playerCount} players (${scenario.teams.map(team => team.size).join(' / ')}), ` +
+        `${scenario.timeBudget ? `${scenario.timeBudget} minutes` : `${scenario.roundCount} rounds`}, ${scenario.difficultyCurve} curve - ${report.completed}/${scenario.matches} matches ===`
+    ];
+
+    report.failures.forEach(failure => {
+      lines.push(`  FAILED ${failure.count}x: ${failure.message} (seeds: ${failure.seeds.join(', ')})`);
+    });
+
+    lines.push('', 'Round types (actual vs configured):');
+    Object.entries(report.roundTypes).forEach(([type, stats]) => {
+      lines.push(`  ${type.padEnd(12)} ${percent(stats.share).padStart(6)}  vs ${percent(stats.configuredShare).padStart(6)}`);
+    });
+
+    lines.push('', 'Variants:');
+    Object.entries(report.variants).forEach(([variant, stats]) => {
+      lines.push(`  ${variant.padEnd(24)} ${percent(stats.share).padStart(6)}`);
+    });
+    lines.push(`  Back-to-back round type: ${percent(report.repeats.roundType.rate)}, same variant: ${percent(report.repeats.variant.rate)}`);
+
+    const { players } = report;
+    lines.push('', 'Player selections per match:');
+    lines.push(`  min ${players.selectionsPerMatch.min}, mean ${players.selectionsPerMatch.mean}, max ${players.selectionsPerMatch.max}`);
+    Object.entries(players.byTeam).forEach(([team, mean]) => {
+      lines.push(`  ${team}: ${mean}`);
+    });
+    lines.push(`  Spread within a match: average ${players.averageSpread}, worst ${players.worstSpread}`);
+    lines.push(`  Never selected: ${players.neverSelectedPerMatch} players per match`);
+
+    lines.push('', 'Duel partners:');
+    lines.push(`  ${report.partners.duels} duels, repeat pairs ${percent(report.partners.repeatRate)}, same team ${percent(report.partners.sameTeamRate)}`);
+
+    lines.push('', 'Difficulty by round (curve / target / selected):');
+    report.difficulty.byRound.forEach(slot => {
+      lines.push(`  ${String(slot.round).padStart(2)}: ${slot.curve} / ${slot.target} / ${slot.selected}`);
+    });
+    lines.push(`  Mean distance from curve: ${report.difficulty.meanAbsoluteError}`);
+
+    return lines.join('\n');
+  }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// Shares and rates keep enough precision for one-decimal percentages
+function ratio(part, whole) {
+  return round(part / (whole || 1), 4);
+}
+
+// Create singleton instance
+const matchSimulator = new MatchSimulator();
+
+// Export both instance and class
+export default matchSimulator;
+export { MatchSimulator };
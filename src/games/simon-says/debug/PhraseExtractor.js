@@ -0,0 +1,156 @@
+/**
+ * Phrase Extractor for Simon Says
+ *
+ * The TTS cache is keyed on the exact string handed to the voice, and Simon never speaks a whole template line at once - the PerformanceSystem splits every line on its pause tokens and speaks the pieces in between. "Ready... [small] Set... [small] GO!" reaches ElevenLabs as three separate requests: "Ready...", "Set..." and "GO!". A preload list written by hand ("Round 1", "Clap your hands") caches strings that are never requested and misses the ones that are, so the first real match still pays for live generation. The PhraseExtractor works out the real list by running the same code the match does.
+ *
+ * It walks every line in the ScriptAssembler's templates - including lines registered by content packs - and asks the assembler itself to build round scripts for every variant, movement style and modifier, which picks up the generated lines (player announcements, positioning, fallback reveals) that aren't stored as templates. Tokens are expanded with the assembler's own token map for every match length and the configured team names, so "{totalRounds}" becomes each round count a match can actually have. Each resulting line is split with the PerformanceSystem's segment splitter, and the speech segments are the phrases. Segments that still contain a token after expansion depend on who's playing - "{player1} from {team1}, step forward!" - and can't be generated ahead of time; they're reported separately so it's clear what will still be generated live.
+ *
+ * The extractor is headless. `scripts/extract-tts-phrases.js` runs it from Node, and `scripts/build-tts-cache.js` uses its output to fill the preload file.
+ */
+
+import { configLoader } from '../systems';
+import { MATCH_LENGTHS } from '../state';
+import { scriptAssembler, playSelector } from '../mechanics';
+import { getSpokenSegments } from '../helpers';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const UNRESOLVED_TOKEN = /\{\w+(\|[^}]*)?\}/;
+
+// Pieces the assembler builds lines from rather than lines of their own - collectBuiltLines covers them
+const BUILDING_BLOCKS = ['phrases', 'words'];
+
+// ============================================
+// PHRASE EXTRACTOR CLASS
+// ============================================
+
+class PhraseExtractor {
+  /**
+   * Work out every phrase Simon can speak that doesn't depend on who's playing
+   *
+   * @param {Object} options - { teamNames: team name sets to expand with (defaults to the configured names) }
+   * @returns {Object} { phrases: string[], dynamic: string[], lines: number }
+   */
+  extract(options = {}) {
+    const contexts = this.buildContexts(options.teamNames);
+    const phrases = new Set();
+    const dynamic = new Set();
+    let lines = 0;
+
+    const addLine = (line) => {
+      lines++;
+      this.expandLine(line, contexts).forEach(expanded => {
+        getSpokenSegments(expanded).forEach(segment => {
+          (UNRESOLVED_TOKEN.test(segment) ? dynamic : phrases).add(segment);
+        });
+      });
+    };
+
+    Object.entries(scriptAssembler.templates)
+      .filter(([category]) => !BUILDING_BLOCKS.includes(category))
+      .forEach(([, templates]) => this.collectTemplateLines(templates).forEach(addLine));
+    scriptAssembler.customTemplates.forEach(templates => templates.forEach(addLine));
+    this.collectBuiltLines(contexts[0].personalityStyle).forEach(addLine);
+
+    return {
+      phrases: [...phrases].sort(),
+      dynamic: [...dynamic].sort(),
+      lines
+    };
+  }
+
+  /**
+   * One script context per match length, shaped like MatchOrchestrator.buildContext
+   */
+  buildContexts(teamNameSets = null) {
+    const configured = configLoader.get('teamConfig.teamNames') || configLoader.get('teams.teamNames') || ['Team 1', 'Team 2'];
+    const sets = teamNameSets?.length ? teamNameSets : [configured];
+    const personalityStyle = configLoader.get('scripts.personality.style', 'enthusiastic');
+
+    return sets.flatMap(teamNames => Object.values(MATCH_LENGTHS).map(length => ({
+      currentRound: 1,
+      totalRounds: length.rounds,
+      matchDuration: length.estimatedMinutes,
+      teamNames,
+      personalityStyle
+    })));
+  }
+
+  /**
+   * Every version of a line the given contexts produce
+   * Lines that mention the round number are expanded for each round of each match length, and ceremony team calls ({team}) for each team name.
+   */
+  expandLine(line, contexts) {
+    if (!line.includes('{')) return [line];
+
+    const expanded = new Set();
+    contexts.forEach(context => {
+      const rounds = line.includes('{roundNumber}') ? context.totalRounds : 1;
+      const teams = line.includes('{team}') ? context.teamNames : [null];
+      for (let round = 1; round <= rounds; round++) {
+        const tokens = scriptAssembler.buildTokenMap({}, { ...context, currentRound: round });
+        teams.forEach(team => {
+          expanded.add(scriptAssembler.replaceTokens(line, team ? { ...tokens, team } : tokens));
+        });
+      }
+    });
+    return [...expanded];
+  }
+
+  /**
+   * Every string in a (possibly nested) template structure
+   */
+  collectTemplateLines(node) {
+    if (typeof node === 'string') return [node];
+    if (Array.isArray(node)) return node.flatMap(item => this.collectTemplateLines(item));
+    if (node && typeof node === 'object') {
+      return Object.values(node).flatMap(item => this.collectTemplateLines(item));
+    }
+    return [];
+  }
+
+  /**
+   * Lines the assembler builds rather than stores
+   *
+   * Round scripts are assembled for every variant with every movement style and modifier it can draw, with no players or team names attached. Team tokens are left for expandLine like any template's, player tokens stay unresolved so those segments land in the dynamic list, and fixed lines and fallbacks ("Time for... [medium] COLLECTION!") come out exactly as a match would speak them.
+   */
+  collectBuiltLines(personalityStyle) {
+    const lines = [];
+    const context = { personalityStyle };
+    const roundTypes = configLoader.get('roundTypes', {});
+
+    Object.entries(roundTypes).forEach(([roundType, typeConfig]) => {
+      (typeConfig.variants || []).forEach(variant => {
+        const variantConfig = typeConfig.variantConfig?.[variant] || {};
+        const subVariants = this.names(variantConfig.subVariants, playSelector.subVariants);
+        const modifiers = [null, ...this.names(variantConfig.modifiers, playSelector.modifiers)];
+
+        subVariants.forEach(subVariant => {
+          modifiers.forEach(modifier => {
+            const play = { blockType: 'round', roundType, variant, subVariant, modifier, players: null, duration: 0 };
+            lines.push(...this.collectTemplateLines(scriptAssembler.assembleRoundScripts(play, context)));
+          });
+        });
+      });
+    });
+
+    return lines;
+  }
+
+  /**
+   * Names from a chart list (strings or { name }) or the universal fallback
+   */
+  names(list, fallback) {
+    const source = list?.length ? list : fallback;
+    return source.map(item => (typeof item === 'string' ? item : item.name));
+  }
+}
+
+// Create singleton instance
+const phraseExtractor = new PhraseExtractor();
+
+// Export both instance and class
+export default phraseExtractor;
+export { PhraseExtractor };
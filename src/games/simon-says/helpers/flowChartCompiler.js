@@ -0,0 +1,511 @@
+/**
+ * Flowchart compiler for Simon Says
+ *
+ * The flowChartCompiler module turns the Mermaid game-flow chart into the developer configuration that actually drives play selection. Designers think in pictures - "from round select, 30% of the time we go to a duel, and a duel is a tag 40% of the time" - and the chart captures exactly that with boxes, diamonds and percentage-labelled arrows. This module reads that picture back as data: round types with their weights and player limits, the variants under each round type, and for every variant its own list of movement styles (sub-variants) and modifiers. Change a percentage in the chart, reload, and the next round Simon picks follows the new odds. The chart stops being documentation that drifts away from the code and becomes the code's input.
+ *
+ * Just as important as compiling is complaining. A chart is easy to break by hand - an arrow pointing at a node that was renamed, a set of percentages that quietly adds up to 95, a whole branch left dangling after a refactor. Every compile returns a report alongside the config: unknown node references are errors (the chart can't mean what it says), while percentages that don't sum to 100 and nodes that can never be reached are warnings (the chart still works, but probably not the way the designer intended). Like the other helpers, everything here is a pure function of its input text, so the compiler runs the same in the browser, in a build script, or in a test.
+ */
+
+// Node shapes, longest delimiters first so '([' wins over '('
+const NODE_SHAPES = [
+  { open: '([', close: '])', shape: 'terminal' },
+  { open: '[[', close: ']]', shape: 'subroutine' },
+  { open: '((', close: '))', shape: 'circle' },
+  { open: '{{', close: '}}', shape: 'hexagon' },
+  { open: '[', close: ']', shape: 'node' },
+  { open: '{', close: '}', shape: 'decision' },
+  { open: '(', close: ')', shape: 'rounded' }
+];
+
+// Arrow syntax: -->, ---, -.->, ==>, with an optional |label|
+const ARROW_PATTERN = /^\s*(-->|---|-\.->|==>)\s*(?:\|([^|]*)\|)?\s*/;
+const INLINE_LABEL_ARROW_PATTERN = /^\s*--\s+([^-]+?)\s+-->\s*/;
+const NODE_ID_PATTERN = /^\s*([A-Za-z_][\w-]*)/;
+const WEIGHT_PATTERN = /^\s*(\d+(?:\.\d+)?)\s*%\s*$/;
+
+// Statements that carry no nodes or edges
+const IGNORED_STATEMENTS = /^(flowchart|graph|classDef|style|linkStyle|click|subgraph|end\b|direction)/;
+
+// The selection levels a chart describes, from the root decision down
+const SELECTION_LEVELS = ['roundType', 'variant', 'subVariant', 'modifier'];
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Extract the Mermaid source from a markdown file
+ * @param {string} source - Markdown containing a ```mermaid block, or raw Mermaid
+ * @returns {string} Mermaid source
+ */
+export function extractMermaidSource(source) {
+  const match = source.match(/```mermaid\s*\n([\s\S]*?)```/);
+  return match ? match[1] : source;
+}
+
+/**
+ * Parse a node label into name, description and metadata
+ *
+ * Node labels carry more than display text. Following the chart conventions from the design docs, the first line is the display name, the second is a short description, and any line starting with @ is metadata - @key:crabWalk, @difficulty:2, @minPlayers:4. The <br/> tags Mermaid uses for line breaks double as our line separator, so a label still renders as a readable box while carrying everything the compiler needs. Numeric metadata values are converted to numbers so the config that comes out the other end can be used directly.
+ */
+export function parseNodeLabel(label) {
+  const lines = label
+    .replace(/^["']|["']$/g, '')
+    .split(/<br\s*\/?>/i)
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  const metadata = {};
+  const text = [];
+
+  lines.forEach(line => {
+    const meta = line.match(/^@(\w+)\s*:\s*(.+)$/);
+    if (meta) {
+      const value = meta[2].trim();
+      metadata[meta[1]] = /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+    } else {
+      text.push(line);
+    }
+  });
+
+  return {
+    name: text[0] || '',
+    description: text.slice(1).join(' '),
+    metadata
+  };
+}
+
+/**
+ * Read a node reference (ID plus optional shape and label) from the start of a string
+ */
+function readNode(text) {
+  const idMatch = text.match(NODE_ID_PATTERN);
+  if (!idMatch) return null;
+
+  const id = idMatch[1];
+  let rest = text.slice(idMatch[0].length);
+
+  for (const { open, close, shape } of NODE_SHAPES) {
+    if (rest.startsWith(open)) {
+      const end = rest.indexOf(close, open.length);
+      if (end === -1) continue;
+
+      const label = rest.slice(open.length, end);
+      rest = rest.slice(end + close.length);
+      return { id, shape, label, rest };
+    }
+  }
+
+  return { id, shape: null, label: null, rest };
+}
+
+/**
+ * Parse a Mermaid flowchart into nodes and edges
+ *
+ * The parser understands the subset of Mermaid flowchart syntax the game charts use: node declarations in any of the common shapes, arrows with or without |labels|, chained arrows (A --> B --> C), fan-out with & (A --> B & C), class assignments and %% comments. Everything else - styling, classDef, subgraphs - is skipped, since it affects how the chart looks rather than what it means. A node can be declared with its label once and referenced by bare ID everywhere else, exactly as Mermaid allows.
+ *
+ * The result keeps track of where every ID was referenced and whether it was ever declared with a label. That distinction is what powers the unknown-reference check later: Mermaid happily renders an arrow to a misspelled ID as a new empty box, but for the game that box is a typo, and the compiler should say so instead of inventing a round type called "Mirorr".
+ *
+ * @param {string} source - Mermaid source or markdown containing a mermaid block
+ * @returns {Object} { nodes, edges, errors }
+ */
+export function parseMermaidFlowchart(source) {
+  const nodes = {};
+  const edges = [];
+  const errors = [];
+  const text = extractMermaidSource(source);
+
+  const touchNode = (parsed, lineNumber) => {
+    if (!nodes[parsed.id]) {
+      nodes[parsed.id] = {
+        id: parsed.id,
+        shape: null,
+        name: parsed.id,
+        description: '',
+        metadata: {},
+        declared: false,
+        references: []
+      };
+    }
+
+    const node = nodes[parsed.id];
+    node.references.push(lineNumber);
+
+    if (parsed.label !== null && parsed.label !== undefined) {
+      const { name, description, metadata } = parseNodeLabel(parsed.label);
+      node.shape = parsed.shape;
+      node.name = name || parsed.id;
+      node.description = description;
+      node.metadata = { ...node.metadata, ...metadata };
+      node.declared = true;
+    }
+
+    return node;
+  };
+
+  text.split('\n').forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.replace(/%%.*$/, '').trim();
+
+    if (!line || IGNORED_STATEMENTS.test(line)) return;
+
+    // Class assignments still count as references to nodes
+    const classMatch = line.match(/^class\s+([\w,\s-]+?)\s+\w+\s*;?$/);
+    if (classMatch) {
+      classMatch[1].split(',').map(id => id.trim()).filter(Boolean).forEach(id => {
+        touchNode({ id, label: null }, lineNumber);
+      });
+      return;
+    }
+
+    // Walk the statement: node (arrow node)*
+    let rest = line;
+    let sources = [];
+    let pendingLabel; // undefined until an arrow has been read
+
+    while (rest.length) {
+      const group = [];
+
+      // A position in the chain can hold several nodes joined by &
+      do {
+        rest = rest.replace(/^\s*&\s*/, '');
+        const parsed = readNode(rest);
+        if (!parsed) {
+          errors.push({ type: 'syntax', line: lineNumber, message: `Could not parse "${rawLine.trim()}"` });
+          return;
+        }
+        group.push(touchNode(parsed, lineNumber));
+        rest = parsed.rest;
+      } while (/^\s*&/.test(rest));
+
+      // Connect the previous group to this one
+      if (pendingLabel !== undefined) {
+        const label = pendingLabel;
+        sources.forEach(from => {
+          group.forEach(to => {
+            const weightMatch = label ? label.match(WEIGHT_PATTERN) : null;
+            edges.push({
+              from: from.id,
+              to: to.id,
+              label,
+              weight: weightMatch ? Number(weightMatch[1]) : null,
+              line: lineNumber
+            });
+          });
+        });
+      }
+
+      rest = rest.replace(/^\s*;\s*$/, '');
+      if (!rest.trim()) break;
+
+      const arrow = rest.match(ARROW_PATTERN) || rest.match(INLINE_LABEL_ARROW_PATTERN);
+      if (!arrow) {
+        errors.push({ type: 'syntax', line: lineNumber, message: `Unexpected "${rest.trim()}"` });
+        return;
+      }
+
+      const label = ARROW_PATTERN.test(rest) ? arrow[2] : arrow[1];
+      rest = rest.slice(arrow[0].length);
+      sources = group;
+      pendingLabel = label !== undefined ? label.trim() : null;
+    }
+  });
+
+  return { nodes, edges, errors };
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Find the nodes a chart starts from
+ * @param {Object} graph - Parsed chart
+ * @param {string} startId - Explicit start node, if any
+ * @returns {string[]} Root node IDs
+ */
+export function findRootNodes(graph, startId = null) {
+  if (startId) return graph.nodes[startId] ? [startId] : [];
+
+  const hasIncoming = new Set(graph.edges.map(edge => edge.to));
+  const roots = Object.values(graph.nodes).filter(node => !hasIncoming.has(node.id) && node.declared);
+
+  // Prefer explicit start/end terminals over stray nodes
+  const terminals = roots.filter(node => node.shape === 'terminal');
+  return (terminals.length ? terminals : roots).map(node => node.id);
+}
+
+/**
+ * Validate a parsed chart
+ *
+ * Validation looks for the three mistakes that hand-edited charts actually contain. Unknown references are IDs that appear in an arrow or class statement but are never given a label anywhere - almost always a typo or a node that was renamed in one place but not the other. Weight problems are decision points whose percentage edges don't add up to 100, or that mix percentage edges with unlabelled ones so it's unclear what the odds are. Unreachable nodes are declared boxes that no path from the start ever visits, which usually means an arrow was deleted during an edit and a whole branch silently dropped out of the game.
+ *
+ * The issues come back sorted into errors and warnings rather than thrown, so an editor or build step can show all of them at once instead of making the designer fix them one at a time.
+ *
+ * @param {Object} graph - Parsed chart from parseMermaidFlowchart
+ * @param {Object} options - { start: root node ID }
+ * @returns {Object} { errors, warnings }
+ */
+export function validateFlowChart(graph, options = {}) {
+  const errors = [...graph.errors];
+  const warnings = [];
+
+  // Unknown node references
+  Object.values(graph.nodes).forEach(node => {
+    if (!node.declared) {
+      errors.push({
+        type: 'unknownReference',
+        node: node.id,
+        line: node.references[0],
+        message: `Node "${node.id}" is referenced but never declared with a label`
+      });
+    }
+  });
+
+  // Percentages that don't sum to 100
+  const outgoing = groupEdgesBySource(graph.edges);
+  Object.entries(outgoing).forEach(([from, nodeEdges]) => {
+    const weighted = nodeEdges.filter(edge => edge.weight !== null);
+    if (weighted.length === 0) return;
+
+    const total = weighted.reduce((sum, edge) => sum + edge.weight, 0);
+    if (Math.abs(total - 100) > 0.01) {
+      warnings.push({
+        type: 'weightSum',
+        node: from,
+        line: weighted[0].line,
+        total,
+        message: `Percentages leaving "${from}" sum to ${total}%, not 100%`
+      });
+    }
+
+    const unweighted = nodeEdges.filter(edge => edge.weight === null);
+    if (unweighted.length > 0) {
+      warnings.push({
+        type: 'mixedEdges',
+        node: from,
+        line: unweighted[0].line,
+        message: `"${from}" mixes percentage edges with unweighted edges to ${unweighted.map(e => e.to).join(', ')}`
+      });
+    }
+  });
+
+  // Unreachable nodes
+  const roots = findRootNodes(graph, options.start);
+  if (roots.length === 0) {
+    errors.push({ type: 'noRoot', message: 'Chart has no start node' });
+  } else {
+    const reachable = new Set(roots);
+    const queue = [...roots];
+
+    while (queue.length) {
+      const current = queue.shift();
+      (outgoing[current] || []).forEach(edge => {
+        if (!reachable.has(edge.to)) {
+          reachable.add(edge.to);
+          queue.push(edge.to);
+        }
+      });
+    }
+
+    Object.values(graph.nodes).forEach(node => {
+      if (node.declared && !reachable.has(node.id)) {
+        warnings.push({
+          type: 'unreachable',
+          node: node.id,
+          line: node.references[0],
+          message: `Node "${node.id}" can't be reached from ${roots.join(', ')}`
+        });
+      }
+    });
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Group edges by their source node
+ */
+function groupEdgesBySource(edges) {
+  const grouped = {};
+  edges.forEach(edge => {
+    if (!grouped[edge.from]) grouped[edge.from] = [];
+    grouped[edge.from].push(edge);
+  });
+  return grouped;
+}
+
+// ============================================
+// COMPILATION
+// ============================================
+
+/**
+ * Derive the config key for a node
+ * @param {Object} node - Parsed node
+ * @returns {string} Config key (explicit @key or camelCased ID)
+ */
+export function nodeKey(node) {
+  if (node.metadata.key) return String(node.metadata.key);
+  if (/^no modifier$/i.test(node.name)) return 'none';
+  return node.id.charAt(0).toLowerCase() + node.id.slice(1);
+}
+
+/**
+ * Find the weighted choices that follow a node
+ *
+ * Between one level of selection and the next, charts usually have a decision diamond: Tag leads to "Select Tag Style", and the diamond's percentage edges are the actual choices. This function walks forward from a node along unlabelled edges until it reaches nodes with percentage edges, then returns those weighted targets. Labelled but non-percentage edges ("Yes", "No") are never followed, which keeps the walk from wandering out of a round and around the "another round?" loop back to the start.
+ */
+function findWeightedChoices(nodeId, outgoing) {
+  const choices = [];
+  const seen = new Set();
+  const visited = new Set([nodeId]);
+  const queue = [nodeId];
+
+  while (queue.length) {
+    const current = queue.shift();
+    const nodeEdges = outgoing[current] || [];
+    const weighted = nodeEdges.filter(edge => edge.weight !== null);
+
+    if (weighted.length > 0) {
+      weighted.forEach(edge => {
+        if (!seen.has(edge.to)) {
+          seen.add(edge.to);
+          choices.push({ id: edge.to, weight: edge.weight });
+        }
+      });
+      continue;
+    }
+
+    nodeEdges
+      .filter(edge => !edge.label)
+      .forEach(edge => {
+        if (!visited.has(edge.to)) {
+          visited.add(edge.to);
+          queue.push(edge.to);
+        }
+      });
+  }
+
+  return choices;
+}
+
+/**
+ * Build an option entry (sub-variant or modifier) from a node
+ */
+function buildOption(node, weight) {
+  const option = { name: nodeKey(node), weight };
+  if (node.metadata.difficulty !== undefined) {
+    option.difficulty = node.metadata.difficulty;
+  }
+  return option;
+}
+
+/**
+ * Compile a Mermaid game-flow chart into developer config
+ *
+ * Compilation reads the chart as four levels of weighted choices, matching how PlaySelector makes its decisions. The first set of percentage edges reachable from the start node picks the round type; the choices after each round type are its variants; the choices after each variant are its sub-variants (movement styles); and the choices after the sub-variants are that variant's modifiers. Sub-variants that share a modifier diamond share its modifier list, and a "No Modifier" option (or any node keyed @key:none) isn't a modifier at all - its share becomes the variant's modifierProbability instead. Variants with no style or modifier branches in the chart simply don't get those lists, and PlaySelector falls back to its universal defaults for them.
+ *
+ * The output has the same shape as DEFAULT_DEVELOPER_CONFIG.roundTypes, extended with per-variant details, so it can go straight into ConfigLoader.loadDeveloperConfig. Round-type metadata like @minPlayers and @maxPlayers carries over, with permissive defaults when missing. The report travels alongside the config rather than replacing it - callers decide whether warnings are acceptable, and the config is still returned for inspection even when there are errors.
+ *
+ * @param {string} source - Chart markdown or Mermaid source
+ * @param {Object} options - { start: root node ID }
+ * @returns {Object} { config, errors, warnings, graph }
+ */
+export function compileFlowChart(source, options = {}) {
+  const graph = parseMermaidFlowchart(source);
+  const { errors, warnings } = validateFlowChart(graph, options);
+  const outgoing = groupEdgesBySource(graph.edges);
+  const roundTypes = {};
+
+  const roots = findRootNodes(graph, options.start);
+  const roundTypeChoices = roots.flatMap(root => findWeightedChoices(root, outgoing));
+
+  if (roundTypeChoices.length === 0) {
+    errors.push({ type: 'noChoices', message: `No weighted ${SELECTION_LEVELS[0]} choices found after the start node` });
+  }
+
+  roundTypeChoices.forEach(({ id, weight }) => {
+    const node = graph.nodes[id];
+    const type = nodeKey(node);
+    const variantChoices = findWeightedChoices(id, outgoing);
+
+    const roundType = {
+      name: node.name,
+      weight,
+      minPlayers: node.metadata.minPlayers ?? 2,
+      maxPlayers: node.metadata.maxPlayers ?? 100,
+      variants: [],
+      variantWeights: {},
+      variantConfig: {}
+    };
+
+    if (variantChoices.length === 0) {
+      warnings.push({ type: 'noVariants', node: id, message: `Round type "${id}" has no weighted variants` });
+    }
+
+    variantChoices.forEach(variantChoice => {
+      const variantNode = graph.nodes[variantChoice.id];
+      const variant = nodeKey(variantNode);
+      const details = { name: variantNode.name };
+
+      if (variantNode.metadata.difficulty !== undefined) {
+        details.difficulty = variantNode.metadata.difficulty;
+      }
+
+      // Level 3: sub-variants, and level 4: the modifiers that follow them
+      const subVariantChoices = findWeightedChoices(variantChoice.id, outgoing);
+      const modifiers = new Map();
+
+      if (subVariantChoices.length > 0) {
+        details.subVariants = subVariantChoices.map(choice => buildOption(graph.nodes[choice.id], choice.weight));
+
+        subVariantChoices.forEach(choice => {
+          findWeightedChoices(choice.id, outgoing).forEach(modChoice => {
+            const modNode = graph.nodes[modChoice.id];
+            const key = nodeKey(modNode);
+            if (!modifiers.has(key)) {
+              modifiers.set(key, buildOption(modNode, modChoice.weight));
+            }
+          });
+        });
+      }
+
+      if (modifiers.size > 0) {
+        const none = modifiers.get('none');
+        modifiers.delete('none');
+        details.modifiers = Array.from(modifiers.values());
+
+        const total = details.modifiers.reduce((sum, m) => sum + m.weight, 0) + (none?.weight || 0);
+        details.modifierProbability = total > 0 ? (total - (none?.weight || 0)) / total : 0;
+      }
+
+      roundType.variants.push(variant);
+      roundType.variantWeights[variant] = variantChoice.weight;
+      roundType.variantConfig[variant] = details;
+    });
+
+    roundTypes[type] = roundType;
+  });
+
+  return {
+    config: { roundTypes },
+    errors,
+    warnings,
+    graph
+  };
+}
+
+/**
+ * Format a compile report as readable lines
+ * @param {Object} result - Result of compileFlowChart
+ * @returns {string[]} One line per issue
+ */
+export function formatFlowChartReport(result) {
+  const format = (severity, issue) =>
+    `${severity}${issue.line ? ` (line ${issue.line})` : ''}: ${issue.message}`;
+
+  return [
+    ...result.errors.map(issue => format('error', issue)),
+    ...result.warnings.map(issue => format('warning', issue))
+  ];
+}
@@ -7,4 +7,22 @@
 export * from './weightCalculations';
 
 // Random selection
-export * from './randomSelection';
\ No newline at end of file
+export * from './randomSelection';
+
+// Game-flow chart compilation
+export * from './flowChartCompiler';
+
+// Script segment splitting
+export * from './scriptSegments';
+
+// Plurals and name lists in the match's language
+export * from './localeText';
+
+// Speaking time estimates and play-window scheduling
+export * from './speechTiming';
+
+// Block pattern generation and validation
+export * from './patternGenerator';
+
+// Keeping time-boxed matches on schedule
+export * from './timeBudget';
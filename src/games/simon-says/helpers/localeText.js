@@ -0,0 +1,68 @@
+/**
+ * Locale text helpers for Simon Says
+ *
+ * Simon speaks whichever language the match is set to, and the few places where scripts are stitched together from numbers and names are exactly where languages disagree. English says "1 round" and "0 rounds"; French says "0 manche" because zero takes the singular; Spanish joins names with "y" and French with "et". Templates handle these with counted tokens - "{totalRounds|round|rounds}" speaks as "5 rounds" - and the ScriptAssembler builds name lists with the locale's own word for "and". Plural categories come from Intl.PluralRules, so the rules are the browser's rather than ours.
+ *
+ * Locales are BCP 47 tags ("es-ES", "fr-FR"); the language is the part before the first dash.
+ */
+
+import { DEFAULT_LOCALE } from '../state/constants';
+
+// A counted token: {key|singular|plural}
+const COUNTED_TOKEN = /\{(\w+)\|([^|}]*)\|([^|}]*)\}/g;
+
+/**
+ * The language part of a locale ("es" for "es-ES")
+ */
+export function getLanguage(locale = DEFAULT_LOCALE) {
+  return String(locale).split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * Whether two locales speak the same language
+ */
+export function sameLanguage(a, b) {
+  return getLanguage(a) === getLanguage(b);
+}
+
+/**
+ * A count with its noun in the right form for the locale
+ *
+ * Only the singular and plural are given; any plural category other than "one" (few, many, other) takes the plural, which covers every language Simon speaks today.
+ *
+ * @param {number} count
+ * @param {string} singular - "round"
+ * @param {string} plural - "rounds"
+ * @param {string} locale
+ * @returns {string} "1 round", "5 rounds"
+ */
+export function formatCount(count, singular, plural, locale = DEFAULT_LOCALE) {
+  const category = new Intl.PluralRules(locale).select(Number(count));
+  return `${count} ${category === 'one' ? singular : plural}`;
+}
+
+/**
+ * Replace counted tokens in a line
+ *
+ * Tokens whose value isn't in the map are left as they are, like plain tokens, so lines that name players still show up as live lines in the phrase extractor.
+ *
+ * @param {string} text - Line with {key|singular|plural} tokens
+ * @param {Object} tokens - Token values
+ * @param {string} locale
+ */
+export function replaceCountedTokens(text, tokens, locale = DEFAULT_LOCALE) {
+  return text.replace(COUNTED_TOKEN, (token, key, singular, plural) => (
+    tokens[key] === undefined ? token : formatCount(tokens[key], singular, plural, locale)
+  ));
+}
+
+/**
+ * A list of names joined the way the locale speaks them
+ * @param {string[]} names
+ * @param {string} conjunction - The locale's "and"
+ * @returns {string} "Alice", "Alice and Bob", "Alice, Bob and Cara"
+ */
+export function joinNames(names, conjunction = 'and') {
+  if (names.length <= 1) return names.join('');
+  return `${names.slice(0, -1).join(', ')} ${conjunction} ${names[names.length - 1]}`;
+}
@@ -0,0 +1,228 @@
+/**
+ * Block pattern generation for Simon Says
+ *
+ * The hand-made patterns in the developer config cover the match lengths on the setup screen - 5, 10, 15 and 30 rounds - but a host can ask for any number, and a 7-round match shouldn't be a 5-round pattern with two rounds wedged in before the closing. The generator builds a pattern for any round count straight from PATTERN_RULES: ceremonies at both ends, never more than MAX_CONSECUTIVE_ROUNDS without a break, at least MIN_ROUNDS_BETWEEN_RELAX rounds between two breaks, and never a break right before the closing.
+ *
+ * Two choices shape the result. The target duration decides how many relax blocks there are - a match that has to fill 30 minutes with 10 rounds gets more breathers than one that has 25 - and the pacing style decides where they fall. Even pacing keeps the runs the same length, burst alternates long runs with short ones, and waves builds to the longest runs in the middle of the match before easing off. Generation is deterministic, so the same request always gives the same pattern and seeded matches stay reproducible.
+ *
+ * Runs are the stretches of rounds between breaks. The first and last runs border a ceremony rather than a break, so they may be a single round when a short match needs every break it can fit.
+ */
+
+import { PATTERN_RULES, ROUND_DURATIONS, BLOCK_DURATIONS } from '../state/constants';
+import { BlockType, PacingStyle } from '../state/types';
+
+// Average playing time of a round, in seconds
+const AVERAGE_ROUND_SECONDS = Object.values(ROUND_DURATIONS)
+  .reduce((sum, duration) => sum + duration.default, 0) / Object.keys(ROUND_DURATIONS).length;
+
+const BLOCK_SECONDS = {
+  ceremony: (BLOCK_DURATIONS.CEREMONY.OPENING.default + BLOCK_DURATIONS.CEREMONY.CLOSING.default) / 2,
+  round: AVERAGE_ROUND_SECONDS,
+  relax: BLOCK_DURATIONS.RELAX.STANDARD.default
+};
+
+/**
+ * Estimated length of one block, in seconds
+ * @param {string} blockType - A BlockType
+ */
+export function estimateBlockDuration(blockType) {
+  return BLOCK_SECONDS[blockType] || 0;
+}
+
+/**
+ * Estimated length of a pattern, in seconds
+ * @param {string[]} sequence - Block types in order
+ */
+export function estimatePatternDuration(sequence) {
+  return Math.round(sequence.reduce((sum, block) => sum + estimateBlockDuration(block), 0));
+}
+
+/**
+ * Most rounds a match can play in a set time
+ *
+ * Counts up until the generated pattern for the next round count, breaks included, would run past the target. Every match gets at least one round, however short the time.
+ *
+ * @param {number} targetMinutes - Time the match has
+ * @param {Object} rules - Pattern rules (PATTERN_RULES by default)
+ * @returns {number} Round count
+ */
+export function roundsForDuration(targetMinutes, rules = PATTERN_RULES) {
+  const targetSeconds = targetMinutes * 60;
+  let rounds = 1;
+
+  while (estimatePatternDuration(generatePattern(rounds + 1, { targetMinutes, rules }).sequence) <= targetSeconds) {
+    rounds++;
+  }
+
+  return rounds;
+}
+
+/**
+ * Build a block pattern for any number of rounds
+ *
+ * The number of breaks comes from the target duration when there is one: whatever time the ceremonies and rounds don't fill is handed out as relax blocks. Without one, Simon breaks about every PREFERRED_ROUNDS_BETWEEN_RELAX rounds. Either way the count is held to what the rules allow - enough breaks that no run is too long, few enough that no two breaks come too close - so a target that can't be met gets the nearest pattern that can, and its estimatedDuration says how close that is.
+ *
+ * @param {number} roundCount - Rounds in the match
+ * @param {Object} options - { pacing: PacingStyle, targetMinutes, id, rules }
+ * @returns {Object} Pattern { id, sequence, pacing, estimatedDuration, generated }
+ */
+export function generatePattern(roundCount, { pacing = PacingStyle.EVEN, targetMinutes = null, id = null, rules = PATTERN_RULES } = {}) {
+  if (!Number.isInteger(roundCount) || roundCount < 1) {
+    throw new Error(`Cannot generate a pattern for ${roundCount} rounds`);
+  }
+  if (!Object.values(PacingStyle).includes(pacing)) {
+    throw new Error(`Unknown pacing style "${pacing}"`);
+  }
+
+  const relaxCount = chooseRelaxCount(roundCount, targetMinutes, rules);
+  const runs = distributeRounds(roundCount, relaxCount + 1, pacing, rules);
+
+  const sequence = [BlockType.CEREMONY];
+  runs.forEach((run, index) => {
+    if (index > 0) sequence.push(BlockType.RELAX);
+    for (let i = 0; i < run; i++) sequence.push(BlockType.ROUND);
+  });
+  sequence.push(BlockType.CEREMONY);
+
+  return {
+    id: id || `generated-${pacing}-${roundCount}`,
+    sequence,
+    pacing,
+    estimatedDuration: estimatePatternDuration(sequence),
+    generated: true
+  };
+}
+
+/**
+ * How many relax blocks a match gets
+ */
+function chooseRelaxCount(roundCount, targetMinutes, rules) {
+  // Too few breaks leaves a run longer than the maximum...
+  const fewest = Math.ceil(roundCount / rules.MAX_CONSECUTIVE_ROUNDS) - 1;
+  // ...too many squeezes runs between breaks below the minimum (first and last runs can be one round)
+  const most = roundCount < 2 ? 0 : Math.floor((roundCount - 2) / rules.MIN_ROUNDS_BETWEEN_RELAX) + 1;
+
+  let wanted;
+  if (targetMinutes) {
+    const fixed = BLOCK_SECONDS.ceremony * 2 + roundCount * BLOCK_SECONDS.round;
+    wanted = Math.round((targetMinutes * 60 - fixed) / BLOCK_SECONDS.relax);
+  } else {
+    wanted = Math.ceil(roundCount / rules.PREFERRED_ROUNDS_BETWEEN_RELAX) - 1;
+  }
+
+  return Math.max(fewest, Math.min(most, wanted));
+}
+
+/**
+ * Split the rounds into runs shaped by the pacing style
+ *
+ * Every run starts at its minimum and the rest of the rounds go out one at a time to whichever run is furthest below its share, never past the maximum. Ties go to the later run, so leftover rounds land toward the end of the match where the energy is highest.
+ */
+function distributeRounds(roundCount, runCount, pacing, rules) {
+  const weights = Array.from({ length: runCount }, (_, index) => {
+    switch (pacing) {
+      case PacingStyle.BURST: return index % 2 === 0 ? 2 : 1;
+      case PacingStyle.WAVES: return 1 + Math.min(index, runCount - 1 - index);
+      default: return 1;
+    }
+  });
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const shares = weights.map(weight => roundCount * weight / totalWeight);
+
+  // Middle runs sit between two breaks; the first and last give way when the rounds run short
+  const runs = Array(runCount).fill(Math.min(rules.MIN_ROUNDS_BETWEEN_RELAX, roundCount));
+  let shortfall = runs.reduce((sum, run) => sum + run, 0) - roundCount;
+  for (let end = 0; shortfall > 0; end++) {
+    const index = end % 2 === 0 ? 0 : runCount - 1;
+    if (runs[index] > 1) {
+      runs[index]--;
+      shortfall--;
+    }
+  }
+
+  let remaining = roundCount - runs.reduce((sum, run) => sum + run, 0);
+  while (remaining > 0) {
+    let best = -1;
+    runs.forEach((run, index) => {
+      if (run >= rules.MAX_CONSECUTIVE_ROUNDS) return;
+      if (best === -1 || shares[index] - run >= shares[best] - runs[best]) best = index;
+    });
+    runs[best]++;
+    remaining--;
+  }
+
+  return runs;
+}
+
+/**
+ * Check a pattern against the match structure rules
+ *
+ * Every problem is reported, with the block it happens at (counting the opening ceremony as block 1), so a pattern designer can go straight to the spot.
+ *
+ * @param {Object} pattern - Pattern with a sequence of block types
+ * @param {Object} options - { roundCount: rounds the match needs, rules }
+ * @returns {string[]} Problems found (empty when the pattern is valid)
+ */
+export function validatePattern(pattern, { roundCount = null, rules = PATTERN_RULES } = {}) {
+  const sequence = pattern?.sequence;
+  if (!Array.isArray(sequence) || sequence.length === 0) {
+    return ['Pattern needs a sequence of blocks'];
+  }
+
+  const errors = [];
+  const blockTypes = Object.values(BlockType);
+  const last = sequence.length - 1;
+
+  sequence.forEach((block, index) => {
+    if (!blockTypes.includes(block)) {
+      errors.push(`Block ${index + 1} is "${block}" - blocks must be ${blockTypes.join(', ')}`);
+    } else if (block === BlockType.CEREMONY && index > 0 && index < last) {
+      errors.push(`Block ${index + 1} is a ceremony in the middle of the match - ceremonies only open and close it`);
+    }
+  });
+
+  if (rules.ALWAYS_START_WITH_OPENING && sequence[0] !== BlockType.CEREMONY) {
+    errors.push(`Pattern must start with the opening ceremony, not "${sequence[0]}"`);
+  }
+
+  if (rules.ALWAYS_END_WITH_CLOSING && sequence[last] !== BlockType.CEREMONY) {
+    errors.push(`Pattern must end with the closing ceremony, not "${sequence[last]}"`);
+  }
+
+  if (rules.NEVER_END_ON_RELAX && sequence[last] === BlockType.CEREMONY && sequence[last - 1] === BlockType.RELAX) {
+    errors.push(`Block ${last} is a relax right before the closing ceremony - matches never end on a break`);
+  }
+
+  // A null past the end closes a run the closing ceremony should have
+  let runStart = null;
+  let previousRelax = null;
+  [...sequence, null].forEach((block, index) => {
+    if (block === BlockType.ROUND) {
+      if (runStart === null) runStart = index;
+      return;
+    }
+
+    if (runStart !== null && index - runStart > rules.MAX_CONSECUTIVE_ROUNDS) {
+      errors.push(`Blocks ${runStart + 1}-${index} are ${index - runStart} rounds in a row (max ${rules.MAX_CONSECUTIVE_ROUNDS} without a relax)`);
+    }
+
+    if (block === BlockType.RELAX) {
+      const between = runStart === null ? 0 : index - runStart;
+      if (previousRelax !== null && between < rules.MIN_ROUNDS_BETWEEN_RELAX) {
+        errors.push(`Only ${between} round${between === 1 ? '' : 's'} between the relax blocks at blocks ${previousRelax + 1} and ${index + 1} (min ${rules.MIN_ROUNDS_BETWEEN_RELAX})`);
+      }
+      previousRelax = index;
+    }
+
+    runStart = null;
+  });
+
+  const rounds = sequence.filter(block => block === BlockType.ROUND).length;
+  if (roundCount !== null && rounds !== roundCount) {
+    errors.push(`Pattern has ${rounds} rounds but the match needs ${roundCount}`);
+  } else if (rounds === 0) {
+    errors.push('Pattern has no rounds');
+  }
+
+  return errors;
+}
@@ -3,6 +3,8 @@
  * 
  * The randomSelection module provides a comprehensive toolkit for all randomization needs in Simon Says. While the weightCalculations module handles probability-weighted selection, this module covers everything else: shuffling arrays, selecting random items, generating IDs, and more exotic needs like reservoir sampling. These utilities ensure that randomness throughout the game is implemented correctly and consistently. Poor randomization can ruin games - imagine a shuffle that slightly favors certain positions or a random selection that has subtle biases. These functions implement proven algorithms that guarantee true randomness.
  * 
+ * Every function takes an optional last argument, random - any function returning numbers in [0, 1). It defaults to Math.random; pass a seeded source's next (see systems/RandomSource) and the same seed gives the same shuffle, pick or roll every time, which is what lets a reported match be replayed exactly.
+ * 
  * The module follows functional programming principles - every function is pure, returning new values without modifying inputs. This makes the code predictable and testable. The shuffle function returns a new array rather than modifying the original. Random selections don't alter the source array. This immutability prevents subtle bugs where one part of the system unexpectedly modifies data another part is using. Combined with comprehensive edge case handling (empty arrays, invalid ranges), these utilities provide a rock-solid foundation for all random operations in the game.
  */
 
@@ -13,11 +15,11 @@
  * 
  * The implementation creates a new array rather than modifying the input, following functional programming principles. The backwards iteration isn't just stylistic - it ensures we're always selecting from the unshuffled portion, maintaining the algorithm's mathematical properties. The destructuring assignment for swapping ([a, b] = [b, a]) is both elegant and efficient in modern JavaScript. This shuffle is used throughout Simon Says whenever random ordering is needed - from randomizing player order to shuffling activity options.
  */
-export function shuffle(array) {
+export function shuffle(array, random = Math.random) {
   const shuffled = [...array];
   
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   
@@ -27,11 +29,12 @@ export function shuffle(array) {
 /**
  * Select random item from array
  * @param {Array} array - Array to select from
+ * @param {Function} random - Source of numbers in [0, 1)
  * @returns {any} Random item
  */
-export function randomChoice(array) {
+export function randomChoice(array, random = Math.random) {
   if (!array || array.length === 0) return null;
-  return array[Math.floor(Math.random() * array.length)];
+  return array[Math.floor(random() * array.length)];
 }
 
 /**
@@ -41,11 +44,11 @@ export function randomChoice(array) {
  * 
  * The edge case handling is thoughtful. Empty arrays return empty results rather than errors. Requesting more items than available returns all items - a graceful degradation that keeps the game running. The spread operator ensures the original array isn't returned directly when count exceeds length, maintaining the immutability contract. This function forms the basis for many multi-selection scenarios in the game, from team formation to activity rotation.
  */
-export function randomChoiceMultiple(array, count) {
+export function randomChoiceMultiple(array, count, random = Math.random) {
   if (!array || array.length === 0) return [];
   if (count >= array.length) return [...array];
   
-  const shuffled = shuffle(array);
+  const shuffled = shuffle(array, random);
   return shuffled.slice(0, count);
 }
 
@@ -53,60 +56,66 @@ export function randomChoiceMultiple(array, count) {
  * Generate random integer between min and max (inclusive)
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {Function} random - Source of numbers in [0, 1)
  * @returns {number} Random integer
  */
-export function randomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+export function randomInt(min, max, random = Math.random) {
+  return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
  * Generate random float between min and max
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {Function} random - Source of numbers in [0, 1)
  * @returns {number} Random float
  */
-export function randomFloat(min, max) {
-  return Math.random() * (max - min) + min;
+export function randomFloat(min, max, random = Math.random) {
+  return random() * (max - min) + min;
 }
 
 /**
  * Random boolean with optional probability
  * @param {number} probability - Probability of true (0-1)
+ * @param {Function} random - Source of numbers in [0, 1)
  * @returns {boolean} Random boolean
  */
-export function randomBool(probability = 0.5) {
-  return Math.random() < probability;
+export function randomBool(probability = 0.5, random = Math.random) {
+  return random() < probability;
 }
 
 /**
  * Select random key from object
  * @param {Object} obj - Object to select from
+ * @param {Function} random - Source of numbers in [0, 1)
  * @returns {string} Random key
  */
-export function randomKey(obj) {
+export function randomKey(obj, random = Math.random) {
   const keys = Object.keys(obj);
-  return randomChoice(keys);
+  return randomChoice(keys, random);
 }
 
 /**
  * Select random value from object
  * @param {Object} obj - Object to select from
+ * @param {Function} random - Source of numbers in [0, 1)
  * @returns {any} Random value
  */
-export function randomValue(obj) {
-  const key = randomKey(obj);
+export function randomValue(obj, random = Math.random) {
+  const key = randomKey(obj, random);
   return key ? obj[key] : null;
 }
 
 /**
  * Generate random ID
  * @param {string} prefix - Optional prefix
+ * @param {Function} random - Source of numbers in [0, 1)
  * @returns {string} Random ID
  */
-export function randomId(prefix = '') {
+export function randomId(prefix = '', random = Math.random) {
   const timestamp = Date.now().toString(36);
-  const random = Math.random().toString(36).substr(2, 9);
-  return prefix ? `${prefix}_${timestamp}_${random}` : `${timestamp}_${random}`;
+  const suffix = random().toString(36).substr(2, 9);
+  return prefix ? `${prefix}_${timestamp}_${suffix}` : `${timestamp}_${suffix}`;
 }
 
 /**
@@ -116,7 +125,7 @@ export function randomId(prefix = '') {
  * 
  * While Simon Says doesn't typically process streaming data, this algorithm is included for completeness and potential future features. Imagine selecting highlight moments from a match as it progresses, or maintaining a "best plays" collection that updates in real-time. The mathematical elegance of reservoir sampling - maintaining perfect randomness without knowing the total count in advance - makes it a beautiful algorithm worth including in any randomization toolkit.
  */
-export function reservoirSample(items, k) {
+export function reservoirSample(items, k, random = Math.random) {
   const reservoir = [];
   let n = 0;
   
@@ -124,7 +133,7 @@ export function reservoirSample(items, k) {
     if (n < k) {
       reservoir.push(item);
     } else {
-      const j = randomInt(0, n);
+      const j = randomInt(0, n, random);
       if (j < k) {
         reservoir[j] = item;
       }
@@ -138,25 +147,27 @@ export function reservoirSample(items, k) {
 /**
  * Generate random permutation of range
  * @param {number} n - Size of range (0 to n-1)
+ * @param {Function} random - Source of numbers in [0, 1)
  * @returns {Array} Random permutation
  */
-export function randomPermutation(n) {
+export function randomPermutation(n, random = Math.random) {
   const perm = Array.from({ length: n }, (_, i) => i);
-  return shuffle(perm);
+  return shuffle(perm, random);
 }
 
 /**
  * Select with replacement
  * @param {Array} array - Array to select from
  * @param {number} count - Number to select
+ * @param {Function} random - Source of numbers in [0, 1)
  * @returns {Array} Selected items (may contain duplicates)
  */
-export function randomChoiceWithReplacement(array, count) {
+export function randomChoiceWithReplacement(array, count, random = Math.random) {
   if (!array || array.length === 0) return [];
   
   const selected = [];
   for (let i = 0; i < count; i++) {
-    selected.push(randomChoice(array));
+    selected.push(randomChoice(array, random));
   }
   
   return selected;
@@ -165,10 +176,11 @@ export function randomChoiceWithReplacement(array, count) {
 /**
  * Biased coin flip (weighted random boolean)
  * @param {number} weight - Weight for true (0-100)
+ * @param {Function} random - Source of numbers in [0, 1)
  * @returns {boolean} Weighted random boolean
  */
-export function biasedCoinFlip(weight) {
-  return randomInt(1, 100) <= weight;
+export function biasedCoinFlip(weight, random = Math.random) {
+  return randomInt(1, 100, random) <= weight;
 }
 
 /**
@@ -184,13 +196,13 @@ export function selectRarity(tiers = {
   rare: 15,
   epic: 4,
   legendary: 1
-}) {
+}, random = Math.random) {
   const total = Object.values(tiers).reduce((sum, weight) => sum + weight, 0);
-  let random = randomFloat(0, total);
+  let roll = randomFloat(0, total, random);
   
   for (const [tier, weight] of Object.entries(tiers)) {
-    random -= weight;
-    if (random <= 0) {
+    roll -= weight;
+    if (roll <= 0) {
       return tier;
     }
   }
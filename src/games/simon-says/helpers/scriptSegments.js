@@ -0,0 +1,258 @@
+/**
+ * Script segment helpers for Simon Says
+ *
+ * Scripts embed timing and delivery as bracketed tokens -
+ * "Ready... [small] Set... [small] [shout]GO![/shout] [sfx:whistle]" - and Simon
+ * speaks the text between pauses and sound effects as separate lines. The
+ * PerformanceSystem splits scripts this way when it performs them, and the TTS
+ * phrase extractor splits templates the same way to know exactly which strings
+ * will reach the voice.
+ *
+ * Markup:
+ * - [micro] … [xlarge]           Pauses (any other bare word is a medium pause)
+ * - [sfx:name]                   Sound effect cue
+ * - [emphasis]…[/emphasis]       Stress the words
+ * - [whisper]…[/whisper]         Quiet, slow and low
+ * - [shout]…[/shout]             Loud, quick and high
+ * - [rate:1.2]…[/rate]           Speed multiplier
+ * - [pitch:0.8]…[/pitch]         Pitch multiplier
+ *
+ * Style tags can span pauses and nest; an unclosed tag runs to the end of the line.
+ */
+
+import { SPEECH_STYLES } from '../state/constants';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const TOKEN_PATTERN = /\[(\/?)(\w+)(?::([^\]\s]*))?\]/g;
+const STYLE_TAGS = ['emphasis', 'whisper', 'shout', 'rate', 'pitch'];
+const VALUE_TAGS = ['rate', 'pitch'];
+
+// ============================================
+// SEGMENT SPLITTING
+// ============================================
+
+/**
+ * Split a script into speech, pause and sound effect segments
+ *
+ * Speech segments carry their text with the markup stripped, plus the parts it's made of - runs of text that share one style. An unstyled line is a single part with an empty style.
+ *
+ * @param {string} text - Script text with tokens already replaced
+ * @returns {Array} In order:
+ *   { type: 'speech', text, parts: [{ text, style }] }
+ *   { type: 'pause', duration }
+ *   { type: 'sfx', name }
+ */
+export function splitScriptSegments(text) {
+  const segments = [];
+  const openTags = [];
+  let parts = [];
+  let lastIndex = 0;
+  let match;
+
+  const addText = (chunk) => {
+    if (!chunk) return;
+    const style = resolveStyle(openTags);
+    const last = parts[parts.length - 1];
+    if (last && sameStyle(last.style, style)) {
+      last.text += chunk;
+    } else {
+      parts.push({ text: chunk, style });
+    }
+  };
+
+  const endSpeech = () => {
+    const speech = toSpeechSegment(parts);
+    if (speech) segments.push(speech);
+    parts = [];
+  };
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+    const [, closing, name, value] = match;
+    addText(text.substring(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    if (STYLE_TAGS.includes(name)) {
+      if (closing) {
+        const index = openTags.map(tag => tag.name).lastIndexOf(name);
+        if (index !== -1) openTags.splice(index, 1);
+      } else {
+        openTags.push({ name, value });
+      }
+    } else if (closing) {
+      // Closing tag for something that isn't a style - nothing to do
+      continue;
+    } else if (name === 'sfx') {
+      endSpeech();
+      if (value) segments.push({ type: 'sfx', name: value });
+    } else {
+      endSpeech();
+      segments.push({ type: 'pause', duration: name });
+    }
+  }
+
+  // Add remaining speech
+  addText(text.substring(lastIndex));
+  endSpeech();
+
+  return segments;
+}
+
+/**
+ * The strings that will actually be spoken for a script, in order
+ *
+ * These are what a voice without SSML receives: each differently styled part of a segment is its own line. Empty segments are skipped when performing, so they're dropped here too.
+ */
+export function getSpokenSegments(text) {
+  return splitScriptSegments(text)
+    .filter(segment => segment.type === 'speech')
+    .flatMap(segment => getSpeechRuns(segment).map(run => run.text));
+}
+
+/**
+ * A script as plain text for display, with pauses, cues and style tags removed
+ */
+export function toDisplayText(text) {
+  return splitScriptSegments(text)
+    .filter(segment => segment.type === 'speech')
+    .map(segment => segment.text)
+    .join(' ');
+}
+
+/**
+ * A speech segment as lines for a voice without SSML
+ * @returns {Array} [{ text, style }] with surrounding whitespace trimmed and empty parts dropped
+ */
+export function getSpeechRuns(segment) {
+  return segment.parts
+    .map(part => ({ text: part.text.trim(), style: part.style }))
+    .filter(part => part.text);
+}
+
+/**
+ * Whether any part of a speech segment is styled
+ */
+export function isStyledSpeech(segment) {
+  return segment.parts.some(part => Object.keys(part.style).length > 0);
+}
+
+// ============================================
+// DELIVERY
+// ============================================
+
+/**
+ * Rate, pitch and volume multipliers for a style
+ * @param {Object} style - A part's style ({ emphasis, whisper, shout, rate, pitch })
+ * @returns {Object} { rate, pitch, volume } - all 1 for an unstyled part
+ */
+export function getSpeechProsody(style = {}) {
+  const prosody = { rate: 1, pitch: 1, volume: 1 };
+
+  ['emphasis', 'whisper', 'shout'].forEach(name => {
+    if (!style[name]) return;
+    const preset = SPEECH_STYLES[name.toUpperCase()];
+    prosody.rate *= preset.rate;
+    prosody.pitch *= preset.pitch;
+    prosody.volume = Math.min(prosody.volume, preset.volume);
+  });
+
+  if (style.rate) prosody.rate *= style.rate;
+  if (style.pitch) prosody.pitch *= style.pitch;
+
+  return prosody;
+}
+
+/**
+ * Render a speech segment as SSML
+ *
+ * Emphasis becomes <emphasis>; whisper, shout and explicit rate and pitch become a single <prosody> per part, with volume named the way every SSML engine understands (x-soft for a whisper, x-loud for a shout) and rate and pitch as percentages.
+ *
+ * @returns {string} A complete <speak> document
+ */
+export function toSSML(segment) {
+  const body = segment.parts.map(part => {
+    let markup = escapeXml(part.text);
+    const { style } = part;
+    if (!Object.keys(style).length) return markup;
+
+    const { rate, pitch } = getSpeechProsody({ ...style, emphasis: false });
+    const attributes = [];
+    if (style.whisper) attributes.push('volume="x-soft"');
+    if (style.shout) attributes.push('volume="x-loud"');
+    if (rate !== 1) attributes.push(`rate="${Math.round(rate * 100)}%"`);
+    if (pitch !== 1) attributes.push(`pitch="${formatPercentChange(pitch)}"`);
+
+    if (attributes.length) markup = `<prosody ${attributes.join(' ')}>${markup}</prosody>`;
+    if (style.emphasis) markup = `<emphasis level="strong">${markup}</emphasis>`;
+    return markup;
+  }).join('');
+
+  return `<speak>${body.trim()}</speak>`;
+}
+
+// ============================================
+// INTERNALS
+// ============================================
+
+/**
+ * Combined style of every open tag (nested rates and pitches multiply)
+ */
+function resolveStyle(openTags) {
+  const style = {};
+
+  STYLE_TAGS.forEach(name => {
+    openTags.filter(tag => tag.name === name).forEach(tag => {
+      if (!VALUE_TAGS.includes(name)) {
+        style[name] = true;
+        return;
+      }
+
+      const value = parseFloat(tag.value);
+      if (Number.isFinite(value) && value > 0) {
+        style[name] = (style[name] || 1) * value;
+      }
+    });
+  });
+
+  return style;
+}
+
+function sameStyle(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Speech segment from its parts, trimmed at the edges (null if there's nothing to say)
+ */
+function toSpeechSegment(parts) {
+  if (!parts.length) return null;
+
+  const trimmed = parts.map(part => ({ ...part }));
+  trimmed[0].text = trimmed[0].text.trimStart();
+  trimmed[trimmed.length - 1].text = trimmed[trimmed.length - 1].text.trimEnd();
+
+  const text = trimmed.map(part => part.text).join('');
+  if (!text.trim()) return null;
+
+  return {
+    type: 'speech',
+    text,
+    parts: trimmed.filter(part => part.text)
+  };
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatPercentChange(multiplier) {
+  const change = Math.round((multiplier - 1) * 100);
+  return `${change >= 0 ? '+' : ''}${change}%`;
+}
@@ -0,0 +1,62 @@
+/**
+ * Speech timing helpers for Simon Says
+ *
+ * A round's duration is the time players spend playing - from Simon's "GO!" to the moment he calls time - and Simon talks during it. If the encouragements are simply spoken with a fixed gap between them, every second of speech pushes the ending later, and a 90-second duel with three chatty encouragements runs well past two minutes. Scheduling the play window properly means knowing how long each line will take before it's spoken. Lines that have been generated have real audio with a real length; everything else is estimated from its word count.
+ *
+ * The planner then spreads the lines across the window so the silences between them are even, and the last one finishes with the same silence left before the ending. When the lines won't fit with a sensible gap between them, the last ones are dropped rather than letting the round run long - the ending is the one line that has to land on time.
+ */
+
+import { SPEECH_TIMING } from '../state/constants';
+
+/**
+ * Estimated speaking time for a stretch of plain text
+ * @param {string} text - Words to be spoken (no markup)
+ * @param {number} rate - Speaking rate multiplier
+ * @returns {number} Milliseconds
+ */
+export function estimateSpeechDuration(text, rate = 1) {
+  const words = String(text || '').split(/\s+/).filter(Boolean).length;
+  if (words === 0) return 0;
+
+  const milliseconds = (words / SPEECH_TIMING.WORDS_PER_SECOND) * 1000 / (rate || 1);
+  return Math.round(Math.max(SPEECH_TIMING.MIN_LINE_MS, milliseconds));
+}
+
+/**
+ * Place lines across a play window
+ *
+ * Each line gets a start time measured from the start of the window. The silent gaps before, between and after the lines are equal, so the last line ends a gap before the window closes. Lines are dropped from the end until every gap is at least minGapMs.
+ *
+ * @param {number} windowMs - Length of the play window
+ * @param {number[]} lineDurations - Speaking time of each line, in order
+ * @param {Object} options - { minGapMs: shortest silence allowed around a line }
+ * @returns {Object} { slots: [{ index, at }], dropped: number[], gapMs }
+ */
+export function planPlayWindow(windowMs, lineDurations, { minGapMs = 0 } = {}) {
+  let count = lineDurations.length;
+
+  while (count > 0) {
+    const speech = lineDurations.slice(0, count).reduce((sum, duration) => sum + duration, 0);
+    const gapMs = (windowMs - speech) / (count + 1);
+
+    if (gapMs >= minGapMs) {
+      let cursor = 0;
+      const slots = lineDurations.slice(0, count).map((duration, index) => {
+        cursor += gapMs;
+        const slot = { index, at: Math.round(cursor) };
+        cursor += duration;
+        return slot;
+      });
+
+      return { slots, dropped: range(count, lineDurations.length), gapMs: Math.round(gapMs) };
+    }
+
+    count--;
+  }
+
+  return { slots: [], dropped: range(0, lineDurations.length), gapMs: Math.max(0, Math.round(windowMs)) };
+}
+
+function range(from, to) {
+  return Array.from({ length: Math.max(0, to - from) }, (_, i) => from + i);
+}
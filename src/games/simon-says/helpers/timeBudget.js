@@ -0,0 +1,101 @@
+/**
+ * Time budget helpers for Simon Says
+ *
+ * Hosts usually know how long they have - "we've got the gym for 25 minutes" - rather than how many rounds they want. A time-boxed match picks its pattern from the clock, but no estimate survives a real room: rounds run long while everyone finds their spot, the host extends the good ones, a break turns into a water run. So the plan is checked again before every block against the time actually left, and the rest of the match is trimmed to fit.
+ *
+ * Trimming goes gentlest first. Upcoming relax blocks are dropped, the next one first, as long as that doesn't leave a longer stretch of rounds than PATTERN_RULES allows. If that isn't enough, the rounds still to come are shortened to the overtime length. And when there isn't even time for one more shortened round before the closing ceremony, the match goes straight to the closing - the one block that always gets played, so the match ends on time and on a high.
+ */
+
+import { PATTERN_RULES } from '../state/constants';
+import { BlockType } from '../state/types';
+
+/**
+ * Decide how the rest of a match keeps to its time budget
+ *
+ * @param {Object} options
+ * @param {string[]} options.sequence - The match's pattern
+ * @param {number} options.nextIndex - Pattern index of the block about to start
+ * @param {number} options.remainingSeconds - Time left in the budget
+ * @param {Object} options.blockSeconds - Expected length of each block type, in seconds
+ * @param {number} options.overtimeMultiplier - How much shorter overtime rounds are
+ * @param {Object} options.rules - Pattern rules (PATTERN_RULES by default)
+ * @returns {Object} { drop: pattern indexes to remove, overtime: whether rounds should be shortened, skipToClosing, estimatedSeconds: expected length of what's left }
+ */
+export function planTimeBudget({
+  sequence,
+  nextIndex,
+  remainingSeconds,
+  blockSeconds,
+  overtimeMultiplier = 1,
+  rules = PATTERN_RULES
+}) {
+  const last = sequence.length - 1;
+  const kept = new Set();
+  for (let index = nextIndex; index <= last; index++) kept.add(index);
+
+  const cost = (overtime) => Array.from(kept).reduce((sum, index) => {
+    const block = sequence[index];
+    return sum + blockSeconds[block] * (overtime && block === BlockType.ROUND ? overtimeMultiplier : 1);
+  }, 0);
+  const plan = (drop, overtime, skipToClosing = false) => ({
+    drop,
+    overtime,
+    skipToClosing,
+    estimatedSeconds: Math.round(cost(overtime))
+  });
+
+  // Nothing left to trim once the closing is up
+  if (nextIndex >= last || cost(false) <= remainingSeconds) {
+    return plan([], false);
+  }
+
+  // Breaks go first, the nearest one first
+  const drop = [];
+  for (let index = nextIndex; index < last && cost(false) > remainingSeconds; index++) {
+    if (sequence[index] !== BlockType.RELAX) continue;
+
+    kept.delete(index);
+    if (longestRun(sequence, kept, nextIndex) > rules.MAX_CONSECUTIVE_ROUNDS) {
+      kept.add(index);
+    } else {
+      drop.push(index);
+    }
+  }
+
+  if (cost(false) <= remainingSeconds) {
+    return plan(drop, false);
+  }
+
+  // Then the rounds get shorter, unless there's no time for even one more
+  const nextKept = Math.min(...Array.from(kept));
+  const closingSeconds = blockSeconds[BlockType.CEREMONY];
+  const nextSeconds = blockSeconds[sequence[nextKept]] *
+    (sequence[nextKept] === BlockType.ROUND ? overtimeMultiplier : 1);
+
+  if (nextKept < last && remainingSeconds < nextSeconds + closingSeconds) {
+    const everything = [];
+    for (let index = nextIndex; index < last; index++) everything.push(index);
+    kept.clear();
+    kept.add(last);
+    return plan(everything, true, true);
+  }
+
+  return plan(drop, true);
+}
+
+/**
+ * Longest stretch of rounds without a break, counting blocks already played
+ */
+function longestRun(sequence, kept, nextIndex) {
+  let longest = 0;
+  let run = 0;
+
+  sequence.forEach((block, index) => {
+    if (index >= nextIndex && !kept.has(index)) return;
+
+    run = block === BlockType.ROUND ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  });
+
+  return longest;
+}
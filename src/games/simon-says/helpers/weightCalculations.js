@@ -13,7 +13,7 @@
  * 
  * The implementation handles edge cases gracefully. Empty arrays return null rather than erroring. Single-item arrays skip randomization entirely. When all weights are zero (which might happen if variety enforcement has suppressed everything), it falls back to uniform random selection. This robustness ensures the game never crashes due to selection errors, maintaining smooth gameplay even in unusual circumstances. The algorithm's O(n) complexity is acceptable for Simon Says' small selection sets, though the binary search variant could be used for larger sets.
  */
-export function weightedRandom(items) {
+export function weightedRandom(items, random = Math.random) {
   if (!items || items.length === 0) return null;
   if (items.length === 1) return items[0];
   
@@ -22,15 +22,15 @@ export function weightedRandom(items) {
   
   if (totalWeight === 0) {
     // Equal selection if all weights are 0
-    return items[Math.floor(Math.random() * items.length)];
+    return items[Math.floor(random() * items.length)];
   }
   
   // Random selection
-  let random = Math.random() * totalWeight;
+  let roll = random() * totalWeight;
   
   for (const item of items) {
-    random -= item.weight || 0;
-    if (random <= 0) {
+    roll -= item.weight || 0;
+    if (roll <= 0) {
       return item;
     }
   }
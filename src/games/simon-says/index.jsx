@@ -2,28 +2,164 @@
  * index.jsx - Simon Says game main component
  * 
  * Handles both title screen and gameplay modes.
- * The title screen shows when browsing in the carousel,
- * and gameplay starts when the user presses START GAME.
+ * The title screen shows when browsing in the carousel; START GAME
+ * opens player setup, which starts a new match or resumes a saved one,
+ * and the match then runs with host controls and a live scoreboard.
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import GameTitleScreen from '../../common/components/GameTitleScreen';
+import PlayerSetup from './components/PlayerSetup';
+import HostControls from './components/HostControls';
+import SimonSaysDebugPage from './debug/DebugPage';
+import { eventBus, Events, performanceSystem, checkpointStore, audioMixer } from './systems';
+import { DEFAULT_DEVELOPER_CONFIG } from './systems/ConfigLoader';
+import { playerRegistry } from './state';
+import matchOrchestrator from './mechanics/MatchOrchestrator';
+import contentPackRegistry from './mechanics/ContentPackRegistry';
+import personalityRegistry from './mechanics/PersonalityRegistry';
+import { BUILT_IN_PACKS } from './packs';
+import { BUILT_IN_PERSONALITIES, DEFAULT_PERSONALITY_ID } from './personalities';
+import { BUILT_IN_LOCALES } from './locales';
+import gameFlowChart from './game-flow.mermaid.md?raw';
 import styles from './SimonSays.module.css';
 
 function SimonSaysGame({ mode = 'title', isActive, onExit, analyser }) {
-  const [gameState, setGameState] = useState('waiting'); // waiting, playing, ended
+  const [gameState, setGameState] = useState('waiting'); // waiting, setup, debug, playing, ended
   const [currentCommand, setCurrentCommand] = useState('');
-  const [score, setScore] = useState(0);
+  const [standings, setStandings] = useState(null);
+  const [resumeInfo, setResumeInfo] = useState(null);
+  const unsubscribers = useRef([]);
 
-  // Start the game when mode changes to 'playing'
+  // Show player setup when mode changes to 'playing'
   useEffect(() => {
     if (mode === 'playing' && gameState === 'waiting') {
-      setGameState('playing');
-      // Initialize game logic here
+      setGameState('setup');
     }
   }, [mode, gameState]);
 
+  // Look for an interrupted match whenever setup is shown
+  useEffect(() => {
+    if (gameState === 'setup') {
+      setResumeInfo(checkpointStore.getSummary());
+    }
+  }, [gameState]);
+
+  // Stop listening (and stop any running match) when leaving the game
+  useEffect(() => {
+    return () => {
+      unsubscribers.current.forEach(unsub => unsub());
+      unsubscribers.current = [];
+      matchOrchestrator.endMatch('user_ended');
+      performanceSystem.interrupt();
+      audioMixer.stop();
+    };
+  }, []);
+
+  // Follow the match so the screen reflects what Simon is doing
+  const listenToMatch = () => {
+    unsubscribers.current.forEach(unsub => unsub());
+    unsubscribers.current = [
+      eventBus.on(Events.SCRIPT_STARTED, ({ text }) => setCurrentCommand(text)),
+      eventBus.on(Events.SCORES_UPDATED, ({ standings }) => setStandings(standings)),
+      eventBus.on(Events.MATCH_COMPLETED, () => setGameState('ended')),
+      eventBus.on(Events.MATCH_ABANDONED, () => setGameState('ended'))
+    ];
+
+    setCurrentCommand('');
+    setStandings(null);
+    setGameState('playing');
+  };
+
+  // Turn on the content packs picked for this match, and only those
+  const activatePacks = (packIds = []) => {
+    contentPackRegistry.setActivePacks(BUILT_IN_PACKS.filter(pack => packIds.includes(pack.id)));
+  };
+
+  // Host with the personality picked for this match (the default one if it's unknown)
+  const activatePersonality = (personalityId) => {
+    BUILT_IN_PERSONALITIES
+      .filter(personality => !personalityRegistry.isRegistered(personality.id))
+      .forEach(personality => personalityRegistry.register(personality));
+
+    personalityRegistry.activate(
+      personalityRegistry.isRegistered(personalityId) ? personalityId : DEFAULT_PERSONALITY_ID
+    );
+  };
+
+  // Register the roster and start the match
+  const handlePlay = async ({ players, teamNames, roundCount, timeBudget, packs = [], personality, locale }) => {
+    // Audio can only be unlocked from the tap that got us here
+    audioMixer.start();
+
+    if (!matchOrchestrator.initialized) {
+      await matchOrchestrator.initialize({ flowChart: gameFlowChart });
+    }
+
+    // Starting fresh replaces any interrupted match
+    checkpointStore.clear();
+
+    // Fresh roster every match - setup screen is the source of truth
+    playerRegistry.reset();
+    players.forEach(player => playerRegistry.addPlayer(player.name, player.team));
+
+    activatePacks(packs);
+    activatePersonality(personality);
+    listenToMatch();
+
+    // The orchestrator keeps running blocks until the match ends
+    // A match is sized by rounds or, time-boxed, by minutes
+    const matchSize = timeBudget ? { timeBudget } : { roundCount, matchLength: roundCount };
+
+    matchOrchestrator.startMatch({
+      ...matchSize,
+      contentPacks: packs,
+      personality,
+      locale,
+      teamConfig: {
+        teamCount: teamNames.length,
+        teamSelection: 'manual',
+        teamNames
+      }
+    }).catch(error => {
+      console.error('[SimonSays] Failed to start match:', error);
+      setCurrentCommand(`Error: ${error.message}`);
+    });
+  };
+
+  // Pick an interrupted match back up from its last checkpoint
+  const handleResume = async () => {
+    audioMixer.start();
+
+    if (!matchOrchestrator.initialized) {
+      await matchOrchestrator.initialize({ flowChart: gameFlowChart });
+    }
+
+    // The resumed match plays with the packs and host it started with
+    const checkpoint = checkpointStore.load();
+    activatePacks(checkpoint?.match?.match?.config?.contentPacks);
+    activatePersonality(checkpoint?.match?.match?.config?.personality);
+    listenToMatch();
+
+    matchOrchestrator.resumeFromCheckpoint(checkpoint).catch(error => {
+      console.error('[SimonSays] Failed to resume match:', error);
+      setCurrentCommand(`Error: ${error.message}`);
+    });
+  };
+
+  const handleDiscardResume = () => {
+    checkpointStore.clear();
+    setResumeInfo(null);
+  };
+
+  const handleExit = () => {
+    matchOrchestrator.endMatch('user_ended');
+    performanceSystem.interrupt();
+    audioMixer.stop();
+    onExit();
+  };
+
   // Title screen content
   const renderTitleScreen = () => (
     <GameTitleScreen
@@ -36,6 +172,21 @@ function SimonSaysGame({ mode = 'title', isActive, onExit, analyser }) {
     />
   );
 
+  // Player setup content
+  const renderSetupScreen = () => (
+    <PlayerSetup
+      onPlay={handlePlay}
+      onBack={onExit}
+      availablePacks={BUILT_IN_PACKS}
+      availablePersonalities={BUILT_IN_PERSONALITIES}
+      availableLocales={DEFAULT_DEVELOPER_CONFIG.features.multiLanguageAudio ? BUILT_IN_LOCALES : []}
+      resumeInfo={resumeInfo}
+      onResume={handleResume}
+      onDiscardResume={handleDiscardResume}
+      onOpenDebug={() => setGameState('debug')}
+    />
+  );
+
   // Game screen content
   const renderGameScreen = () => (
     <motion.div
@@ -46,7 +197,7 @@ function SimonSaysGame({ mode = 'title', isActive, onExit, analyser }) {
     >
       <div className={styles.gameHeader}>
         <h2>Simon Says</h2>
-        <div className={styles.score}>Score: {score}</div>
+        <div className={styles.score}>Score: {formatStandings(standings)}</div>
       </div>
 
       <div className={styles.gameContent}>
@@ -57,20 +208,21 @@ function SimonSaysGame({ mode = 'title', isActive, onExit, analyser }) {
             </div>
             
             <p className={styles.instructions}>
-              Game implementation coming soon!
-              This is where commands would appear and teams would compete.
+              Listen to Simon!
             </p>
+
+            <HostControls />
           </>
         ) : (
           <div className={styles.gameOver}>
             <h2>Game Over!</h2>
-            <p>Final Score: {score}</p>
+            <p>Final Score: {formatStandings(standings)}</p>
           </div>
         )}
       </div>
 
       <button 
-        onClick={onExit}
+        onClick={handleExit}
         className={styles.exitButton}
       >
         Exit to Menu
@@ -84,6 +236,12 @@ function SimonSaysGame({ mode = 'title', isActive, onExit, analyser }) {
         <motion.div key="title" className={styles.container}>
           {renderTitleScreen()}
         </motion.div>
+      ) : gameState === 'debug' ? (
+        <SimonSaysDebugPage key="debug" onBack={() => setGameState('setup')} />
+      ) : gameState === 'setup' ? (
+        <motion.div key="setup" className={styles.container}>
+          {renderSetupScreen()}
+        </motion.div>
       ) : (
         <motion.div key="game" className={styles.container}>
           {renderGameScreen()}
@@ -93,4 +251,17 @@ function SimonSaysGame({ mode = 'title', isActive, onExit, analyser }) {
   );
 }
 
+/**
+ * One-line scoreboard: every team when there's more than one, otherwise the top players
+ */
+function formatStandings(standings) {
+  if (!standings?.rounds) return '-';
+
+  const entries = standings.teams.length >= 2
+    ? standings.teams.map(team => `${team.id} ${team.points}`)
+    : standings.players.slice(0, 3).map(player => `${player.name} ${player.points}`);
+
+  return entries.join(' · ');
+}
+
 export default SimonSaysGame;
\ No newline at end of file
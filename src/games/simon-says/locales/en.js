@@ -0,0 +1,12 @@
+/**
+ * English script bundle
+ *
+ * English is what every built-in template, content pack and personality is written in, so this bundle changes nothing - it's here so English is a locale like any other on the setup screen.
+ */
+
+export default {
+  locale: 'en-US',
+  name: 'English',
+
+  templates: {}
+};
@@ -0,0 +1,295 @@
+/**
+ * Spanish script bundle
+ *
+ * Simon in Spanish, for the events we run in Spain and Latin America. Lines are written to be shouted across a gym rather than translated word for word - "¡A jugar!" lands where "Let's play!" would. Anything not here, like a content pack's reveal, is spoken from the English templates.
+ */
+
+export default {
+  locale: 'es-ES',
+  name: 'Español',
+
+  templates: {
+    roundIntros: {
+      duel: [
+        "¡Atención todos, es hora de un DUELO!",
+        "¡Dos jugadores, un reto, vamos!",
+        "¡Es hora de un cara a cara!",
+        "¡Preparaos para un duelo épico!"
+      ],
+      team: [
+        "¡Equipos, reuníos! ¡Hora de la batalla!",
+        "¡Hora de trabajar en equipo!",
+        "¡Equipos, preparaos para competir!",
+        "¡Veamos qué equipo manda aquí!"
+      ],
+      freeForAll: [
+        "¡En esta juega TODO EL MUNDO!",
+        "¡Todos los jugadores, preparaos!",
+        "¡Cada uno por su cuenta!",
+        "¡Llega la locura del todos contra todos!"
+      ],
+      asymmetric: [
+        "¡Hora de algo especial!",
+        "Esta es un poco diferente...",
+        "¡Preparaos para un reto único!",
+        "¡Aquí viene un giro!"
+      ]
+    },
+
+    variantReveals: {
+      tag: "Esto va a ser... [medium] ¡PILLA PILLA!",
+      mirror: "Es la hora del... [medium] ¡ESPEJO!",
+      balance: "Vamos a poner a prueba... [medium] ¡VUESTRO EQUILIBRIO!",
+      speed: "¿Cómo de rápidos sois? [medium] ¡RETO DE VELOCIDAD!",
+      relay: "Es una... [medium] ¡CARRERA DE RELEVOS!",
+      capture: "Preparaos para... [medium] ¡ROBAR LA BANDERA!",
+      collective: "Todos juntos para... [medium] ¡EL RETO DE GRUPO!",
+      elimination: "El último que quede en... [medium] ¡ELIMINACIÓN!",
+      freeze: "¡Quietos! Es... [medium] ¡PILLA PILLA CONGELADO!",
+      infection: "¡Cuidado! [medium] ¡La INFECCIÓN se está extendiendo!",
+      protector: "Defended a vuestro equipo en... [medium] ¡PROTECTOR!",
+      hunter: "¡Empieza la caza! [medium] ¡Modo CAZADOR!"
+    },
+
+    subVariantReveals: {
+      backwards: "Pero esperad... [small] ¡tenéis que ir HACIA ATRÁS!",
+      crabWalk: "Ah, y... [small] ¡SOLO A LO CANGREJO!",
+      hop: "Giro de guion... [small] ¡solo podéis SALTAR!",
+      slowMotion: "Todo tiene que ser a... [small] [rate:0.7]¡CÁMARA LENTA![/rate]"
+    },
+
+    modifierReveals: {
+      blindfold: "Y {player1}... [large] ¡vas a llevar los OJOS VENDADOS!",
+      teamChant: "Mientras jugáis... [medium] ¡vuestro equipo tiene que COREAR vuestro nombre!",
+      animalNoises: "Todo el mundo tiene que hacer... [medium] ¡RUIDOS DE ANIMALES!",
+      sillyVoices: "Usad vuestra voz más TONTA... [medium] ¡todo el rato!",
+      countdown: "Tenéis exactamente... [medium] ¡30 SEGUNDOS!",
+      multipleIts: "Y esta vez... [medium] ¡la LLEVA MÁS DE UNO!",
+      freezeWhistle: "Cuando oigáis el silbato... [sfx:whistle] [medium] ¡QUIETOS!"
+    },
+
+    variantRules: {
+      tag: "¡{player1} tiene que pillar a {player2}!",
+      mirror: "¡{player2} tiene que copiar todo lo que haga {player1}!",
+      balance: "¡Aguantad la postura todo lo que podáis!",
+      speed: "¡Completad el reto lo más rápido posible!",
+      relay: "¡Pasadle el testigo a vuestros compañeros!",
+      capture: "¡Robadle la bandera al otro equipo!",
+      freeze: "Si os pillan, ¡quietos hasta que un compañero os salve!",
+      infection: "Si os pillan, ¡también quedáis infectados!"
+    },
+
+    subVariantRules: {
+      backwards: "Recordad, ¡solo hacia atrás!",
+      crabWalk: "¡Siempre en postura de cangrejo!",
+      hop: "¡Los dos pies tienen que despegar del suelo!",
+      slowMotion: "Todo a cámara lenta, ¡sin prisas!"
+    },
+
+    modifierRules: {
+      blindfold: "¡{team1} puede gritarle por dónde ir!",
+      teamChant: "Equipos, ¡no dejéis de corear!",
+      animalNoises: "¡Quiero oír esos ruidos de animales!",
+      sillyVoices: "Voz normal = ¡descalificados!",
+      countdown: "¡Tenéis exactamente 30 segundos!"
+    },
+
+    countdowns: {
+      standard: "Preparados... [small] Listos... [small] [shout]¡YA![/shout] [sfx:whistle]",
+      dramatic: "3 [micro] 2 [micro] 1 [micro] [shout]¡YA YA YA![/shout] [sfx:whistle]",
+      silly: "Preparados... [small] Listos... [small] ¡CROQUETAS!",
+      quick: "¡YA!"
+    },
+
+    duringPlay: {
+      general: [
+        "¡Seguid así!",
+        "¡Lo estáis haciendo genial!",
+        "¡Quedan 30 segundos!",
+        "¡Ya casi está!",
+        "¡No os rindáis!"
+      ],
+      intense: [
+        "¡MÁS RÁPIDO! ¡MÁS RÁPIDO!",
+        "¡Esto está INTENSO!",
+        "¡Daos caña!",
+        "¡Qué esfuerzo INCREÍBLE!"
+      ],
+      silly: [
+        "¡Esto es para partirse!",
+        "¡No puedo parar de reír!",
+        "¡Caos total!",
+        "¡Qué locura más bonita!"
+      ]
+    },
+
+    endings: {
+      standard: "¡SE ACABÓ EL TIEMPO! [medium] ¡Todos quietos!",
+      dramatic: "Y... [large] [shout]¡ALTO![/shout] [medium] [whisper]Que nadie se mueva.[/whisper]",
+      celebration: "¡INCREÍBLE! [medium] ¡Ha sido espectacular!"
+    },
+
+    outros: {
+      general: [
+        "¡Qué esfuerzo tan increíble de todos!",
+        "¡Ha sido absolutamente fantástico!",
+        "¡Un aplauso para vosotros!",
+        "¡Habéis jugado de maravilla!"
+      ],
+      duel: [
+        "¡Menuda batalla!",
+        "¡Los dos lo han dado todo!",
+        "¡Ha sido un duelo épico!"
+      ],
+      team: [
+        "¡Fantástico trabajo en equipo!",
+        "¡Los dos equipos han estado increíbles!",
+        "¡Así se trabaja juntos!"
+      ]
+    },
+
+    ceremony: {
+      opening: {
+        welcome: [
+          "¡BIENVENIDOS, BIENVENIDOS, BIENVENIDOS a Simón Dice!",
+          "¡Hola a todos! ¿Listos para DIVERTIROS?",
+          "¡Saludos, jugadores! ¡Es la hora de Simón Dice!"
+        ],
+        energyCheck: [
+          "Del uno al MUY ALTO, ¿cuántas ganas tenéis? [medium] ¡Quiero oíros!",
+          "Todos a sacudir los brazos... [small] y las piernas... [small] ¡y a SALTAR!",
+          "¿Está todo el mundo despierto? [medium] He dicho, ¿está todo el mundo DESPIERTO?"
+        ],
+        roster: [
+          "¡Hoy tenemos {playerCount|jugador|jugadores} en {teamCount|equipo|equipos}!",
+          "{playerCount|jugador|jugadores}, {teamCount|equipo|equipos} y un solo Simón. ¡Vamos!"
+        ],
+        explanation: [
+          "¡Vamos a jugar {totalRounds|ronda increíble|rondas increíbles}!",
+          "¡Preparaos para {duration|minuto|minutos} de pura diversión!",
+          "Funciona así: yo os digo a qué jugar, ¡y vosotros jugáis!"
+        ],
+        teamCalls: [
+          "{team}, ¡quiero oír vuestro grito de guerra!",
+          "{team}, ¡haced RUIDO!",
+          "{team}, ¡enseñadnos vuestra pose de equipo!"
+        ],
+        teamBuilding: [
+          "Cada equipo, ¡inventad un cántico en diez segundos!",
+          "Equipos, ¡enseñadme vuestro baile de la victoria!",
+          "Cada equipo, ¡inventad vuestro saludo secreto!"
+        ]
+      },
+      closing: {
+        celebration: [
+          "¡HA SIDO INCREÍBLE! ¡Todos a saltar y a gritar!",
+          "¡Habéis sido unos jugadores INCREÍBLES!",
+          "¡Qué partida tan fantástica!"
+        ],
+        catchBreath: [
+          "Ahora coged aire conmigo... [large] y soltadlo.",
+          "Sacudíos un poco... [medium] y respirad."
+        ],
+        highlights: {
+          mostSelected: [
+            "{mostSelected}, ¡Simón te ha elegido {mostSelectedCount|vez|veces}!",
+            "El jugador más elegido de hoy: ¡{mostSelected}, con {mostSelectedCount|ronda|rondas}!"
+          ],
+          longestRound: [
+            "La ronda {longestRound} fue un maratón: ¡unos {longestRoundMinutes|minuto|minutos}!",
+            "¿Quién se acuerda de la ronda {longestRound}? ¡No se acababa nunca!"
+          ],
+          duels: [
+            "¡Hoy hemos tenido {duelCount|duelo|duelos}, y todos épicos!",
+            "{duelCount|duelo|duelos} y todo el mundo sigue en pie, ¡bravo!"
+          ]
+        },
+        applause: [
+          "¡Un gran aplauso para todos!",
+          "¡Chocad esos cinco con todo el mundo!",
+          "¿Cuál ha sido vuestro momento favorito? ¡Contádselo a quien tengáis al lado!"
+        ],
+        thanks: [
+          "¡Gracias a todos por traer tanta energía!",
+          "¡Lo habéis hecho súper divertido!",
+          "¡Hasta la próxima, seguid jugando!"
+        ],
+        farewell: [
+          "¿Nos vemos la semana que viene?",
+          "¡Habladles de Simón Dice a vuestros amigos!",
+          "¡Nos vemos en la próxima partida!"
+        ]
+      }
+    },
+
+    relax: {
+      intro: [
+        "¡Hora de recuperar el aliento!",
+        "Vamos a tomarnos un momento para relajarnos.",
+        "Todos, vamos a calmarnos un poco."
+      ],
+      activities: {
+        stretching: [
+          "Estiraos hacia arriba... [large] ¡y abajo hasta los pies!",
+          "Hombros hacia atrás... [medium] y hacia delante.",
+          "Estiraos a la izquierda... [medium] ¡y a la derecha!"
+        ],
+        breathing: [
+          "Coged aire profundamente... [large] y soltadlo...",
+          "Coged aire por la nariz... [medium] y soltadlo por la boca.",
+          "¡Sentid cómo se llenan de aire los pulmones!"
+        ],
+        groupActivity: [
+          "¡Todos en círculo!",
+          "¡Buscad pareja y chocad esos cinco!",
+          "¡Vamos a hacer la ola!"
+        ],
+        slowMotion: [
+          "Todos a cruzar la sala... [medium] [rate:0.7]¡a cámara lenta![/rate]",
+          "Ahora vuestro mejor salto a cámara lenta... [large] arriba del todo... y abajo del todo.",
+          "¡Chocad esos cinco a cámara lenta con quien tengáis al lado!"
+        ],
+        mirrorCircle: [
+          "¡Todos en círculo, mirando al centro!",
+          "Una persona guía... [medium] y los demás copiáis sus movimientos, despacito.",
+          "¡Ahora le pasa el turno a quien tenga a la izquierda!"
+        ]
+      },
+      outro: [
+        "¿Con energía de nuevo? ¡Seguimos jugando!",
+        "¿Todos relajados? ¡Más juegos!",
+        "¡Qué bien! ¿Listos para más acción?"
+      ]
+    },
+
+    phrases: {
+      duelPlayerSelect: "¡{player1}, de {team1}, da un paso al frente! [small] Y enfrente... [medium] ¡{player2}, de {team2}!",
+      teamPlayerSelect: "{team1}, ¡os toca! [small] Contra... [medium] ¡{team2}!",
+      infectionPlayerSelect: "¡{infected}, de {team1}, estás infectado! [medium] Todos los demás... ¡CORRED!",
+      asymmetricPlayerSelect: "¡Jugadores especiales elegidos! [small] ¡Escuchad bien vuestro papel!",
+      playersSelected: "¡Jugadores elegidos!",
+      variantRevealFallback: "Es la hora de... [medium] ¡{name}!",
+      subVariantRevealFallback: "Y tenéis que... [small] ¡{name}!",
+      modifierRevealFallback: "Y además... [medium] ¡{name}!",
+      rulesFallback: "¡Seguid las reglas!",
+      duelPositioning: "A vuestros puestos... [medium] ¡{player1} en el centro, {player2} en el borde!",
+      teamPositioning: "Equipos, ¡poneos en fila en lados opuestos!",
+      defaultPositioning: "¡Todos a vuestra posición de salida!",
+      standingsTeamLead: "¡{team} va en cabeza con {points|punto|puntos}!",
+      standingsTeamTie: "¡{names} van empatados a {points|punto|puntos}!",
+      standingsPlayerLead: "¡{player} lidera la clasificación con {points|punto|puntos}!",
+      standingsPlayerTie: "¡{names} comparten el primer puesto con {points|punto|puntos}!",
+      finalTeamWinner: "Y el equipo ganador es... [medium] ¡{team}, con {points|punto|puntos}!",
+      finalTeamTie: "¡Y hay empate! [medium] ¡{names}, con {points|punto|puntos} cada uno!",
+      finalPlayerWinner: "La mejor puntuación de la partida... [medium] ¡{player}, con {points|punto|puntos}!",
+      finalPlayerTie: "Las mejores puntuaciones de la partida... [medium] ¡{names}, con {points|punto|puntos} cada uno!"
+    },
+
+    words: {
+      and: "y",
+      team: "Equipo",
+      everyone: "todos",
+      teams: "todos los equipos"
+    }
+  }
+};
@@ -0,0 +1,295 @@
+/**
+ * French script bundle
+ *
+ * Simon in French, for our events in France and Québec. As with Spanish, lines are written for the gym rather than translated word for word, and anything not here is spoken from the English templates. French counts zero in the singular ("0 minute"), which the counted tokens handle.
+ */
+
+export default {
+  locale: 'fr-FR',
+  name: 'Français',
+
+  templates: {
+    roundIntros: {
+      duel: [
+        "Attention tout le monde, c'est l'heure d'un DUEL !",
+        "Deux joueurs, un défi, c'est parti !",
+        "C'est l'heure d'un face-à-face !",
+        "Préparez-vous pour un duel épique !"
+      ],
+      team: [
+        "Équipes, rassemblement ! C'est l'heure de la bataille !",
+        "C'est l'heure du travail d'équipe !",
+        "Équipes, préparez-vous à vous affronter !",
+        "Voyons quelle équipe va régner !"
+      ],
+      freeForAll: [
+        "TOUT LE MONDE joue dans celle-ci !",
+        "Tous les joueurs, préparez-vous !",
+        "Chacun pour soi !",
+        "Voici la folie du chacun pour soi !"
+      ],
+      asymmetric: [
+        "C'est l'heure de quelque chose de spécial !",
+        "Celle-ci est un peu différente...",
+        "Préparez-vous pour un défi unique !",
+        "Voici un rebondissement !"
+      ]
+    },
+
+    variantReveals: {
+      tag: "Ce sera... [medium] LE LOUP !",
+      mirror: "C'est l'heure du... [medium] MIROIR !",
+      balance: "Testons votre... [medium] ÉQUILIBRE !",
+      speed: "Vous êtes rapides ? [medium] DÉFI VITESSE !",
+      relay: "C'est une... [medium] COURSE DE RELAIS !",
+      capture: "Préparez-vous pour... [medium] LA CAPTURE DU DRAPEAU !",
+      collective: "Tous ensemble pour... [medium] LE DÉFI DE GROUPE !",
+      elimination: "Le dernier debout gagne en... [medium] ÉLIMINATION !",
+      freeze: "On ne bouge plus ! C'est... [medium] LE LOUP GLACÉ !",
+      infection: "Attention ! [medium] L'INFECTION se propage !",
+      protector: "Défendez votre équipe en... [medium] PROTECTEUR !",
+      hunter: "La chasse commence ! [medium] Mode CHASSEUR !"
+    },
+
+    subVariantReveals: {
+      backwards: "Mais attendez... [small] vous devez avancer À RECULONS !",
+      crabWalk: "Oh, et... [small] SEULEMENT EN CRABE !",
+      hop: "Rebondissement... [small] vous ne pouvez que SAUTER !",
+      slowMotion: "Tout doit se faire au... [small] [rate:0.7]RALENTI ![/rate]"
+    },
+
+    modifierReveals: {
+      blindfold: "ET {player1}... [large] tu auras les YEUX BANDÉS !",
+      teamChant: "Pendant que vous jouez... [medium] votre équipe doit SCANDER votre nom !",
+      animalNoises: "Tout le monde doit faire... [medium] DES BRUITS D'ANIMAUX !",
+      sillyVoices: "Prenez votre voix la plus RIDICULE... [medium] tout le temps !",
+      countdown: "Vous avez exactement... [medium] 30 SECONDES !",
+      multipleIts: "Et cette fois... [medium] il y a PLUSIEURS LOUPS !",
+      freezeWhistle: "Quand vous entendez le sifflet... [sfx:whistle] [medium] STOP !"
+    },
+
+    variantRules: {
+      tag: "{player1} doit toucher {player2} !",
+      mirror: "{player2} doit copier tout ce que fait {player1} !",
+      balance: "Tenez votre position d'équilibre le plus longtemps possible !",
+      speed: "Terminez le défi le plus vite possible !",
+      relay: "Passez le témoin à vos coéquipiers !",
+      capture: "Volez le drapeau de l'autre équipe !",
+      freeze: "Si on vous touche, ne bougez plus jusqu'à ce qu'un coéquipier vous sauve !",
+      infection: "Si on vous touche, vous êtes infectés vous aussi !"
+    },
+
+    subVariantRules: {
+      backwards: "N'oubliez pas, seulement à reculons !",
+      crabWalk: "Restez en position de crabe tout le temps !",
+      hop: "Les deux pieds doivent quitter le sol !",
+      slowMotion: "Tout au ralenti, on ne se précipite pas !"
+    },
+
+    modifierRules: {
+      blindfold: "{team1} peut crier les directions !",
+      teamChant: "Équipes, continuez à scander !",
+      animalNoises: "Je veux entendre ces bruits d'animaux !",
+      sillyVoices: "Voix normale = disqualifié !",
+      countdown: "Vous avez exactement 30 secondes !"
+    },
+
+    countdowns: {
+      standard: "À vos marques... [small] Prêts... [small] [shout]PARTEZ ![/shout] [sfx:whistle]",
+      dramatic: "3 [micro] 2 [micro] 1 [micro] [shout]ALLEZ ALLEZ ALLEZ ![/shout] [sfx:whistle]",
+      silly: "À vos marques... [small] Prêts... [small] CROISSANT !",
+      quick: "PARTEZ !"
+    },
+
+    duringPlay: {
+      general: [
+        "Continuez !",
+        "Vous vous débrouillez très bien !",
+        "Encore 30 secondes !",
+        "Presque fini !",
+        "N'abandonnez pas !"
+      ],
+      intense: [
+        "PLUS VITE ! PLUS VITE !",
+        "C'est INTENSE !",
+        "Donnez tout !",
+        "Quel effort INCROYABLE !"
+      ],
+      silly: [
+        "C'est hilarant !",
+        "Je n'arrête pas de rire !",
+        "Le chaos total !",
+        "Quelle belle folie !"
+      ]
+    },
+
+    endings: {
+      standard: "C'EST FINI ! [medium] Tout le monde s'arrête !",
+      dramatic: "ET... [large] [shout]STOP ![/shout] [medium] [whisper]Personne ne bouge.[/whisper]",
+      celebration: "GÉNIAL ! [medium] C'était incroyable !"
+    },
+
+    outros: {
+      general: [
+        "Quel effort incroyable de la part de tout le monde !",
+        "C'était absolument fantastique !",
+        "Applaudissez-vous !",
+        "Vous avez tous super bien joué !"
+      ],
+      duel: [
+        "Quelle bataille !",
+        "Les deux joueurs ont tout donné !",
+        "C'était un duel épique !"
+      ],
+      team: [
+        "Un travail d'équipe fantastique !",
+        "Les deux équipes ont été incroyables !",
+        "Voilà comment on joue ensemble !"
+      ]
+    },
+
+    ceremony: {
+      opening: {
+        welcome: [
+          "BIENVENUE BIENVENUE BIENVENUE à Jacques a dit !",
+          "Bonjour tout le monde ! Prêts à vous AMUSER ?",
+          "Salut les joueurs ! C'est l'heure de Jacques a dit !"
+        ],
+        energyCheck: [
+          "Sur une échelle de un à TRÈS FORT, vous êtes prêts comment ? [medium] Je veux vous entendre !",
+          "Tout le monde secoue les bras... [small] et les jambes... [small] et on SAUTE !",
+          "Tout le monde est réveillé ? [medium] J'ai dit, tout le monde est RÉVEILLÉ ?"
+        ],
+        roster: [
+          "Aujourd'hui on a {playerCount|joueur|joueurs} dans {teamCount|équipe|équipes} !",
+          "{playerCount|joueur|joueurs}, {teamCount|équipe|équipes}, un seul Jacques. C'est parti !"
+        ],
+        explanation: [
+          "On va jouer {totalRounds|manche incroyable|manches incroyables} !",
+          "Préparez-vous pour {duration|minute|minutes} de pur plaisir !",
+          "Voilà comment ça marche : je vous dis à quoi jouer, et vous jouez !"
+        ],
+        teamCalls: [
+          "{team}, faites-moi entendre votre cri de guerre !",
+          "{team}, faites du BRUIT !",
+          "{team}, montrez-nous votre pose d'équipe !"
+        ],
+        teamBuilding: [
+          "Chaque équipe, inventez un chant en dix secondes !",
+          "Équipes, montrez-moi votre danse de la victoire !",
+          "Chaque équipe, inventez votre poignée de main secrète !"
+        ]
+      },
+      closing: {
+        celebration: [
+          "C'ÉTAIT GÉNIAL ! Tout le monde saute et applaudit !",
+          "Vous avez été des joueurs INCROYABLES !",
+          "Quelle partie absolument fantastique !"
+        ],
+        catchBreath: [
+          "Maintenant respirez profondément avec moi... [large] et soufflez.",
+          "Secouez-vous un peu... [medium] et respirez."
+        ],
+        highlights: {
+          mostSelected: [
+            "{mostSelected}, Jacques t'a choisi {mostSelectedCount|fois|fois} !",
+            "Le joueur le plus choisi aujourd'hui : {mostSelected}, avec {mostSelectedCount|manche|manches} !"
+          ],
+          longestRound: [
+            "La manche {longestRound}, c'était un marathon : environ {longestRoundMinutes|minute|minutes} !",
+            "Qui se souvient de la manche {longestRound} ? Elle n'en finissait pas !"
+          ],
+          duels: [
+            "On a eu {duelCount|duel|duels} aujourd'hui, tous épiques !",
+            "{duelCount|duel|duels}, et tout le monde est encore debout !"
+          ]
+        },
+        applause: [
+          "Applaudissez-vous très fort !",
+          "Tapez dans la main de tout le monde !",
+          "C'était quoi votre moment préféré ? Racontez-le à votre voisin !"
+        ],
+        thanks: [
+          "Merci à tous pour toute cette énergie !",
+          "Vous avez rendu ça super amusant !",
+          "À la prochaine, continuez à jouer !"
+        ],
+        farewell: [
+          "On se retrouve la semaine prochaine ?",
+          "Parlez de Jacques a dit à vos amis !",
+          "Rendez-vous à la prochaine partie !"
+        ]
+      }
+    },
+
+    relax: {
+      intro: [
+        "C'est l'heure de reprendre notre souffle !",
+        "Prenons un moment pour nous détendre.",
+        "Tout le monde, on se calme un peu."
+      ],
+      activities: {
+        stretching: [
+          "Tendez les bras vers le haut... [large] et descendez jusqu'aux pieds !",
+          "Roulez les épaules vers l'arrière... [medium] et vers l'avant.",
+          "Étirez-vous à gauche... [medium] et à droite !"
+        ],
+        breathing: [
+          "Inspirez profondément... [large] et expirez...",
+          "Inspirez par le nez... [medium] expirez par la bouche.",
+          "Sentez l'air remplir vos poumons !"
+        ],
+        groupActivity: [
+          "Tout le monde en cercle !",
+          "Trouvez un partenaire et tapez-vous dans la main !",
+          "Faisons la ola !"
+        ],
+        slowMotion: [
+          "Tout le monde traverse la salle... [medium] [rate:0.7]au ralenti ![/rate]",
+          "Maintenant votre plus beau saut au ralenti... [large] tout en haut... et tout en bas.",
+          "Tapez dans la main de vos voisins, au ralenti !"
+        ],
+        mirrorCircle: [
+          "Tout le monde en cercle, face au centre !",
+          "Une personne guide... [medium] et tout le monde copie ses gestes, tout doucement.",
+          "Maintenant on passe la main à la personne de gauche !"
+        ]
+      },
+      outro: [
+        "Vous vous sentez mieux ? On continue à jouer !",
+        "Tout le monde est détendu ? Place aux jeux !",
+        "C'était agréable ! Prêts pour plus d'action ?"
+      ]
+    },
+
+    phrases: {
+      duelPlayerSelect: "{player1} de {team1}, avance-toi ! [small] Et face à toi... [medium] {player2} de {team2} !",
+      teamPlayerSelect: "{team1}, c'est à vous ! [small] Contre... [medium] {team2} !",
+      infectionPlayerSelect: "{infected} de {team1}, tu es infecté ! [medium] Tous les autres... COUREZ !",
+      asymmetricPlayerSelect: "Joueurs spéciaux choisis ! [small] Écoutez bien votre rôle !",
+      playersSelected: "Joueurs choisis !",
+      variantRevealFallback: "C'est l'heure de... [medium] {name} !",
+      subVariantRevealFallback: "Et vous devez... [small] {name} !",
+      modifierRevealFallback: "En plus... [medium] {name} !",
+      rulesFallback: "Respectez les règles !",
+      duelPositioning: "En position... [medium] {player1} au centre, {player2} sur le bord !",
+      teamPositioning: "Équipes, alignez-vous de chaque côté !",
+      defaultPositioning: "Tout le monde à sa position de départ !",
+      standingsTeamLead: "{team} mène avec {points|point|points} !",
+      standingsTeamTie: "{names} sont à égalité avec {points|point|points} !",
+      standingsPlayerLead: "{player} est en tête du classement avec {points|point|points} !",
+      standingsPlayerTie: "{names} se partagent la première place avec {points|point|points} !",
+      finalTeamWinner: "Et l'équipe gagnante est... [medium] {team}, avec {points|point|points} !",
+      finalTeamTie: "Et c'est une égalité ! [medium] {names}, avec {points|point|points} chacun !",
+      finalPlayerWinner: "Meilleur score du match... [medium] {player}, avec {points|point|points} !",
+      finalPlayerTie: "Meilleurs scores du match... [medium] {names}, avec {points|point|points} chacun !"
+    },
+
+    words: {
+      and: "et",
+      team: "Équipe",
+      everyone: "tout le monde",
+      teams: "toutes les équipes"
+    }
+  }
+};
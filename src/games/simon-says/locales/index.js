@@ -0,0 +1,25 @@
+/**
+ * Locale exports for Simon Says
+ * Script bundles for each language Simon speaks, laid over the English templates by ScriptAssembler
+ */
+
+import { DEFAULT_LOCALE } from '../state/constants';
+import { getLanguage } from '../helpers/localeText';
+import en from './en';
+import es from './es';
+import fr from './fr';
+
+export { en, es, fr };
+
+// Languages offered on the setup screen
+export const BUILT_IN_LOCALES = [en, es, fr];
+
+/**
+ * The bundle for a locale: an exact match, then one in the same language ("es-MX" speaks "es-ES"), then English
+ */
+export function resolveLocale(locale = DEFAULT_LOCALE) {
+  const wanted = String(locale || DEFAULT_LOCALE).toLowerCase();
+  return BUILT_IN_LOCALES.find(bundle => bundle.locale.toLowerCase() === wanted) ||
+    BUILT_IN_LOCALES.find(bundle => getLanguage(bundle.locale) === getLanguage(wanted)) ||
+    en;
+}
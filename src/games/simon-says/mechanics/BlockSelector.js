@@ -314,6 +314,59 @@ class BlockSelector {
     };
   }
 
+  /**
+   * Insert an extra block right after the current one
+   * 
+   * The pattern is copied rather than edited in place, since the original may still be sitting in the pattern library for the next match. Round numbers and relax counts are worked out from the sequence each time, so every later block's context picks up the new block without any further bookkeeping.
+   * 
+   * @param {string} blockType - Block type to insert
+   * @returns {number} Pattern index of the inserted block
+   */
+  insertNext(blockType) {
+    if (!this.pattern) {
+      throw new Error('BlockSelector not initialized with pattern');
+    }
+    
+    const index = this.currentIndex + 1;
+    const sequence = [...this.pattern.sequence];
+    sequence.splice(index, 0, blockType);
+    
+    this.pattern = { ...this.pattern, sequence };
+    stateStore.set(StateKeys.PATTERN_SEQUENCE, sequence);
+    
+    console.log('[BlockSelector] Inserted', blockType, 'at index:', index);
+    
+    return index;
+  }
+
+  /**
+   * Take an upcoming block out of the pattern
+   * 
+   * The mirror of insertNext, used when a time-boxed match runs late. Blocks already started and the closing ceremony can't be removed.
+   * 
+   * @param {number} index - Pattern index of the block to remove
+   * @returns {string} Block type removed
+   */
+  removeUpcoming(index) {
+    if (!this.pattern) {
+      throw new Error('BlockSelector not initialized with pattern');
+    }
+    
+    if (index <= this.currentIndex || index >= this.pattern.sequence.length - 1) {
+      throw new Error(`Cannot remove block ${index} - only upcoming blocks before the closing can go`);
+    }
+    
+    const sequence = [...this.pattern.sequence];
+    const [blockType] = sequence.splice(index, 1);
+    
+    this.pattern = { ...this.pattern, sequence };
+    stateStore.set(StateKeys.PATTERN_SEQUENCE, sequence);
+    
+    console.log('[BlockSelector] Removed', blockType, 'at index:', index);
+    
+    return blockType;
+  }
+
   /**
    * Skip to a specific position (for recovery)
    * @param {number} index - Pattern index to skip to
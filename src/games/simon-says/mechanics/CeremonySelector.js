@@ -0,0 +1,133 @@
+/**
+ * Ceremony Selector for Simon Says
+ *
+ * Ceremonies are the only blocks where Simon talks to the whole room as a room. The opening has to turn a loose group of people into players - get the energy up, tell them what they're in for, and give every team a moment to find its voice - and the closing has to land the match: a burst of celebration, a look back at what just happened, and a proper goodbye. A single welcome line followed by a single explanation line does none of that, and it sounds the same for four friends in a living room as for forty kids in a gym.
+ *
+ * The CeremonySelector builds each ceremony from the segments in design doc 04, in CEREMONY_SEGMENTS order, and sizes it to the room. The ceremony's length comes from BLOCK_DURATIONS.CEREMONY, scaled by how many people are playing - a small group gets the short version, a big one the long version, since calling every team and waiting for them to answer takes time - and each segment gets its share of that. The play carries the roster (how many players, which teams and how big) so the opening can name every team, and the closing carries highlights pulled from the match itself: who Simon picked most, which round ran longest and how many duels were fought. The ScriptAssembler turns segments, roster and highlights into lines, and the PerformanceSystem gives each segment its time.
+ */
+
+import { playerRegistry, matchState, BlockType, RoundType } from '../state';
+import { BLOCK_DURATIONS, CEREMONY_SEGMENTS, PLAYER_COUNT_ADJUSTMENTS } from '../state/constants';
+
+// ============================================
+// CEREMONY SELECTOR CLASS
+// ============================================
+
+class CeremonySelector {
+  /**
+   * Build an opening or closing ceremony
+   *
+   * @param {string} ceremonyType - 'opening' or 'closing'
+   * @param {Object} context - Script context (team names come from here when nobody has joined yet)
+   * @returns {Object} Ceremony play { blockType, ceremonyType, duration, segments: [{ name, duration }], roster, highlights }
+   */
+  selectCeremonyPlay(ceremonyType, context = {}) {
+    const segmentPlan = CEREMONY_SEGMENTS[ceremonyType?.toUpperCase()];
+    if (!segmentPlan) {
+      throw new Error(`Unknown ceremony type "${ceremonyType}"`);
+    }
+
+    const roster = this.buildRoster(context);
+    const length = this.scaleDuration(ceremonyType, roster.playerCount);
+    const segments = segmentPlan.map(segment => ({
+      name: segment.name,
+      duration: Math.round(length * segment.share)
+    }));
+
+    return {
+      blockType: BlockType.CEREMONY,
+      ceremonyType,
+      duration: segments.reduce((sum, segment) => sum + segment.duration, 0),
+      segments,
+      roster,
+      highlights: ceremonyType === 'closing' ? this.gatherHighlights() : null
+    };
+  }
+
+  /**
+   * Who's playing: the player count and each team's size
+   * Teams come in the configured order, then any other team a player joined; empty teams are left out once anyone has joined.
+   */
+  buildRoster(context = {}) {
+    const players = playerRegistry.getActivePlayers();
+    const sizes = new Map((context.teamNames || []).map(name => [name, 0]));
+
+    players.forEach(player => {
+      sizes.set(player.team, (sizes.get(player.team) || 0) + 1);
+    });
+
+    const teams = Array.from(sizes, ([name, size]) => ({ name, size }))
+      .filter(team => team.size > 0 || players.length === 0);
+
+    return { playerCount: players.length, teams };
+  }
+
+  /**
+   * Ceremony length in seconds for the size of the group
+   *
+   * Groups at or below the small-group threshold get the minimum and groups at or above the large-group threshold the maximum, with the default halfway between the two thresholds. When nobody has joined yet there's nothing to scale by, so it's the default.
+   */
+  scaleDuration(ceremonyType, playerCount) {
+    const range = BLOCK_DURATIONS.CEREMONY[ceremonyType.toUpperCase()];
+    if (!playerCount) return range.default;
+
+    const small = PLAYER_COUNT_ADJUSTMENTS.SMALL.threshold;
+    const large = PLAYER_COUNT_ADJUSTMENTS.LARGE.threshold;
+    const typical = (small + large) / 2;
+    const clamp = (value) => Math.min(1, Math.max(0, value));
+
+    if (playerCount <= typical) {
+      return range.min + (range.default - range.min) * clamp((playerCount - small) / (typical - small));
+    }
+    return range.default + (range.max - range.default) * clamp((playerCount - typical) / (large - typical));
+  }
+
+  /**
+   * Moments from the match worth calling out at the closing
+   *
+   * A closing prepared early, while the last round is still being played, counts that round at its planned length. Most-selected only counts when one player is clearly ahead - "everyone was picked four times" isn't a highlight.
+   *
+   * @returns {Object} { mostSelected: { name, count }, longestRound: { roundNumber, minutes }, duels: { count } } - each only when there's something to say
+   */
+  gatherHighlights() {
+    const highlights = {};
+    const { blockHistory, currentBlock } = matchState.getState();
+    const rounds = (currentBlock ? [...blockHistory, currentBlock] : blockHistory)
+      .filter(block => block.type === BlockType.ROUND);
+
+    const ranked = playerRegistry.getActivePlayers()
+      .filter(player => player.stats.timesSelected > 0)
+      .sort((a, b) => b.stats.timesSelected - a.stats.timesSelected);
+    if (ranked.length > 0 && ranked[0].stats.timesSelected > (ranked[1]?.stats.timesSelected ?? 0)) {
+      highlights.mostSelected = { name: ranked[0].name, count: ranked[0].stats.timesSelected };
+    }
+
+    let longest = null;
+    rounds.forEach((block, index) => {
+      const seconds = block.duration > 0 ? block.duration / 1000 : (block.plannedDuration || 0);
+      if (seconds > 0 && (!longest || seconds > longest.seconds)) {
+        longest = { roundNumber: index + 1, seconds };
+      }
+    });
+    if (longest) {
+      highlights.longestRound = {
+        roundNumber: longest.roundNumber,
+        minutes: Math.max(1, Math.round(longest.seconds / 60))
+      };
+    }
+
+    const duels = rounds.filter(block => block.play?.roundType === RoundType.DUEL).length;
+    if (duels > 0) {
+      highlights.duels = { count: duels };
+    }
+
+    return highlights;
+  }
+}
+
+// Create singleton instance
+const ceremonySelector = new CeremonySelector();
+
+// Export both instance and class
+export default ceremonySelector;
+export { CeremonySelector };
@@ -0,0 +1,395 @@
+/**
+ * Content Pack Registry for Simon Says
+ *
+ * The ContentPackRegistry lets a single file add new things to play. Before packs, adding a variant meant touching four places: the round type list in ConfigLoader, the difficulty table in PlaySelector, the reveal lines in ScriptAssembler, and the rules map it uses to explain the game. Miss one and the variant either never gets picked, gets picked with the wrong difficulty, or gets announced as "Time for... SWIVELCHAIRRELAY!" with no rules at all. A content pack declares everything about its variants, movement styles and modifiers in one place - round type, weight, difficulty, player distribution, reveal line, rules and positioning - and the registry hands each piece to the system that owns it.
+ *
+ * Think of packs like expansion decks for a card game. The base game works on its own, and an "Office Party" or "Kids Camp" deck adds themed cards that shuffle in with the rest without changing how the game is played. Packs are plain data, so shipping a new theme never means touching engine code, and because every registration can be undone, the setup screen can switch packs on and off between matches. The registry is strict on the way in: a pack with a missing rule, an unknown round type, or a key that would overwrite someone else's content is rejected as a whole, with every problem listed, instead of half-registering and leaving the game in a state nobody designed.
+ *
+ * A pack's lines are written in one language, so a pack also says which locales it can be spoken in (English when it doesn't say). The packs picked for a match only become active when they speak the match's language - an English pack in a Spanish match would have Simon switching to English for every reveal it adds - and the rest wait until the language matches again.
+ *
+ * Pack format:
+ *   {
+ *     id: 'office-party',
+ *     name: 'Office Party',
+ *     locales: ['en-US'],               // optional, languages the lines are written in (default English)
+ *     variants: {
+ *       swivelRelay: {
+ *         roundType: 'team',            // duel, team, freeForAll, asymmetric
+ *         name: 'Swivel Chair Relay',
+ *         weight: 30,                   // optional, same scale as the chart's percentages
+ *         difficulty: 1,                // 0-2, added to the base difficulty of 1
+ *         distribution: { ... },        // asymmetric only: { role: count | 'rest' }
+ *         reveal: "It's a... [medium] SWIVEL CHAIR RELAY!",
+ *         rules: "Spin your chair, then tag the next teammate!",
+ *         positioning: "Chairs in a line!" // optional
+ *       }
+ *     },
+ *     subVariants: { name: { weight, difficulty, reveal, rules } },  // optional
+ *     modifiers: { name: { weight, difficulty, reveal, rules } }     // optional
+ *   }
+ */
+
+import { eventBus, Events, configLoader } from '../systems';
+import { RoundType, DEFAULT_LOCALE } from '../state';
+import { sameLanguage } from '../helpers';
+import playSelector from './PlaySelector';
+import scriptAssembler from './ScriptAssembler';
+
+// Template categories that hold each kind of content's lines
+const TEMPLATE_CATEGORIES = {
+  variant: { reveal: 'variantReveals', rules: 'variantRules', positioning: 'variantPositioning' },
+  subVariant: { reveal: 'subVariantReveals', rules: 'subVariantRules' },
+  modifier: { reveal: 'modifierReveals', rules: 'modifierRules' }
+};
+
+// ============================================
+// CONTENT PACK REGISTRY CLASS
+// ============================================
+
+class ContentPackRegistry {
+  constructor() {
+    this.packs = new Map(); // Pack ID -> pack definition
+    this.wanted = [];       // Packs picked for the match, active or not
+    this.locale = DEFAULT_LOCALE;
+  }
+
+  /**
+   * Check a pack for problems before registering it
+   *
+   * Validation collects every problem rather than stopping at the first, so a designer fixing a pack sees the full list at once. Beyond the shape checks (a known round type, a reveal and rules line for everything, difficulty in range), the important check is collisions: a key that already names a built-in variant, movement style or modifier - or one from another registered pack - would silently replace that content's lines, so it's reported instead. Asymmetric variants must say how players are split into roles, and only asymmetric variants may.
+   *
+   * @param {Object} pack - Pack definition
+   * @returns {string[]} Problems found (empty when the pack is valid)
+   */
+  validatePack(pack) {
+    const errors = [];
+
+    if (!pack || typeof pack !== 'object') {
+      return ['Pack must be an object'];
+    }
+
+    if (!pack.id || typeof pack.id !== 'string') {
+      errors.push('Pack needs a string id');
+    }
+
+    if (pack.locales !== undefined &&
+        (!Array.isArray(pack.locales) || pack.locales.length === 0 || pack.locales.some(locale => typeof locale !== 'string'))) {
+      errors.push('Pack locales must be a non-empty list of locale tags');
+    }
+
+    const variants = Object.entries(pack.variants || {});
+    const subVariants = Object.entries(pack.subVariants || {});
+    const modifiers = Object.entries(pack.modifiers || {});
+
+    if (variants.length + subVariants.length + modifiers.length === 0) {
+      errors.push('Pack adds no variants, sub-variants or modifiers');
+    }
+
+    const roundTypes = Object.values(RoundType);
+    const taken = this.getTakenKeys(pack.id);
+
+    variants.forEach(([key, variant]) => {
+      if (!roundTypes.includes(variant.roundType)) {
+        errors.push(`Variant "${key}" has unknown round type "${variant.roundType}"`);
+      }
+
+      if (variant.roundType === RoundType.ASYMMETRIC) {
+        errors.push(...this.validateDistribution(key, variant.distribution));
+      } else if (variant.distribution) {
+        errors.push(`Variant "${key}" has a distribution but only asymmetric rounds use one`);
+      }
+
+      if (taken.variant.has(key)) {
+        errors.push(`Variant "${key}" already exists`);
+      }
+
+      errors.push(...this.validateEntry('Variant', key, variant));
+    });
+
+    subVariants.forEach(([key, subVariant]) => {
+      if (taken.subVariant.has(key)) {
+        errors.push(`Sub-variant "${key}" already exists`);
+      }
+      errors.push(...this.validateEntry('Sub-variant', key, subVariant));
+    });
+
+    modifiers.forEach(([key, modifier]) => {
+      if (taken.modifier.has(key)) {
+        errors.push(`Modifier "${key}" already exists`);
+      }
+      errors.push(...this.validateEntry('Modifier', key, modifier));
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check the fields every pack entry shares
+   */
+  validateEntry(label, key, entry) {
+    const errors = [];
+
+    if (typeof entry.reveal !== 'string' || !entry.reveal.trim()) {
+      errors.push(`${label} "${key}" needs a reveal line`);
+    }
+
+    if (typeof entry.rules !== 'string' || !entry.rules.trim()) {
+      errors.push(`${label} "${key}" needs a rules line`);
+    }
+
+    if (entry.difficulty !== undefined &&
+        (typeof entry.difficulty !== 'number' || entry.difficulty < 0 || entry.difficulty > 2)) {
+      errors.push(`${label} "${key}" difficulty must be between 0 and 2`);
+    }
+
+    if (entry.weight !== undefined && (typeof entry.weight !== 'number' || entry.weight <= 0)) {
+      errors.push(`${label} "${key}" weight must be a positive number`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check an asymmetric variant's role distribution
+   */
+  validateDistribution(key, distribution) {
+    if (!distribution || typeof distribution !== 'object') {
+      return [`Asymmetric variant "${key}" needs a distribution`];
+    }
+
+    const errors = [];
+    const counts = Object.values(distribution);
+
+    if (counts.filter(count => count === 'rest').length !== 1) {
+      errors.push(`Asymmetric variant "${key}" needs exactly one 'rest' role`);
+    }
+
+    if (counts.some(count => count !== 'rest' && !(Number.isInteger(count) && count > 0))) {
+      errors.push(`Asymmetric variant "${key}" role counts must be positive whole numbers or 'rest'`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Collect the keys already in use, ignoring the given pack's own content
+   */
+  getTakenKeys(ignorePackId = null) {
+    const taken = { variant: new Set(), subVariant: new Set(), modifier: new Set() };
+    const own = this.packs.get(ignorePackId);
+    const isOwn = (kind, key) => Boolean(own?.[`${kind}s`]?.[key]);
+
+    Object.values(configLoader.get('roundTypes', {})).forEach(config => {
+      (config.variants || []).forEach(key => {
+        if (!isOwn('variant', key)) taken.variant.add(key);
+      });
+    });
+
+    playSelector.subVariants.forEach(({ name }) => {
+      if (!isOwn('subVariant', name)) taken.subVariant.add(name);
+    });
+    Object.keys(scriptAssembler.templates.subVariantReveals).forEach(key => {
+      if (!isOwn('subVariant', key)) taken.subVariant.add(key);
+    });
+
+    playSelector.modifiers.forEach(({ name }) => {
+      if (!isOwn('modifier', name)) taken.modifier.add(name);
+    });
+    Object.keys(scriptAssembler.templates.modifierReveals).forEach(key => {
+      if (!isOwn('modifier', key)) taken.modifier.add(key);
+    });
+
+    // Content from other packs counts even while its round type is dormant
+    this.packs.forEach((pack, id) => {
+      if (id === ignorePackId) return;
+      Object.keys(pack.variants || {}).forEach(key => taken.variant.add(key));
+      Object.keys(pack.subVariants || {}).forEach(key => taken.subVariant.add(key));
+      Object.keys(pack.modifiers || {}).forEach(key => taken.modifier.add(key));
+    });
+
+    return taken;
+  }
+
+  /**
+   * Register a pack with every system that uses its content
+   *
+   * Registration fans the pack out to its owners. Variants go to ConfigLoader (round type, weight, difficulty and distribution, where PlaySelector finds them through the variant config), movement styles and modifiers join PlaySelector's universal pools, and every reveal, rules and positioning line goes to ScriptAssembler. Registering a pack that's already registered replaces it, which makes reloading an edited pack a single call.
+   *
+   * @param {Object} pack - Pack definition
+   * @returns {Object} Summary { id, variants, subVariants, modifiers }
+   */
+  register(pack) {
+    const errors = this.validatePack(pack);
+    if (errors.length > 0) {
+      throw new Error(`Invalid content pack "${pack?.id}": ${errors.join('; ')}`);
+    }
+
+    if (this.packs.has(pack.id)) {
+      this.unregister(pack.id);
+    }
+
+    Object.entries(pack.variants || {}).forEach(([key, variant]) => {
+      const { roundType, reveal, rules, positioning, ...details } = variant;
+      configLoader.registerVariant(roundType, key, details);
+      this.setLines('variant', key, { reveal, rules, positioning });
+    });
+
+    Object.entries(pack.subVariants || {}).forEach(([key, subVariant]) => {
+      playSelector.registerSubVariant({ name: key, weight: subVariant.weight, difficulty: subVariant.difficulty });
+      this.setLines('subVariant', key, subVariant);
+    });
+
+    Object.entries(pack.modifiers || {}).forEach(([key, modifier]) => {
+      playSelector.registerModifier({ name: key, weight: modifier.weight, difficulty: modifier.difficulty });
+      this.setLines('modifier', key, modifier);
+    });
+
+    this.packs.set(pack.id, pack);
+
+    const summary = this.summarize(pack);
+    console.log('[ContentPackRegistry] Registered pack:', summary);
+    eventBus.emit(Events.CONTENT_PACK_REGISTERED, summary);
+    return summary;
+  }
+
+  /**
+   * Remove a pack's content from every system
+   * @returns {boolean} Whether the pack was registered
+   */
+  unregister(packId) {
+    const pack = this.packs.get(packId);
+    if (!pack) return false;
+
+    Object.entries(pack.variants || {}).forEach(([key, variant]) => {
+      configLoader.unregisterVariant(variant.roundType, key);
+      this.removeLines('variant', key);
+    });
+
+    Object.keys(pack.subVariants || {}).forEach(key => {
+      playSelector.unregisterSubVariant(key);
+      this.removeLines('subVariant', key);
+    });
+
+    Object.keys(pack.modifiers || {}).forEach(key => {
+      playSelector.unregisterModifier(key);
+      this.removeLines('modifier', key);
+    });
+
+    this.packs.delete(packId);
+
+    eventBus.emit(Events.CONTENT_PACK_UNREGISTERED, { id: packId });
+    return true;
+  }
+
+  /**
+   * Make exactly the given packs active, as far as the active locale allows
+   * @param {Object[]} packs - Pack definitions that should be registered
+   * @returns {string[]} IDs of packs left out because they don't speak the locale
+   */
+  setActivePacks(packs) {
+    this.wanted = packs;
+    return this.applyActivePacks();
+  }
+
+  /**
+   * Switch to the language a match is spoken in
+   * Packs that were picked but don't speak it are unregistered, and ones that do are registered.
+   * @param {string} locale - BCP 47 tag, like "es-ES"
+   * @returns {string[]} IDs of packs left out because they don't speak the locale
+   */
+  setLocale(locale = DEFAULT_LOCALE) {
+    this.locale = locale;
+    return this.applyActivePacks();
+  }
+
+  /**
+   * Register the wanted packs that speak the active locale, and only those
+   */
+  applyActivePacks() {
+    const usable = this.wanted.filter(pack => this.supportsLocale(pack));
+    const usableIds = new Set(usable.map(pack => pack.id));
+    const leftOut = this.wanted.filter(pack => !usableIds.has(pack.id)).map(pack => pack.id);
+
+    Array.from(this.packs.keys())
+      .filter(id => !usableIds.has(id))
+      .forEach(id => this.unregister(id));
+
+    usable
+      .filter(pack => !this.packs.has(pack.id))
+      .forEach(pack => this.register(pack));
+
+    if (leftOut.length > 0) {
+      console.log(`[ContentPackRegistry] Not speaking ${this.locale}, left out:`, leftOut);
+    }
+    return leftOut;
+  }
+
+  /**
+   * Whether a pack's lines are written in a locale's language
+   */
+  supportsLocale(pack, locale = this.locale) {
+    return this.getLocales(pack).some(packLocale => sameLanguage(packLocale, locale));
+  }
+
+  /**
+   * Locales a pack can be spoken in
+   */
+  getLocales(pack) {
+    return pack.locales || [DEFAULT_LOCALE];
+  }
+
+  /**
+   * Hand a pack entry's lines to the ScriptAssembler
+   */
+  setLines(kind, key, lines) {
+    Object.entries(TEMPLATE_CATEGORIES[kind]).forEach(([field, category]) => {
+      if (lines[field]) {
+        scriptAssembler.setTemplate(category, key, lines[field]);
+      }
+    });
+  }
+
+  /**
+   * Take a pack entry's lines back out of the ScriptAssembler
+   */
+  removeLines(kind, key) {
+    Object.values(TEMPLATE_CATEGORIES[kind]).forEach(category => {
+      scriptAssembler.removeTemplate(category, key);
+    });
+  }
+
+  /**
+   * Describe what a pack adds
+   */
+  summarize(pack) {
+    return {
+      id: pack.id,
+      name: pack.name || pack.id,
+      locales: this.getLocales(pack),
+      variants: Object.keys(pack.variants || {}),
+      subVariants: Object.keys(pack.subVariants || {}),
+      modifiers: Object.keys(pack.modifiers || {})
+    };
+  }
+
+  /**
+   * Check if a pack is registered
+   */
+  isRegistered(packId) {
+    return this.packs.has(packId);
+  }
+
+  /**
+   * Get summaries of all registered packs
+   */
+  getPacks() {
+    return Array.from(this.packs.values()).map(pack => this.summarize(pack));
+  }
+}
+
+// Create singleton instance
+const contentPackRegistry = new ContentPackRegistry();
+
+// Export both instance and class
+export default contentPackRegistry;
+export { ContentPackRegistry };
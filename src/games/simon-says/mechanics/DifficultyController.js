@@ -0,0 +1,143 @@
+/**
+ * Difficulty Controller for Simon Says
+ *
+ * Simon can't see the players. The difficulty curve chosen at setup is a guess made before anyone has moved - a gentle curve for a group of teenagers who find round three boring, or an intense one for a family that's out of breath by round five - and without a way to hear the room, Simon will follow that guess to the end. The DifficultyController gives the host a way to tell Simon what it can't see. After a round, the host taps "too hard", "too easy" or "crowd is flagging", and the controller nudges the rest of the match in response.
+ *
+ * Each piece of feedback moves three dials. The curve shift is added to every remaining value of the difficulty curve, so "too hard" in round four lowers rounds five through ten rather than just the next one. The modifier scale makes silly modifiers more or less likely, and the pause offset gives players more or less time between Simon's lines. Feedback accumulates - two "too easy" taps push harder than one - but every dial is clamped so a run of taps can't break the match. A flagging crowd gets easier rounds at a brisker pace with more silliness, on the theory that tired players need a laugh more than they need a rest.
+ *
+ * Every adjustment is recorded in MatchState alongside what it changed, so the match's history shows exactly when the host spoke up and what Simon did about it. Because the tuning lives in MatchState it's checkpointed with the rest of the match, and the controller re-applies it to the configuration when a match is restored.
+ */
+
+import { eventBus, Events, configLoader } from '../systems';
+import { matchState, MatchStatus, HostFeedback, isValidEnumValue } from '../state';
+
+// ============================================
+// FEEDBACK EFFECTS
+// ============================================
+
+// How each piece of feedback moves the dials
+const FEEDBACK_EFFECTS = {
+  [HostFeedback.TOO_HARD]: { curveShift: -1, modifierScale: 0.7, pauseOffset: 0.15 },
+  [HostFeedback.TOO_EASY]: { curveShift: 1, modifierScale: 1.3, pauseOffset: -0.1 },
+  [HostFeedback.LOW_ENERGY]: { curveShift: -1, modifierScale: 1.25, pauseOffset: -0.1 }
+};
+
+// How far the dials can be pushed in a single match
+const TUNING_LIMITS = {
+  curveShift: { min: -2, max: 2 },
+  modifierScale: { min: 0.25, max: 2 },
+  pauseOffset: { min: -0.3, max: 0.5 }
+};
+
+// Bounds on the resulting configuration values
+const MODIFIER_PROBABILITY_MAX = 0.9;
+const PAUSE_MULTIPLIER_MIN = 0.5;
+
+// ============================================
+// DIFFICULTY CONTROLLER CLASS
+// ============================================
+
+class DifficultyController {
+  /**
+   * Apply a piece of host feedback to the rest of the match
+   *
+   * The first adjustment of a match remembers the configuration's own modifier probability and pause multiplier as a baseline, and every adjustment after that is worked out from the baseline rather than from the last adjusted value. That keeps the result the same however many times the configuration is rebuilt in between, and lets a restored match put the exact values back.
+   *
+   * @param {string} feedback - A HostFeedback value
+   * @returns {Object|null} The recorded adjustment, or null if no match is running
+   */
+  submitFeedback(feedback) {
+    if (!isValidEnumValue(HostFeedback, feedback)) {
+      throw new Error(`Unknown host feedback: ${feedback}`);
+    }
+
+    const status = matchState.getStatus();
+    if (status !== MatchStatus.IN_PROGRESS && status !== MatchStatus.PAUSED) {
+      return null;
+    }
+
+    const current = matchState.getDifficultyTuning();
+    const effect = FEEDBACK_EFFECTS[feedback];
+
+    const tuning = {
+      curveShift: clamp(current.curveShift + effect.curveShift, TUNING_LIMITS.curveShift),
+      modifierScale: clamp(current.modifierScale * effect.modifierScale, TUNING_LIMITS.modifierScale),
+      pauseOffset: clamp(current.pauseOffset + effect.pauseOffset, TUNING_LIMITS.pauseOffset),
+      baseline: current.baseline || this.readBaseline()
+    };
+
+    const adjustment = {
+      feedback,
+      afterRound: matchState.getCurrentRoundNumber(),
+      blockIndex: matchState.match.currentBlockIndex,
+      timestamp: Date.now(),
+      tuning,
+      ...this.applyTuning(tuning)
+    };
+
+    matchState.recordDifficultyAdjustment(adjustment);
+
+    console.log(`[DifficultyController] ${feedback} after round ${adjustment.afterRound}:`, adjustment);
+    eventBus.emit(Events.DIFFICULTY_ADJUSTED, { adjustment });
+
+    return adjustment;
+  }
+
+  /**
+   * Write a tuning into the live configuration
+   * @param {Object} tuning - Tuning to apply (defaults to the match's current one)
+   * @returns {Object} { modifierProbability, pauseMultiplier } as applied
+   */
+  applyTuning(tuning = matchState.getDifficultyTuning()) {
+    if (!tuning.baseline) {
+      return {};
+    }
+
+    const modifierProbability = Math.min(
+      MODIFIER_PROBABILITY_MAX,
+      tuning.baseline.modifierProbability * tuning.modifierScale
+    );
+    const pauseMultiplier = Math.max(
+      PAUSE_MULTIPLIER_MIN,
+      tuning.baseline.pauseMultiplier + tuning.pauseOffset
+    );
+
+    configLoader.update('difficulty.modifierProbability', modifierProbability);
+    configLoader.update('difficulty.modifierScale', tuning.modifierScale);
+    configLoader.update('difficulty.pauseMultiplier', pauseMultiplier);
+
+    return { modifierProbability, pauseMultiplier };
+  }
+
+  /**
+   * Configuration values before any host feedback
+   */
+  readBaseline() {
+    return {
+      modifierProbability: configLoader.get('difficulty.modifierProbability', 0.3),
+      pauseMultiplier: configLoader.get('difficulty.pauseMultiplier', 1.0)
+    };
+  }
+
+  /**
+   * Every adjustment made so far this match
+   */
+  getAdjustments() {
+    return [...(matchState.match.difficultyAdjustments || [])];
+  }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function clamp(value, { min, max }) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Create singleton instance
+const difficultyController = new DifficultyController();
+
+// Export both instance and class
+export default difficultyController;
+export { DifficultyController };
@@ -0,0 +1,350 @@
+/**
+ * Flow Engine for Simon Says
+ *
+ * The FlowEngine plays a single round on its own, with no match around it. The MatchOrchestrator is built for the full show - patterns, ceremonies, checkpoints, fair rotation over thirty minutes - but sometimes all we want is to hear one round: to demo the game to someone new, to preview what a chart edit or a content pack sounds like, or to check a script line without sitting through an opening ceremony first. The FlowEngine is that rehearsal stage. It asks the same PlaySelector for a round type, variant, movement style and modifier, has the same ScriptAssembler write the lines, and lets the same PerformanceSystem speak them, so a previewed round sounds exactly like one in a real match.
+ *
+ * What it deliberately leaves out is memory. A preview never records selections in the player registry, never touches the recent-play history, and never saves a checkpoint, so trying out ten rounds before a party doesn't make the first real round think the same three players have just been picked. Players come from the game state the caller passes in, and everything the engine is doing is reported through two callbacks: onSpeak with each line as Simon says it, and onPhaseChange as the round moves from intro through reveal, rules and countdown to play and the outro.
+ */
+
+import { configLoader, performanceSystem } from '../systems';
+import { BlockType, RoundType } from '../state';
+import playSelector from './PlaySelector';
+import scriptAssembler from './ScriptAssembler';
+import { toDisplayText, planPlayWindow } from '../helpers';
+
+// ============================================
+// PHASES
+// ============================================
+
+export const FlowPhase = {
+  IDLE: 'idle',
+  INTRO: 'intro',
+  PLAYER_SELECT: 'playerSelect',
+  REVEAL: 'reveal',
+  RULES: 'rules',
+  POSITIONING: 'positioning',
+  COUNTDOWN: 'countdown',
+  PLAYING: 'playing',
+  ENDING: 'ending',
+  OUTRO: 'outro',
+  COMPLETE: 'complete',
+  STOPPED: 'stopped'
+};
+
+// ============================================
+// FLOW ENGINE CLASS
+// ============================================
+
+class FlowEngine {
+  /**
+   * @param {Object} gameState - { teams: [{ name, players: [names] }], currentRound, totalRounds }
+   * @param {Object} options - { voice: speak through PerformanceSystem (default true), playSeconds: override play time }
+   */
+  constructor(gameState, options = {}) {
+    this.gameState = gameState;
+    this.options = { voice: true, ...options };
+    this.phase = FlowPhase.IDLE;
+    this.round = null;
+    this.stopped = false;
+    this.pendingWait = null;
+
+    // Callbacks
+    this.onSpeak = null;
+    this.onPhaseChange = null;
+  }
+
+  // ============================================
+  // ROUND BUILDING
+  // ============================================
+
+  /**
+   * Build a random round
+   *
+   * Building walks the same cascade a match does - round type, variant, movement style, modifier - by calling PlaySelector's individual steps rather than selectPlay, which would also record the selection against the live player registry. Players are picked here from the demo teams instead: two players from different teams for a duel, the whole teams for a team round, everyone for a free-for-all, and the variant's role split for asymmetric rounds. The result carries display names for each level alongside the full play object the ScriptAssembler and PerformanceSystem work from.
+   *
+   * @returns {Object} { type, variant, subVariant, modifier, players, play }
+   */
+  buildRound() {
+    const players = this.getPlayers();
+    const context = this.buildContext(players);
+
+    const roundType = playSelector.selectRoundType(context);
+    const variant = playSelector.selectVariant(roundType, context);
+    const subVariant = playSelector.selectSubVariant(variant, context, roundType);
+    const modifier = playSelector.selectModifier(subVariant, context, variant, roundType);
+
+    const play = {
+      blockType: BlockType.ROUND,
+      roundType,
+      variant,
+      subVariant,
+      modifier,
+      players: this.selectPlayers(roundType, variant, players),
+      duration: playSelector.calculateDuration(roundType, variant, context),
+      difficulty: playSelector.calculateDifficulty(variant, subVariant, modifier, roundType),
+      scripts: {},
+      performanceHints: {
+        difficulty: context.targetDifficulty,
+        roundNumber: context.currentRound,
+        totalRounds: context.totalRounds,
+        isNearEnd: context.currentRound >= context.totalRounds - 2,
+        buildSuspense: false
+      }
+    };
+
+    play.scripts = scriptAssembler.assembleScripts(play, context);
+
+    const variantConfig = playSelector.getVariantConfig(roundType, variant);
+    this.round = {
+      type: { key: roundType, name: configLoader.get(`roundTypes.${roundType}.name`) || humanize(roundType) },
+      variant: { key: variant, name: variantConfig?.name || humanize(variant) },
+      subVariant: { key: subVariant, name: humanize(subVariant) },
+      modifier: modifier ? { key: modifier, name: humanize(modifier) } : null,
+      players: this.describePlayers(play.players),
+      play
+    };
+
+    this.setPhase(FlowPhase.IDLE);
+    return this.round;
+  }
+
+  /**
+   * Flatten the demo teams into player records
+   */
+  getPlayers() {
+    return (this.gameState.teams || []).flatMap(team =>
+      team.players.map(name => ({ id: name, name, team: team.name }))
+    );
+  }
+
+  /**
+   * Build the selection and script context for a standalone round
+   */
+  buildContext(players) {
+    const currentRound = this.gameState.currentRound || 1;
+    const totalRounds = this.gameState.totalRounds || 10;
+
+    return {
+      currentRound,
+      roundNumber: currentRound,
+      totalRounds,
+      targetDifficulty: this.gameState.targetDifficulty || 3,
+      activePlayerList: players,
+      teamNames: (this.gameState.teams || []).map(team => team.name),
+      isLastRound: currentRound >= totalRounds,
+      isLateMatch: currentRound / totalRounds > 0.7
+    };
+  }
+
+  /**
+   * Pick who plays, in the shapes the ScriptAssembler expects
+   */
+  selectPlayers(roundType, variant, players) {
+    const shuffled = shuffle(players);
+
+    if (roundType === RoundType.DUEL) {
+      const player1 = shuffled[0];
+      const player2 = shuffled.find(p => p.team !== player1.team) || shuffled[1];
+      return {
+        player1: { name: player1.name, team: player1.team },
+        player2: { name: player2.name, team: player2.team }
+      };
+    }
+
+    if (roundType === RoundType.TEAM) {
+      const teams = this.gameState.teams || [];
+      return Object.fromEntries(teams.map((team, index) => [`team${index + 1}`, [...team.players]]));
+    }
+
+    if (roundType === RoundType.ASYMMETRIC) {
+      const result = {};
+      const remaining = [...shuffled];
+
+      Object.entries(playSelector.getDistribution(variant)).forEach(([role, count]) => {
+        const taken = count === 'rest' ? remaining.splice(0) : remaining.splice(0, count);
+        result[role] = taken.map(p => ({ name: p.name, team: p.team }));
+      });
+      return result;
+    }
+
+    return { all: players.map(p => p.name) };
+  }
+
+  /**
+   * Summarize selected players for display
+   */
+  describePlayers(players) {
+    if (players.player1) {
+      return { player1: players.player1.name, player2: players.player2.name };
+    }
+    return Object.fromEntries(Object.entries(players).map(([role, members]) => [
+      role,
+      members.map(member => member.name || member)
+    ]));
+  }
+
+  // ============================================
+  // EXECUTION
+  // ============================================
+
+  /**
+   * Perform the built round, phase by phase
+   *
+   * Execution follows the same running order and pauses as PerformanceSystem.performRoundPlay, but steps through it here so each phase can be announced as it starts. Every line goes to onSpeak first (with pause tokens stripped, ready for display) and then to the PerformanceSystem to be spoken. The playing phase spreads any during-play encouragement across the round's duration with the same planner the PerformanceSystem uses, so the ending is called on time however long the lines take to say. Calling stop() at any point cancels speech and pending waits, and the round ends in the stopped phase instead of complete.
+   *
+   * @returns {Object} The round that was performed
+   */
+  async executeRound() {
+    if (!this.round) {
+      this.buildRound();
+    }
+
+    if (this.options.voice && performanceSystem.isPerforming) {
+      throw new Error('Simon is already performing a match');
+    }
+
+    this.stopped = false;
+    if (this.options.voice) {
+      performanceSystem.clearInterrupt();
+      performanceSystem.adjustPerformanceStyle(this.round.play.performanceHints);
+    }
+
+    const { scripts, duration } = this.round.play;
+
+    await this.runPhase(FlowPhase.INTRO, [scripts.intro], 'medium');
+    await this.runPhase(FlowPhase.PLAYER_SELECT, [scripts.playerSelect], 'small');
+    await this.runPhase(FlowPhase.REVEAL, [scripts.variantReveal, scripts.subVariantReveal, scripts.modifierReveal], 'small');
+    await this.runPhase(FlowPhase.RULES, [scripts.rules], 'medium');
+    await this.runPhase(FlowPhase.POSITIONING, [scripts.positioning], 'large');
+    await this.runPhase(FlowPhase.COUNTDOWN, [scripts.countdown || scripts.start]);
+
+    // Play time, with encouragement spread across it
+    if (!this.stopped) {
+      this.setPhase(FlowPhase.PLAYING);
+      const playMs = (this.options.playSeconds ?? duration) * 1000;
+      const during = scripts.during || [];
+      const estimates = during.map(line => (this.options.voice ? performanceSystem.estimateLineDuration(line) : 0));
+      const { slots } = planPlayWindow(playMs, estimates);
+      const start = Date.now();
+
+      for (const slot of slots) {
+        await this.wait(slot.at - (Date.now() - start));
+        await this.say(during[slot.index]);
+      }
+      await this.wait(playMs - (Date.now() - start));
+    }
+
+    await this.runPhase(FlowPhase.ENDING, [scripts.ending], 'medium');
+    await this.runPhase(FlowPhase.OUTRO, [scripts.outro]);
+
+    this.setPhase(this.stopped ? FlowPhase.STOPPED : FlowPhase.COMPLETE);
+    return this.round;
+  }
+
+  /**
+   * Speak a phase's lines, then hold for the given pause
+   */
+  async runPhase(phase, lines, pauseAfter = null) {
+    const present = lines.filter(Boolean);
+    if (this.stopped || present.length === 0) return;
+
+    this.setPhase(phase);
+
+    for (let i = 0; i < present.length; i++) {
+      if (i > 0) await this.pause('small');
+      await this.say(present[i]);
+    }
+
+    if (pauseAfter) {
+      await this.pause(pauseAfter);
+    }
+  }
+
+  /**
+   * Hand a line to the listener and the voice
+   */
+  async say(text) {
+    if (this.stopped || !text) return;
+
+    if (this.onSpeak) {
+      this.onSpeak(toDisplayText(text));
+    }
+
+    if (this.options.voice) {
+      await performanceSystem.speak(text);
+    }
+  }
+
+  /**
+   * Pause between lines (skipped when there's no voice to pace)
+   */
+  async pause(size) {
+    if (this.stopped || !this.options.voice) return;
+    await performanceSystem.pause(size);
+  }
+
+  /**
+   * Wait that stop() can cut short
+   */
+  wait(milliseconds) {
+    if (this.stopped) return Promise.resolve();
+
+    return new Promise(resolve => {
+      const timeout = setTimeout(() => {
+        this.pendingWait = null;
+        resolve();
+      }, milliseconds);
+      this.pendingWait = { timeout, resolve };
+    });
+  }
+
+  /**
+   * Stop the round wherever it is
+   */
+  stop() {
+    this.stopped = true;
+
+    if (this.pendingWait) {
+      clearTimeout(this.pendingWait.timeout);
+      this.pendingWait.resolve();
+      this.pendingWait = null;
+    }
+
+    if (this.options.voice) {
+      performanceSystem.interrupt();
+    }
+  }
+
+  /**
+   * Move to a new phase and tell the listener
+   */
+  setPhase(phase) {
+    this.phase = phase;
+    if (this.onPhaseChange) {
+      this.onPhaseChange(phase);
+    }
+  }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+// crabWalk -> "Crab Walk"
+function humanize(key) {
+  if (!key) return '';
+  const spaced = key.replace(/([a-z])([A-Z])/g, '$1 $2');
+  return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+}
+
+function shuffle(items) {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+export { FlowEngine };
+export default FlowEngine;
@@ -12,21 +12,31 @@ import {
   configLoader, 
   stateStore, 
   StateKeys,
-  performanceSystem 
+  performanceSystem,
+  checkpointStore,
+  RandomSource,
+  createSeed
 } from '../systems';
 
 import { 
   matchState, 
   playerRegistry,
   MatchStatus,
-  BlockType
+  BlockType,
+  STATE_CONFIG
 } from '../state';
 
 import patternSelector from './PatternSelector';
 import blockSelector from './BlockSelector';
 import playSelector from './PlaySelector';
+import relaxSelector from './RelaxSelector';
+import ceremonySelector from './CeremonySelector';
+import scoreKeeper from './ScoreKeeper';
 import varietyEnforcer from './VarietyEnforcer';
 import scriptAssembler from './ScriptAssembler';
+import contentPackRegistry from './ContentPackRegistry';
+import difficultyController from './DifficultyController';
+import { estimateBlockDuration, planTimeBudget } from '../helpers';
 
 // ============================================
 // MATCH ORCHESTRATOR CLASS
@@ -39,6 +49,11 @@ class MatchOrchestrator {
     this.systems = {};
     this.isRunning = false;
     this.eventUnsubscribers = []; // Track event subscriptions for cleanup
+    this.checkpointTimer = null;
+    this.random = new RandomSource(); // Seeded per match, shared by every selector
+    this.rerollRequested = false; // Host vetoed the play being performed
+    this.preparedBlock = null; // Next block, selected and scripted ahead of time
+    this.overtime = false; // Time-boxed match running late: rounds are shortened
   }
 
   /**
@@ -48,7 +63,7 @@ class MatchOrchestrator {
    * 
    * The error handling here is particularly important. If any system fails to initialize, the entire initialization fails, preventing partially-configured matches that might behave unpredictably. The event emission at the end signals to any monitoring systems that the orchestrator is ready, creating a clear initialization lifecycle. This robustness is essential for a system that might run for extended periods, handling multiple matches without restart.
    */
-  async initialize() {
+  async initialize(options = {}) {
     console.log('[MatchOrchestrator] Initializing...');
     
     try {
@@ -62,7 +77,7 @@ class MatchOrchestrator {
       this.subscribeToEvents();
       
       // Load configuration
-      await this.loadConfiguration();
+      await this.loadConfiguration(options);
       
       this.initialized = true;
       eventBus.emit(Events.SYSTEM_READY, { system: 'orchestrator' });
@@ -91,8 +106,12 @@ class MatchOrchestrator {
       pattern: patternSelector,
       block: blockSelector,
       play: playSelector,
+      relax: relaxSelector,
+      ceremony: ceremonySelector,
       variety: varietyEnforcer,
       script: scriptAssembler,
+      difficulty: difficultyController,
+      score: scoreKeeper,
       performance: performanceSystem
     };
   }
@@ -103,6 +122,21 @@ class MatchOrchestrator {
   wireDependencies() {
     // Play selector needs variety enforcer
     this.systems.play.setVarietyEnforcer(this.systems.variety);
+    
+    // Everything that rolls dice rolls the match's seeded dice
+    this.systems.pattern.setRandomSource(this.random);
+    this.systems.play.setRandomSource(this.random);
+    this.systems.relax.setRandomSource(this.random);
+    this.systems.script.setRandomSource(this.random);
+    
+    // Standings are read out as they stand when Simon gets to them
+    this.systems.performance.setLiveTokenSource(() => {
+      const standings = this.systems.score.getStandings();
+      return {
+        standings: this.systems.script.buildStandingsLine(standings),
+        finalStandings: this.systems.script.buildStandingsLine(standings, { final: true })
+      };
+    });
   }
 
   /**
@@ -127,6 +161,9 @@ class MatchOrchestrator {
       console.log('[MatchOrchestrator] BLOCK_COMPLETED event received:', data);
       console.log('[MatchOrchestrator] Current isRunning status:', this.isRunning);
       console.log('[MatchOrchestrator] This context:', this);
+      
+      // Save before moving on so a reload resumes at the block boundary
+      this.saveCheckpoint();
       await this.processNextBlock();
     };
     
@@ -167,12 +204,17 @@ class MatchOrchestrator {
   /**
    * Load configuration
    */
-  async loadConfiguration() {
+  async loadConfiguration(options = {}) {
     // This would load from saved config or defaults
     const playerConfig = {}; // Would come from UI
     const developerConfig = {}; // Would come from files
     
     configLoader.loadConfig({ player: playerConfig, developer: developerConfig });
+    
+    // The game-flow chart, when provided, drives round and variant weights
+    if (options.flowChart) {
+      configLoader.loadFlowChart(options.flowChart);
+    }
   }
 
   // ============================================
@@ -181,7 +223,12 @@ class MatchOrchestrator {
 
   /**
    * Start a new match
-   * @param {Object} config - Match configuration
+   * 
+   * The match's random seed is set before anything is chosen, so the pattern, every play, every player pick and every script line come from one reproducible sequence. Pass config.seed to replay a match a host reported; leave it out and a fresh seed is made. Either way the seed is stored on the match in MatchState.
+   * 
+   * A match is sized either by rounds or by time. Give config.timeBudget (minutes) instead of roundCount and the pattern is built to fill that time, then kept to it block by block - see keepToTimeBudget.
+   * 
+   * @param {Object} config - Match configuration: roundCount or timeBudget (seed optional)
    */
   async startMatch(config) {
     if (!this.initialized) {
@@ -200,15 +247,19 @@ class MatchOrchestrator {
       
       // Load match configuration
       configLoader.loadPlayerConfig(config);
+      this.applyLocale();
+      
+      // Seed the dice before the first choice is made
+      const seed = this.random.setSeed(config.seed ?? createSeed());
       
       // Initialize match
-      const matchId = matchState.initializeMatch(config);
+      const matchId = matchState.initializeMatch({ ...config, seed });
       
-      // Select pattern
-      const pattern = this.systems.pattern.selectPattern(
-        config.roundCount || 10,
-        { difficulty: config.difficultyLevel }
-      );
+      // Select pattern, from the clock for time-boxed matches
+      const preferences = { difficulty: config.difficultyLevel };
+      const pattern = config.timeBudget
+        ? this.systems.pattern.selectPatternForDuration(config.timeBudget, preferences)
+        : this.systems.pattern.selectPattern(config.roundCount || 10, preferences);
       
       // Initialize block selector with pattern
       this.systems.block.initialize(pattern);
@@ -226,6 +277,10 @@ class MatchOrchestrator {
       this.isRunning = true;
       matchState.startMatch();
       
+      // Begin autosaving
+      this.startCheckpointTimer();
+      this.saveCheckpoint();
+      
       // Start first block
       await this.processNextBlock();
       
@@ -249,6 +304,9 @@ class MatchOrchestrator {
     }
     
     try {
+      // Time-boxed matches trim what's left before anything else starts
+      this.keepToTimeBudget();
+      
       // Get next block from pattern
       const blockInfo = this.systems.block.getNextBlock();
       
@@ -283,24 +341,15 @@ class MatchOrchestrator {
    * Process a ceremony block
    */
   async processCeremonyBlock(blockInfo) {
-    const ceremonyType = blockInfo.context.ceremonyType;
-    console.log('[MatchOrchestrator] Processing ceremony block:', ceremonyType);
-    
-    // Create ceremony play
-    const play = {
-      blockType: BlockType.CEREMONY,
-      ceremonyType: ceremonyType,
-      duration: ceremonyType === 'opening' ? 90 : 90
-    };
+    console.log('[MatchOrchestrator] Processing ceremony block:', blockInfo.context.ceremonyType);
     
-    // Get context
-    const context = this.buildContext();
-    
-    // Assemble scripts
-    play.scripts = scriptAssembler.assembleScripts(play, context);
+    // Create ceremony play and assemble its scripts (unless it was prepared early)
+    const { play, context } = this.takePreparedBlock(blockInfo) || this.buildCeremonyPlay(blockInfo);
+    this.systems.performance.prefetch(play.scripts, context);
     
     // Start block
     matchState.startBlock(BlockType.CEREMONY, play);
+    await this.prepareUpcomingBlock();
     
     // Perform
     console.log('[MatchOrchestrator] Starting ceremony performance...');
@@ -319,29 +368,83 @@ class MatchOrchestrator {
   /**
    * Process a round block
    * 
-   * Round processing is where all the systems come together to create a moment of gameplay. The method orchestrates a complex dance: building context (understanding the current situation), selecting a play (choosing what game to play), recording variety (preventing repetition), updating player tracking (ensuring fairness), assembling scripts (creating the performance), and finally performing (bringing it to life). Each step depends on the previous ones, yet the method presents a clean, linear flow that's easy to understand and debug.
+   * Round processing is where all the systems come together to create a moment of gameplay. The method orchestrates a complex dance: updating player tracking (ensuring fairness), building context (understanding the current situation), selecting a play (choosing what game to play), recording variety (preventing repetition), assembling scripts (creating the performance), and finally performing (bringing it to life). Each step depends on the previous ones, yet the method presents a clean, linear flow that's easy to understand and debug.
    * 
-   * The variety recording is particularly clever - it records both the round type and variant separately, allowing the variety enforcer to prevent repetition at multiple levels. You won't get tag-tag-tag, but you also won't get duel-mirror, duel-tag, duel-balance (too many duels). The player tracking increment ensures everyone's "rounds since selected" counter increases, making unselected players more likely to be chosen next time. These subtle mechanisms create fairness and variety without players noticing the system's invisible hand guiding their experience.
+   * The variety recording is particularly clever - it records both the round type and variant separately, allowing the variety enforcer to prevent repetition at multiple levels. You won't get tag-tag-tag, but you also won't get duel-mirror, duel-tag, duel-balance (too many duels). The player tracking increment happens before selection so everyone's "rounds since selected" counter increases while the players just picked are reset to zero, making unselected players more likely to be chosen next time. These subtle mechanisms create fairness and variety without players noticing the system's invisible hand guiding their experience.
    */
   async processRoundBlock(blockInfo) {
-    // Build selection context
-    const context = this.buildSelectionContext(blockInfo);
+    this.rerollRequested = false;
+    
+    // Select play and write its scripts (unless it was prepared early)
+    const prepared = await (this.takePreparedBlock(blockInfo) || this.prepareRoundPlay(blockInfo));
+    const { context } = prepared;
+    let { play } = prepared;
+    this.systems.performance.prefetch(play.scripts, context);
     
-    // Select play
+    // Start block
+    matchState.startBlock(BlockType.ROUND, play);
+    await this.prepareUpcomingBlock();
+    
+    // Perform (again with a fresh play each time the host re-rolls)
+    let timing = null;
+    while (!this.isSkipping) {
+      timing = await this.systems.performance.perform(play, context);
+      
+      if (!this.rerollRequested || !this.isRunning) break;
+      this.rerollRequested = false;
+      
+      // The next block was chosen around the vetoed play - choose it again afterwards
+      this.discardPreparedBlock();
+      
+      const previous = play;
+      play = await this.selectRoundPlay(context);
+      this.systems.performance.prefetch(play.scripts, context);
+      matchState.replaceCurrentPlay(play);
+      
+      // A result recorded for the vetoed play doesn't count
+      if (this.systems.score.clearOutcome(matchState.getCurrentRoundNumber())) {
+        this.announceScores();
+      }
+      
+      eventBus.emit(Events.HOST_PLAY_REROLLED, { previous, play });
+      await this.prepareUpcomingBlock();
+    }
+    
+    // Complete block only if not skipping, with how its timing went
+    if (!this.isSkipping) {
+      if (timing) matchState.recordBlockTiming(timing);
+      matchState.completeBlock();
+    }
+  }
+
+  /**
+   * Select a round's play, record it, and assemble its scripts
+   */
+  async selectRoundPlay(context) {
+    // Select play (records the selected players and their partners)
     const play = await this.systems.play.selectPlay(context);
     
     // Record variety
     this.systems.variety.recordSelection(play.roundType, context);
     this.systems.variety.recordSelection(play.variant, context);
     
-    // Update player tracking
-    playerRegistry.incrementRoundsSinceSelected();
-    
     // Assemble scripts
     play.scripts = scriptAssembler.assembleScripts(play, context);
     
+    return play;
+  }
+
+  /**
+   * Process a relax block
+   */
+  async processRelaxBlock(blockInfo) {
+    // Select relax activity and assemble its scripts (unless it was prepared early)
+    const { play, context } = this.takePreparedBlock(blockInfo) || this.buildRelaxPlay(blockInfo);
+    this.systems.performance.prefetch(play.scripts, context);
+    
     // Start block
-    matchState.startBlock(BlockType.ROUND, play);
+    matchState.startBlock(BlockType.RELAX, play);
+    await this.prepareUpcomingBlock();
     
     // Perform
     if (!this.isSkipping) {
@@ -355,38 +458,222 @@ class MatchOrchestrator {
   }
 
   /**
-   * Process a relax block
+   * Trim the rest of a time-boxed match to the time left
+   * 
+   * Runs before every block. The time left is the budget minus the match's real elapsed time, and what the rest of the pattern will take is judged from how long this match's blocks have actually been running, falling back to the usual estimates until a block of each type has finished. When that's more than the time left, breaks are dropped, then rounds are shortened to the overtime length, and as a last resort the match goes straight to the closing ceremony. The dropped blocks come out of the pattern in both the BlockSelector and MatchState, so round counts, progress and checkpoints all follow; whatever was prepared for the next block is chosen again against the new plan. A match that catches up gets its full-length rounds back, though dropped blocks stay dropped.
    */
-  async processRelaxBlock(blockInfo) {
-    // Select relax activity
-    const activities = ['stretching', 'breathing', 'groupActivity'];
-    const activity = activities[Math.floor(Math.random() * activities.length)];
-    
-    // Create relax play
-    const play = {
-      blockType: BlockType.RELAX,
-      activity: activity,
-      duration: 90
-    };
+  keepToTimeBudget() {
+    const budget = matchState.match.config.timeBudget;
+    if (!budget || !this.currentMatch) return;
     
-    // Get context
-    const context = this.buildContext();
+    matchState.updateElapsedTime();
+    const elapsed = matchState.getState().timeElapsed;
     
-    // Assemble scripts
+    const blockSeconds = {};
+    Object.values(BlockType).forEach(type => {
+      blockSeconds[type] = matchState.getAverageBlockDuration(type) ?? estimateBlockDuration(type);
+    });
+    
+    const plan = planTimeBudget({
+      sequence: this.systems.block.getPattern().sequence,
+      nextIndex: this.systems.block.getProgress().currentIndex + 1,
+      remainingSeconds: budget * 60 - elapsed,
+      blockSeconds,
+      overtimeMultiplier: configLoader.get('timing.multipliers.progression.overtime', 0.6)
+    });
+    
+    if (plan.drop.length === 0 && plan.overtime === this.overtime) return;
+    
+    // Whatever was prepared may have been dropped, or planned too long
+    this.discardPreparedBlock();
+    
+    const dropped = [...plan.drop].reverse().map(index => {
+      matchState.removeBlock(index);
+      return { index, type: this.systems.block.removeUpcoming(index) };
+    }).reverse();
+    
+    this.overtime = plan.overtime;
+    this.currentMatch.pattern = this.systems.block.getPattern();
+    
+    console.log(`[MatchOrchestrator] Keeping to ${budget} minutes (${Math.round(elapsed)}s in):`,
+      plan.skipToClosing ? 'straight to the closing' : `${dropped.length} blocks dropped, overtime ${plan.overtime}`);
+    
+    eventBus.emit(Events.MATCH_SCHEDULE_ADJUSTED, {
+      timeBudget: budget,
+      timeElapsed: elapsed,
+      dropped,
+      overtime: plan.overtime,
+      skipToClosing: plan.skipToClosing,
+      estimatedSeconds: plan.estimatedSeconds
+    });
+  }
+
+  // ============================================
+  // BLOCK PREPARATION
+  // ============================================
+
+  /**
+   * Choose a block's play and assemble its scripts
+   * 
+   * This is everything that happens to a block before it's performed. It runs either when the block comes up, or one block early from prepareUpcomingBlock - blocksAhead is how many blocks are still to finish before this one starts (1 when preparing early), so the match progress it's scripted against is where the match will be, not where it is.
+   * 
+   * @param {Object} blockInfo - Block from BlockSelector.getNextBlock or peekUpcoming
+   * @param {number} blocksAhead - Blocks still to finish before this one starts
+   * @returns {Promise<Object>} { play, context }
+   */
+  async prepareBlock(blockInfo, blocksAhead = 0) {
+    if (blockInfo.type === BlockType.ROUND) {
+      return this.prepareRoundPlay(blockInfo, blocksAhead);
+    }
+    
+    return blockInfo.type === BlockType.CEREMONY
+      ? this.buildCeremonyPlay(blockInfo, blocksAhead)
+      : this.buildRelaxPlay(blockInfo, blocksAhead);
+  }
+
+  /**
+   * Select a round's play: everyone waits one more round, then the play is selected, recorded and scripted
+   */
+  async prepareRoundPlay(blockInfo, blocksAhead = 0) {
+    // Everyone waits one more round; players selected below reset to zero
+    playerRegistry.incrementRoundsSinceSelected();
+    
+    const context = this.buildSelectionContext(blockInfo, blocksAhead);
+    const play = await this.selectRoundPlay(context);
+    return { play, context };
+  }
+
+  /**
+   * Build a ceremony for the room and assemble its scripts
+   */
+  buildCeremonyPlay(blockInfo, blocksAhead = 0) {
+    const context = this.buildContext(blocksAhead);
+    const play = this.systems.ceremony.selectCeremonyPlay(blockInfo.context.ceremonyType, context);
     play.scripts = scriptAssembler.assembleScripts(play, context);
+    return { play, context };
+  }
+
+  /**
+   * Select a relax activity and assemble its scripts
+   */
+  buildRelaxPlay(blockInfo, blocksAhead = 0) {
+    const context = this.buildContext(blocksAhead);
+    const play = this.systems.relax.selectRelaxPlay({ ...context, ...blockInfo.context });
+    play.scripts = scriptAssembler.assembleScripts(play, context);
+    return { play, context };
+  }
+
+  /**
+   * Select and script the next block while the current one is being performed
+   * 
+   * Plays are chosen and scripts written before a block starts, so by the time one block is under way every line of the next one can be known. Preparing it now means its lines - the player names especially - can be generated by the TTS prefetch queue while Simon is still performing, instead of in the gap between blocks. Nothing about the choice changes: the block is prepared from the same context it would have had, and the match's random sequence is consumed in the same order, so a seeded match plays out identically with or without it.
+   * 
+   * Choosing early does leave its marks on shared state (player stats, variety history, recent plays, the random sequence), and the current block can still change things the choice depended on - the host re-rolls, inserts a break, adjusts difficulty, or a player joins or leaves. So the state from before the choice is kept, and discardPreparedBlock puts it back whenever that happens; the block is then simply chosen again. Checkpoints also save the state from before the choice, so a resumed match never inherits a half-made decision.
+   */
+  async prepareUpcomingBlock() {
+    if (this.preparedBlock) return;
     
-    // Start block
-    matchState.startBlock(BlockType.RELAX, play);
+    const [blockInfo] = this.systems.block.peekUpcoming(1);
+    if (!blockInfo) return;
     
-    // Perform
-    if (!this.isSkipping) {
-      await this.systems.performance.perform(play, context);
+    const snapshot = this.captureSelectionState();
+    
+    try {
+      const { play, context } = await this.prepareBlock(blockInfo, 1);
+      const lines = this.systems.performance.prefetch(play.scripts, context);
+      
+      this.preparedBlock = { index: blockInfo.index, type: blockInfo.type, play, context, snapshot };
+      console.log(`[MatchOrchestrator] Prepared ${blockInfo.type} block ${blockInfo.index} early (${lines} lines to prefetch)`);
+      
+      eventBus.emit(Events.BLOCK_PREPARED, { blockType: blockInfo.type, index: blockInfo.index, play });
+    } catch (error) {
+      // It'll be chosen again when it comes up
+      console.warn('[MatchOrchestrator] Could not prepare next block:', error);
+      this.restoreSelectionState(snapshot);
     }
+  }
+
+  /**
+   * Hand over the prepared block if it's the one starting
+   * @param {Object} blockInfo - Block that's starting
+   * @returns {Object|null} { play, context }, or null if it has to be chosen now
+   */
+  takePreparedBlock(blockInfo) {
+    const prepared = this.preparedBlock;
+    if (!prepared) return null;
     
-    // Complete block only if not skipping
-    if (!this.isSkipping) {
-      matchState.completeBlock();
+    const activeIds = new Set(playerRegistry.getActivePlayers().map(player => player.id));
+    const stillValid = prepared.index === blockInfo.index &&
+      prepared.type === blockInfo.type &&
+      this.systems.play.extractPlayerIds(prepared.play.players || {}).every(id => activeIds.has(id));
+    
+    if (!stillValid) {
+      this.discardPreparedBlock();
+      return null;
     }
+    
+    this.preparedBlock = null;
+    return { play: prepared.play, context: prepared.context };
+  }
+
+  /**
+   * Throw away the prepared block and undo its effect on selection state
+   * @returns {boolean} Whether there was a prepared block
+   */
+  discardPreparedBlock() {
+    const prepared = this.preparedBlock;
+    if (!prepared) return false;
+    
+    this.preparedBlock = null;
+    this.restoreSelectionState(prepared.snapshot);
+    this.systems.performance.cancelPrefetch(prepared.play.scripts, prepared.context);
+    
+    console.log(`[MatchOrchestrator] Discarded prepared ${prepared.type} block ${prepared.index}`);
+    return true;
+  }
+
+  /**
+   * Drop the prepared block and any lines still waiting to be generated
+   */
+  stopPreparing() {
+    this.discardPreparedBlock();
+    this.systems.performance.cancelPrefetch();
+  }
+
+  /**
+   * Everything choosing a block changes, copied so it can be put back
+   */
+  captureSelectionState() {
+    const variety = this.systems.variety.export();
+    const relaxVariety = this.systems.relax.export();
+    const stats = {};
+    playerRegistry.export().players.forEach(player => {
+      stats[player.id] = JSON.parse(JSON.stringify(player.stats));
+    });
+    
+    return {
+      stats,
+      variety: { ...variety, history: variety.history.map(([id, entries]) => [id, [...entries]]) },
+      relaxVariety: { ...relaxVariety, history: relaxVariety.history.map(([id, entries]) => [id, [...entries]]) },
+      recentPlays: [...this.systems.play.getRecentPlays()],
+      random: this.random.getState()
+    };
+  }
+
+  /**
+   * Put back selection state from captureSelectionState
+   * Players added since keep their stats; players who left stay gone.
+   */
+  restoreSelectionState(snapshot) {
+    Object.entries(snapshot.stats).forEach(([playerId, stats]) => {
+      const player = playerRegistry.getPlayer(playerId);
+      if (player) player.stats = stats;
+    });
+    
+    this.systems.variety.import(snapshot.variety);
+    this.systems.relax.import(snapshot.relaxVariety);
+    this.systems.play.restoreRecentPlays(snapshot.recentPlays);
+    this.random.setState(snapshot.random);
   }
 
   /**
@@ -407,11 +694,21 @@ class MatchOrchestrator {
     });
   }
 
+  /**
+   * Speak the match's language: its script bundle for the assembler, its voices and cache for the performer,
+   * and only the content packs written in it
+   */
+  applyLocale() {
+    scriptAssembler.setLocale(configLoader.getLocale());
+    performanceSystem.setLocale(scriptAssembler.locale);
+    contentPackRegistry.setLocale(scriptAssembler.locale);
+  }
+
   /**
    * Build context for current state
    */
-  buildContext() {
-    const progress = matchState.getProgress();
+  buildContext(blocksAhead = 0) {
+    const progress = matchState.getProgress(blocksAhead);
     const config = configLoader.getAll();
     
     return {
@@ -428,6 +725,7 @@ class MatchOrchestrator {
       isEarlyMatch: progress < 33,
       isMidMatch: progress >= 33 && progress < 67,
       isLateMatch: progress >= 67,
+      isOvertime: this.overtime,
       
       personalityStyle: config.scripts?.personality?.style || 'enthusiastic'
     };
@@ -440,8 +738,8 @@ class MatchOrchestrator {
    * 
    * The spread operator usage here elegantly combines multiple context sources, with later sources overriding earlier ones. This allows block-specific context to override general match context when needed. The method also calculates derived values like team rosters and difficulty targets, preventing each system from having to understand these calculations. By centralizing context building, the orchestrator ensures all systems work from the same understanding of the current game state, preventing inconsistencies that could arise from systems calculating their own context.
    */
-  buildSelectionContext(blockInfo) {
-    const baseContext = this.buildContext();
+  buildSelectionContext(blockInfo, blocksAhead = 0) {
+    const baseContext = this.buildContext(blocksAhead);
     const activePlayers = playerRegistry.getActivePlayers();
     
     
@@ -494,6 +792,7 @@ class MatchOrchestrator {
     console.log('[MatchOrchestrator] Pausing match');
     
     this.isRunning = false;
+    matchState.updateElapsedTime();
     matchState.match.status = MatchStatus.PAUSED;
     
     // Interrupt any ongoing performance
@@ -513,6 +812,7 @@ class MatchOrchestrator {
     
     this.isRunning = true;
     matchState.match.status = MatchStatus.IN_PROGRESS;
+    matchState.match.lastUpdateTime = Date.now(); // Time paused doesn't count
     
     eventBus.emit(Events.MATCH_RESUMED);
     
@@ -529,6 +829,8 @@ class MatchOrchestrator {
     console.log('[MatchOrchestrator] Ending match:', reason);
     
     this.isRunning = false;
+    this.stopCheckpointTimer();
+    this.stopPreparing();
     
     if (reason === 'completed') {
       matchState.completeMatch();
@@ -540,6 +842,181 @@ class MatchOrchestrator {
     this.currentMatch = null;
   }
 
+  // ============================================
+  // HOST CONTROLS
+  // ============================================
+
+  /**
+   * Throw out the current play and pick another
+   * 
+   * A re-roll is the host's veto. The play being performed is cut off mid-sentence, and the same round is played again with a fresh selection from the PlaySelector - same round number, same context, and crucially the same spot in the pattern, because the BlockSelector is never asked for another block. The vetoed play stays in the recent-play and variety history on purpose: that history is what steers the new pick away from whatever the host just rejected. The players it called out keep their selection too, since they were already named out loud.
+   * 
+   * @returns {boolean} Whether a re-roll was started
+   */
+  rerollPlay() {
+    if (!this.isRunning || matchState.match.currentBlock?.type !== BlockType.ROUND) {
+      return false;
+    }
+    
+    console.log('[MatchOrchestrator] Host re-rolled the current play');
+    
+    this.rerollRequested = true;
+    this.systems.performance.interrupt();
+    return true;
+  }
+
+  /**
+   * Say the last line again
+   * @returns {boolean} Whether there was a line to repeat
+   */
+  repeatLastInstruction() {
+    if (!this.isRunning) return false;
+    
+    const text = this.systems.performance.repeatLastLine();
+    if (!text) return false;
+    
+    eventBus.emit(Events.HOST_INSTRUCTION_REPEATED, { text });
+    return true;
+  }
+
+  /**
+   * Give the current round more play time
+   * @param {number} seconds - Time to add (default 30)
+   * @returns {boolean} Whether the round could still be extended
+   */
+  extendRound(seconds = 30) {
+    if (!this.isRunning || matchState.match.currentBlock?.type !== BlockType.ROUND) {
+      return false;
+    }
+    
+    if (!this.systems.performance.extendPlayTime(seconds * 1000)) {
+      return false;
+    }
+    
+    matchState.extendCurrentBlock(seconds);
+    
+    eventBus.emit(Events.HOST_ROUND_EXTENDED, {
+      seconds,
+      duration: matchState.match.currentBlock.plannedDuration
+    });
+    return true;
+  }
+
+  /**
+   * Put an extra relax block straight after the current block
+   * 
+   * The break is slotted into the pattern in both the BlockSelector and MatchState, so it's counted, checkpointed and shown like any other block. It goes in after the current block rather than cutting it off - pair it with a skip if the break can't wait. There's no room once the closing ceremony has started, and a second break straight after a planned one is refused.
+   * 
+   * @returns {boolean} Whether the relax block was inserted
+   */
+  insertRelaxBlock() {
+    if (!this.currentMatch) return false;
+    
+    const { currentBlock, nextBlock } = this.systems.block.getProgress();
+    if (!nextBlock || nextBlock === BlockType.RELAX || currentBlock === BlockType.RELAX) {
+      return false;
+    }
+    
+    // Whatever was prepared no longer comes next
+    this.discardPreparedBlock();
+    
+    const index = this.systems.block.insertNext(BlockType.RELAX);
+    matchState.insertBlock(index, BlockType.RELAX);
+    this.currentMatch.pattern = this.systems.block.getPattern();
+    
+    eventBus.emit(Events.HOST_RELAX_INSERTED, { index });
+    this.saveCheckpoint();
+    this.prepareUpcomingBlock();
+    return true;
+  }
+
+  /**
+   * Cut the current block short and move on
+   * 
+   * Unlike the debug skip, nothing is bypassed: the performance is interrupted, the block completes normally with whatever time it actually ran, and the next block starts from the usual BLOCK_COMPLETED handler.
+   * 
+   * @returns {boolean} Whether a block was skipped
+   */
+  skipCurrentBlock() {
+    const block = matchState.match.currentBlock;
+    if (!this.isRunning || !block) return false;
+    
+    console.log('[MatchOrchestrator] Host skipped the current block');
+    
+    this.systems.performance.interrupt();
+    
+    eventBus.emit(Events.HOST_BLOCK_SKIPPED, { blockType: block.type, index: block.index });
+    return true;
+  }
+
+  /**
+   * Pass the host's read of the room to the difficulty controller
+   * @param {string} feedback - A HostFeedback value
+   * @returns {boolean} Whether the rest of the match was adjusted
+   */
+  submitFeedback(feedback) {
+    if (!this.currentMatch) return false;
+    
+    const adjustment = this.systems.difficulty.submitFeedback(feedback);
+    if (!adjustment) return false;
+    
+    // Choose the next block again against the adjusted curve
+    if (this.discardPreparedBlock()) {
+      this.prepareUpcomingBlock();
+    }
+    
+    this.saveCheckpoint();
+    return true;
+  }
+
+  /**
+   * Record how a round turned out
+   * 
+   * Simon can't see who won, so the host tells him - usually as the round ends, while he's calling time, which is early enough for the result to make it into the standings he reads out after the outro. Results can be entered for any round already played and entered again to correct them; the ScoreKeeper takes back the round's earlier points first. A result that doesn't fit the play (a winner who wasn't in the duel, a team that wasn't playing) is refused rather than guessed at.
+   * 
+   * @param {Object} outcome - { winner } for a duel or free-for-all, { winningTeam } for a team round (the play's team1, team2...), { survivors } for an asymmetric round
+   * @param {number} roundNumber - Round the result is for (defaults to the round being played, or the last one played)
+   * @returns {boolean} Whether the result was recorded
+   */
+  recordRoundOutcome(outcome, roundNumber = null) {
+    if (!this.currentMatch) return false;
+    
+    const number = roundNumber ?? matchState.getCurrentRoundNumber();
+    const block = this.getRoundBlock(number);
+    if (!block?.play) return false;
+    
+    let result;
+    try {
+      result = this.systems.score.recordOutcome(block.play, number, outcome);
+    } catch (error) {
+      console.warn(`[MatchOrchestrator] Couldn't record round ${number}:`, error.message);
+      return false;
+    }
+    
+    eventBus.emit(Events.ROUND_OUTCOME_RECORDED, result);
+    this.announceScores();
+    this.saveCheckpoint();
+    return true;
+  }
+
+  /**
+   * A round's block by round number, including the one being played
+   */
+  getRoundBlock(roundNumber) {
+    const { blockHistory, currentBlock } = matchState.getState();
+    const rounds = (currentBlock ? [...blockHistory, currentBlock] : blockHistory)
+      .filter(block => block.type === BlockType.ROUND);
+    
+    return rounds[roundNumber - 1] || null;
+  }
+
+  /**
+   * Let the screen know the standings have changed
+   */
+  announceScores() {
+    eventBus.emit(Events.SCORES_UPDATED, { standings: this.systems.score.getStandings() });
+  }
+
   // ============================================
   // EVENT HANDLERS
   // ============================================
@@ -551,6 +1028,11 @@ class MatchOrchestrator {
     console.log('[MatchOrchestrator] Match completed successfully');
     this.isRunning = false;
     this.currentMatch = null;
+    this.stopPreparing();
+    
+    // Nothing left to resume
+    this.stopCheckpointTimer();
+    checkpointStore.clear();
   }
 
   /**
@@ -560,6 +1042,10 @@ class MatchOrchestrator {
     console.log('[MatchOrchestrator] Match abandoned');
     this.isRunning = false;
     this.currentMatch = null;
+    this.stopPreparing();
+    
+    this.stopCheckpointTimer();
+    checkpointStore.clear();
   }
 
   /**
@@ -572,6 +1058,11 @@ class MatchOrchestrator {
     if (this.isRunning && this.currentMatch) {
       // Queue welcome announcement
     }
+    
+    // The next block was chosen without them
+    if (this.discardPreparedBlock()) {
+      this.prepareUpcomingBlock();
+    }
   }
 
   /**
@@ -580,11 +1071,16 @@ class MatchOrchestrator {
   handlePlayerRemoved(data) {
     console.log('[MatchOrchestrator] Player removed:', data.player.name);
     
+    // The next block may have called on them
+    const wasPrepared = this.discardPreparedBlock();
+    
     // Check if match can continue
     const activePlayers = playerRegistry.getActivePlayers();
     if (activePlayers.length < 2) {
       console.warn('[MatchOrchestrator] Not enough players, ending match');
       this.endMatch('insufficient_players');
+    } else if (wasPrepared) {
+      this.prepareUpcomingBlock();
     }
   }
 
@@ -622,10 +1118,14 @@ class MatchOrchestrator {
    * Reset all state
    */
   resetState() {
+    this.preparedBlock = null;
+    this.overtime = false;
     matchState.reset();
     playerRegistry.reset();
     this.systems.variety.clearHistory();
+    this.systems.relax.clearHistory();
     this.systems.play.clearHistory();
+    this.systems.score.clear();
     this.systems.block.reset();
     stateStore.clear();
   }
@@ -634,10 +1134,14 @@ class MatchOrchestrator {
    * Reset state but preserve players (for testing)
    */
   resetStateExceptPlayers() {
+    this.preparedBlock = null;
+    this.overtime = false;
     matchState.reset();
     // Don't reset playerRegistry - keep existing players
     this.systems.variety.clearHistory();
+    this.systems.relax.clearHistory();
     this.systems.play.clearHistory();
+    this.systems.score.clear(); // Players stay, their scores don't
     this.systems.block.reset();
     // Only clear non-player related state
     const players = stateStore.get(StateKeys.PLAYERS);
@@ -650,27 +1154,50 @@ class MatchOrchestrator {
   /**
    * Create state checkpoint
    * 
-   * Checkpointing is like taking a snapshot of a live performance - capturing every detail needed to resume exactly where things left off. This method creates a comprehensive backup of the entire game state across all systems. The orchestrator's own state (is it running? what match?), the match progress, player information, variety history, and configuration all get captured. This isn't just about crash recovery - it enables features like "save and quit" or even replaying matches from specific points.
+   * Checkpointing is like taking a snapshot of a live performance - capturing every detail needed to resume exactly where things left off. This method creates a comprehensive backup of the entire game state across all systems. The orchestrator's own state (is it running? what match?), the match progress, player information and scores, the block selector's position in the pattern, variety history, recent plays, the round results the host recorded, and configuration all get captured. This isn't just about crash recovery - it enables features like "save and quit" or even replaying matches from specific points.
    * 
-   * The checkpoint structure reveals the system's architecture beautifully. Each major system has an export method that serializes its internal state, and the orchestrator simply collects these exports. This design means systems can evolve their internal state independently as long as they maintain compatible export/import interfaces. The checkpoint could be serialized to JSON and saved to disk, sent to a server, or kept in memory for quick recovery. It's a powerful pattern that adds resilience and flexibility to the entire game system.
+   * The checkpoint structure reveals the system's architecture beautifully. Each major system has an export method that serializes its internal state, and the orchestrator simply collects these exports. This design means systems can evolve their internal state independently as long as they maintain compatible export/import interfaces. The checkpoint is plain JSON, so the CheckpointStore can write it to local storage and hand it back after a reload.
    */
   createCheckpoint() {
+    // Save selection state from before the next block was prepared
+    const selection = this.preparedBlock?.snapshot || this.captureSelectionState();
+    const players = playerRegistry.export();
+    
     return {
+      timestamp: Date.now(),
+      version: STATE_CONFIG.STATE_VERSION,
       orchestrator: {
         isRunning: this.isRunning,
         currentMatch: this.currentMatch
       },
       match: matchState.createCheckpoint(),
-      players: playerRegistry.export(),
-      variety: this.systems.variety.export(),
+      players: {
+        ...players,
+        players: players.players.map(player => (
+          selection.stats[player.id] ? { ...player, stats: selection.stats[player.id] } : player
+        ))
+      },
+      block: {
+        pattern: this.systems.block.getPattern(),
+        currentIndex: this.systems.block.getProgress().currentIndex
+      },
+      variety: selection.variety,
+      relaxVariety: selection.relaxVariety,
+      recentPlays: selection.recentPlays,
+      random: selection.random,
+      scores: this.systems.score.export(),
       config: configLoader.export()
     };
   }
 
   /**
    * Restore from checkpoint
+   * 
+   * Restoring puts every system back exactly as the checkpoint found it, with one deliberate exception: a block that was still in progress when the snapshot was taken gets rolled back. There's no way to pick up halfway through a spoken instruction, so the interrupted block is removed from the match state and the block selector is rewound one step - when play resumes, that block simply starts over. Completed blocks, the variety history and recent plays all come back untouched, so the resumed match keeps its fairness and variety as if nothing had happened.
    */
   restoreFromCheckpoint(checkpoint) {
+    this.preparedBlock = null;
+    
     // Restore orchestrator state
     this.isRunning = checkpoint.orchestrator.isRunning;
     this.currentMatch = checkpoint.orchestrator.currentMatch;
@@ -679,15 +1206,124 @@ class MatchOrchestrator {
     matchState.restoreFromCheckpoint(checkpoint.match);
     playerRegistry.import(checkpoint.players);
     this.systems.variety.import(checkpoint.variety);
+    this.systems.relax.import(checkpoint.relaxVariety || {});
+    this.systems.score.import(checkpoint.scores);
     configLoader.import(checkpoint.config);
+    this.applyLocale();
+    
+    // The rebuilt config has lost the host's difficulty adjustments
+    this.systems.difficulty.applyTuning();
+    
+    this.systems.play.restoreRecentPlays(checkpoint.recentPlays || []);
+    
+    // Carry on the match's random sequence where it left off
+    if (checkpoint.random) {
+      this.random.setState(checkpoint.random);
+    } else if (matchState.match.seed) {
+      this.random.setSeed(matchState.match.seed);
+    }
+    
+    // Roll back a block that was interrupted mid-performance
+    let blockIndex = checkpoint.block?.currentIndex ?? checkpoint.match.match.currentBlockIndex;
+    if (matchState.match.currentBlock) {
+      // Its round is played again, so a result recorded for it doesn't count
+      if (matchState.match.currentBlock.type === BlockType.ROUND) {
+        this.systems.score.clearOutcome(matchState.getCurrentRoundNumber());
+      }
+      matchState.match.currentBlock = null;
+      matchState.match.currentBlockIndex--;
+      blockIndex--;
+    }
+    
+    // Re-initialize block selector at the restored position
+    const pattern = checkpoint.block?.pattern || (checkpoint.match.match.config.selectedPattern && {
+      id: checkpoint.match.match.config.selectedPattern,
+      sequence: checkpoint.match.match.patternSequence
+    });
+    
+    if (pattern) {
+      this.systems.block.initialize(pattern);
+      if (blockIndex >= 0) {
+        this.systems.block.skipToIndex(blockIndex);
+      }
+    }
+  }
+
+  /**
+   * Resume a match from the most recent saved checkpoint
+   * 
+   * This is the other half of crash recovery. After a reload the systems are freshly initialized and know nothing about the match that was running, so this method loads the saved checkpoint, restores every system from it together, and picks the match back up at the next block. Restoring everything in one step matters - a player registry from one moment paired with a block position from another would produce exactly the kind of subtle unfairness the checkpoint is meant to prevent.
+   * 
+   * @param {Object} checkpoint - Checkpoint to resume from (defaults to the stored one)
+   */
+  async resumeFromCheckpoint(checkpoint = checkpointStore.load()) {
+    if (!this.initialized) {
+      throw new Error('Orchestrator not initialized');
+    }
+    
+    if (this.isRunning) {
+      throw new Error('Match already in progress');
+    }
+    
+    if (!checkpoint) {
+      throw new Error('No checkpoint available to resume');
+    }
+    
+    console.log('[MatchOrchestrator] Resuming match from checkpoint:', checkpoint.match.match.id);
+    
+    this.resetStateExceptPlayers();
+    this.restoreFromCheckpoint(checkpoint);
     
-    // Re-initialize systems with restored state
-    if (checkpoint.match.match.config.selectedPattern) {
-      this.systems.block.initialize({
-        id: checkpoint.match.match.config.selectedPattern,
-        sequence: checkpoint.match.match.patternSequence
-      });
-      this.systems.block.skipToIndex(checkpoint.match.match.currentBlockIndex);
+    if (!this.currentMatch) {
+      this.currentMatch = {
+        id: matchState.match.id,
+        config: matchState.match.config,
+        pattern: this.systems.block.getPattern(),
+        startTime: matchState.match.startTime
+      };
+    }
+    
+    this.isRunning = true;
+    matchState.match.status = MatchStatus.IN_PROGRESS;
+    matchState.match.lastUpdateTime = Date.now();
+    
+    eventBus.emit(Events.STATE_RESTORED, { checkpoint, matchId: this.currentMatch.id });
+    eventBus.emit(Events.MATCH_RESUMED, { fromCheckpoint: true });
+    this.announceScores();
+    
+    this.startCheckpointTimer();
+    
+    await this.processNextBlock();
+  }
+
+  /**
+   * Save a checkpoint of the current match
+   */
+  saveCheckpoint() {
+    if (!this.currentMatch) return false;
+    
+    matchState.updateElapsedTime();
+    return checkpointStore.save(this.createCheckpoint());
+  }
+
+  /**
+   * Start periodic checkpoint saving
+   */
+  startCheckpointTimer() {
+    this.stopCheckpointTimer();
+    this.checkpointTimer = setInterval(
+      () => this.saveCheckpoint(),
+      configLoader.get('system.checkpointInterval', STATE_CONFIG.CHECKPOINT_INTERVAL)
+    );
+  }
+
+  /**
+   * Stop periodic checkpoint saving
+   */
+  stopCheckpointTimer() {
+    if (this.checkpointTimer) {
+      clearInterval(this.checkpointTimer);
+      this.checkpointTimer = null;
     }
   }
 
@@ -705,7 +1341,8 @@ class MatchOrchestrator {
       currentMatch: this.currentMatch ? {
         id: this.currentMatch.id,
         startTime: this.currentMatch.startTime,
-        pattern: this.currentMatch.pattern.id
+        pattern: this.currentMatch.pattern.id,
+        seed: matchState.match.seed
       } : null,
       
       matchStatus: matchState.getStatus(),
@@ -716,7 +1353,10 @@ class MatchOrchestrator {
         pattern: !!this.systems.pattern,
         block: !!this.systems.block.getPattern(),
         play: !!this.systems.play,
+        relax: !!this.systems.relax,
+        ceremony: !!this.systems.ceremony,
         variety: !!this.systems.variety,
+        score: !!this.systems.score,
         script: !!this.systems.script,
         performance: !!this.systems.performance
       }
@@ -734,6 +1374,7 @@ class MatchOrchestrator {
    * Cleanup resources
    */
   destroy() {
+    this.stopCheckpointTimer();
     this.unsubscribeFromEvents();
     this.resetState();
     this.initialized = false;
@@ -1,13 +1,16 @@
 /**
  * Pattern Selector for Simon Says
  * 
- * The PatternSelector is like a music composer choosing the structure for a symphony. Just as a composer decides where to place the exciting crescendos, gentle interludes, and dramatic finales, the PatternSelector chooses the rhythm of an entire Simon Says match. It looks at how many rounds the players want and selects from pre-designed patterns that create satisfying gameplay arcs. A 5-round "quick match" might follow a "burst" pattern with intense action and one short break, while a 30-round marathon uses a "quarters" pattern like a sports match, with regular breaks to prevent exhaustion.
+ * The PatternSelector is like a music composer choosing the structure for a symphony. Just as a composer decides where to place the exciting crescendos, gentle interludes, and dramatic finales, the PatternSelector chooses the rhythm of an entire Simon Says match. It looks at how many rounds the players want and selects from pre-designed patterns that create satisfying gameplay arcs. A 5-round "quick match" might follow a "burst" pattern with intense action and one short break, while a 30-round marathon rolls in "waves", building to its longest stretches in the middle with regular breaks to prevent exhaustion.
  * 
  * The brilliance of the pattern system is that it solves a complex problem elegantly. Without patterns, the game would need to make hundreds of individual decisions about when to insert breaks, how to pace difficulty, and when to build to climaxes. Instead, expert game designers have created these patterns through playtesting, encoding their knowledge about human attention spans, physical endurance, and group dynamics. The PatternSelector simply needs to pick the right pattern for the match length and player preferences, and the entire match flow is set - like choosing a recipe that guarantees a delicious meal.
+ * 
+ * When no recipe exists for the match - a 7-round game, or one that has to fill exactly 30 minutes - the selector has one written to order. The pattern generator builds sequences for any round count from the same PATTERN_RULES the hand-made ones follow, and every pattern, configured or generated, is checked against those rules before a match can use it.
  */
 
-import { configLoader, eventBus, Events } from '../systems';
-import { PATTERN_RULES } from '../state/constants';
+import { configLoader, eventBus, Events, randomSource } from '../systems';
+import { PacingStyle } from '../state';
+import { generatePattern, roundsForDuration, validatePattern as checkPatternRules } from '../helpers';
 
 // ============================================
 // PATTERN SELECTOR CLASS
@@ -17,18 +20,36 @@ class PatternSelector {
   constructor() {
     this.availablePatterns = new Map(); // roundCount -> patterns array
     this.selectedPattern = null;
+    this.random = randomSource; // Replaced by the orchestrator's seeded source
+  }
+
+  /**
+   * Set the random source pattern choices roll against
+   */
+  setRandomSource(random) {
+    this.random = random;
   }
 
   /**
    * Initialize with configuration
+   * 
+   * Configured patterns are checked on the way in. A pattern that breaks the rules is reported with everything wrong with it and left out, so a typo in a hand-edited config costs one pattern rather than a match that runs seven rounds without a breather.
    */
   initialize() {
     // Load patterns from config
     const patterns = configLoader.get('blockSequencing.patterns', {});
     
-    // Store patterns by round count
+    // Store valid patterns by round count
     Object.entries(patterns).forEach(([roundCount, patternList]) => {
-      this.availablePatterns.set(parseInt(roundCount), patternList);
+      const rounds = parseInt(roundCount);
+      const valid = patternList.filter(pattern => {
+        const errors = this.validatePattern(pattern, rounds);
+        if (errors.length > 0) {
+          console.error(`[PatternSelector] Skipping pattern "${pattern.id}" for ${rounds} rounds:`, errors);
+        }
+        return errors.length === 0;
+      });
+      this.availablePatterns.set(rounds, valid);
     });
     
     console.log('[PatternSelector] Initialized with patterns for round counts:', 
@@ -38,23 +59,21 @@ class PatternSelector {
   /**
    * Select a pattern for the match
    * 
-   * This method is called once at the start of each match to determine its entire structure. It's like choosing a roadmap for a journey - once selected, this pattern will guide when players get intense rounds, when they get breaks, and how the whole experience flows. The method is smart about handling edge cases: if someone wants 7 rounds but patterns only exist for 5 and 10, it will find the nearest pattern and adjust it. This flexibility ensures the game can accommodate any reasonable request while maintaining good pacing.
+   * This method is called once at the start of each match to determine its entire structure. It's like choosing a roadmap for a journey - once selected, this pattern will guide when players get intense rounds, when they get breaks, and how the whole experience flows. The hand-made patterns are the first choice, but they only exist for a few match lengths and know nothing about the clock. If someone wants 7 rounds, or asks for a particular pacing style or a match that fills a set number of minutes, patterns are generated for exactly that request instead. This flexibility ensures the game can accommodate any reasonable request while maintaining good pacing.
    * 
    * @param {number} roundCount - Number of rounds in the match
-   * @param {Object} preferences - Optional preferences for pattern selection
+   * @param {Object} preferences - Optional { difficulty, pacing, targetMinutes, patternId }
    * @returns {Object} Selected pattern
    */
   selectPattern(roundCount, preferences = {}) {
+    const wantsGenerated = Boolean(preferences.targetMinutes) ||
+      Object.values(PacingStyle).includes(preferences.pacing);
+
     // Get patterns for this round count
-    let patterns = this.availablePatterns.get(roundCount);
+    let patterns = wantsGenerated ? null : this.availablePatterns.get(roundCount);
     
     if (!patterns || patterns.length === 0) {
-      // Fallback to nearest available pattern
-      patterns = this.findNearestPatterns(roundCount);
-      
-      if (!patterns) {
-        throw new Error(`No patterns available for ${roundCount} rounds`);
-      }
+      patterns = this.generatePatterns(roundCount, preferences);
     }
     
     // Filter patterns based on preferences
@@ -81,7 +100,10 @@ class PatternSelector {
     }
     
     // Validate selected pattern
-    this.validatePattern(selected);
+    const errors = this.validatePattern(selected, roundCount);
+    if (errors.length > 0) {
+      throw new Error(`Invalid pattern "${selected.id}": ${errors.join('; ')}`);
+    }
     
     // Store selection
     this.selectedPattern = {
@@ -97,85 +119,43 @@ class PatternSelector {
   }
 
   /**
-   * Find patterns for the nearest round count
+   * Select a pattern for a match that has to fit a set time
+   * 
+   * Time-boxed matches don't come with a round count, so the most rounds that fit the time are worked out first, then a pattern is generated for them with the time as its target - whatever the rounds leave over becomes breaks.
+   * 
+   * @param {number} targetMinutes - Time the match has
+   * @param {Object} preferences - Optional { difficulty, pacing, patternId }
+   * @returns {Object} Selected pattern
    */
-  findNearestPatterns(targetRounds) {
-    const availableCounts = Array.from(this.availablePatterns.keys()).sort((a, b) => a - b);
-    
-    // Find closest count
-    let closest = availableCounts[0];
-    let minDiff = Math.abs(targetRounds - closest);
-    
-    for (const count of availableCounts) {
-      const diff = Math.abs(targetRounds - count);
-      if (diff < minDiff) {
-        minDiff = diff;
-        closest = count;
-      }
+  selectPatternForDuration(targetMinutes, preferences = {}) {
+    if (!(targetMinutes > 0)) {
+      throw new Error(`Cannot fit a match into ${targetMinutes} minutes`);
     }
     
-    console.log(`[PatternSelector] Using patterns for ${closest} rounds (requested ${targetRounds})`);
-    
-    // Get patterns and adjust if needed
-    const patterns = this.availablePatterns.get(closest);
-    
-    if (closest !== targetRounds) {
-      // Adjust patterns to match target round count
-      return patterns.map(pattern => this.adjustPatternLength(pattern, targetRounds));
-    }
+    const roundCount = roundsForDuration(targetMinutes);
+    console.log(`[PatternSelector] ${targetMinutes} minutes fits ${roundCount} rounds`);
     
-    return patterns;
+    return this.selectPattern(roundCount, { ...preferences, targetMinutes });
   }
 
   /**
-   * Adjust pattern length to match target rounds
+   * Generate patterns for a match no configured pattern fits
    * 
-   * Sometimes players want a specific number of rounds that doesn't match any pre-designed pattern. This method performs pattern surgery, carefully adding or removing rounds while preserving the pattern's essential character. If a 10-round pattern needs to become 12 rounds, it doesn't just tack rounds onto the end - it distributes them thoughtfully to maintain the rhythm. Similarly, when shortening patterns, it removes rounds strategically to keep the experience balanced. It's like a tailor adjusting a suit - the proportions need to stay right even as the size changes.
+   * One pattern per pacing style gives the usual three-way choice, unless the preferences ask for a particular style. The target duration, when there is one, decides how many breaks each pattern gets.
    */
-  adjustPatternLength(pattern, targetRounds) {
-    const sequence = [...pattern.sequence];
+  generatePatterns(roundCount, preferences = {}) {
+    const styles = Object.values(PacingStyle).includes(preferences.pacing)
+      ? [preferences.pacing]
+      : Object.values(PacingStyle);
     
-    // Count current rounds
-    const currentRounds = sequence.filter(block => block === 'round').length;
+    const patterns = styles.map(pacing => generatePattern(roundCount, {
+      pacing,
+      targetMinutes: preferences.targetMinutes
+    }));
     
-    if (currentRounds === targetRounds) {
-      return pattern; // No adjustment needed
-    }
+    console.log(`[PatternSelector] Generated ${styles.join(', ')} patterns for ${roundCount} rounds`);
     
-    if (currentRounds < targetRounds) {
-      // Need to add rounds
-      const roundsToAdd = targetRounds - currentRounds;
-      
-      // Find good insertion points (after existing rounds, before closing)
-      const closingIndex = sequence.lastIndexOf('closing');
-      const insertionPoint = closingIndex - 1;
-      
-      // Insert additional rounds
-      for (let i = 0; i < roundsToAdd; i++) {
-        sequence.splice(insertionPoint, 0, 'round');
-      }
-      
-    } else {
-      // Need to remove rounds
-      const roundsToRemove = currentRounds - targetRounds;
-      let removed = 0;
-      
-      // Remove rounds from the end (before closing)
-      for (let i = sequence.length - 2; i >= 0 && removed < roundsToRemove; i--) {
-        if (sequence[i] === 'round') {
-          sequence.splice(i, 1);
-          removed++;
-        }
-      }
-    }
-    
-    return {
-      ...pattern,
-      id: `${pattern.id}_adjusted`,
-      sequence,
-      adjusted: true,
-      originalRounds: currentRounds
-    };
+    return patterns;
   }
 
   /**
@@ -257,52 +237,21 @@ class PatternSelector {
    * Random pattern selection
    */
   randomSelect(patterns) {
-    const index = Math.floor(Math.random() * patterns.length);
+    const index = Math.floor(this.random.next() * patterns.length);
     return patterns[index];
   }
 
   /**
    * Validate pattern structure
    * 
-   * Before using a pattern, this method performs a safety check to ensure it follows the fundamental rules of Simon Says match structure. Every match must start with an opening ceremony (to set the stage) and end with a closing ceremony (to provide closure). Patterns shouldn't end with a relax block - imagine finishing a movie with a commercial break! The method also enforces limits on consecutive rounds without breaks, protecting players from exhaustion. While the method logs warnings rather than throwing errors (to keep the game running), these validations help pattern designers create better experiences.
+   * Before using a pattern, this method performs a safety check to ensure it follows the fundamental rules of Simon Says match structure. Every match must start with an opening ceremony (to set the stage) and end with a closing ceremony (to provide closure). Patterns shouldn't end with a relax block - imagine finishing a movie with a commercial break! The method also enforces limits on consecutive rounds without breaks, protecting players from exhaustion, and keeps breaks far enough apart that the match never stalls. Each problem names the block it happens at, so pattern designers can see exactly where their pattern goes wrong.
+   * 
+   * @param {Object} pattern - Pattern to check
+   * @param {number} roundCount - Rounds the match needs (optional)
+   * @returns {string[]} Problems found (empty when the pattern is valid)
    */
-  validatePattern(pattern) {
-    const errors = [];
-    const sequence = pattern.sequence;
-    
-    // Check required rules
-    if (PATTERN_RULES.ALWAYS_START_WITH_OPENING && sequence[0] !== 'ceremony') {
-      errors.push('Pattern must start with opening ceremony');
-    }
-    
-    if (PATTERN_RULES.ALWAYS_END_WITH_CLOSING && sequence[sequence.length - 1] !== 'ceremony') {
-      errors.push('Pattern must end with closing ceremony');
-    }
-    
-    if (PATTERN_RULES.NEVER_END_ON_RELAX && sequence[sequence.length - 2] === 'relax') {
-      errors.push('Pattern cannot end with relax block before closing');
-    }
-    
-    // Check consecutive rounds
-    let consecutiveRounds = 0;
-    for (const block of sequence) {
-      if (block === 'round') {
-        consecutiveRounds++;
-        if (consecutiveRounds > PATTERN_RULES.MAX_CONSECUTIVE_ROUNDS) {
-          errors.push(`Too many consecutive rounds (max ${PATTERN_RULES.MAX_CONSECUTIVE_ROUNDS})`);
-          break;
-        }
-      } else {
-        consecutiveRounds = 0;
-      }
-    }
-    
-    if (errors.length > 0) {
-      console.error('[PatternSelector] Pattern validation errors:', errors);
-      // Don't throw - just warn and continue
-    }
-    
-    return errors.length === 0;
+  validatePattern(pattern, roundCount = null) {
+    return checkPatternRules(pattern, { roundCount });
   }
 
   /**
@@ -338,7 +287,7 @@ class PatternSelector {
             relaxIntervals.push(roundsSinceRelax);
             roundsSinceRelax = 0;
           }
-        } else if (block === 'opening' || block === 'closing') {
+        } else if (block === 'ceremony') {
           stats.ceremonies++;
         }
       }
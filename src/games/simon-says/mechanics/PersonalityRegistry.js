@@ -0,0 +1,254 @@
+/**
+ * Personality Registry for Simon Says
+ *
+ * The PersonalityRegistry lets Simon be more than one host. The same game of crab-walk tag lands very differently when it's announced by a booming game show host, a gentle yoga teacher or a drill sergeant, and which one suits a group depends on who's in the room - a kindergarten class, a birthday party and a PE lesson all want a different Simon. A personality bundles everything that makes a host sound like themselves: a voice for each TTS provider, a baseline speaking rate and pitch, their own lines for any script category, and how they like to count down and call time. The registry checks each one on the way in and, when a host picks one on the setup screen, hands each piece to the system that owns it.
+ *
+ * Personalities only say things differently - they never change what gets played. The ScriptAssembler lays a personality's lines over the built-in ones (and over any content pack's), so a personality can rewrite just the intros and the countdown and still announce every variant, pack or not. The PerformanceSystem takes the voice and delivery, and ConfigLoader takes the style, which the rest of the game already reads: the AudioMixer picks its music and cues from it, and the assembler's silly countdown keys off it. Like content packs, personalities are plain data, so adding a new host is a new file rather than engine work.
+ *
+ * Personality format:
+ *   {
+ *     id: 'calm',
+ *     name: 'Calm Simon',
+ *     description: 'Gentle and unhurried',       // optional, shown on the setup screen
+ *     style: 'calm',                             // enthusiastic, calm, silly, strict
+ *     language: 'en',                            // optional, the language its lines are written in (English otherwise)
+ *     voices: { elevenlabs: '21m00T...' },       // optional, provider id -> voice (default voice otherwise)
+ *     rate: 0.9,                                 // optional, 0.5-2, baseline speaking rate
+ *     pitch: 0.95,                               // optional, 0.5-2, baseline pitch
+ *     countdownStyle: 'gentle',                  // optional, a countdowns key (built-in or the personality's own)
+ *     endingStyle: 'gentle',                     // optional, an endings key
+ *     templates: {                               // optional, laid over the built-in templates
+ *       roundIntros: { duel: ["..."] },
+ *       countdowns: { gentle: "..." },
+ *       ...
+ *     }
+ *   }
+ */
+
+import { eventBus, Events, configLoader, performanceSystem } from '../systems';
+import { PersonalityStyle } from '../state';
+import scriptAssembler from './ScriptAssembler';
+
+// Sensible range for baseline rate and pitch multipliers
+const DELIVERY_RANGE = { min: 0.5, max: 2.0 };
+
+// ============================================
+// PERSONALITY REGISTRY CLASS
+// ============================================
+
+class PersonalityRegistry {
+  constructor() {
+    this.personalities = new Map(); // Personality ID -> personality definition
+    this.activeId = null;           // null while the built-in Simon is hosting
+  }
+
+  /**
+   * Check a personality for problems before registering it
+   *
+   * Validation collects every problem rather than stopping at the first, like pack validation. Templates are checked against the categories the ScriptAssembler actually reads, so a typo like "roundIntro" is reported instead of quietly doing nothing, and every line must be a string or a list of strings. The countdown and ending preferences must name a style that will exist once the personality's templates are laid over the built-in ones - otherwise Simon would go silent at the most important moment of the round.
+   *
+   * @param {Object} personality - Personality definition
+   * @returns {string[]} Problems found (empty when the personality is valid)
+   */
+  validatePersonality(personality) {
+    const errors = [];
+
+    if (!personality || typeof personality !== 'object') {
+      return ['Personality must be an object'];
+    }
+
+    if (!personality.id || typeof personality.id !== 'string') {
+      errors.push('Personality needs a string id');
+    }
+
+    if (!Object.values(PersonalityStyle).includes(personality.style)) {
+      errors.push(`Unknown personality style "${personality.style}"`);
+    }
+
+    ['rate', 'pitch'].forEach(field => {
+      const value = personality[field];
+      if (value !== undefined &&
+          (typeof value !== 'number' || value < DELIVERY_RANGE.min || value > DELIVERY_RANGE.max)) {
+        errors.push(`${field} must be between ${DELIVERY_RANGE.min} and ${DELIVERY_RANGE.max}`);
+      }
+    });
+
+    if (personality.language !== undefined &&
+        (typeof personality.language !== 'string' || !personality.language.trim())) {
+      errors.push('language must be a locale string like "es"');
+    }
+
+    Object.entries(personality.voices || {}).forEach(([provider, voice]) => {
+      if (typeof voice !== 'string' || !voice.trim()) {
+        errors.push(`Voice for "${provider}" must be a string`);
+      }
+    });
+
+    const templates = personality.templates || {};
+    const base = scriptAssembler.baseTemplates;
+
+    Object.entries(templates).forEach(([category, lines]) => {
+      if (!(category in base)) {
+        errors.push(`Unknown template category "${category}"`);
+        return;
+      }
+      errors.push(...this.validateLines(category, lines));
+    });
+
+    if (personality.countdownStyle &&
+        !templates.countdowns?.[personality.countdownStyle] && !base.countdowns[personality.countdownStyle]) {
+      errors.push(`Countdown style "${personality.countdownStyle}" has no countdown line`);
+    }
+
+    if (personality.endingStyle &&
+        !templates.endings?.[personality.endingStyle] && !base.endings[personality.endingStyle]) {
+      errors.push(`Ending style "${personality.endingStyle}" has no ending line`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check that a template category holds only lines and lists of lines
+   */
+  validateLines(path, lines) {
+    if (typeof lines === 'string') {
+      return lines.trim() ? [] : [`Template "${path}" is empty`];
+    }
+
+    if (Array.isArray(lines)) {
+      return lines.every(line => typeof line === 'string' && line.trim())
+        ? []
+        : [`Template "${path}" must only contain non-empty lines`];
+    }
+
+    if (lines && typeof lines === 'object') {
+      return Object.entries(lines).flatMap(([key, value]) => this.validateLines(`${path}.${key}`, value));
+    }
+
+    return [`Template "${path}" must be a line, a list of lines or a group of them`];
+  }
+
+  /**
+   * Add a personality to the registry
+   *
+   * Registering an id that's already registered replaces it, and if that personality is the one hosting, the new version takes over straight away - so reloading an edited personality is a single call.
+   *
+   * @param {Object} personality - Personality definition
+   * @returns {Object} Summary { id, name, description, style }
+   */
+  register(personality) {
+    const errors = this.validatePersonality(personality);
+    if (errors.length > 0) {
+      throw new Error(`Invalid personality "${personality?.id}": ${errors.join('; ')}`);
+    }
+
+    this.personalities.set(personality.id, personality);
+
+    if (this.activeId === personality.id) {
+      this.activate(personality.id);
+    }
+
+    return this.summarize(personality);
+  }
+
+  /**
+   * Remove a personality, handing back to the built-in Simon if it was hosting
+   * @returns {boolean} Whether the personality was registered
+   */
+  unregister(personalityId) {
+    if (!this.personalities.has(personalityId)) return false;
+
+    if (this.activeId === personalityId) {
+      this.deactivate();
+    }
+
+    this.personalities.delete(personalityId);
+    return true;
+  }
+
+  /**
+   * Make a registered personality the host
+   *
+   * Activation fans the personality out to its owners: its lines and countdown and ending preferences to the ScriptAssembler, its voices and baseline delivery to the PerformanceSystem, and its style to ConfigLoader, where it survives the config reload at the start of a match. Scripts already assembled keep the voice they were written in; the next play picks up the new one.
+   *
+   * @param {string} personalityId - Registered personality id
+   * @returns {Object} Summary of the active personality
+   */
+  activate(personalityId) {
+    const personality = this.personalities.get(personalityId);
+    if (!personality) {
+      throw new Error(`Unknown personality "${personalityId}"`);
+    }
+
+    scriptAssembler.setPersonality(personality);
+    performanceSystem.setVoiceProfile({
+      voices: personality.voices,
+      rate: personality.rate,
+      pitch: personality.pitch
+    });
+    configLoader.setPersonality({ style: personality.style });
+
+    this.activeId = personalityId;
+
+    const summary = this.summarize(personality);
+    console.log('[PersonalityRegistry] Active personality:', summary.name);
+    eventBus.emit(Events.PERSONALITY_CHANGED, summary);
+    return summary;
+  }
+
+  /**
+   * Go back to the built-in Simon
+   */
+  deactivate() {
+    if (!this.activeId) return;
+
+    scriptAssembler.setPersonality(null);
+    performanceSystem.setVoiceProfile();
+    configLoader.setPersonality(null);
+
+    this.activeId = null;
+    eventBus.emit(Events.PERSONALITY_CHANGED, null);
+  }
+
+  /**
+   * Describe a personality for pickers and logs
+   */
+  summarize(personality) {
+    return {
+      id: personality.id,
+      name: personality.name || personality.id,
+      description: personality.description || '',
+      style: personality.style
+    };
+  }
+
+  /**
+   * Check if a personality is registered
+   */
+  isRegistered(personalityId) {
+    return this.personalities.has(personalityId);
+  }
+
+  /**
+   * Get the summary of the hosting personality (null for the built-in Simon)
+   */
+  getActive() {
+    const personality = this.personalities.get(this.activeId);
+    return personality ? this.summarize(personality) : null;
+  }
+
+  /**
+   * Get summaries of all registered personalities
+   */
+  getPersonalities() {
+    return Array.from(this.personalities.values()).map(personality => this.summarize(personality));
+  }
+}
+
+// Create singleton instance
+const personalityRegistry = new PersonalityRegistry();
+
+// Export both instance and class
+export default personalityRegistry;
+export { PersonalityRegistry };
@@ -6,14 +6,44 @@
  * The brilliance of the PlaySelector lies in how it balances competing concerns. It needs to be fair (giving everyone a chance to be selected), varied (not repeating the same activities), appropriate (matching activities to player count and preferences), and progressive (adjusting difficulty over time). All these considerations happen in milliseconds, resulting in a selection that feels both random and intentional. Players notice when selection is done well - everyone gets picked, activities feel fresh, and the game maintains its momentum without anyone feeling left out or overwhelmed.
  */
 
-import { eventBus, Events, configLoader, stateStore, StateKeys } from '../systems';
+import { eventBus, Events, configLoader, stateStore, StateKeys, randomSource } from '../systems';
 import { playerRegistry, matchState, RoundType, getPlayIdentifier } from '../state';
 import { 
   DEFAULT_ROUND_WEIGHTS, 
   getPlayerCountAdjustment,
-  HISTORY_LIMITS 
+  HISTORY_LIMITS,
+  SELECTION_FAIRNESS
 } from '../state/constants';
 
+// ============================================
+// UNIVERSAL OPTIONS
+// ============================================
+
+// Movement styles available to any variant the chart doesn't give its own list
+const UNIVERSAL_SUB_VARIANTS = [
+  { name: 'normal', weight: 40, difficulty: 0 },
+  { name: 'backwards', weight: 20, difficulty: 1 },
+  { name: 'crabWalk', weight: 20, difficulty: 2 },
+  { name: 'hop', weight: 15, difficulty: 2 },
+  { name: 'slowMotion', weight: 5, difficulty: 1 }
+];
+
+// Modifiers available to any variant the chart doesn't give its own list
+const UNIVERSAL_MODIFIERS = [
+  { name: 'blindfold', weight: 10, difficulty: 2 },
+  { name: 'teamChant', weight: 30, difficulty: 1 },
+  { name: 'animalNoises', weight: 25, difficulty: 1 },
+  { name: 'sillyVoices', weight: 25, difficulty: 1 },
+  { name: 'countdown', weight: 10, difficulty: 1 }
+];
+
+// Role blueprints for asymmetric variants without a configured distribution
+const ASYMMETRIC_DISTRIBUTIONS = {
+  infection: { infected: 1, survivors: 'rest' },
+  protector: { protector: 1, protected: 3, hunters: 'rest' },
+  hunter: { hunter: 2, prey: 'rest' }
+};
+
 // ============================================
 // PLAY SELECTOR CLASS
 // ============================================
@@ -22,6 +52,9 @@ class PlaySelector {
   constructor() {
     this.recentPlays = [];
     this.varietyEnforcer = null; // Will be injected
+    this.random = randomSource; // Replaced by the orchestrator's seeded source
+    this.subVariants = [...UNIVERSAL_SUB_VARIANTS];
+    this.modifiers = [...UNIVERSAL_MODIFIERS];
   }
 
   /**
@@ -31,6 +64,13 @@ class PlaySelector {
     this.varietyEnforcer = varietyEnforcer;
   }
 
+  /**
+   * Set the random source every selection rolls against
+   */
+  setRandomSource(random) {
+    this.random = random;
+  }
+
   /**
    * Select a play for a round block
    * 
@@ -49,10 +89,10 @@ class PlaySelector {
       const variant = this.selectVariant(roundType, context);
       
       // Step 3: Select sub-variant (movement style)
-      const subVariant = this.selectSubVariant(variant, context);
+      const subVariant = this.selectSubVariant(variant, context, roundType);
       
       // Step 4: Optionally add modifier
-      const modifier = this.selectModifier(subVariant, context);
+      const modifier = this.selectModifier(subVariant, context, variant, roundType);
       
       // Step 5: Select players
       const players = this.selectPlayers(roundType, variant, context);
@@ -69,7 +109,7 @@ class PlaySelector {
         modifier,
         players,
         duration,
-        difficulty: this.calculateDifficulty(variant, subVariant, modifier),
+        difficulty: this.calculateDifficulty(variant, subVariant, modifier, roundType),
         
         // Will be filled by script assembler
         scripts: {},
@@ -85,7 +125,7 @@ class PlaySelector {
       };
       
       // Record selection
-      this.recordSelection(play);
+      this.recordSelection(play, context);
       
       // Update state
       stateStore.set(StateKeys.RECENT_PLAYS, this.recentPlays.slice(0, HISTORY_LIMITS.RECENT_PLAYS));
@@ -156,9 +196,10 @@ class PlaySelector {
       throw new Error(`No variants configured for round type: ${roundType}`);
     }
     
-    // Get variant weights (could be configured per variant)
+    // Variant weights come from the game-flow chart when it defines them
+    const variantWeights = config.variantWeights || {};
     const options = variants.map(variant => {
-      let weight = 100; // Default equal weight
+      let weight = variantWeights[variant] ?? 100; // Default equal weight
       
       // Apply variety enforcement
       const playId = `${roundType}-${variant}`;
@@ -174,24 +215,34 @@ class PlaySelector {
     return selected.variant;
   }
 
+  /**
+   * Get the chart-defined details for a variant
+   * @returns {Object|null} { name, difficulty, subVariants, modifiers, modifierProbability }
+   */
+  getVariantConfig(roundType, variant) {
+    if (!roundType || !variant) return null;
+    return configLoader.get(`roundTypes.${roundType}.variantConfig.${variant}`, null);
+  }
+
   /**
    * Select sub-variant (movement style)
    */
-  selectSubVariant(variant, context) {
-    // Sub-variants can be variant-specific or universal
-    const universalSubVariants = [
-      { name: 'normal', weight: 40, difficulty: 0 },
-      { name: 'backwards', weight: 20, difficulty: 1 },
-      { name: 'crabWalk', weight: 20, difficulty: 2 },
-      { name: 'hop', weight: 15, difficulty: 2 },
-      { name: 'slowMotion', weight: 5, difficulty: 1 }
-    ];
+  selectSubVariant(variant, context, roundType) {
+    // Sub-variants can be variant-specific (from the chart) or universal
+    const variantConfig = this.getVariantConfig(roundType, variant);
     
     // Filter by difficulty
     const targetDifficulty = context.targetDifficulty || 3;
     const maxSubVariantDifficulty = Math.min(2, targetDifficulty - 1);
     
-    const options = universalSubVariants
+    const subVariants = variantConfig?.subVariants?.length
+      ? variantConfig.subVariants.map(sv => ({
+          ...sv,
+          difficulty: sv.difficulty ?? this.getSubVariantDifficulty(sv.name)
+        }))
+      : this.subVariants;
+    
+    const options = subVariants
       .filter(sv => sv.difficulty <= maxSubVariantDifficulty)
       .map(sv => {
         let weight = sv.weight;
@@ -211,33 +262,35 @@ class PlaySelector {
   /**
    * Select optional modifier
    */
-  selectModifier(subVariant, context) {
-    // Check if we should add a modifier
-    const modifierProbability = configLoader.get('difficulty.modifierProbability', 0.3);
+  selectModifier(subVariant, context, variant, roundType) {
+    // The chart can give a variant its own modifier list and odds
+    const variantConfig = this.getVariantConfig(roundType, variant);
+    const chartModifiers = variantConfig?.modifiers?.length ? variantConfig.modifiers : null;
+    
+    // Check if we should add a modifier (host feedback scales the chart's odds too)
+    const modifierProbability = chartModifiers
+      ? variantConfig.modifierProbability * configLoader.get('difficulty.modifierScale', 1)
+      : configLoader.get('difficulty.modifierProbability', 0.3);
     const targetDifficulty = context.targetDifficulty || 3;
     
     // Adjust probability based on difficulty
     const adjustedProbability = modifierProbability * (targetDifficulty / 3);
     
-    if (Math.random() > adjustedProbability) {
+    if (this.random.next() > adjustedProbability) {
       return null; // No modifier
     }
     
     // Available modifiers
-    const modifiers = [
-      { name: 'blindfold', weight: 10, difficulty: 2 },
-      { name: 'teamChant', weight: 30, difficulty: 1 },
-      { name: 'animalNoises', weight: 25, difficulty: 1 },
-      { name: 'sillyVoices', weight: 25, difficulty: 1 },
-      { name: 'countdown', weight: 10, difficulty: 1 }
-    ];
+    const modifiers = chartModifiers
+      ? chartModifiers.map(m => ({ ...m, difficulty: m.difficulty ?? 1 }))
+      : this.modifiers;
     
     // Filter out excluded modifiers
     const excludedModifiers = configLoader.get('excludeModifiers', []);
     const availableModifiers = modifiers.filter(m => !excludedModifiers.includes(m.name));
     
     // Don't stack too much difficulty
-    const currentDifficulty = this.getSubVariantDifficulty(subVariant);
+    const currentDifficulty = this.getSubVariantDifficulty(subVariant, variantConfig);
     const maxModifierDifficulty = Math.max(0, 5 - currentDifficulty - 1);
     
     const options = availableModifiers
@@ -304,7 +357,7 @@ class PlaySelector {
         
         // Reduce weight if recent partner
         if (playerRegistry.wereRecentPartners(player1.id, player.id)) {
-          weight *= 0.5;
+          weight *= SELECTION_FAIRNESS.RECENT_PARTNER_PENALTY;
         }
         
         // Prefer different teams
@@ -372,13 +425,7 @@ class PlaySelector {
    */
   selectAsymmetricPlayers(activePlayers, variant, context) {
     // Different variants have different player distributions
-    const distributions = {
-      infection: { infected: 1, survivors: 'rest' },
-      protector: { protector: 1, protected: 3, hunters: 'rest' },
-      hunter: { hunter: 2, prey: 'rest' }
-    };
-    
-    const dist = distributions[variant] || { special: 1, others: 'rest' };
+    const dist = this.getDistribution(variant);
     const result = {};
     const remaining = [...activePlayers];
     const weights = playerRegistry.getSelectionWeights(activePlayers.map(p => p.id));
@@ -402,6 +449,17 @@ class PlaySelector {
     return result;
   }
 
+  /**
+   * Get the role distribution for an asymmetric variant
+   * @returns {Object} Role -> count (or 'rest')
+   */
+  getDistribution(variant) {
+    const variantConfig = this.getVariantConfig(RoundType.ASYMMETRIC, variant);
+    return variantConfig?.distribution ||
+           ASYMMETRIC_DISTRIBUTIONS[variant] ||
+           { special: 1, others: 'rest' };
+  }
+
   /**
    * Calculate duration for the play
    */
@@ -415,8 +473,10 @@ class PlaySelector {
       1.0
     );
     
-    // Adjust based on progression
-    const progressMultiplier = context.isLateMatch 
+    // Adjust based on progression (a time-boxed match running late cuts rounds shortest)
+    const progressMultiplier = context.isOvertime
+      ? configLoader.get('timing.multipliers.progression.overtime', 0.6)
+      : context.isLateMatch 
       ? configLoader.get('timing.multipliers.progression.late', 0.8)
       : context.isEarlyMatch
       ? configLoader.get('timing.multipliers.progression.early', 1.2)
@@ -432,8 +492,9 @@ class PlaySelector {
    * 
    * This calculated difficulty serves multiple purposes throughout the system. The performance system uses it to adjust Simon's speaking pace - higher difficulty gets slightly faster delivery to add pressure. The script system might add more encouragement for difficult activities. The UI could display difficulty stars. Most importantly, this standardized difficulty score helps ensure the game follows its intended difficulty curve - if the match is configured for "gentle" difficulty, the system avoids selecting combinations that would sum to 4 or 5, keeping the experience accessible while still providing variety.
    */
-  calculateDifficulty(variant, subVariant, modifier) {
+  calculateDifficulty(variant, subVariant, modifier, roundType) {
     let difficulty = 1; // Base
+    const variantConfig = this.getVariantConfig(roundType, variant);
     
     // Add variant difficulty
     const variantDifficulties = {
@@ -445,21 +506,16 @@ class PlaySelector {
       capture: 2,
       collective: 1
     };
-    difficulty += variantDifficulties[variant] || 0;
+    difficulty += variantConfig?.difficulty ?? (variantDifficulties[variant] || 0);
     
     // Add sub-variant difficulty
-    difficulty += this.getSubVariantDifficulty(subVariant);
+    difficulty += this.getSubVariantDifficulty(subVariant, variantConfig);
     
     // Add modifier difficulty
     if (modifier) {
-      const modifierDifficulties = {
-        blindfold: 2,
-        teamChant: 1,
-        animalNoises: 1,
-        sillyVoices: 1,
-        countdown: 1
-      };
-      difficulty += modifierDifficulties[modifier] || 0;
+      const chartModifier = variantConfig?.modifiers?.find(m => m.name === modifier);
+      const universalModifier = this.modifiers.find(m => m.name === modifier);
+      difficulty += chartModifier?.difficulty ?? (universalModifier?.difficulty || 0);
     }
     
     // Cap at 5
@@ -469,15 +525,54 @@ class PlaySelector {
   /**
    * Get sub-variant difficulty
    */
-  getSubVariantDifficulty(subVariant) {
-    const difficulties = {
-      normal: 0,
-      backwards: 1,
-      crabWalk: 2,
-      hop: 2,
-      slowMotion: 1
-    };
-    return difficulties[subVariant] || 0;
+  getSubVariantDifficulty(subVariant, variantConfig = null) {
+    const chartSubVariant = variantConfig?.subVariants?.find(sv => sv.name === subVariant);
+    if (chartSubVariant?.difficulty !== undefined) {
+      return chartSubVariant.difficulty;
+    }
+    
+    const universalSubVariant = this.subVariants.find(sv => sv.name === subVariant);
+    return universalSubVariant?.difficulty || 0;
+  }
+
+  /**
+   * Add a movement style to the universal pool
+   * @param {Object} subVariant - { name, weight, difficulty }
+   */
+  registerSubVariant(subVariant) {
+    this.unregisterSubVariant(subVariant.name);
+    this.subVariants.push({
+      name: subVariant.name,
+      weight: subVariant.weight ?? 10,
+      difficulty: subVariant.difficulty ?? 0
+    });
+  }
+
+  /**
+   * Remove a movement style added with registerSubVariant
+   */
+  unregisterSubVariant(name) {
+    this.subVariants = this.subVariants.filter(sv => sv.name !== name);
+  }
+
+  /**
+   * Add a modifier to the universal pool
+   * @param {Object} modifier - { name, weight, difficulty }
+   */
+  registerModifier(modifier) {
+    this.unregisterModifier(modifier.name);
+    this.modifiers.push({
+      name: modifier.name,
+      weight: modifier.weight ?? 10,
+      difficulty: modifier.difficulty ?? 1
+    });
+  }
+
+  /**
+   * Remove a modifier added with registerModifier
+   */
+  unregisterModifier(name) {
+    this.modifiers = this.modifiers.filter(m => m.name !== name);
   }
 
   /**
@@ -492,8 +587,12 @@ class PlaySelector {
 
   /**
    * Record play selection
+   * 
+   * Recording is what turns fair rotation from a nice idea into something that actually works. Every player who was just called out gets their selection history updated in the player registry - times selected, the round they played, and the activity - so the next call to getSelectionWeights knows who has been waiting and who just played. Without this step every player looks permanently fresh, and nothing stops the same two people from being pulled into duel after duel.
+   * 
+   * Partners are recorded per selection path rather than lumping every participant together. In a duel the two players are each other's partner, in a team round it's your own teammates, and in an asymmetric game it's whoever shares your role. A free-for-all records everyone as selected but pairs nobody up - if it did, every player would be everyone's recent partner and wereRecentPartners would stop meaning anything. The round number comes from the block context, since the round block hasn't been started in match state yet when selection happens.
    */
-  recordSelection(play) {
+  recordSelection(play, context = {}) {
     const playId = getPlayIdentifier(play);
     
     // Add to recent plays
@@ -510,21 +609,46 @@ class PlaySelector {
     
     // Update player selection tracking
     if (play.players) {
-      const playerIds = this.extractPlayerIds(play.players);
-      const partners = playerIds.length > 1 ? playerIds : [];
+      const roundNumber = context.roundNumber || matchState.getCurrentRoundNumber() + 1;
+      const groups = this.getPartnerGroups(play.roundType, play.players);
       
-      playerIds.forEach(playerId => {
-        const otherPlayers = partners.filter(id => id !== playerId);
-        playerRegistry.recordSelection(
-          playerId, 
-          matchState.getCurrentRoundNumber(),
-          playId,
-          otherPlayers
-        );
+      groups.forEach(group => {
+        group.forEach(playerId => {
+          playerRegistry.recordSelection(
+            playerId,
+            roundNumber,
+            playId,
+            group.filter(id => id !== playerId)
+          );
+        });
       });
     }
   }
 
+  /**
+   * Group selected players by who partnered with whom
+   * @param {string} roundType - Round type of the play
+   * @param {Object} players - Player assignment from selectPlayers
+   * @returns {Array<string[]>} Groups of player IDs that count as partners
+   */
+  getPartnerGroups(roundType, players) {
+    switch (roundType) {
+      case 'duel':
+        // The two duelists are each other's partner
+        return [this.extractPlayerIds(players)];
+        
+      case 'freeForAll':
+        // Everyone plays, nobody pairs up
+        return this.extractPlayerIds(players).map(id => [id]);
+        
+      case 'team':
+      case 'asymmetric':
+      default:
+        // Teammates and role-mates partner with each other
+        return Object.values(players).map(value => this.extractPlayerIds({ value }));
+    }
+  }
+
   /**
    * Extract player IDs from various player formats
    */
@@ -560,11 +684,11 @@ class PlaySelector {
     
     if (totalWeight === 0) {
       // Equal selection if all weights are 0
-      return options[Math.floor(Math.random() * options.length)];
+      return options[Math.floor(this.random.next() * options.length)];
     }
     
     // Random selection
-    let random = Math.random() * totalWeight;
+    let random = this.random.next() * totalWeight;
     
     for (const option of options) {
       random -= option.weight || 0;
@@ -608,6 +732,14 @@ class PlaySelector {
     return this.recentPlays;
   }
 
+  /**
+   * Restore recent play history (from a checkpoint)
+   */
+  restoreRecentPlays(plays) {
+    this.recentPlays = plays.slice(0, HISTORY_LIMITS.RECENT_PLAYS);
+    stateStore.set(StateKeys.RECENT_PLAYS, this.recentPlays);
+  }
+
   /**
    * Clear history
    */
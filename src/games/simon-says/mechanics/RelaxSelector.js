@@ -0,0 +1,168 @@
+/**
+ * Relax Selector for Simon Says
+ *
+ * Relax blocks are where the room gets its breath back, and the right break depends on what came before it. After three rounds of crab-walk tag and blindfolded relays, nobody wants a wave around the circle - they want to stand still and breathe. After a gentle stretch of balance challenges, a slow-motion race or a mirror circle keeps the energy from going flat before the next round. The RelaxSelector is the PlaySelector's quieter sibling: it picks the activity for every relax block from the configured list, weighs each one against how intense the rounds since the last break were, and keeps the breaks varied so the fourth one of a long match doesn't feel like the first.
+ *
+ * Every activity in the developer config has a weight and an energy, from 0 (everyone settles) to 1 (everyone moves). The rounds since the last break are scored for intensity from their difficulty and how many of them ran back to back, and activities whose energy balances that out are favoured - a hard stretch pulls toward calm activities, an easy one toward lively ones. Nothing is ruled out, just made more or less likely. Variety runs through a VarietyEnforcer of its own, so relax activities are only ever compared with each other, and round selection's history and patterns are left exactly as they were. Late in long matches the breaks stretch to the extended length, because that's when legs are tired and attention is thinning.
+ */
+
+import { configLoader, randomSource } from '../systems';
+import { matchState, BlockType, BLOCK_DURATIONS, PATTERN_RULES } from '../state';
+import { VarietyEnforcer } from './VarietyEnforcer';
+
+// How strongly the preceding rounds steer the choice (0 ignores them)
+const INTENSITY_INFLUENCE = 1;
+
+// Round difficulty range, for scoring intensity
+const DIFFICULTY_RANGE = { min: 1, max: 5 };
+
+// ============================================
+// RELAX SELECTOR CLASS
+// ============================================
+
+class RelaxSelector {
+  constructor() {
+    this.varietyEnforcer = new VarietyEnforcer(); // Relax activities only
+    this.random = randomSource; // Replaced by the orchestrator's seeded source
+  }
+
+  /**
+   * Set the random source every selection rolls against
+   */
+  setRandomSource(random) {
+    this.random = random;
+  }
+
+  /**
+   * Select the activity and length of a relax block
+   *
+   * The choice is made in three steps. First the rounds since the last break (or since the opening) are scored for intensity. Then every configured activity gets its weight adjusted twice: once for how well its energy answers that intensity, and once by the variety enforcer, which counts relax blocks rather than rounds when it judges how recently an activity was used. Finally a single weighted roll picks the activity and the block length is settled - extended late in long matches, standard otherwise.
+   *
+   * A block prepared early, while the last round before it is still being played, sees that round as well, so it's chosen from the same rounds it would have been chosen from once the round finished.
+   *
+   * @param {Object} context - Selection context, including the relax block's context from the BlockSelector
+   * @returns {Object} Relax play { blockType, activity, duration, extended, intensity }
+   */
+  selectRelaxPlay(context = {}) {
+    const intensity = this.measureIntensity();
+    const varietyContext = { roundNumber: context.relaxNumber };
+
+    const options = Object.entries(this.getActivities()).map(([activity, config]) => {
+      let weight = (config.weight ?? 1) * this.getIntensityFit(config.energy ?? 0.5, intensity);
+      weight = this.varietyEnforcer.adjustWeight(activity, weight, varietyContext);
+      return { activity, weight };
+    });
+
+    const activity = this.weightedRandom(options)?.activity || 'stretching';
+    this.varietyEnforcer.recordSelection(activity, varietyContext);
+
+    const extended = this.shouldExtend(context);
+    const duration = extended ? BLOCK_DURATIONS.RELAX.EXTENDED.default : BLOCK_DURATIONS.RELAX.STANDARD.default;
+
+    console.log(`[RelaxSelector] ${activity} for ${duration}s after a stretch of intensity ${intensity.toFixed(2)}`);
+
+    return {
+      blockType: BlockType.RELAX,
+      activity,
+      duration,
+      extended,
+      intensity
+    };
+  }
+
+  /**
+   * Score the rounds since the last break, from 0 (easy) to 1 (exhausting)
+   *
+   * Three quarters of the score is the average difficulty of those rounds and the rest is how long the stretch ran against the longest the pattern rules allow, so four hard rounds in a row count for more than one. With no rounds to go on - a break straight after the opening - the stretch counts as middling.
+   */
+  measureIntensity() {
+    const { blockHistory, currentBlock } = matchState.getState();
+    const blocks = currentBlock ? [...blockHistory, currentBlock] : blockHistory;
+
+    const stretch = [];
+    for (let i = blocks.length - 1; i >= 0 && blocks[i].type === BlockType.ROUND; i--) {
+      stretch.push(blocks[i]);
+    }
+    if (stretch.length === 0) return 0.5;
+
+    const averageDifficulty = stretch.reduce((sum, block) => sum + (block.play?.difficulty ?? 3), 0) / stretch.length;
+    const difficulty = (averageDifficulty - DIFFICULTY_RANGE.min) / (DIFFICULTY_RANGE.max - DIFFICULTY_RANGE.min);
+    const length = Math.min(1, stretch.length / PATTERN_RULES.MAX_CONSECUTIVE_ROUNDS);
+
+    return Math.min(1, Math.max(0, difficulty * 0.75 + length * 0.25));
+  }
+
+  /**
+   * Weight multiplier for an activity's energy after a stretch of the given intensity (0.5 to 1.5)
+   */
+  getIntensityFit(energy, intensity) {
+    const wantedEnergy = 1 - intensity;
+    const fit = 1 - Math.abs(energy - wantedEnergy);
+    return 1 + INTENSITY_INFLUENCE * (fit - 0.5);
+  }
+
+  /**
+   * Whether a relax block gets the extended length
+   *
+   * Only matches with at least extended.minRounds rounds get longer breaks, and only from extended.fromProgress of the way through. A time-boxed match that's running late never does - it needs the minutes more than anyone needs the rest.
+   */
+  shouldExtend(context) {
+    const { minRounds = Infinity, fromProgress = 1 } = configLoader.get('relax.extended', {}) || {};
+
+    return !context.isOvertime &&
+      (context.totalRounds || 0) >= minRounds &&
+      (context.progress || 0) >= fromProgress;
+  }
+
+  /**
+   * Configured relax activities (activity -> { weight, energy })
+   */
+  getActivities() {
+    return configLoader.get('relax.activities', {}) || {};
+  }
+
+  /**
+   * Weighted random selection with a single roll
+   */
+  weightedRandom(options) {
+    if (options.length === 0) return null;
+
+    const totalWeight = options.reduce((sum, option) => sum + option.weight, 0);
+    let roll = this.random.next() * totalWeight;
+
+    for (const option of options) {
+      roll -= option.weight;
+      if (roll <= 0) return option;
+    }
+
+    return options[options.length - 1];
+  }
+
+  /**
+   * Clear relax history for a new match
+   */
+  clearHistory() {
+    this.varietyEnforcer.clearHistory();
+  }
+
+  /**
+   * Export relax history
+   */
+  export() {
+    return this.varietyEnforcer.export();
+  }
+
+  /**
+   * Import relax history
+   */
+  import(data) {
+    this.varietyEnforcer.import(data);
+  }
+}
+
+// Create singleton instance
+const relaxSelector = new RelaxSelector();
+
+// Export both instance and class
+export default relaxSelector;
+export { RelaxSelector };
@@ -0,0 +1,141 @@
+/**
+ * Score Keeper for Simon Says
+ *
+ * Simon runs the whole match but never sees a single result - he can call a duel, count it in and call time, and still have no idea who won. The host can see, so the ScoreKeeper is where the host tells him. After each round the host records how it turned out: the winner of a duel or a free-for-all, the winning team, or who was still standing when an asymmetric round ended. The ScoreKeeper checks that result against the play that was actually called, turns it into points with the SCORING table, and awards them through the PlayerRegistry, where they roll up to each player's team.
+ *
+ * Hosts tap the wrong button, so a result can always be recorded again: the round's earlier points are taken back before the new ones are given, and the table ends up exactly as if the first result had never been entered. Each round's result is kept with the points it awarded, which is what makes that possible, and it's what goes into checkpoints alongside the players' scores - a match resumed after a reload still knows which rounds have been scored and can still correct them.
+ */
+
+import { playerRegistry, RoundType, SCORING } from '../state';
+import playSelector from './PlaySelector';
+
+// ============================================
+// SCORE KEEPER CLASS
+// ============================================
+
+class ScoreKeeper {
+  constructor() {
+    this.outcomes = new Map(); // roundNumber -> { roundNumber, roundType, outcome, awards }
+  }
+
+  /**
+   * Record how a round turned out and award its points
+   *
+   * @param {Object} play - The round's play
+   * @param {number} roundNumber - Round the result is for
+   * @param {Object} outcome - { winner } for a duel or free-for-all, { winningTeam } for a team round (the play's team1, team2...), { survivors } for an asymmetric round
+   * @returns {Object} The recorded result { roundNumber, roundType, outcome, awards: [{ playerId, points }] }
+   */
+  recordOutcome(play, roundNumber, outcome) {
+    const awards = this.scoreOutcome(play, outcome);
+
+    // A corrected result replaces the earlier one
+    this.clearOutcome(roundNumber);
+
+    awards.forEach(award => playerRegistry.awardPoints(award.playerId, award.points, 1));
+
+    const result = { roundNumber, roundType: play.roundType, outcome, awards };
+    this.outcomes.set(roundNumber, result);
+
+    console.log(`[ScoreKeeper] Round ${roundNumber}: ${awards.length} player(s) scored`);
+    return result;
+  }
+
+  /**
+   * Work out who gets points for a result, checking it against the play
+   * @throws {Error} When the result doesn't fit the play
+   */
+  scoreOutcome(play, outcome = {}) {
+    const players = play?.players || {};
+    const inPlay = new Set(playSelector.extractPlayerIds(players));
+
+    switch (play?.roundType) {
+      case RoundType.DUEL:
+      case RoundType.FREE_FOR_ALL: {
+        if (!inPlay.has(outcome.winner)) {
+          throw new Error(`Player "${outcome.winner}" didn't play this round`);
+        }
+        const points = play.roundType === RoundType.DUEL ? SCORING.DUEL_WIN : SCORING.FREE_FOR_ALL_WIN;
+        return [{ playerId: outcome.winner, points }];
+      }
+
+      case RoundType.TEAM: {
+        const side = players[outcome.winningTeam];
+        if (!Array.isArray(side)) {
+          throw new Error(`No team "${outcome.winningTeam}" in this round`);
+        }
+        return side.map(playerId => ({ playerId, points: SCORING.TEAM_WIN }));
+      }
+
+      case RoundType.ASYMMETRIC: {
+        const survivors = [...new Set(outcome.survivors || [])];
+        if (survivors.length === 0 || survivors.some(playerId => !inPlay.has(playerId))) {
+          throw new Error('Survivors must be players from this round');
+        }
+        return survivors.map(playerId => ({ playerId, points: SCORING.SURVIVOR }));
+      }
+
+      default:
+        throw new Error(`Rounds of type "${play?.roundType}" can't be scored`);
+    }
+  }
+
+  /**
+   * Take back a round's result and its points
+   * @returns {boolean} Whether the round had a result
+   */
+  clearOutcome(roundNumber) {
+    const previous = this.outcomes.get(roundNumber);
+    if (!previous) return false;
+
+    previous.awards.forEach(award => playerRegistry.awardPoints(award.playerId, -award.points, -1));
+    this.outcomes.delete(roundNumber);
+    return true;
+  }
+
+  /**
+   * Get a round's recorded result
+   */
+  getOutcome(roundNumber) {
+    return this.outcomes.get(roundNumber) || null;
+  }
+
+  /**
+   * Current standings, with how many rounds have been scored
+   * @returns {Object} { players, teams, rounds }
+   */
+  getStandings() {
+    return { ...playerRegistry.getStandings(), rounds: this.outcomes.size };
+  }
+
+  /**
+   * Clear results and scores for a new match
+   */
+  clear() {
+    this.outcomes.clear();
+    playerRegistry.resetScores();
+  }
+
+  /**
+   * Export recorded results (the scores themselves travel with the players)
+   */
+  export() {
+    return {
+      outcomes: Array.from(this.outcomes.values())
+    };
+  }
+
+  /**
+   * Import recorded results
+   */
+  import(data) {
+    this.outcomes = new Map((data?.outcomes || []).map(result => [result.roundNumber, result]));
+  }
+}
+
+// Create singleton instance
+const scoreKeeper = new ScoreKeeper();
+
+// Export both instance and class
+export default scoreKeeper;
+export { ScoreKeeper };
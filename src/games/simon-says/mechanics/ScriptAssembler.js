@@ -6,8 +6,11 @@
  * The system's sophistication comes from its template library and token replacement system. Templates provide variety - multiple ways to introduce duels, reveal variants, or celebrate endings. Tokens like {player1} and {team2} get replaced with actual names, making every announcement personal. The assembler also understands context, choosing dramatic countdowns for final rounds, silly encouragement for games with animal noises, and adjusting energy based on match progression. This creates a dynamic hosting experience where Simon feels like an aware, responsive game master rather than a pre-recorded announcement system.
  */
 
-import { configLoader } from '../systems';
+import { configLoader, randomSource } from '../systems';
 import { RoundType } from '../state/types';
+import { DEFAULT_LOCALE, CEREMONY_SEGMENTS } from '../state/constants';
+import { getLanguage, joinNames, replaceCountedTokens } from '../helpers';
+import { resolveLocale } from '../locales';
 
 // ============================================
 // SCRIPT TEMPLATES
@@ -63,7 +66,7 @@ const SCRIPT_TEMPLATES = {
     backwards: "But wait... [small] you must go BACKWARDS!",
     crabWalk: "Oh, and... [small] CRAB WALK ONLY!",
     hop: "Plot twist... [small] you can only HOP!",
-    slowMotion: "Everything must be in... [small] SLOW MOTION!"
+    slowMotion: "Everything must be in... [small] [rate:0.7]SLOW MOTION![/rate]"
   },
 
   // Modifier reveals
@@ -72,13 +75,47 @@ const SCRIPT_TEMPLATES = {
     teamChant: "While you play... [medium] your team must CHANT your name!",
     animalNoises: "Everyone must make... [medium] ANIMAL NOISES!",
     sillyVoices: "Use your SILLIEST voice... [medium] the whole time!",
-    countdown: "You have exactly... [medium] 30 SECONDS!"
+    countdown: "You have exactly... [medium] 30 SECONDS!",
+    multipleIts: "And this time... [medium] there's MORE THAN ONE IT!",
+    freezeWhistle: "When you hear the whistle... [sfx:whistle] [medium] FREEZE!"
   },
 
+  // Core rule for each variant
+  variantRules: {
+    tag: "{player1} must tag {player2}!",
+    mirror: "{player2} must copy everything {player1} does!",
+    balance: "Hold your balance position as long as possible!",
+    speed: "Complete the challenge as fast as you can!",
+    relay: "Pass the baton to your teammates!",
+    capture: "Steal the flag from the other team!",
+    freeze: "If you're tagged, freeze until a teammate saves you!",
+    infection: "If you're tagged, you become infected too!"
+  },
+
+  // How each movement style changes the rules
+  subVariantRules: {
+    backwards: "Remember, only move backwards!",
+    crabWalk: "Stay in crab walk position the whole time!",
+    hop: "Both feet must leave the ground!",
+    slowMotion: "Everything in slow motion - no rushing!"
+  },
+
+  // What each modifier adds to the rules
+  modifierRules: {
+    blindfold: "{team1} can shout directions!",
+    teamChant: "Teams, keep chanting!",
+    animalNoises: "I better hear those animal sounds!",
+    sillyVoices: "Normal voices = disqualified!",
+    countdown: "You have exactly 30 seconds!"
+  },
+
+  // Variant-specific starting positions (round type defaults otherwise)
+  variantPositioning: {},
+
   // Countdowns
   countdowns: {
-    standard: "Ready... [small] Set... [small] GO!",
-    dramatic: "3 [micro] 2 [micro] 1 [micro] GO GO GO!",
+    standard: "Ready... [small] Set... [small] [shout]GO![/shout] [sfx:whistle]",
+    dramatic: "3 [micro] 2 [micro] 1 [micro] [shout]GO GO GO![/shout] [sfx:whistle]",
     silly: "Ready... [small] Spaghetti... [small] RAVIOLI!",
     quick: "GO!"
   },
@@ -109,7 +146,7 @@ const SCRIPT_TEMPLATES = {
   // Endings
   endings: {
     standard: "TIME'S UP! [medium] Everyone freeze!",
-    dramatic: "AND... [large] STOP! [medium] Nobody move!",
+    dramatic: "AND... [large] [shout]STOP![/shout] [medium] [whisper]Nobody move![/whisper]",
     celebration: "AMAZING! [medium] That was incredible!"
   },
 
@@ -141,13 +178,27 @@ const SCRIPT_TEMPLATES = {
         "Hello everyone! Ready for some FUN?",
         "Greetings players! Time for Simon Says!"
       ],
+      energyCheck: [
+        "On a scale of one to LOUD, how ready are you? [medium] Let me hear it!",
+        "Everyone shake out your arms... [small] and your legs... [small] and JUMP!",
+        "Is everybody awake? [medium] I said, is everybody AWAKE?"
+      ],
+      roster: [
+        "We've got {playerCount|player|players} on {teamCount|team|teams} today!",
+        "{playerCount|player|players}, {teamCount|team|teams}, one Simon. Let's go!"
+      ],
       explanation: [
-        "We'll play {totalRounds} amazing rounds of games!",
-        "Get ready for {duration} minutes of pure fun!",
+        "We'll play {totalRounds|amazing round|amazing rounds} of games!",
+        "Get ready for {duration|minute|minutes} of pure fun!",
         "Here's how it works: I'll tell you what to play, and you play it!"
       ],
+      teamCalls: [
+        "{team}, let me hear your battle cry!",
+        "{team}, make some NOISE!",
+        "{team}, show everyone your team pose!"
+      ],
       teamBuilding: [
-        "{team1}, let me hear your battle cry!",
+        "Every team, come up with a chant in ten seconds!",
         "Teams, show me your victory dance!",
         "Each team, create your secret handshake!"
       ]
@@ -158,10 +209,38 @@ const SCRIPT_TEMPLATES = {
         "You've all been INCREDIBLE players!",
         "What an absolutely fantastic match!"
       ],
+      catchBreath: [
+        "Now take a deep breath with me... [large] and let it out.",
+        "Shake it out... [medium] and breathe."
+      ],
+      highlights: {
+        mostSelected: [
+          "{mostSelected}, Simon picked you {mostSelectedCount|time|times}!",
+          "Most picked player today: {mostSelected}, with {mostSelectedCount|round|rounds}!"
+        ],
+        longestRound: [
+          "Round {longestRound} was the marathon - about {longestRoundMinutes|minute|minutes}!",
+          "Who remembers round {longestRound}? That one went on and on!"
+        ],
+        duels: [
+          "We had {duelCount|duel|duels} today, and every one was epic!",
+          "{duelCount|duel|duels} fought, and everyone is still standing!"
+        ]
+      },
+      applause: [
+        "Give yourselves a huge round of applause!",
+        "High fives all around!",
+        "What was your favorite moment? Tell the person next to you!"
+      ],
       thanks: [
         "Thank you all for bringing such amazing energy!",
         "You've made this so much fun!",
         "Until next time, keep playing!"
+      ],
+      farewell: [
+        "Same time next week?",
+        "Tell your friends about Simon Says!",
+        "See you at the next game!"
       ]
     }
   },
@@ -188,6 +267,16 @@ const SCRIPT_TEMPLATES = {
         "Everyone form a circle!",
         "Find a partner and give them a high five!",
         "Let's do the wave!"
+      ],
+      slowMotion: [
+        "Everyone walk across the room... [medium] [rate:0.7]in slow motion![/rate]",
+        "Now do your best slow-motion jump... [large] all the way up... and all the way down.",
+        "Slow-motion high fives with your neighbours!"
+      ],
+      mirrorCircle: [
+        "Everyone in a circle, facing the middle!",
+        "One person leads... [medium] everyone copies their moves, nice and slow.",
+        "Now pass the lead to the person on your left!"
       ]
     },
     outro: [
@@ -195,17 +284,114 @@ const SCRIPT_TEMPLATES = {
       "All relaxed? Time for more games!",
       "That was nice! Ready for more action?"
     ]
+  },
+
+  // Lines built around the play rather than picked ({name} is the spoken key)
+  phrases: {
+    duelPlayerSelect: "{player1} from {team1}, step forward! [small] And facing them... [medium] {player2} from {team2}!",
+    teamPlayerSelect: "{team1}, you're up! [small] Versus... [medium] {team2}!",
+    infectionPlayerSelect: "{infected} from {team1}, you're infected! [medium] Everyone else... RUN!",
+    asymmetricPlayerSelect: "Special players selected! [small] Listen carefully for your role!",
+    playersSelected: "Players selected!",
+    variantRevealFallback: "Time for... [medium] {name}!",
+    subVariantRevealFallback: "And you must... [small] {name}!",
+    modifierRevealFallback: "Plus... [medium] {name}!",
+    rulesFallback: "Follow the rules!",
+    duelPositioning: "Take your positions... [medium] {player1} in the center, {player2} at the edge!",
+    teamPositioning: "Teams, line up on opposite sides!",
+    defaultPositioning: "Everyone find your starting position!",
+    standingsTeamLead: "{team} are in front with {points|point|points}!",
+    standingsTeamTie: "{names} are level on {points|point|points}!",
+    standingsPlayerLead: "{player} tops the leaderboard with {points|point|points}!",
+    standingsPlayerTie: "{names} share the top spot with {points|point|points}!",
+    finalTeamWinner: "And the winning team is... [medium] {team}, with {points|point|points}!",
+    finalTeamTie: "And it's a tie! [medium] {names}, with {points|point|points} each!",
+    finalPlayerWinner: "Top scorer of the match... [medium] {player}, with {points|point|points}!",
+    finalPlayerTie: "Top scorers of the match... [medium] {names}, with {points|point|points} each!"
+  },
+
+  // Words tokens are built from
+  words: {
+    and: "and",
+    team: "Team",
+    everyone: "everyone",
+    teams: "all teams"
   }
 };
 
+// Ceremony template pools each segment draws its lines from, in order
+const CEREMONY_SEGMENT_POOLS = {
+  welcome: ['welcome', 'energyCheck'],
+  explanation: ['roster', 'explanation'],
+  teamBuilding: ['teamCalls', 'teamBuilding'],
+  celebration: ['celebration', 'catchBreath'],
+  groupCelebration: ['highlights', 'standings', 'applause'],
+  thanks: ['thanks', 'farewell']
+};
+
 // ============================================
 // SCRIPT ASSEMBLER CLASS
 // ============================================
 
 class ScriptAssembler {
   constructor() {
-    this.templates = SCRIPT_TEMPLATES;
+    this.baseTemplates = SCRIPT_TEMPLATES; // Built-in lines plus content pack lines
+    this.locale = DEFAULT_LOCALE;
+    this.localeBundle = null;              // Translated lines for the match's language (none for English)
+    this.personality = null;
+    this.templates = SCRIPT_TEMPLATES;     // What scripts are assembled from: base, then locale, then personality lines
     this.customTemplates = new Map();
+    this.random = randomSource; // Replaced by the orchestrator's seeded source
+  }
+
+  /**
+   * Set the random source script choices roll against
+   */
+  setRandomSource(random) {
+    this.random = random;
+  }
+
+  /**
+   * Speak as a personality
+   * 
+   * A personality's templates are laid over the base ones, category by category and key by key: a personality that only rewrites the duel intros and the countdowns still gets the built-in team intros, every content pack's reveals and rules, and everything else it left alone. Its countdown and ending preferences replace the standard ones outside the moments that always get their own (the dramatic last-round countdown, the celebration ending).
+   * 
+   * @param {Object|null} personality - Registered personality, or null for the built-in Simon
+   */
+  setPersonality(personality) {
+    this.personality = personality || null;
+    this.updateTemplates();
+  }
+
+  /**
+   * Speak a match's language
+   * 
+   * The locale's bundle is laid over the base templates the same way a personality is, so anything it doesn't translate - a content pack's reveal, say - is still spoken, in English, rather than left silent. A personality's own lines are only used in the language they're written in; in any other language Simon speaks the locale's lines in the personality's voice. Locales without a bundle fall back to the closest one that speaks the same language, then to English.
+   * 
+   * @param {string} locale - BCP 47 tag, like "es-ES"
+   */
+  setLocale(locale) {
+    const bundle = resolveLocale(locale);
+    this.locale = bundle.locale;
+    this.localeBundle = bundle;
+    this.updateTemplates();
+  }
+
+  /**
+   * Rebuild the templates scripts are assembled from
+   */
+  updateTemplates() {
+    let templates = this.baseTemplates;
+    
+    if (this.localeBundle?.templates) {
+      templates = mergeTemplates(templates, this.localeBundle.templates);
+    }
+    
+    if (this.personality?.templates && getLanguage(this.personality.language) === getLanguage(this.locale)) {
+      templates = mergeTemplates(templates, this.personality.templates);
+    }
+    
+    this.templates = templates;
   }
 
   /**
@@ -237,13 +423,9 @@ class ScriptAssembler {
    */
   assembleRoundScripts(play, context) {
     const scripts = {};
-    const personality = this.getPersonality();
     
     // Introduction
-    scripts.intro = this.selectScript(
-      this.templates.roundIntros[play.roundType],
-      personality
-    );
+    scripts.intro = this.selectScript(this.templates.roundIntros[play.roundType]);
     
     // Player selection (for non-FFA)
     if (play.roundType !== 'freeForAll') {
@@ -254,19 +436,19 @@ class ScriptAssembler {
     if (this.templates.variantReveals[play.variant]) {
       scripts.variantReveal = this.templates.variantReveals[play.variant];
     } else {
-      scripts.variantReveal = `Time for... [medium] ${play.variant.toUpperCase()}!`;
+      scripts.variantReveal = this.fallbackReveal('variantRevealFallback', play.variant);
     }
     
     // Sub-variant reveal
     if (play.subVariant && play.subVariant !== 'normal') {
       scripts.subVariantReveal = this.templates.subVariantReveals[play.subVariant] ||
-        `And you must... [small] ${play.subVariant.toUpperCase()}!`;
+        this.fallbackReveal('subVariantRevealFallback', play.subVariant);
     }
     
     // Modifier reveal
     if (play.modifier) {
       scripts.modifierReveal = this.templates.modifierReveals[play.modifier] ||
-        `Plus... [medium] ${play.modifier.toUpperCase()}!`;
+        this.fallbackReveal('modifierRevealFallback', play.modifier);
     }
     
     // Rules explanation
@@ -279,7 +461,7 @@ class ScriptAssembler {
     
     // Countdown
     const countdownStyle = this.getCountdownStyle(play, context);
-    scripts.countdown = this.templates.countdowns[countdownStyle];
+    scripts.countdown = this.templates.countdowns[countdownStyle] || this.templates.countdowns.standard;
     
     // During play (optional)
     if (play.duration > 60) {
@@ -290,38 +472,117 @@ class ScriptAssembler {
     }
     
     // Ending
-    const endingStyle = context.isLastRound ? 'celebration' : 'standard';
-    scripts.ending = this.templates.endings[endingStyle];
+    scripts.ending = this.templates.endings[this.getEndingStyle(play, context)] || this.templates.endings.standard;
     
     // Outro
     const outroCategory = play.roundType === 'duel' ? 'duel' : 
                          play.roundType === 'team' ? 'team' : 'general';
     scripts.outro = this.selectScript(this.templates.outros[outroCategory]);
     
+    // Standings, filled in as Simon reaches them (silent until the host records a result)
+    scripts.standings = '{standings}';
+    
     // Process tokens
     return this.processTokens(scripts, play, context);
   }
 
   /**
    * Assemble scripts for a ceremony
+   * 
+   * Every segment the CeremonySelector planned gets a list of lines, one from each of its template pools in CEREMONY_SEGMENT_POOLS order. Two pools are built from the match rather than picked once: team calls give every team on the roster its own line, so no team is left standing there unnamed, and highlights give one line for each moment the closing has to call out. The standings pool is left as a token, because the last round can still be scored while the closing is being prepared - it's filled in when Simon gets to it. A pool the templates don't have (a personality or locale that never wrote energy checks, say) is simply skipped, and so is the roster line when nobody has joined yet.
    */
   assembleCeremonyScripts(play, context) {
     const scripts = {};
-    const ceremonyType = play.ceremonyType;
-    const templates = this.templates.ceremony[ceremonyType];
+    const templates = this.templates.ceremony[play.ceremonyType] || {};
+    const segments = play.segments || CEREMONY_SEGMENTS[play.ceremonyType?.toUpperCase()] || [];
     
-    if (ceremonyType === 'opening') {
-      scripts.welcome = this.selectScript(templates.welcome);
-      scripts.explanation = this.selectScript(templates.explanation);
-      scripts.teamBuilding = this.selectScript(templates.teamBuilding);
-    } else if (ceremonyType === 'closing') {
-      scripts.celebration = this.selectScript(templates.celebration);
-      scripts.thanks = this.selectScript(templates.thanks);
-    }
+    segments.forEach(segment => {
+      const lines = (CEREMONY_SEGMENT_POOLS[segment.name] || [segment.name])
+        .flatMap(pool => this.buildCeremonyLines(pool, templates, play));
+      
+      if (lines.length > 0) {
+        scripts[segment.name] = lines;
+      }
+    });
     
     return this.processTokens(scripts, play, context);
   }
 
+  /**
+   * Lines one ceremony template pool adds to its segment
+   */
+  buildCeremonyLines(pool, templates, play) {
+    if (pool === 'teamCalls') {
+      const teams = play.roster?.teams || [];
+      const calls = templates.teamCalls || [];
+      if (calls.length === 0) return [];
+      
+      // Every team gets a different call until they've all been used
+      let available = [];
+      return teams.map(team => {
+        if (available.length === 0) available = [...calls];
+        const [call] = available.splice(Math.floor(this.random.next() * available.length), 1);
+        return this.replaceTokens(call, { team: team.name });
+      });
+    }
+    
+    if (pool === 'highlights') {
+      return Object.keys(play.highlights || {})
+        .filter(highlight => templates.highlights?.[highlight])
+        .map(highlight => this.selectScript(templates.highlights[highlight]));
+    }
+    
+    if (pool === 'standings') return ['{finalStandings}'];
+    
+    if (pool === 'roster' && !play.roster?.playerCount) return [];
+    
+    const line = this.selectScript(templates[pool]);
+    return line ? [line] : [];
+  }
+
+  /**
+   * Build the line that announces the standings
+   * 
+   * Teams come first when there's more than one to compare, since that's the table the room is cheering for; players are named when there are no teams to talk about, and always at the closing, where the top scorer gets a moment of their own. Ties are called as ties. The line is built rather than picked - the same standings always read the same way - and it's empty until the host has recorded a result, so a match nobody is scoring never hears about points.
+   * 
+   * @param {Object} standings - From the ScoreKeeper: { players, teams, rounds }
+   * @param {Object} options - { final: true for the closing ceremony }
+   * @returns {string} Line to speak, or '' when there's nothing to announce
+   */
+  buildStandingsLine(standings, { final = false } = {}) {
+    if (!standings?.rounds) return '';
+    
+    const { phrases, words } = this.templates;
+    const lines = [];
+    
+    const announce = (entries, nameOf, single, tie) => {
+      const leaders = entries.filter(entry => entry.points === entries[0]?.points);
+      if (leaders.length === 0 || leaders[0].points <= 0) return;
+      
+      const tokens = { points: leaders[0].points };
+      if (leaders.length > 1) {
+        tokens.names = joinNames(leaders.map(nameOf), words.and);
+      } else {
+        tokens.team = nameOf(leaders[0]);
+        tokens.player = tokens.team;
+      }
+      lines.push(this.replaceTokens(leaders.length > 1 ? phrases[tie] : phrases[single], tokens));
+    };
+    
+    if (standings.teams.length >= 2) {
+      announce(standings.teams, team => team.id,
+        final ? 'finalTeamWinner' : 'standingsTeamLead',
+        final ? 'finalTeamTie' : 'standingsTeamTie');
+    }
+    if (final || lines.length === 0) {
+      announce(standings.players, player => player.name,
+        final ? 'finalPlayerWinner' : 'standingsPlayerLead',
+        final ? 'finalPlayerTie' : 'standingsPlayerTie');
+    }
+    
+    return lines.join(' [small] ');
+  }
+
   /**
    * Assemble scripts for a relax block
    */
@@ -349,26 +610,25 @@ class ScriptAssembler {
    * Asymmetric games get special treatment because roles matter more than individuals. In infection, the infected player needs to be highlighted as special (and dangerous), while everyone else becomes "potential victims." The method understands these game-specific dynamics and crafts appropriate announcements. The use of tokens like {player1}, {team1} ensures names flow naturally into the script, while the specific phrasing ("step forward!", "you're up!") creates physical engagement, encouraging players to move and take their positions even before the game officially starts.
    */
   buildPlayerSelectScript(play, context) {
-    const players = play.players;
+    const { phrases } = this.templates;
     
     if (play.roundType === 'duel') {
-      return `{player1} from {team1}, step forward! [small] And facing them... ` +
-             `[medium] {player2} from {team2}!`;
+      return phrases.duelPlayerSelect;
     }
     
     if (play.roundType === 'team') {
-      return `{team1}, you're up! [small] Versus... [medium] {team2}!`;
+      return phrases.teamPlayerSelect;
     }
     
     if (play.roundType === 'asymmetric') {
       // Custom script based on variant
       if (play.variant === 'infection') {
-        return `{infected} from {team1}, you're infected! [medium] Everyone else... RUN!`;
+        return phrases.infectionPlayerSelect;
       }
-      return `Special players selected! [small] Listen carefully for your role!`;
+      return phrases.asymmetricPlayerSelect;
     }
     
-    return "Players selected!";
+    return phrases.playersSelected;
   }
 
   /**
@@ -382,40 +642,16 @@ class ScriptAssembler {
     const rules = [];
     
     // Base rule for variant
-    const variantRules = {
-      tag: "{player1} must tag {player2}!",
-      mirror: "{player2} must copy everything {player1} does!",
-      balance: "Hold your balance position as long as possible!",
-      speed: "Complete the challenge as fast as you can!",
-      relay: "Pass the baton to your teammates!",
-      capture: "Steal the flag from the other team!",
-      freeze: "If you're tagged, freeze until a teammate saves you!",
-      infection: "If you're tagged, you become infected too!"
-    };
-    
-    rules.push(variantRules[play.variant] || "Follow the rules!");
+    rules.push(this.templates.variantRules[play.variant] || this.templates.phrases.rulesFallback);
     
     // Add sub-variant rule
     if (play.subVariant && play.subVariant !== 'normal') {
-      const subVariantRules = {
-        backwards: "Remember, only move backwards!",
-        crabWalk: "Stay in crab walk position the whole time!",
-        hop: "Both feet must leave the ground!",
-        slowMotion: "Everything in slow motion - no rushing!"
-      };
-      rules.push(subVariantRules[play.subVariant] || "");
+      rules.push(this.templates.subVariantRules[play.subVariant] || "");
     }
     
     // Add modifier rule
     if (play.modifier) {
-      const modifierRules = {
-        blindfold: "{team1} can shout directions!",
-        teamChant: "Teams, keep chanting!",
-        animalNoises: "I better hear those animal sounds!",
-        sillyVoices: "Normal voices = disqualified!",
-        countdown: "You have exactly 30 seconds!"
-      };
-      rules.push(modifierRules[play.modifier] || "");
+      rules.push(this.templates.modifierRules[play.modifier] || "");
     }
     
     return rules.filter(r => r).join(" [small] ");
@@ -425,15 +661,26 @@ class ScriptAssembler {
    * Build positioning script
    */
   buildPositioningScript(play, context) {
+    if (this.templates.variantPositioning[play.variant]) {
+      return this.templates.variantPositioning[play.variant];
+    }
+    
     if (play.roundType === 'duel') {
-      return "Take your positions... [medium] {player1} in the center, {player2} at the edge!";
+      return this.templates.phrases.duelPositioning;
     }
     
     if (play.roundType === 'team') {
-      return "Teams, line up on opposite sides!";
+      return this.templates.phrases.teamPositioning;
     }
     
-    return "Everyone find your starting position!";
+    return this.templates.phrases.defaultPositioning;
+  }
+
+  /**
+   * Reveal line for content with no reveal of its own ("Time for... [medium] SWIVELRELAY!")
+   */
+  fallbackReveal(phrase, key) {
+    return this.templates.phrases[phrase].replace('{name}', key.toUpperCase());
   }
 
   /**
@@ -442,7 +689,8 @@ class ScriptAssembler {
   needsPositioning(play) {
     return play.roundType === 'duel' || 
            play.roundType === 'team' ||
-           play.variant === 'relay';
+           play.variant === 'relay' ||
+           Boolean(this.templates.variantPositioning[play.variant]);
   }
 
   /**
@@ -451,10 +699,19 @@ class ScriptAssembler {
   getCountdownStyle(play, context) {
     if (context.isLastRound) return 'dramatic';
     if (play.modifier === 'countdown') return 'quick';
+    if (this.personality?.countdownStyle) return this.personality.countdownStyle;
     if (context.personalityStyle === 'silly') return 'silly';
     return 'standard';
   }
 
+  /**
+   * Get ending style
+   */
+  getEndingStyle(play, context) {
+    if (context.isLastRound) return 'celebration';
+    return this.personality?.endingStyle || 'standard';
+  }
+
   /**
    * Get encouragement style
    */
@@ -471,11 +728,10 @@ class ScriptAssembler {
   /**
    * Select a random script from options
    */
-  selectScript(options, style = null) {
+  selectScript(options) {
     if (!options || options.length === 0) return "";
     
-    // Could implement style-based selection here
-    const index = Math.floor(Math.random() * options.length);
+    const index = Math.floor(this.random.next() * options.length);
     return options[index];
   }
 
@@ -489,7 +745,7 @@ class ScriptAssembler {
     const available = [...options];
     
     for (let i = 0; i < count && available.length > 0; i++) {
-      const index = Math.floor(Math.random() * available.length);
+      const index = Math.floor(this.random.next() * available.length);
       selected.push(available[index]);
       available.splice(index, 1);
     }
@@ -533,6 +789,7 @@ class ScriptAssembler {
    */
   buildTokenMap(play, context) {
     const tokens = {};
+    const { words } = this.templates;
     
     // Player tokens
     if (play.players) {
@@ -547,20 +804,39 @@ class ScriptAssembler {
       
       // Team tokens
       if (play.players.team1) {
-        tokens.team1 = context.teamNames?.[0] || "Team 1";
+        tokens.team1 = context.teamNames?.[0] || `${words.team} 1`;
       }
       if (play.players.team2) {
-        tokens.team2 = context.teamNames?.[1] || "Team 2";
+        tokens.team2 = context.teamNames?.[1] || `${words.team} 2`;
       }
       
       // Special role tokens
       Object.entries(play.players).forEach(([role, data]) => {
         if (data && data.name) {
           tokens[role] = data.name;
+        } else if (Array.isArray(data) && data.length > 0 && data.every(p => p?.name)) {
+          tokens[role] = joinNames(data.map(p => p.name), this.templates.words.and);
         }
       });
     }
     
+    // Ceremony tokens
+    if (play.roster) {
+      tokens.playerCount = play.roster.playerCount;
+      tokens.teamCount = play.roster.teams.length;
+    }
+    if (play.highlights?.mostSelected) {
+      tokens.mostSelected = play.highlights.mostSelected.name;
+      tokens.mostSelectedCount = play.highlights.mostSelected.count;
+    }
+    if (play.highlights?.longestRound) {
+      tokens.longestRound = play.highlights.longestRound.roundNumber;
+      tokens.longestRoundMinutes = play.highlights.longestRound.minutes;
+    }
+    if (play.highlights?.duels) {
+      tokens.duelCount = play.highlights.duels.count;
+    }
+    
     // Context tokens
     tokens.roundNumber = context.currentRound || 1;
     tokens.totalRounds = context.totalRounds || 10;
@@ -573,17 +849,18 @@ class ScriptAssembler {
     }
     
     // Generic tokens
-    tokens.everyone = "everyone";
-    tokens.teams = "all teams";
+    tokens.everyone = words.everyone;
+    tokens.teams = words.teams;
     
     return tokens;
   }
 
   /**
    * Replace tokens in text
+   * Counted tokens ({totalRounds|round|rounds}) go first, pluralized for the match's language.
    */
   replaceTokens(text, tokens) {
-    let processed = text;
+    let processed = replaceCountedTokens(text, tokens, this.locale);
     
     Object.entries(tokens).forEach(([key, value]) => {
       const regex = new RegExp(`\\{${key}\\}`, 'g');
@@ -617,6 +894,34 @@ class ScriptAssembler {
     existing.push(...templates);
   }
 
+  /**
+   * Set a keyed template line, like a variant's reveal or rule
+   *
+   * Keyed categories (variantReveals, variantRules, modifierRules and the like) are copied on write, so the built-in SCRIPT_TEMPLATES are never changed and removeTemplate can always put the original line back.
+   */
+  setTemplate(category, key, text) {
+    this.baseTemplates = {
+      ...this.baseTemplates,
+      [category]: { ...this.baseTemplates[category], [key]: text }
+    };
+    this.updateTemplates();
+  }
+
+  /**
+   * Remove a keyed template line, restoring the built-in one if it existed
+   */
+  removeTemplate(category, key) {
+    const remaining = { ...this.baseTemplates[category] };
+    delete remaining[key];
+    
+    if (SCRIPT_TEMPLATES[category]?.[key] !== undefined) {
+      remaining[key] = SCRIPT_TEMPLATES[category][key];
+    }
+    
+    this.baseTemplates = { ...this.baseTemplates, [category]: remaining };
+    this.updateTemplates();
+  }
+
   /**
    * Get all templates for a category
    */
@@ -627,6 +932,19 @@ class ScriptAssembler {
   }
 }
 
+// Helper function: override templates nested category by category; lines and line lists replace
+function mergeTemplates(base, overrides) {
+  const merged = { ...base };
+  
+  Object.entries(overrides).forEach(([key, value]) => {
+    const isCategory = value && typeof value === 'object' && !Array.isArray(value);
+    const baseIsCategory = base[key] && typeof base[key] === 'object' && !Array.isArray(base[key]);
+    merged[key] = isCategory && baseIsCategory ? mergeTemplates(base[key], value) : value;
+  });
+  
+  return merged;
+}
+
 // Create singleton instance
 const scriptAssembler = new ScriptAssembler();
 
@@ -30,7 +30,7 @@ class VarietyEnforcer {
     let adjustedWeight = baseWeight;
     
     // Apply recency penalty
-    const recencyFactor = this.getRecencyFactor(itemId);
+    const recencyFactor = this.getRecencyFactor(itemId, context);
     adjustedWeight *= recencyFactor;
     
     // Apply pattern breaking
@@ -57,16 +57,18 @@ class VarietyEnforcer {
    * 
    * Recency is the most straightforward variety mechanism - things that just happened shouldn't happen again immediately. The method checks when an item was last used and applies a penalty that decreases over time. If something was used in the previous round, it might get a 0.1 multiplier (90% reduction). After 3 rounds, maybe 0.5 (50% reduction). After 5+ rounds, no penalty. This creates a natural "cooldown" period where recently-used items rest while others get their chance.
    * 
-   * The implementation uses timestamps rather than round numbers for flexibility, estimating rounds based on time elapsed. This approach handles edge cases like paused games or variable round lengths gracefully. The getRecencyPenalty function (imported from constants) defines the exact penalty curve, which was tuned through playtesting to feel natural - not so aggressive that players notice the suppression, but strong enough to create variety.
+   * When both the selection context and the history entry carry a round number, the distance is counted in rounds: an item used in the round just before this one counts as just played. Otherwise the implementation falls back to timestamps, estimating rounds from time elapsed, which handles edge cases like paused games or variable round lengths. Counting rounds matters for the headless simulator, where a whole match runs in a few milliseconds and every timestamp would look like the previous round. The getRecencyPenalty function (imported from constants) defines the exact penalty curve, which was tuned through playtesting to feel natural - not so aggressive that players notice the suppression, but strong enough to create variety.
    */
-  getRecencyFactor(itemId) {
+  getRecencyFactor(itemId, context = {}) {
     const history = this.historyTracker.get(itemId);
     if (!history || history.length === 0) {
       return 1.0; // Never used
     }
     
     const lastUsed = history[0];
-    const roundsSince = this.getRoundsSinceTimestamp(lastUsed.timestamp);
+    const roundsSince = context.roundNumber && lastUsed.roundNumber
+      ? Math.max(0, context.roundNumber - lastUsed.roundNumber - 1)
+      : this.getRoundsSinceTimestamp(lastUsed.timestamp);
     
     return getRecencyPenalty(roundsSince);
   }
@@ -140,6 +142,7 @@ class VarietyEnforcer {
     history.unshift({
       timestamp: Date.now(),
       round: context.currentRound || 0,
+      roundNumber: context.roundNumber || null,
       context: context
     });
     
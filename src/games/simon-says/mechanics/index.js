@@ -12,7 +12,24 @@ export { default as blockSelector, BlockSelector } from './BlockSelector';
 
 // Play selection and variety
 export { default as playSelector, PlaySelector } from './PlaySelector';
+export { default as relaxSelector, RelaxSelector } from './RelaxSelector';
+export { default as ceremonySelector, CeremonySelector } from './CeremonySelector';
 export { default as varietyEnforcer, VarietyEnforcer } from './VarietyEnforcer';
 
+// Host-driven difficulty
+export { default as difficultyController, DifficultyController } from './DifficultyController';
+
+// Round results and standings
+export { default as scoreKeeper, ScoreKeeper } from './ScoreKeeper';
+
 // Script assembly
-export { default as scriptAssembler, ScriptAssembler } from './ScriptAssembler';
\ No newline at end of file
+export { default as scriptAssembler, ScriptAssembler } from './ScriptAssembler';
+
+// Standalone single rounds
+export { FlowEngine, FlowPhase } from './FlowEngine';
+
+// Content packs
+export { default as contentPackRegistry, ContentPackRegistry } from './ContentPackRegistry';
+
+// Host personalities
+export { default as personalityRegistry, PersonalityRegistry } from './PersonalityRegistry';
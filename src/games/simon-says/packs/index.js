@@ -0,0 +1,12 @@
+/**
+ * Content pack exports for Simon Says
+ * Themed variants, movement styles and modifiers, registered through ContentPackRegistry
+ */
+
+import officeParty from './officeParty';
+import kidsCamp from './kidsCamp';
+
+export { officeParty, kidsCamp };
+
+// Packs offered on the setup screen
+export const BUILT_IN_PACKS = [officeParty, kidsCamp];
@@ -0,0 +1,76 @@
+/**
+ * Kids Camp content pack
+ *
+ * Outdoor games for a field full of kids - lots of running, lots of noise, and rules simple enough to explain in one breath. Difficulties stay low so the younger campers can keep up.
+ */
+
+export default {
+  id: 'kids-camp',
+  name: 'Kids Camp',
+  description: 'Big-field games for campers',
+  locales: ['en-US'],
+
+  variants: {
+    sharksAndMinnows: {
+      roundType: 'asymmetric',
+      name: 'Sharks and Minnows',
+      weight: 30,
+      difficulty: 0,
+      distribution: { sharks: 2, minnows: 'rest' },
+      reveal: "Into the water! [medium] It's SHARKS AND MINNOWS!",
+      rules: "Minnows, swim to the other side! [small] Sharks, tag a minnow and they become a shark!",
+      positioning: "Minnows on one side, sharks in the middle!"
+    },
+    redLightGreenLight: {
+      roundType: 'freeForAll',
+      name: 'Red Light Green Light',
+      weight: 25,
+      difficulty: 0,
+      reveal: "Listen closely... [medium] RED LIGHT, GREEN LIGHT!",
+      rules: "Move on green, FREEZE on red - wobble and you go back to the start!",
+      positioning: "Everyone on the starting line!"
+    },
+    wheelbarrowRace: {
+      roundType: 'team',
+      name: 'Wheelbarrow Race',
+      weight: 20,
+      difficulty: 2,
+      reveal: "Find a partner! [medium] It's a WHEELBARROW RACE!",
+      rules: "One partner walks on their hands while the other holds their ankles!",
+      positioning: "Teams, pair up behind the line!"
+    },
+    rockPaperScissorsChase: {
+      roundType: 'duel',
+      name: 'Rock Paper Scissors Chase',
+      weight: 20,
+      difficulty: 0,
+      reveal: "Rock... paper... [medium] ROCK PAPER SCISSORS CHASE!",
+      rules: "{player1} and {player2} play one round - the winner chases, the loser runs to the fence!",
+      positioning: "{player1} and {player2}, face each other in the middle!"
+    }
+  },
+
+  subVariants: {
+    bearCrawl: {
+      weight: 15,
+      difficulty: 2,
+      reveal: "Get down low... [small] BEAR CRAWL only!",
+      rules: "Hands and feet on the ground - no knees!"
+    },
+    bunnyHop: {
+      weight: 15,
+      difficulty: 1,
+      reveal: "Ears up! [small] BUNNY HOPS only!",
+      rules: "Feet together, hop hop hop!"
+    }
+  },
+
+  modifiers: {
+    whisperOnly: {
+      weight: 20,
+      difficulty: 1,
+      reveal: "Shhh... [medium] WHISPERS ONLY!",
+      rules: "If I hear a shout, you sit out!"
+    }
+  }
+};
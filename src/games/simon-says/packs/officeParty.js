@@ -0,0 +1,75 @@
+/**
+ * Office Party content pack
+ *
+ * Games for a conference room or a holiday party - low floor space, people in work clothes, and a shared sense of humour about meetings. Nothing here needs running shoes, and nobody has to get on the floor.
+ */
+
+export default {
+  id: 'office-party',
+  name: 'Office Party',
+  description: 'Meeting-room mayhem for coworkers',
+  locales: ['en-US'],
+
+  variants: {
+    swivelRelay: {
+      roundType: 'team',
+      name: 'Swivel Chair Relay',
+      weight: 25,
+      difficulty: 1,
+      reveal: "Grab a chair! [medium] It's the SWIVEL CHAIR RELAY!",
+      rules: "Spin once in your chair, then tag the next teammate in line!",
+      positioning: "Teams, line up your chairs... [small] one behind the other!"
+    },
+    replyAll: {
+      roundType: 'freeForAll',
+      name: 'Reply All',
+      weight: 20,
+      difficulty: 0,
+      reveal: "Uh oh... [medium] someone hit REPLY ALL!",
+      rules: "When I say a word, everyone repeats it louder than the last person!"
+    },
+    bossFight: {
+      roundType: 'asymmetric',
+      name: 'Boss Fight',
+      weight: 25,
+      difficulty: 1,
+      distribution: { boss: 1, assistants: 2, staff: 'rest' },
+      reveal: "The boss is here... [medium] it's a BOSS FIGHT!",
+      rules: "The boss and assistants tag staff - tagged staff have to sit at their desk!",
+      positioning: "Boss in the corner office! [small] Everyone else, back to your desks!"
+    },
+    elevatorPitch: {
+      roundType: 'duel',
+      name: 'Elevator Pitch',
+      weight: 15,
+      difficulty: 1,
+      reveal: "Going up! [medium] It's the ELEVATOR PITCH!",
+      rules: "{player1} and {player2}, pitch the silliest product you can think of - the loudest cheer wins!",
+      positioning: "{player1} and {player2}, step into the elevator... [small] face the crowd!"
+    }
+  },
+
+  subVariants: {
+    coffeeInHand: {
+      weight: 10,
+      difficulty: 1,
+      reveal: "Careful... [small] you're holding a FULL CUP OF COFFEE!",
+      rules: "One hand stays level the whole time - don't spill!"
+    }
+  },
+
+  modifiers: {
+    onMute: {
+      weight: 15,
+      difficulty: 1,
+      reveal: "And remember... [medium] you're ON MUTE!",
+      rules: "No talking - gestures only!"
+    },
+    lanyardSwap: {
+      weight: 10,
+      difficulty: 1,
+      reveal: "Plot twist... [medium] everyone SWAP NAME TAGS!",
+      rules: "Answer only to the name on the tag you're holding!"
+    }
+  }
+};
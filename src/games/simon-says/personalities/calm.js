@@ -0,0 +1,116 @@
+/**
+ * Calm personality
+ *
+ * A yoga-teacher Simon for younger kids, mixed-ability groups and the end of a long day. Slower and lower, with longer countdowns, no shouting and an ending that asks everyone to settle rather than freeze.
+ */
+
+export default {
+  id: 'calm',
+  name: 'Calm Simon',
+  description: 'Gentle and unhurried',
+  style: 'calm',
+
+  voices: {
+    elevenlabs: '21m00Tcm4TlvDq8ikWAM'  // Rachel
+  },
+  rate: 0.9,
+  pitch: 0.95,
+
+  countdownStyle: 'gentle',
+  endingStyle: 'gentle',
+
+  templates: {
+    roundIntros: {
+      duel: [
+        "Let's have two of you take the floor.",
+        "Time for a friendly duel.",
+        "Two players, one challenge. Let's see."
+      ],
+      team: [
+        "Teams, gather together.",
+        "Time to work as a team.",
+        "Let's see how well your team listens to each other."
+      ],
+      freeForAll: [
+        "Everyone joins in for this one.",
+        "All players, find your space.",
+        "This one is for all of you."
+      ],
+      asymmetric: [
+        "This one is a little different.",
+        "Something new for this round.",
+        "Let's try something special."
+      ]
+    },
+
+    countdowns: {
+      gentle: "When you're ready... [medium] three... [small] two... [small] one... [small] begin."
+    },
+
+    duringPlay: {
+      general: [
+        "Nice and steady.",
+        "You're doing well.",
+        "Keep breathing.",
+        "Take your time."
+      ],
+      intense: [
+        "Stay focused.",
+        "Strong effort, everyone.",
+        "Keep it going, nice and controlled."
+      ]
+    },
+
+    endings: {
+      gentle: "And... [medium] [whisper]time.[/whisper] [small] Let's all settle.",
+      celebration: "Wonderful. [medium] That was really lovely to watch."
+    },
+
+    outros: {
+      general: [
+        "Lovely effort, everyone.",
+        "Well played, all of you.",
+        "That was very well done."
+      ],
+      duel: [
+        "A good, fair contest.",
+        "Thank you both. Well played."
+      ],
+      team: [
+        "Beautiful teamwork.",
+        "You really listened to each other."
+      ]
+    },
+
+    ceremony: {
+      opening: {
+        welcome: [
+          "Welcome, everyone. I'm so glad you're here.",
+          "Hello, everyone. Let's have a good time together."
+        ]
+      },
+      closing: {
+        celebration: [
+          "What a lovely match. Well done, all of you.",
+          "You've all played so well today."
+        ],
+        thanks: [
+          "Thank you for playing with me.",
+          "Take a deep breath, and give yourselves a smile."
+        ]
+      }
+    },
+
+    relax: {
+      intro: [
+        "Let's slow everything down.",
+        "Time to rest for a moment.",
+        "Find a comfortable spot and be still."
+      ],
+      outro: [
+        "When you're ready, we'll play again.",
+        "Nicely rested. Let's carry on."
+      ]
+    }
+  }
+};
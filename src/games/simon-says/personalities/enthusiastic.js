@@ -0,0 +1,18 @@
+/**
+ * Enthusiastic personality
+ *
+ * The Simon everyone already knows - loud, delighted and a little robotic. He speaks the built-in script templates with the configured default voice, so this personality overrides nothing; it exists so hosts can switch back to him after trying someone else.
+ */
+
+export default {
+  id: 'enthusiastic',
+  name: 'Enthusiastic Simon',
+  description: 'The classic game show host',
+  style: 'enthusiastic',
+
+  voices: {},  // Each provider's default voice
+  rate: 1.0,
+  pitch: 1.0,
+
+  templates: {}
+};
@@ -0,0 +1,17 @@
+/**
+ * Personality exports for Simon Says
+ * Voices, delivery and script banks for Simon, registered through PersonalityRegistry
+ */
+
+import enthusiastic from './enthusiastic';
+import calm from './calm';
+import silly from './silly';
+import strict from './strict';
+
+export { enthusiastic, calm, silly, strict };
+
+// Personalities offered on the setup screen
+export const BUILT_IN_PERSONALITIES = [enthusiastic, calm, silly, strict];
+
+// Who hosts when nobody has chosen
+export const DEFAULT_PERSONALITY_ID = enthusiastic.id;
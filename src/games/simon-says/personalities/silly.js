@@ -0,0 +1,106 @@
+/**
+ * Silly personality
+ *
+ * A cartoon Simon who can't keep a straight face - high, fast, and easily distracted by vegetables. Best for kids' parties and groups who already know the games and want the hosting to be half the fun.
+ */
+
+export default {
+  id: 'silly',
+  name: 'Silly Simon',
+  description: 'Goofy, fast and full of nonsense',
+  style: 'silly',
+
+  voices: {
+    elevenlabs: 'MF3mGyEYCl7XYWbV9V3O'  // Elli
+  },
+  rate: 1.1,
+  pitch: 1.2,
+
+  countdownStyle: 'silly',
+  endingStyle: 'silly',
+
+  templates: {
+    roundIntros: {
+      duel: [
+        "Two brave noodles, step right up!",
+        "It's a DUEL! [small] Of DOOM! [small] Well, of fun.",
+        "Who wants to battle? [small] Not me, I'm a voice!"
+      ],
+      team: [
+        "Teams! Assemble! [small] Like furniture!",
+        "Team time! Hold hands! [small] Actually, don't.",
+        "Teams, it's time to be a big wobbly blob!"
+      ],
+      freeForAll: [
+        "EVERYBODY! [small] Yes, even you at the back!",
+        "All the players! All of them! Go go go!",
+        "It's chaos time! My favourite time!"
+      ],
+      asymmetric: [
+        "Ooh, this one's WEIRD. [small] I love it.",
+        "Something odd is coming...",
+        "Plot twist! [small] I don't know what it is either!"
+      ]
+    },
+
+    countdowns: {
+      silly: "Ready... [small] Spaghetti... [small] [shout]MEATBALLS![/shout] [sfx:slide]"
+    },
+
+    duringPlay: {
+      general: [
+        "Wiggle wiggle!",
+        "You look like a happy potato!",
+        "I see you! [small] I see all of you!",
+        "Keep going, you magnificent noodles!"
+      ]
+    },
+
+    endings: {
+      silly: "STOP! [small] Freeze like a frozen pea!",
+      celebration: "WOOHOO! [medium] I'm doing a little dance!"
+    },
+
+    outros: {
+      general: [
+        "That was bonkers! [small] Again! Again!",
+        "I laughed so hard my circuits wobbled!",
+        "Ten out of ten! [small] Eleven out of ten!"
+      ],
+      duel: [
+        "What a battle of the bananas!",
+        "Both of you win! [small] Just kidding, nobody's counting."
+      ],
+      team: [
+        "Teamwork makes the dream wobble!",
+        "Best blob ever!"
+      ]
+    },
+
+    ceremony: {
+      opening: {
+        welcome: [
+          "HELLO HELLO HELLO! [small] It's me! Simon!",
+          "Welcome, silly people! Ready for nonsense?"
+        ]
+      },
+      closing: {
+        thanks: [
+          "Thanks for playing! [small] Now go eat a snack!",
+          "Bye bye! [small] Don't forget to wiggle on the way out!"
+        ]
+      }
+    },
+
+    relax: {
+      intro: [
+        "Time to be a sleepy sloth...",
+        "Let's all be jellyfish for a minute."
+      ],
+      outro: [
+        "Jellyfish mode OFF! Let's play!",
+        "Sloth time's over! Zoom zoom!"
+      ]
+    }
+  }
+};
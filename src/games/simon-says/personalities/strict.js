@@ -0,0 +1,114 @@
+/**
+ * Strict personality
+ *
+ * A drill-sergeant Simon for teams that want to be pushed - PE classes, sports practice, anyone who finds the cheerful host too soft. Short sentences, a clipped countdown and an ending that sounds like a referee's.
+ */
+
+export default {
+  id: 'strict',
+  name: 'Coach Simon',
+  description: 'Firm, fast and no nonsense',
+  style: 'strict',
+
+  voices: {
+    elevenlabs: 'VR6AewLTigWG4xSOukaG'  // Arnold
+  },
+  rate: 1.05,
+  pitch: 0.9,
+
+  countdownStyle: 'drill',
+  endingStyle: 'whistle',
+
+  templates: {
+    roundIntros: {
+      duel: [
+        "Duel. Two players. Listen up.",
+        "Head to head. No excuses.",
+        "One on one. Let's see what you've got."
+      ],
+      team: [
+        "Teams. On me.",
+        "Team round. Work together or lose together.",
+        "Teams, form up."
+      ],
+      freeForAll: [
+        "Everyone. On your feet.",
+        "All players. This one's on you.",
+        "Free for all. Nobody sits this out."
+      ],
+      asymmetric: [
+        "Special round. Pay attention.",
+        "Different rules this time. Listen carefully."
+      ]
+    },
+
+    countdowns: {
+      drill: "On my whistle. [small] [shout]GO![/shout] [sfx:whistle]"
+    },
+
+    duringPlay: {
+      general: [
+        "Move it!",
+        "Stay sharp!",
+        "Eyes up!",
+        "No slacking!"
+      ],
+      intense: [
+        "Dig deep!",
+        "Harder!",
+        "Don't you dare quit now!"
+      ]
+    },
+
+    endings: {
+      whistle: "[shout]STOP.[/shout] [small] Hands on your heads.",
+      celebration: "That's a wrap. [medium] Good work. I mean it."
+    },
+
+    outros: {
+      general: [
+        "Acceptable. Barely.",
+        "Good effort. Do better next time.",
+        "Not bad. Reset."
+      ],
+      duel: [
+        "Solid duel. Back in line.",
+        "Both of you, good hustle."
+      ],
+      team: [
+        "Decent teamwork. Tighten it up.",
+        "That's how a team moves."
+      ]
+    },
+
+    ceremony: {
+      opening: {
+        welcome: [
+          "Listen up. This is Simon Says, and I'm in charge.",
+          "Line up. We've got work to do."
+        ]
+      },
+      closing: {
+        celebration: [
+          "That's the match. You earned it.",
+          "Done. Every one of you worked hard today."
+        ],
+        thanks: [
+          "Dismissed.",
+          "Same time next week. Don't be late."
+        ]
+      }
+    },
+
+    relax: {
+      intro: [
+        "Water break. Walk it off.",
+        "Recovery time. Keep moving, slowly."
+      ],
+      outro: [
+        "Break's over. Back to it.",
+        "Rested? Good. Let's go."
+      ]
+    }
+  }
+};
@@ -20,6 +20,31 @@ export const PAUSE_DURATIONS = {
   XLARGE: 4000   // Maximum suspense, rare use
 };
 
+// Pauses shape when Simon speaks; speech styles shape how. A script can wrap words in [emphasis], [whisper] or [shout] (closed with [/emphasis] and so on), or nudge them with [rate:1.2] and [pitch:0.8]. Voices that understand SSML get real markup for these. Everything else gets the multipliers below applied to that stretch of speech - a whisper is slower, lower and quieter, a shout faster, higher and at full volume - which is rough, but still reads as a change of delivery across a gym.
+
+export const SPEECH_STYLES = {
+  EMPHASIS: { rate: 0.9, pitch: 1.1, volume: 1.0 },
+  WHISPER: { rate: 0.85, pitch: 0.9, volume: 0.4 },
+  SHOUT: { rate: 1.1, pitch: 1.25, volume: 1.0 }
+};
+
+// Sound effects a script can cue with [sfx:name] (duration in ms, for timing when audio can't play)
+export const SOUND_EFFECTS = {
+  whistle: { src: '/sounds/whistle.wav', duration: 650 },
+  swoosh: { src: '/sounds/sweep.wav', duration: 550 },
+  ding: { src: '/sounds/select.wav', duration: 450 },
+  click: { src: '/sounds/click.wav', duration: 100 },
+  slide: { src: '/sounds/slide.wav', duration: 200 }
+};
+
+// Until a line has been generated there's no audio to measure, so its length is estimated from its word count. Simon talks fast - game show fast - and even a one-word "GO!" takes a moment to land. Mock mode fakes speech at a fixed time per character, and estimates use the same figure so a mock match runs to schedule.
+
+export const SPEECH_TIMING = {
+  WORDS_PER_SECOND: 2.6,  // At rate 1; faster delivery shortens it
+  MIN_LINE_MS: 400,       // Shortest a spoken line can take
+  MOCK_MS_PER_CHAR: 50    // Mock mode's speaking time
+};
+
 // Round durations in seconds
 export const ROUND_DURATIONS = {
   DUEL: { min: 60, default: 90, max: 180 },
@@ -40,6 +65,20 @@ export const BLOCK_DURATIONS = {
   }
 };
 
+// Ceremony segments in the order they're performed, with their share of the ceremony (design doc 04)
+export const CEREMONY_SEGMENTS = {
+  OPENING: [
+    { name: 'welcome', share: 0.26 },          // Welcome & energy check
+    { name: 'explanation', share: 0.37 },      // The format: rounds, players, teams
+    { name: 'teamBuilding', share: 0.37 }      // Team identity
+  ],
+  CLOSING: [
+    { name: 'celebration', share: 0.36 },      // Immediate celebration
+    { name: 'groupCelebration', share: 0.36 }, // Highlights and applause
+    { name: 'thanks', share: 0.28 }            // Thank you & dismissal
+  ]
+};
+
 // ============================================
 // MATCH CONFIGURATION
 // ============================================
@@ -143,6 +182,18 @@ export const SELECTION_FAIRNESS = {
   RECENT_PARTNER_PENALTY: 0.5       // Halve chance of same partner
 };
 
+// ============================================
+// SCORING
+// ============================================
+
+// Points for the round outcomes the host records
+export const SCORING = {
+  DUEL_WIN: 3,          // The duel's winner
+  FREE_FOR_ALL_WIN: 3,  // Last one standing
+  TEAM_WIN: 2,          // Each player on the winning side
+  SURVIVOR: 2           // Each player still standing at the end of an asymmetric round
+};
+
 // ============================================
 // SCRIPT CONFIGURATION
 // ============================================
@@ -152,6 +203,9 @@ export const SCRIPT_VARIATIONS = {
   MAX_VARIATIONS: 10   // Maximum to prevent bloat
 };
 
+// Language Simon speaks when a match doesn't choose one (and the language every built-in template is written in)
+export const DEFAULT_LOCALE = 'en-US';
+
 // Voice performance settings
 export const VOICE_SETTINGS = {
   DEFAULT_RATE: 1.0,
@@ -169,6 +223,7 @@ export const VOICE_SETTINGS = {
 export const PATTERN_RULES = {
   MIN_ROUNDS_BETWEEN_RELAX: 2,
   MAX_CONSECUTIVE_ROUNDS: 6,
+  PREFERRED_ROUNDS_BETWEEN_RELAX: 4, // Generated patterns break about this often unless a target duration says otherwise
   ALWAYS_START_WITH_OPENING: true,
   ALWAYS_END_WITH_CLOSING: true,
   NEVER_END_ON_RELAX: true
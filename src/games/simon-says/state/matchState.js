@@ -14,6 +14,11 @@ import { eventBus, Events } from '../systems';
 // MATCH STATE DEFINITION
 // ============================================
 
+// No host adjustments yet
+function createDifficultyTuning() {
+  return { curveShift: 0, modifierScale: 1, pauseOffset: 0, baseline: null };
+}
+
 class MatchState {
   constructor() {
     this.reset();
@@ -26,6 +31,7 @@ class MatchState {
     this.match = {
       // Identity
       id: null,
+      seed: null,              // Random seed every choice in the match came from
       startTime: null,
       
       // Configuration (set at match start)
@@ -49,7 +55,11 @@ class MatchState {
       blockHistory: [],        // Completed blocks
       
       // Current block
-      currentBlock: null
+      currentBlock: null,
+      
+      // Host feedback
+      difficultyTuning: createDifficultyTuning(),
+      difficultyAdjustments: []
     };
     
     // Track state changes
@@ -71,6 +81,7 @@ class MatchState {
     
     this.match = {
       id: matchId,
+      seed: config.seed ?? null,
       startTime: Date.now(),
       config: { ...this.match.config, ...config },
       status: MatchStatus.SETUP,
@@ -80,7 +91,9 @@ class MatchState {
       lastUpdateTime: Date.now(),
       patternSequence: [],
       blockHistory: [],
-      currentBlock: null
+      currentBlock: null,
+      difficultyTuning: createDifficultyTuning(),
+      difficultyAdjustments: []
     };
     
     this.notifyListeners('match_initialized', this.match);
@@ -98,6 +111,7 @@ class MatchState {
     
     this.match.patternSequence = pattern.sequence;
     this.match.config.selectedPattern = pattern.id;
+    this.match.config.roundCount = this.countRounds();
     
     this.notifyListeners('pattern_set', pattern);
   }
@@ -171,6 +185,7 @@ class MatchState {
       startTime: Date.now(),
       duration: null,
       plannedDuration: play?.duration || null,
+      timing: null,            // How the round's play window went against its plan
       
       // Type-specific data
       play: blockType === BlockType.ROUND ? play : null,
@@ -220,6 +235,81 @@ class MatchState {
     return completedBlock;
   }
 
+  /**
+   * Record how the current block's performance kept to its planned times
+   * @param {Object} timing - From PerformanceSystem.perform: planned and actual play time, when each encouragement was planned and spoken
+   */
+  recordBlockTiming(timing) {
+    if (!this.match.currentBlock) {
+      throw new Error('No active block to record timing for');
+    }
+    
+    this.match.currentBlock.timing = timing;
+  }
+
+  /**
+   * Swap in a new play for the current round (host re-roll)
+   */
+  replaceCurrentPlay(play) {
+    const block = this.match.currentBlock;
+    if (block?.type !== BlockType.ROUND) {
+      throw new Error('No active round to replace');
+    }
+    
+    block.play = play;
+    block.plannedDuration = play.duration || null;
+    
+    this.notifyListeners('play_replaced', block);
+  }
+
+  /**
+   * Add time to the current block's plan (host extension)
+   */
+  extendCurrentBlock(seconds) {
+    const block = this.match.currentBlock;
+    if (!block) {
+      throw new Error('No active block to extend');
+    }
+    
+    block.plannedDuration = (block.plannedDuration || 0) + seconds;
+    if (block.play) {
+      block.play.duration = block.plannedDuration;
+    }
+    
+    this.notifyListeners('block_extended', block);
+  }
+
+  /**
+   * Insert an extra block into the pattern mid-match
+   */
+  insertBlock(index, blockType) {
+    if (index <= this.match.currentBlockIndex) {
+      throw new Error('Cannot insert a block before the current one');
+    }
+    
+    const sequence = [...this.match.patternSequence];
+    sequence.splice(index, 0, blockType);
+    this.match.patternSequence = sequence;
+    
+    this.notifyListeners('block_inserted', { index, blockType });
+  }
+
+  /**
+   * Remove an upcoming block from the pattern mid-match
+   */
+  removeBlock(index) {
+    if (index <= this.match.currentBlockIndex) {
+      throw new Error('Cannot remove a block that has already started');
+    }
+    
+    const sequence = [...this.match.patternSequence];
+    const [blockType] = sequence.splice(index, 1);
+    this.match.patternSequence = sequence;
+    this.match.config.roundCount = this.countRounds();
+    
+    this.notifyListeners('block_removed', { index, blockType });
+  }
+
   // ============================================
   // STATE QUERIES
   // ============================================
@@ -241,6 +331,13 @@ class MatchState {
            (this.match.currentBlock?.type === BlockType.ROUND ? 1 : 0);
   }
 
+  /**
+   * Get the random seed the match was played from
+   */
+  getSeed() {
+    return this.match.seed;
+  }
+
   /**
    * Get total rounds in the match
    */
@@ -248,6 +345,27 @@ class MatchState {
     return this.match.config.roundCount;
   }
 
+  /**
+   * Count the rounds in the pattern
+   */
+  countRounds() {
+    return this.match.patternSequence.filter(block => block === BlockType.ROUND).length;
+  }
+
+  /**
+   * How long finished blocks of a type actually took, on average
+   * @param {string} type - A BlockType
+   * @returns {number|null} Seconds, or null before any have finished
+   */
+  getAverageBlockDuration(type) {
+    const durations = this.getBlocksByType(type)
+      .map(block => block.duration)
+      .filter(duration => typeof duration === 'number');
+    
+    if (durations.length === 0) return null;
+    return durations.reduce((sum, duration) => sum + duration, 0) / durations.length / 1000;
+  }
+
   /**
    * Get recent block history
    */
@@ -276,8 +394,8 @@ class MatchState {
   /**
    * Get match progress percentage
    */
-  getProgress() {
-    return (this.match.blocksCompleted / this.match.patternSequence.length) * 100;
+  getProgress(blocksAhead = 0) {
+    return ((this.match.blocksCompleted + blocksAhead) / this.match.patternSequence.length) * 100;
   }
 
   // ============================================
@@ -296,7 +414,28 @@ class MatchState {
     
     // Get difficulty for current round (1-indexed)
     const index = Math.min(roundNumber - 1, curveData.length - 1);
-    return curveData[Math.max(0, index)];
+    const target = curveData[Math.max(0, index)];
+    
+    // Host feedback shifts whatever is left of the curve
+    const shift = this.match.difficultyTuning?.curveShift || 0;
+    return Math.min(5, Math.max(1, target + shift));
+  }
+
+  /**
+   * Record a difficulty adjustment and the tuning it left behind
+   */
+  recordDifficultyAdjustment(adjustment) {
+    this.match.difficultyTuning = { ...this.match.difficultyTuning, ...adjustment.tuning };
+    this.match.difficultyAdjustments.push(adjustment);
+    
+    this.notifyListeners('difficulty_adjusted', adjustment);
+  }
+
+  /**
+   * Get the match's current difficulty tuning
+   */
+  getDifficultyTuning() {
+    return this.match.difficultyTuning || createDifficultyTuning();
   }
 
   /**
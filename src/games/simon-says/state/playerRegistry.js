@@ -6,7 +6,7 @@
  * The registry solves several critical problems that arise in real-world group play. Players might join late ("Sorry, parking was terrible!"), take breaks ("I need water!"), or leave early ("My ride is here!"). Through it all, the registry maintains an accurate picture of who's available to play. More importantly, it tracks selection history to ensure fair rotation. If Taylor has been selected for three activities while Jordan hasn't played once, the system will boost Jordan's selection weight, creating natural fairness without Simon having to explicitly manage it.
  */
 
-import { PlayerStatus, createPlayer } from './types';
+import { PlayerStatus, createPlayer, createScore } from './types';
 import { SELECTION_FAIRNESS, HISTORY_LIMITS } from './constants';
 
 // ============================================
@@ -306,6 +306,74 @@ class PlayerRegistry {
     return suggestions;
   }
 
+  // ============================================
+  // SCORING
+  // ============================================
+
+  /**
+   * Add to a player's score (negative values take points back)
+   * 
+   * Points belong to the player, and a team's score is simply the sum of its players' points - so every point awarded rolls up to the team the player is on without a second tally to keep in step. Players who leave keep their points, and so do their teams: a team shouldn't drop down the table because someone's ride arrived.
+   * 
+   * @param {string} playerId
+   * @param {number} points - Points to add
+   * @param {number} wins - Wins to add
+   * @returns {boolean} Whether the player was found
+   */
+  awardPoints(playerId, points, wins = 0) {
+    const player = this.players.get(playerId);
+    if (!player) return false;
+    
+    player.score.points += points;
+    player.score.wins += wins;
+    
+    this.notifyListeners('points_awarded', { player, points, wins });
+    return true;
+  }
+
+  /**
+   * Points per team, counting players who have left
+   * Teams with active players are always included, even on 0.
+   */
+  getTeamScores() {
+    const scores = new Map();
+    
+    this.getActiveTeams().forEach(team => scores.set(team.id, 0));
+    this.players.forEach(player => {
+      if (player.score.points !== 0 || scores.has(player.team)) {
+        scores.set(player.team, (scores.get(player.team) || 0) + player.score.points);
+      }
+    });
+    
+    return scores;
+  }
+
+  /**
+   * Current standings, highest first
+   * Only players still in the room are listed; ties are broken by wins, then by name.
+   * 
+   * @returns {Object} { players: [{ id, name, team, points, wins }], teams: [{ id, points }] }
+   */
+  getStandings() {
+    const players = this.getActivePlayers()
+      .map(player => ({ id: player.id, name: player.name, team: player.team, ...player.score }))
+      .sort((a, b) => b.points - a.points || b.wins - a.wins || a.name.localeCompare(b.name));
+    
+    const teams = Array.from(this.getTeamScores(), ([id, points]) => ({ id, points }))
+      .sort((a, b) => b.points - a.points);
+    
+    return { players, teams };
+  }
+
+  /**
+   * Clear every score for a new match
+   */
+  resetScores() {
+    this.players.forEach(player => {
+      player.score = createScore();
+    });
+  }
+
   // ============================================
   // STATISTICS
   // ============================================
@@ -329,10 +397,58 @@ class PlayerRegistry {
         ? activePlayers.reduce((sum, p) => sum + p.stats.timesSelected, 0) / activePlayers.length
         : 0,
       
-      playersWaitingLongest: activePlayers
+      playersWaitingLongest: [...activePlayers]
         .sort((a, b) => b.stats.roundsSinceSelected - a.stats.roundsSinceSelected)
         .slice(0, 5)
-        .map(p => ({ name: p.name, roundsWaiting: p.stats.roundsSinceSelected }))
+        .map(p => ({ name: p.name, roundsWaiting: p.stats.roundsSinceSelected })),
+      
+      fairness: this.getFairnessReport(activePlayers)
+    };
+  }
+
+  /**
+   * Get a report on how evenly selections were spread
+   * 
+   * Fair rotation is invisible when it works and painfully obvious when it doesn't - the kid who never gets called notices long before anyone checks the logs. This report makes the spread measurable. It compares selection counts across players: the gap between the most- and least-selected player, the standard deviation, a histogram of how many players landed on each count, and who hasn't been picked at all. A spread of 0 or 1 over a whole match means rotation is doing its job; a wide spread with names in neverSelected means something in the weighting is off.
+   * 
+   * @param {Array} players - Players to include (defaults to active players)
+   * @returns {Object} Fairness report
+   */
+  getFairnessReport(players = this.getActivePlayers()) {
+    if (players.length === 0) {
+      return {
+        minSelections: 0,
+        maxSelections: 0,
+        spread: 0,
+        standardDeviation: 0,
+        distribution: {},
+        neverSelected: [],
+        mostSelected: [],
+        leastSelected: []
+      };
+    }
+    
+    const counts = players.map(p => p.stats.timesSelected);
+    const min = Math.min(...counts);
+    const max = Math.max(...counts);
+    const mean = counts.reduce((sum, c) => sum + c, 0) / counts.length;
+    const variance = counts.reduce((sum, c) => sum + (c - mean) ** 2, 0) / counts.length;
+    
+    // How many players were selected N times
+    const distribution = {};
+    counts.forEach(count => {
+      distribution[count] = (distribution[count] || 0) + 1;
+    });
+    
+    return {
+      minSelections: min,
+      maxSelections: max,
+      spread: max - min,
+      standardDeviation: Math.round(Math.sqrt(variance) * 100) / 100,
+      distribution,
+      neverSelected: players.filter(p => p.stats.timesSelected === 0).map(p => p.name),
+      mostSelected: players.filter(p => p.stats.timesSelected === max).map(p => p.name),
+      leastSelected: players.filter(p => p.stats.timesSelected === min).map(p => p.name)
     };
   }
 
@@ -387,9 +503,9 @@ class PlayerRegistry {
       this.teams.set(team.id, new Set(team.players));
     });
     
-    // Import players
+    // Import players (saved before scoring existed, they start on 0)
     data.players.forEach(player => {
-      this.players.set(player.id, player);
+      this.players.set(player.id, { ...player, score: player.score || createScore() });
     });
   }
 }
@@ -56,6 +56,27 @@ export const DifficultyCurve = {
   ROLLER_COASTER: 'roller_coaster'
 };
 
+// How a generated pattern spreads its rounds between relax blocks
+export const PacingStyle = {
+  EVEN: 'even',     // Runs of the same length
+  BURST: 'burst',   // Long runs alternating with short ones
+  WAVES: 'waves'    // Runs that build to the middle of the match and ease off
+};
+
+// Simon's delivery styles; every personality speaks in one of them
+export const PersonalityStyle = {
+  ENTHUSIASTIC: 'enthusiastic',
+  CALM: 'calm',
+  SILLY: 'silly',
+  STRICT: 'strict'
+};
+
+export const HostFeedback = {
+  TOO_HARD: 'tooHard',
+  TOO_EASY: 'tooEasy',
+  LOW_ENERGY: 'lowEnergy'   // "Crowd is flagging"
+};
+
 // ============================================
 // PLAYER TYPES
 // ============================================
@@ -63,9 +84,11 @@ export const DifficultyCurve = {
 /**
  * Represents a player in the match
  * 
- * The Player type captures everything the game needs to know about each participant. Since Simon can only speak and never listen, we can't track actual performance or scores. Instead, we track what Simon CAN know: when players joined, which team they're on, and most importantly, when they were last selected for an activity. This selection tracking ensures fair rotation - if Alice hasn't been picked in 5 rounds while Bob has played 3 times, the system will boost Alice's chances of being selected next.
+ * The Player type captures everything the game needs to know about each participant. Since Simon can only speak and never listen, he can't see who actually won anything. Instead, we track what Simon CAN know: when players joined, which team they're on, and most importantly, when they were last selected for an activity. This selection tracking ensures fair rotation - if Alice hasn't been picked in 5 rounds while Bob has played 3 times, the system will boost Alice's chances of being selected next.
  * 
  * The stats object is particularly clever in its constraints. We track 'timesSelected' not 'timesPlayed' because Simon only knows who was chosen, not who actually participated. Similarly, 'recentPartners' helps prevent the same pairs from always competing - variety is the spice of life, after all.
+ * 
+ * The score is the one thing Simon is told rather than works out: points and wins come from the results the host records after each round. It's kept apart from the stats on purpose - stats are rolled back whenever a block chosen ahead of time is thrown away, and a result the host has recorded must never be rolled back with them.
  */
 export const PlayerType = {
   id: 'string',
@@ -81,6 +104,12 @@ export const PlayerType = {
     roundsSinceSelected: 'number',
     recentPartners: 'array<string>',
     recentActivities: 'array<string>'
+  },
+  
+  // Results the host recorded (what Simon is told)
+  score: {
+    points: 'number',
+    wins: 'number'
   }
 };
 
@@ -143,6 +172,7 @@ export const Block = {
   startTime: 'timestamp',
   duration: 'number',       // Actual duration
   plannedDuration: 'number', // Expected duration
+  timing: 'object|null',    // Planned vs actual play time (rounds)
   
   // For Round blocks
   play: 'Play|null',
@@ -168,7 +198,8 @@ export const MatchType = {
   
   // Configuration
   config: {
-    roundCount: 'number',        // 5, 10, 15, 30
+    roundCount: 'number',        // 5, 10, 15, 30 - or whatever the pattern holds
+    timeBudget: 'number',        // Minutes, for time-boxed matches (null otherwise)
     difficultyCurve: 'DifficultyCurve',
     difficultyLevel: 'string',   // 'gentle', 'moderate', 'intense'
     pauseMultiplier: 'number',
@@ -183,7 +214,16 @@ export const MatchType = {
   
   // History
   blockHistory: 'array<Block>',
-  patternSequence: 'array<BlockType>' // The predetermined pattern
+  patternSequence: 'array<BlockType>', // The predetermined pattern
+  
+  // Host feedback
+  difficultyTuning: {
+    curveShift: 'number',        // Added to every remaining curve value
+    modifierScale: 'number',     // Multiplies modifier odds
+    pauseOffset: 'number',       // Added to the pause multiplier
+    baseline: 'object|null'      // Config values before the first adjustment
+  },
+  difficultyAdjustments: 'array<object>' // Every adjustment, in order
 };
 
 // ============================================
@@ -230,7 +270,8 @@ export const PatternType = {
   roundCount: 'number',
   sequence: 'array<BlockType>',
   description: 'string',
-  estimatedDuration: 'number'
+  pacing: 'PacingStyle',         // Generated patterns only
+  estimatedDuration: 'number'    // Seconds
 };
 
 // ============================================
@@ -309,7 +350,18 @@ export function createPlayer(name, team) {
       roundsSinceSelected: 0,
       recentPartners: [],
       recentActivities: []
-    }
+    },
+    score: createScore()
+  };
+}
+
+/**
+ * Create an empty player score
+ */
+export function createScore() {
+  return {
+    points: 0,
+    wins: 0
   };
 }
 
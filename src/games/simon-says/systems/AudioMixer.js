@@ -0,0 +1,403 @@
+/**
+ * Audio Mixer for Simon Says
+ *
+ * The AudioMixer is Simon's band. Simon's voice carries the game, but a game show isn't just a host talking - there's a drum roll before the big reveal, beeps that count down to GO, a whistle when time runs out, and a pulsing music bed that keeps the energy up while everyone is running around. The mixer plays all of that on Web Audio (through Tone.js) and follows the performance through events alone: the PerformanceSystem announces each named section of a play's scripts as Simon reaches it, and the mixer decides what that section should sound like. Neither system knows about the other, so a performance runs exactly the same with the band switched off.
+ *
+ * Sound is split across two buses. Cues - beeps, drums, whistles - are short and meant to be heard clearly, so they play at a steady level. Music sits underneath and ducks out of the way every time Simon starts a line, then swells back once he's done, the way a radio DJ's music dips when they talk. Which cue belongs to which section comes from the `audio` configuration, with overrides per round type and per personality: a calm Simon skips the drum roll, a duel ends on a bell instead of a whistle. Tone.js is only loaded when the mixer starts - which has to happen from a tap or click, since browsers keep audio locked until the user interacts - so nothing audio-related is loaded for headless runs like the simulator.
+ */
+
+import eventBus, { Events } from './EventBus';
+import configLoader from './ConfigLoader';
+import { SOUND_EFFECTS } from '../state/constants';
+import { splitScriptSegments } from '../helpers/scriptSegments';
+
+// ============================================
+// CUE TYPES
+// ============================================
+
+// Built-in cues; any other cue name plays the SOUND_EFFECTS sample of that name
+export const CueType = {
+  BEEPS: 'beeps',             // A beep on every line, higher on the last
+  DRUM_ROLL: 'drumRoll',      // Rolls until the last line, then hits
+  TENSION_BED: 'tensionBed'   // Looping music for the whole section
+};
+
+const DRUM_ROLL_INTERVAL = 0.06; // Seconds between snare hits
+
+// ============================================
+// AUDIO MIXER CLASS
+// ============================================
+
+class AudioMixer {
+  constructor() {
+    this.Tone = null;          // Loaded on start()
+    this.loading = null;
+    this.buses = null;         // { music, duck, cues }
+    this.instruments = null;
+    this.samples = new Map();  // Effect name -> Tone.Player
+    this.unsubscribers = [];
+
+    this.settings = null;      // Cues and bed for the current performance
+    this.section = null;       // { name, cue, lines, spoken }
+    this.bed = null;           // Tone.Loop while the tension bed plays
+    this.roll = null;          // Tone.Loop while a drum roll plays
+    this.ducked = false;
+  }
+
+  // ============================================
+  // LIFECYCLE
+  // ============================================
+
+  /**
+   * Load Tone.js, unlock audio and start following performances
+   *
+   * Call this from a user gesture (the Play button, say) - browsers refuse to start an AudioContext otherwise. Starting twice is harmless, and a failure to load leaves the game running silently rather than stopping it, since the band is a nice-to-have and Simon's voice is not.
+   *
+   * @returns {Promise<boolean>} Whether the mixer is running
+   */
+  async start() {
+    if (!configLoader.get('audio.enabled', true) || typeof window === 'undefined') {
+      return false;
+    }
+
+    if (!this.loading) {
+      this.loading = this.load();
+    }
+
+    try {
+      await this.loading;
+    } catch (error) {
+      console.warn('[AudioMixer] Could not start audio:', error);
+      this.loading = null;
+      return false;
+    }
+
+    if (this.unsubscribers.length === 0) {
+      this.subscribe();
+    }
+
+    return true;
+  }
+
+  /**
+   * Stop following performances and silence everything (instruments stay loaded for the next start)
+   */
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    this.stopAll();
+  }
+
+  /**
+   * Whether the mixer is loaded and following performances
+   */
+  isRunning() {
+    return !!this.buses && this.unsubscribers.length > 0;
+  }
+
+  /**
+   * Load Tone.js and build the buses and instruments
+   */
+  async load() {
+    const Tone = await import('tone');
+    await Tone.start();
+    this.Tone = Tone;
+
+    const volume = configLoader.get('audio.volume', {});
+    const duck = new Tone.Gain(1).toDestination();
+    this.buses = {
+      duck,
+      music: new Tone.Gain(volume.music ?? 0.35).connect(duck),
+      cues: new Tone.Gain(volume.cues ?? 0.8).toDestination()
+    };
+
+    this.instruments = this.createInstruments();
+
+    // Samples are small, so load them all up front and they're ready on cue
+    Object.entries(SOUND_EFFECTS).forEach(([name, effect]) => {
+      this.samples.set(name, new Tone.Player(effect.src).connect(this.buses.cues));
+    });
+
+    Tone.getTransport().start();
+  }
+
+  /**
+   * Synths for the built-in cues - everything is generated, so there are no music files to ship
+   */
+  createInstruments() {
+    const { Tone, buses } = this;
+
+    const tickFilter = new Tone.Filter(6000, 'highpass').connect(buses.music);
+
+    return {
+      beep: new Tone.Synth({
+        oscillator: { type: 'square' },
+        envelope: { attack: 0.005, decay: 0.1, sustain: 0.3, release: 0.05 }
+      }).connect(buses.cues),
+      snare: new Tone.NoiseSynth({
+        noise: { type: 'white' },
+        envelope: { attack: 0.001, decay: 0.05, sustain: 0 }
+      }).connect(buses.cues),
+      boom: new Tone.MembraneSynth().connect(buses.cues),
+      crash: new Tone.MetalSynth({
+        envelope: { attack: 0.001, decay: 1.2, release: 0.4 }
+      }).connect(buses.cues),
+      bass: new Tone.MonoSynth({
+        oscillator: { type: 'square' },
+        envelope: { attack: 0.01, decay: 0.15, sustain: 0.2, release: 0.1 }
+      }).connect(buses.music),
+      tick: new Tone.NoiseSynth({
+        noise: { type: 'white' },
+        envelope: { attack: 0.001, decay: 0.03, sustain: 0 }
+      }).connect(tickFilter)
+    };
+  }
+
+  // ============================================
+  // FOLLOWING THE PERFORMANCE
+  // ============================================
+
+  subscribe() {
+    const stopAll = () => this.stopAll();
+
+    this.unsubscribers = [
+      eventBus.on(Events.PERFORMANCE_STARTED, ({ play }) => this.handlePerformanceStarted(play)),
+      eventBus.on(Events.SCRIPT_SECTION_STARTED, data => this.handleSectionStarted(data)),
+      eventBus.on(Events.SCRIPT_SECTION_COMPLETED, data => this.handleSectionCompleted(data)),
+      eventBus.on(Events.SCRIPT_STARTED, () => this.handleLineStarted()),
+      eventBus.on(Events.SCRIPT_COMPLETED, () => this.release()),
+      eventBus.on(Events.PAUSE_STARTED, () => this.release()),
+      eventBus.on(Events.PERFORMANCE_COMPLETED, stopAll),
+      eventBus.on(Events.MATCH_PAUSED, stopAll),
+      eventBus.on(Events.MATCH_COMPLETED, stopAll),
+      eventBus.on(Events.MATCH_ABANDONED, stopAll)
+    ];
+  }
+
+  handlePerformanceStarted(play) {
+    this.stopAll();
+    this.settings = this.resolveSettings(play);
+  }
+
+  /**
+   * Start whatever cue belongs to the section Simon just reached
+   *
+   * Sample cues fire straight away - the whistle blows as the ending begins. Beeps and drum rolls are tied to the section's lines instead, so the section's speech is counted up front: the countdown knows which line is GO, and the drum roll knows which line is the reveal it should land on.
+   */
+  handleSectionStarted({ section, text }) {
+    const cue = this.settings?.cues[section] || null;
+    const lines = text
+      ? splitScriptSegments(text).filter(segment => segment.type === 'speech').length
+      : 0;
+
+    this.section = { name: section, cue, lines, spoken: 0 };
+    if (!cue || !this.buses) return;
+
+    switch (cue) {
+      case CueType.BEEPS:
+        return;
+      case CueType.DRUM_ROLL:
+        if (lines > 1) this.startDrumRoll();
+        break;
+      case CueType.TENSION_BED:
+        this.startBed(this.settings.bed);
+        break;
+      default:
+        if (!this.playSample(cue)) return;
+    }
+
+    eventBus.emit(Events.AUDIO_CUE_PLAYED, { cue, section });
+  }
+
+  /**
+   * Duck the music for a line, and play any cue that lands on it
+   */
+  handleLineStarted() {
+    this.duck();
+
+    const section = this.section;
+    if (!section?.cue || !this.buses) return;
+
+    section.spoken++;
+    const isLast = section.spoken >= section.lines;
+
+    if (section.cue === CueType.BEEPS) {
+      this.playBeep(isLast);
+      eventBus.emit(Events.AUDIO_CUE_PLAYED, { cue: section.cue, section: section.name });
+    } else if (section.cue === CueType.DRUM_ROLL && isLast) {
+      this.stopDrumRoll();
+      this.playHit();
+    }
+  }
+
+  handleSectionCompleted({ section }) {
+    if (this.section?.name !== section) return;
+
+    if (this.section.cue === CueType.DRUM_ROLL) this.stopDrumRoll();
+    if (this.section.cue === CueType.TENSION_BED) this.stopBed();
+
+    this.section = null;
+    this.release();
+  }
+
+  /**
+   * Work out the cues and music bed for a play
+   *
+   * The base `audio` config is layered with the play's round type and then the current personality style, so a personality can switch off a cue a round type turned on. A cue set to null is silent.
+   *
+   * @param {Object} play - The play about to be performed
+   * @returns {Object} { cues: { section: cue }, bed: { tempo, root } }
+   */
+  resolveSettings(play) {
+    const audio = configLoader.get('audio', {});
+    const style = configLoader.get('scripts.personality.style');
+
+    const layers = [
+      audio,
+      play?.blockType === 'round' ? audio.roundTypes?.[play.roundType] : null,
+      audio.personalities?.[style]
+    ].filter(Boolean);
+
+    return layers.reduce((settings, layer) => ({
+      cues: { ...settings.cues, ...layer.cues },
+      bed: { ...settings.bed, ...layer.bed }
+    }), { cues: {}, bed: {} });
+  }
+
+  // ============================================
+  // CUES
+  // ============================================
+
+  /**
+   * Play a SOUND_EFFECTS sample on the cue bus
+   * @returns {boolean} Whether it played
+   */
+  playSample(name) {
+    const player = this.samples.get(name);
+    if (!player) {
+      console.warn(`[AudioMixer] Unknown cue: ${name}`);
+      return false;
+    }
+    if (!player.loaded) {
+      console.warn(`[AudioMixer] Cue not loaded yet: ${name}`);
+      return false;
+    }
+
+    player.start();
+    return true;
+  }
+
+  playBeep(isLast) {
+    this.instruments.beep.triggerAttackRelease(isLast ? 'A5' : 'A4', isLast ? 0.4 : 0.15);
+  }
+
+  /**
+   * Snare roll that swells the longer it runs
+   */
+  startDrumRoll() {
+    const { Tone } = this;
+    this.stopDrumRoll();
+
+    const startedAt = Tone.now();
+    this.roll = new Tone.Loop(time => {
+      const swell = Math.min(1, 0.25 + (time - startedAt) * 0.2);
+      this.instruments.snare.triggerAttackRelease(DRUM_ROLL_INTERVAL, time, swell);
+    }, DRUM_ROLL_INTERVAL).start();
+  }
+
+  stopDrumRoll() {
+    if (!this.roll) return;
+    this.roll.stop();
+    this.roll.dispose();
+    this.roll = null;
+  }
+
+  /**
+   * The payoff at the end of a drum roll
+   */
+  playHit() {
+    this.instruments.boom.triggerAttackRelease('C2', '8n');
+    this.instruments.crash.triggerAttackRelease('C4', '2n', undefined, 0.4);
+  }
+
+  /**
+   * Loop a pulsing bass line and hi-hat under play time
+   * @param {Object} bed - { tempo, root } with root as a note name like 'A1'
+   */
+  startBed({ tempo = 112, root = 'A1' } = {}) {
+    const { Tone } = this;
+    this.stopBed();
+
+    Tone.getTransport().bpm.value = tempo;
+
+    const fifth = Tone.Frequency(root).transpose(7).toNote();
+    const octave = Tone.Frequency(root).transpose(12).toNote();
+    const bassline = [root, root, fifth, root, octave, root, fifth, fifth];
+    let step = 0;
+
+    this.bed = new Tone.Loop(time => {
+      this.instruments.bass.triggerAttackRelease(bassline[step % bassline.length], '16n', time);
+      this.instruments.tick.triggerAttackRelease('32n', time, step % 2 ? 0.2 : 0.5);
+      step++;
+    }, '8n').start();
+  }
+
+  stopBed() {
+    if (!this.bed) return;
+    this.bed.stop();
+    this.bed.dispose();
+    this.bed = null;
+  }
+
+  /**
+   * Silence everything that's looping and bring the music level back
+   */
+  stopAll() {
+    this.stopDrumRoll();
+    this.stopBed();
+    this.section = null;
+    this.release(0);
+  }
+
+  // ============================================
+  // MIXING
+  // ============================================
+
+  /**
+   * Dip the music under Simon's voice
+   */
+  duck() {
+    if (!this.buses || this.ducked) return;
+
+    const { level = 0.3, attack = 0.1 } = configLoader.get('audio.ducking', {});
+    this.buses.duck.gain.rampTo(level, attack);
+    this.ducked = true;
+  }
+
+  /**
+   * Bring the music back up after Simon stops talking
+   * @param {number} time - Seconds to ramp over (the configured release by default)
+   */
+  release(time = configLoader.get('audio.ducking.release', 0.8)) {
+    if (!this.buses || !this.ducked) return;
+
+    this.buses.duck.gain.rampTo(1, time);
+    this.ducked = false;
+  }
+
+  /**
+   * Set a bus volume (0-1)
+   * @param {string} bus - 'music' or 'cues'
+   */
+  setVolume(bus, value) {
+    if (!this.buses?.[bus] || bus === 'duck') return;
+    this.buses[bus].gain.rampTo(Math.max(0, Math.min(1, value)), 0.1);
+  }
+}
+
+// Create singleton instance
+const audioMixer = new AudioMixer();
+
+// Export both instance and class
+export default audioMixer;
+export { AudioMixer };
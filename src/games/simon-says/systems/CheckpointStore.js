@@ -0,0 +1,160 @@
+/**
+ * Checkpoint Store for Simon Says
+ *
+ * The CheckpointStore is the match's save slot. The orchestrator already knows how to gather a complete snapshot of every system, but a snapshot that only lives in memory disappears the moment a laptop tab reloads or a phone locks itself at the wrong time. This store takes those snapshots and writes them somewhere that survives a reload, then hands the freshest one back when the game starts up again. It's like the autosave in a video game - players never think about it until the moment it rescues a 30-minute match that would otherwise be lost.
+ *
+ * The store is deliberately skeptical about what it reads back. A checkpoint from an older state version, one that's been sitting around longer than MAX_CHECKPOINT_AGE, or one that fails to parse is treated as if it doesn't exist - and gets cleaned up on the way out. Resuming a stale match from last week's party would be far more confusing than starting fresh. When persistent storage isn't available at all (private browsing, or running headless outside a browser), it quietly falls back to memory so the rest of the system never has to care.
+ */
+
+import eventBus, { Events } from './EventBus';
+import { STATE_CONFIG } from '../state/constants';
+import { BlockType, PlayerStatus } from '../state/types';
+
+const STORAGE_KEY = 'simon_checkpoint';
+
+// ============================================
+// CHECKPOINT STORE IMPLEMENTATION
+// ============================================
+
+class CheckpointStore {
+  constructor() {
+    this.memoryCheckpoint = null; // Fallback when localStorage is unavailable
+  }
+
+  /**
+   * Check whether persistent storage can be used
+   */
+  hasStorage() {
+    try {
+      return typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Persist a checkpoint
+   *
+   * Saving replaces whatever was stored before - only the most recent checkpoint matters for recovery, and keeping a single slot means storage never grows over a long match. The checkpoint is stamped with the time and state version if the caller hasn't already done so, since those two fields decide whether it can be trusted later. A failed write (most often a full storage quota) is reported through STATE_ERROR rather than thrown, because losing one autosave should never interrupt the game that's being saved.
+   *
+   * @param {Object} checkpoint - Checkpoint produced by the orchestrator
+   * @returns {boolean} Whether the checkpoint was saved
+   */
+  save(checkpoint) {
+    const record = {
+      ...checkpoint,
+      timestamp: checkpoint.timestamp || Date.now(),
+      version: checkpoint.version || STATE_CONFIG.STATE_VERSION
+    };
+
+    try {
+      if (this.hasStorage()) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+      } else {
+        this.memoryCheckpoint = JSON.parse(JSON.stringify(record));
+      }
+    } catch (error) {
+      console.error('[CheckpointStore] Failed to save checkpoint:', error);
+      eventBus.emit(Events.STATE_ERROR, { error, checkpoint: true });
+      return false;
+    }
+
+    eventBus.emit(Events.STATE_CHECKPOINT_CREATED, {
+      timestamp: record.timestamp,
+      matchId: record.match?.match?.id
+    });
+    return true;
+  }
+
+  /**
+   * Load the most recent valid checkpoint
+   *
+   * Loading is where the skepticism lives. The stored record has to parse, carry the current state version, and be younger than MAX_CHECKPOINT_AGE; anything else is cleared and reported as missing. Callers get either a checkpoint they can restore from directly or null, never something half-valid that would fail partway through a restore.
+   *
+   * @returns {Object|null} Checkpoint or null if none is usable
+   */
+  load() {
+    let record = null;
+
+    try {
+      if (this.hasStorage()) {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        record = raw ? JSON.parse(raw) : null;
+      } else {
+        record = this.memoryCheckpoint;
+      }
+    } catch (error) {
+      console.warn('[CheckpointStore] Discarding unreadable checkpoint:', error);
+      this.clear();
+      return null;
+    }
+
+    if (!record) return null;
+
+    if (record.version !== STATE_CONFIG.STATE_VERSION) {
+      console.warn('[CheckpointStore] Discarding checkpoint from version', record.version);
+      this.clear();
+      return null;
+    }
+
+    if (Date.now() - record.timestamp > STATE_CONFIG.MAX_CHECKPOINT_AGE) {
+      console.log('[CheckpointStore] Discarding expired checkpoint');
+      this.clear();
+      return null;
+    }
+
+    return record;
+  }
+
+  /**
+   * Remove the stored checkpoint
+   */
+  clear() {
+    this.memoryCheckpoint = null;
+
+    try {
+      if (this.hasStorage()) {
+        localStorage.removeItem(STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn('[CheckpointStore] Failed to clear checkpoint:', error);
+    }
+  }
+
+  /**
+   * Check if a resumable checkpoint exists
+   */
+  hasCheckpoint() {
+    return this.load() !== null;
+  }
+
+  /**
+   * Get a short description of the stored checkpoint for resume prompts
+   * @returns {Object|null} Summary or null if no usable checkpoint
+   */
+  getSummary() {
+    const checkpoint = this.load();
+    if (!checkpoint) return null;
+
+    const match = checkpoint.match.match;
+    const roundsPlayed = match.blockHistory.filter(b => b.type === BlockType.ROUND).length;
+    // Time-budgeted matches have no round count in their config - the saved pattern has the real total
+    const patternRounds = (match.patternSequence || []).filter(block => block === BlockType.ROUND).length;
+
+    return {
+      matchId: match.id,
+      savedAt: checkpoint.timestamp,
+      roundsPlayed,
+      totalRounds: patternRounds || match.config.roundCount,
+      playerCount: checkpoint.players.players.filter(p => p.status === PlayerStatus.ACTIVE).length,
+      teamNames: checkpoint.players.teams.map(team => team.id)
+    };
+  }
+}
+
+// Create singleton instance
+const checkpointStore = new CheckpointStore();
+
+// Export both instance and class
+export default checkpointStore;
+export { CheckpointStore };
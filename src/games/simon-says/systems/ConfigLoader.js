@@ -7,11 +7,15 @@
  */
 
 import eventBus, { Events } from './EventBus';
+import { compileFlowChart, formatFlowChartReport } from '../helpers/flowChartCompiler';
+import { generatePattern } from '../helpers/patternGenerator';
+import { PacingStyle } from '../state/types';
 import { 
   MATCH_LENGTHS, 
   DEFAULT_ROUND_WEIGHTS,
   DIFFICULTY_CURVES,
-  PAUSE_DURATIONS 
+  PAUSE_DURATIONS,
+  DEFAULT_LOCALE
 } from '../state/constants';
 
 // ============================================
@@ -22,9 +26,12 @@ import {
 
 const DEFAULT_PLAYER_CONFIG = {
   matchLength: 10,                    // Number of rounds
+  timeBudget: null,                   // Minutes the match has to fit, instead of a round count
   difficultyCurve: 'gentle',         // gentle, steady, roller_coaster
   difficultyLevel: 'moderate',       // gentle, moderate, intense
   gameFocus: ['competitive', 'silly'], // competitive, collaborative, silly, physical, creative
+  personality: 'enthusiastic',       // Registered personality id
+  locale: DEFAULT_LOCALE,            // Language Simon speaks: en-US, es-ES, fr-FR
   teamConfig: {
     teamCount: 2,
     teamSelection: 'manual',         // manual, random, balanced, captains
@@ -50,19 +57,20 @@ const DEFAULT_DEVELOPER_CONFIG = {
         { id: 'gentle', sequence: ['ceremony', 'round', 'relax', 'round', 'round', 'round', 'round', 'ceremony'] }
       ],
       10: [
-        { id: 'classic', sequence: ['ceremony', 'round', 'round', 'round', 'relax', 'round', 'round', 'relax', 'round', 'round', 'round', 'round', 'ceremony'] },
-        { id: 'rhythm', sequence: ['ceremony', 'round', 'round', 'relax', 'round', 'round', 'relax', 'round', 'round', 'relax', 'round', 'round', 'ceremony'] },
-        { id: 'building', sequence: ['ceremony', 'round', 'relax', 'round', 'round', 'relax', 'round', 'round', 'round', 'relax', 'round', 'round', 'round', 'ceremony'] }
+        { id: 'classic', sequence: ['ceremony', 'round', 'round', 'round', 'relax', 'round', 'round', 'round', 'relax', 'round', 'round', 'round', 'round', 'ceremony'] },
+        { id: 'rhythm', sequence: ['ceremony', 'round', 'round', 'relax', 'round', 'round', 'relax', 'round', 'round', 'relax', 'round', 'round', 'relax', 'round', 'round', 'ceremony'] },
+        { id: 'building', sequence: ['ceremony', 'round', 'relax', 'round', 'round', 'relax', 'round', 'round', 'round', 'relax', 'round', 'round', 'round', 'round', 'ceremony'] }
       ],
       15: [
-        { id: 'three-acts', sequence: ['ceremony', 'round', 'round', 'round', 'relax', 'round', 'round', 'round', 'round', 'relax', 'round', 'round', 'round', 'round', 'round', 'round', 'ceremony'] },
-        { id: 'regular', sequence: ['ceremony', 'round', 'round', 'relax', 'round', 'round', 'round', 'relax', 'round', 'round', 'relax', 'round', 'round', 'round', 'relax', 'round', 'round', 'ceremony'] },
-        { id: 'endurance', sequence: ['ceremony', 'round', 'round', 'relax', 'round', 'round', 'round', 'round', 'relax', 'round', 'round', 'round', 'round', 'round', 'round', 'round', 'ceremony'] }
+        { id: 'three-acts', sequence: ['ceremony', 'round', 'round', 'round', 'round', 'relax', 'round', 'round', 'round', 'round', 'round', 'relax', 'round', 'round', 'round', 'round', 'round', 'round', 'ceremony'] },
+        { id: 'regular', sequence: ['ceremony', 'round', 'round', 'round', 'relax', 'round', 'round', 'round', 'relax', 'round', 'round', 'round', 'relax', 'round', 'round', 'round', 'relax', 'round', 'round', 'round', 'ceremony'] },
+        { id: 'endurance', sequence: ['ceremony', 'round', 'round', 'round', 'relax', 'round', 'round', 'round', 'round', 'round', 'round', 'relax', 'round', 'round', 'round', 'round', 'round', 'round', 'ceremony'] }
       ],
+      // Too long to write out by hand
       30: [
-        { id: 'quarters', sequence: generateQuartersPattern(30) },
-        { id: 'waves', sequence: generateWavePattern(30) },
-        { id: 'sprint', sequence: generateSprintPattern(30) }
+        generatePattern(30, { pacing: PacingStyle.EVEN, id: 'steady' }),
+        generatePattern(30, { pacing: PacingStyle.WAVES, id: 'waves' }),
+        generatePattern(30, { pacing: PacingStyle.BURST, id: 'sprint' })
       ]
     }
   },
@@ -95,6 +103,21 @@ const DEFAULT_DEVELOPER_CONFIG = {
     }
   },
   
+  // Relax block activities: energy runs from 0 (everyone settles) to 1 (everyone moves)
+  relax: {
+    activities: {
+      stretching: { weight: 30, energy: 0.3 },
+      breathing: { weight: 25, energy: 0 },
+      groupActivity: { weight: 20, energy: 0.8 },
+      slowMotion: { weight: 15, energy: 0.5 },
+      mirrorCircle: { weight: 10, energy: 0.6 }
+    },
+    extended: {
+      minRounds: 15,              // Matches shorter than this keep standard breaks
+      fromProgress: 0.67          // Breaks after this much of the match are extended
+    }
+  },
+  
   // Weight configuration
   weights: {
     defaultWeights: DEFAULT_ROUND_WEIGHTS,
@@ -113,7 +136,41 @@ const DEFAULT_DEVELOPER_CONFIG = {
       pace: 'dynamic'             // slow, moderate, fast, dynamic
     }
   },
-  
+
+  // Music and sound cues under Simon's voice
+  audio: {
+    enabled: true,
+    volume: {
+      music: 0.35,                // Tension bed
+      cues: 0.8                   // Beeps, drum rolls, whistles
+    },
+    ducking: {
+      level: 0.3,                 // Music volume while Simon speaks (fraction of normal)
+      attack: 0.1,                // Seconds to duck
+      release: 0.8                // Seconds to come back up
+    },
+    // Cue per script section: beeps, drumRoll, tensionBed or a sound effect name (null for none)
+    cues: {
+      variantReveal: 'drumRoll',
+      countdown: 'beeps',
+      play: 'tensionBed',
+      ending: 'whistle'
+    },
+    bed: { tempo: 112, root: 'A1' },
+    // Overrides by round type, then by personality style
+    roundTypes: {
+      duel: { cues: { ending: 'ding' }, bed: { tempo: 128, root: 'E1' } },
+      team: { bed: { tempo: 116, root: 'G1' } },
+      freeForAll: { bed: { tempo: 120 } },
+      asymmetric: { bed: { tempo: 100, root: 'D1' } }
+    },
+    personalities: {
+      calm: { cues: { variantReveal: null, countdown: 'ding' }, bed: { tempo: 84 } },
+      silly: { cues: { ending: 'slide' }, bed: { tempo: 136 } },
+      strict: { cues: { variantReveal: null }, bed: { tempo: 104 } }
+    }
+  },
+
   // Timing configuration
   timing: {
     pauseTokens: PAUSE_DURATIONS,
@@ -137,7 +194,7 @@ const DEFAULT_DEVELOPER_CONFIG = {
     predeterminedPatterns: true,
     varietyEnforcement: true,
     playerRotation: true,
-    multiLanguageAudio: false
+    multiLanguageAudio: true          // Let players pick the language Simon speaks
   },
   
   // System configuration
@@ -149,81 +206,6 @@ const DEFAULT_DEVELOPER_CONFIG = {
   }
 };
 
-// ============================================
-// PATTERN GENERATORS
-// ============================================
-
-function generateQuartersPattern(rounds) {
-  const pattern = ['ceremony'];
-  const quarterSize = Math.floor(rounds / 4);
-  
-  for (let quarter = 0; quarter < 4; quarter++) {
-    for (let i = 0; i < quarterSize; i++) {
-      pattern.push('round');
-    }
-    if (quarter < 3) pattern.push('relax');
-  }
-  
-  // Add remaining rounds
-  const remaining = rounds - (quarterSize * 4);
-  for (let i = 0; i < remaining; i++) {
-    pattern.push('round');
-  }
-  
-  pattern.push('ceremony');
-  return pattern;
-}
-
-function generateWavePattern(rounds) {
-  const pattern = ['ceremony'];
-  const waves = [3, 4, 5, 5, 4, 3]; // Wave sizes
-  let roundsAdded = 0;
-  
-  for (let i = 0; i < waves.length && roundsAdded < rounds; i++) {
-    const waveSize = Math.min(waves[i], rounds - roundsAdded);
-    for (let j = 0; j < waveSize; j++) {
-      pattern.push('round');
-    }
-    roundsAdded += waveSize;
-    
-    if (roundsAdded < rounds) {
-      pattern.push('relax');
-    }
-  }
-  
-  // Add remaining rounds
-  while (roundsAdded < rounds) {
-    pattern.push('round');
-    roundsAdded++;
-  }
-  
-  pattern.push('ceremony');
-  return pattern;
-}
-
-function generateSprintPattern(rounds) {
-  const pattern = ['ceremony'];
-  const sprintPattern = [5, 3]; // Alternating sprint/recovery
-  let roundsAdded = 0;
-  let sprintIndex = 0;
-  
-  while (roundsAdded < rounds) {
-    const size = Math.min(sprintPattern[sprintIndex % 2], rounds - roundsAdded);
-    for (let i = 0; i < size; i++) {
-      pattern.push('round');
-    }
-    roundsAdded += size;
-    
-    if (roundsAdded < rounds) {
-      pattern.push('relax');
-    }
-    sprintIndex++;
-  }
-  
-  pattern.push('ceremony');
-  return pattern;
-}
-
 // ============================================
 // CONFIG LOADER CLASS
 // ============================================
@@ -234,6 +216,8 @@ class ConfigLoader {
     this.developerConfig = { ...DEFAULT_DEVELOPER_CONFIG };
     this.mergedConfig = null;
     this.configSources = new Map(); // Track where config values came from
+    this.registeredVariants = new Map(); // Variants added by content packs, keyed roundType.variant
+    this.personalitySettings = null; // Script personality settings from the active personality
   }
 
   /**
@@ -262,6 +246,76 @@ class ConfigLoader {
     return this.developerConfig;
   }
 
+  /**
+   * Load developer configuration from the game-flow chart
+   *
+   * The Mermaid chart in game-flow.mermaid.md is the designer's view of the game: round types, variants, movement styles and modifiers, each with the percentage chance of being picked. This method compiles that chart and feeds the result through loadDeveloperConfig, so editing a percentage in the chart changes what Simon actually picks. The chart is treated as the complete list of round types - anything the defaults define but the chart leaves out is dropped rather than quietly kept alive by the merge.
+   *
+   * A chart with errors (unknown node references, no weighted choices) is never applied; the current configuration stays in place and the report explains what's wrong. Warnings like percentages that don't sum to 100 or unreachable nodes are logged but don't block loading, since the chart still describes a playable game.
+   *
+   * @param {string} source - Chart markdown or Mermaid source
+   * @returns {Object} Compile report { config, errors, warnings, applied }
+   */
+  loadFlowChart(source) {
+    const result = compileFlowChart(source);
+    const report = formatFlowChartReport(result);
+
+    if (report.length > 0) {
+      console.warn('[ConfigLoader] Game flow chart:\n' + report.join('\n'));
+    }
+
+    if (result.errors.length > 0) {
+      eventBus.emit(Events.CONFIG_LOADED, {
+        type: 'flowChart',
+        errors: result.errors,
+        warnings: result.warnings,
+        applied: false
+      });
+      return { ...result, applied: false };
+    }
+
+    this.loadDeveloperConfig(result.config);
+
+    // deepMerge keeps default round types the chart left out; the chart is the full list
+    const roundTypes = this.developerConfig.roundTypes;
+    const dropped = Object.keys(roundTypes).filter(type => !(type in result.config.roundTypes));
+    if (dropped.length > 0) {
+      dropped.forEach(type => delete roundTypes[type]);
+      this.updateMergedConfig();
+    }
+
+    this.configSources.set('flowChart', source);
+    eventBus.emit(Events.CONFIG_LOADED, {
+      type: 'flowChart',
+      warnings: result.warnings,
+      applied: true
+    });
+    return { ...result, applied: true };
+  }
+
+  /**
+   * Register an extra variant for a round type
+   *
+   * Content packs add variants on top of whatever the defaults or the game-flow chart define. Registered variants live outside developerConfig so they survive config reloads - the orchestrator reloads developer config on initialize, and a chart load replaces the round type list wholesale - and get layered back in every time the merged config is rebuilt. A variant whose round type isn't in the current config is kept but stays dormant until that round type comes back.
+   *
+   * @param {string} roundType - Round type the variant belongs to
+   * @param {string} variant - Variant key
+   * @param {Object} details - { name, weight, difficulty, distribution, subVariants, modifiers, modifierProbability }
+   */
+  registerVariant(roundType, variant, details = {}) {
+    this.registeredVariants.set(`${roundType}.${variant}`, { roundType, variant, details });
+    this.updateMergedConfig();
+  }
+
+  /**
+   * Remove a variant added with registerVariant
+   */
+  unregisterVariant(roundType, variant) {
+    if (this.registeredVariants.delete(`${roundType}.${variant}`)) {
+      this.updateMergedConfig();
+    }
+  }
+
   /**
    * Load configuration from multiple sources
    */
@@ -281,8 +335,20 @@ class ConfigLoader {
    * Update merged configuration
    */
   updateMergedConfig() {
-    // Start with developer config as base
-    this.mergedConfig = { ...this.developerConfig };
+    // Start with developer config as base; round types are copied because
+    // player preferences scale their weights in place
+    this.mergedConfig = {
+      ...this.developerConfig,
+      roundTypes: Object.fromEntries(
+        Object.entries(this.developerConfig.roundTypes || {}).map(([type, config]) => [type, { ...config }])
+      )
+    };
+    
+    // Layer in variants from content packs
+    this.applyRegisteredVariants();
+    
+    // Layer in the active personality
+    this.applyPersonality();
     
     // Apply player preferences
     this.applyPlayerPreferences();
@@ -293,6 +359,58 @@ class ConfigLoader {
     eventBus.emit(Events.CONFIG_UPDATED, { config: this.mergedConfig });
   }
 
+  /**
+   * Add registered variants to the merged round types
+   */
+  applyRegisteredVariants() {
+    const roundTypes = this.mergedConfig.roundTypes;
+    
+    this.registeredVariants.forEach(({ roundType, variant, details }) => {
+      const config = roundTypes[roundType];
+      if (!config) return;
+      
+      const variants = config.variants || [];
+      const variantWeights = { ...config.variantWeights };
+      
+      // Without explicit weights, a new variant is as likely as an average existing one
+      const existing = variants.map(v => variantWeights[v] ?? 100);
+      const averageWeight = existing.length
+        ? existing.reduce((sum, weight) => sum + weight, 0) / existing.length
+        : 100;
+      
+      const { weight, ...variantDetails } = details;
+      
+      config.variants = variants.includes(variant) ? variants : [...variants, variant];
+      config.variantWeights = { ...variantWeights, [variant]: weight ?? averageWeight };
+      config.variantConfig = { ...config.variantConfig, [variant]: variantDetails };
+    });
+  }
+
+  /**
+   * Set the script personality settings (style and the like) the active personality speaks with
+   * 
+   * Like registered variants, these survive config reloads - starting a match reloads the player config, and the personality picked on the setup screen has to outlast that.
+   * 
+   * @param {Object|null} settings - Merged over scripts.personality (null to go back to the configured one)
+   */
+  setPersonality(settings) {
+    this.personalitySettings = settings;
+    this.updateMergedConfig();
+  }
+
+  /**
+   * Merge the active personality's settings into scripts.personality
+   */
+  applyPersonality() {
+    if (!this.personalitySettings) return;
+    
+    const scripts = this.mergedConfig.scripts || {};
+    this.mergedConfig.scripts = {
+      ...scripts,
+      personality: { ...scripts.personality, ...this.personalitySettings }
+    };
+  }
+
   /**
    * Apply player preferences to merged config
    * 
@@ -305,9 +423,10 @@ class ConfigLoader {
     // Match configuration
     merged.match = {
       roundCount: player.matchLength,
+      timeBudget: player.timeBudget,
       difficultyCurve: player.difficultyCurve,
       difficultyLevel: player.difficultyLevel,
-      estimatedDuration: MATCH_LENGTHS[Object.keys(MATCH_LENGTHS).find(
+      estimatedDuration: player.timeBudget || MATCH_LENGTHS[Object.keys(MATCH_LENGTHS).find(
         key => MATCH_LENGTHS[key].rounds === player.matchLength
       )]?.estimatedMinutes || 30
     };
@@ -330,15 +449,21 @@ class ConfigLoader {
       merged.excludeModifiers.push('blindfold');
     }
     
-    // Game focus adjustments
+    // Game focus adjustments (a chart may not define every round type)
+    const scaleWeight = (type, factor) => {
+      if (merged.roundTypes[type]) {
+        merged.roundTypes[type].weight *= factor;
+      }
+    };
+
     if (player.gameFocus.includes('competitive')) {
-      merged.roundTypes.duel.weight *= 1.3;
-      merged.roundTypes.team.weight *= 1.2;
+      scaleWeight('duel', 1.3);
+      scaleWeight('team', 1.2);
     }
     
     if (player.gameFocus.includes('collaborative')) {
-      merged.roundTypes.team.weight *= 1.5;
-      merged.roundTypes.asymmetric.weight *= 0.7;
+      scaleWeight('team', 1.5);
+      scaleWeight('asymmetric', 0.7);
     }
     
     if (player.gameFocus.includes('silly')) {
@@ -399,6 +524,14 @@ class ConfigLoader {
     return current;
   }
 
+  /**
+   * The language this match is spoken in (always the default when multi-language audio is off)
+   */
+  getLocale() {
+    if (!this.get('features.multiLanguageAudio', false)) return DEFAULT_LOCALE;
+    return this.playerConfig?.locale || DEFAULT_LOCALE;
+  }
+
   /**
    * Get entire configuration object
    */
@@ -236,12 +236,14 @@ const Events = {
   MATCH_ABANDONED: 'match:abandoned',
   MATCH_PAUSED: 'match:paused',
   MATCH_RESUMED: 'match:resumed',
+  MATCH_SCHEDULE_ADJUSTED: 'match:schedule:adjusted',
 
   // Block lifecycle
   BLOCK_STARTED: 'block:started',
   BLOCK_COMPLETED: 'block:completed',
   BLOCK_SELECTION_STARTED: 'block:selection:started',
   BLOCK_SELECTION_COMPLETED: 'block:selection:completed',
+  BLOCK_PREPARED: 'block:prepared',
 
   // Pattern events
   PATTERN_SELECTED: 'pattern:selected',
@@ -257,8 +259,26 @@ const Events = {
   PERFORMANCE_COMPLETED: 'performance:completed',
   SCRIPT_STARTED: 'script:started',
   SCRIPT_COMPLETED: 'script:completed',
+  SCRIPT_SECTION_STARTED: 'script:section:started',
+  SCRIPT_SECTION_COMPLETED: 'script:section:completed',
   PAUSE_STARTED: 'pause:started',
   PAUSE_COMPLETED: 'pause:completed',
+  SOUND_EFFECT_PLAYED: 'sound:effect:played',
+  AUDIO_CUE_PLAYED: 'audio:cue:played',
+
+  // Host control events
+  HOST_PLAY_REROLLED: 'host:play:rerolled',
+  HOST_INSTRUCTION_REPEATED: 'host:instruction:repeated',
+  HOST_ROUND_EXTENDED: 'host:round:extended',
+  HOST_RELAX_INSERTED: 'host:relax:inserted',
+  HOST_BLOCK_SKIPPED: 'host:block:skipped',
+
+  // Difficulty events
+  DIFFICULTY_ADJUSTED: 'difficulty:adjusted',
+
+  // Score events
+  ROUND_OUTCOME_RECORDED: 'score:outcome:recorded',
+  SCORES_UPDATED: 'score:updated',
 
   // Player events
   PLAYER_ADDED: 'player:added',
@@ -277,6 +297,11 @@ const Events = {
   STATE_RESTORED: 'state:restored',
   STATE_ERROR: 'state:error',
 
+  // Content events
+  CONTENT_PACK_REGISTERED: 'content:pack:registered',
+  CONTENT_PACK_UNREGISTERED: 'content:pack:unregistered',
+  PERSONALITY_CHANGED: 'personality:changed',
+
   // System events
   CONFIG_LOADED: 'config:loaded',
   CONFIG_UPDATED: 'config:updated',
@@ -8,8 +8,19 @@
 
 import eventBus, { Events } from './EventBus';
 import configLoader from './ConfigLoader';
-import { getPauseDuration } from '../state/constants';
+import { getPauseDuration, SOUND_EFFECTS, DEFAULT_LOCALE, SPEECH_TIMING } from '../state/constants';
 import ttsService from '../../../common/services/ttsService';
+import {
+  splitScriptSegments,
+  getSpeechRuns,
+  getSpeechProsody,
+  isStyledSpeech,
+  toSSML
+} from '../helpers/scriptSegments';
+import { estimateSpeechDuration, planPlayWindow } from '../helpers/speechTiming';
+
+// A token nothing has filled in yet
+const UNRESOLVED_TOKEN = /\{\w+\}/;
 
 // ============================================
 // PERFORMANCE SYSTEM CLASS
@@ -21,10 +32,19 @@ class PerformanceSystem {
     this.currentPerformance = null;
     this.performanceQueue = [];
     this.voice = null;
-    this.synthesis = window.speechSynthesis;
+    this.locale = DEFAULT_LOCALE;
+    this.voiceProfile = {}; // Provider id -> voice from the personality
+    this.synthesis = typeof window !== 'undefined' ? window.speechSynthesis : null; // No window under Node
     this.mockMode = false;
+    this.timeScale = 1; // Multiplies every wait; 0 makes mock performances instant
     this.interrupted = false;
     this.primed = false; // Track if speech synthesis has been primed
+    this.isSpeaking = false;
+    this.lastLine = null; // Most recent script line, for the host's "say that again"
+    this.repeatPending = false;
+    this.pendingWaits = new Set(); // Every wait still running, so an interrupt can end them all
+    this.currentSound = null; // Sound effect that's playing, so an interrupt can stop it
+    this.liveTokenSource = null; // Tokens only known when a line is spoken, like the standings
     
     // Performance settings
     this.settings = {
@@ -34,6 +54,9 @@ class PerformanceSystem {
       voice: null
     };
     
+    // The personality's natural delivery; each performance adjusts from here
+    this.baseline = { rate: 1.0, pitch: 1.0 };
+    
     // Initialize
     this.initialize();
   }
@@ -41,7 +64,7 @@ class PerformanceSystem {
   /**
    * Initialize the performance system
    * 
-   * Setting up the performance system involves negotiating with the browser's Web Speech API, which can be finicky. Different browsers and devices support different voices, so the system needs to be smart about voice selection. It tries to find an English-speaking male voice (matching Simon's character) but gracefully falls back to alternatives if needed. The initialization is asynchronous because voice loading isn't instant - the system might need to wait for voices to become available. This careful setup ensures that when the game starts, Simon is ready to speak clearly and consistently.
+   * Setting up the performance system involves negotiating with the browser's Web Speech API, which can be finicky. Different browsers and devices support different voices, so the system needs to be smart about voice selection. It tries to find a male voice in the match's language (matching Simon's character) but gracefully falls back to alternatives if needed. The initialization is asynchronous because voice loading isn't instant - the system might need to wait for voices to become available. This careful setup ensures that when the game starts, Simon is ready to speak clearly and consistently.
    */
   async initialize() {
     // Check for Web Speech API support
@@ -72,6 +95,7 @@ class PerformanceSystem {
           // Find best voice for Simon
           this.voice = this.selectBestVoice(voices);
           this.settings.voice = this.voice;
+          this.applyVoices();
           
           // Selected voice: this.voice?.name
           resolve(voices);
@@ -86,36 +110,75 @@ class PerformanceSystem {
   }
 
   /**
-   * Select the best voice for Simon
+   * Select the best voice for Simon in the match's language
    */
   selectBestVoice(voices) {
-    // Priority order for voice selection
+    const language = this.locale.split('-')[0];
+    
+    // Priority order for voice selection: the exact locale, then any voice in the language
     const preferences = [
-      { lang: 'en-US', gender: 'male' },
-      { lang: 'en-GB', gender: 'male' },
-      { lang: 'en', gender: 'male' },
-      { lang: 'en-US', gender: 'female' },
-      { lang: 'en-GB', gender: 'female' },
-      { lang: 'en', gender: 'female' }
+      { lang: this.locale, gender: 'male' },
+      { lang: language, gender: 'male' },
+      { lang: this.locale, gender: 'female' },
+      { lang: language, gender: 'female' }
     ];
     
+    // Some browsers report "es_ES" rather than "es-ES"
+    const langOf = voice => voice.lang.replace('_', '-');
+    
     // Look for preferred voices
     for (const pref of preferences) {
       const match = voices.find(voice => 
-        voice.lang.startsWith(pref.lang) &&
+        langOf(voice).startsWith(pref.lang) &&
         (!pref.gender || voice.name.toLowerCase().includes(pref.gender))
       );
       if (match) return match;
     }
     
-    // Default to first English voice
-    return voices.find(v => v.lang.startsWith('en')) || voices[0];
+    // Default to any voice in the language, then the first English voice
+    return voices.find(v => langOf(v).startsWith(language)) ||
+      voices.find(v => langOf(v).startsWith('en')) ||
+      voices[0];
+  }
+
+  /**
+   * Speak in the match's language
+   * 
+   * The TTS service reads lines in the locale and caches them apart from other languages, and the browser voice is picked again from the ones that speak it.
+   * 
+   * @param {string} locale - BCP 47 tag, e.g. 'fr-FR'
+   */
+  setLocale(locale = DEFAULT_LOCALE) {
+    this.locale = locale || DEFAULT_LOCALE;
+    ttsService.setLocale(this.locale);
+    
+    if (this.synthesis) {
+      const voices = this.synthesis.getVoices();
+      if (voices.length > 0) {
+        this.voice = this.selectBestVoice(voices);
+        this.settings.voice = this.voice;
+      }
+    }
+    
+    this.applyVoices();
+  }
+
+  /**
+   * Hand each TTS provider its voice: the personality's, or for browser speech the best voice for the language
+   */
+  applyVoices() {
+    ttsService.listProviders().forEach(({ id }) => {
+      const fallback = id === 'webspeech' ? this.voice?.name : null;
+      ttsService.setVoice(this.voiceProfile[id] || fallback || null, id);
+    });
   }
 
   /**
    * Perform a complete play
    * 
    * This is where scripts become reality. The perform method takes a complete play specification and transforms it into a theatrical moment. It's like a miniature one-person show: introduction ("Time for a DUEL!"), character introduction ("Alice versus Bob!"), plot development ("This will be TAG!"), complications ("But you must CRAB WALK!"), and resolution ("GO!"). The method orchestrates all these elements with proper timing, making sure each piece lands with the right impact. If another play is requested while one is performing, it queues up rather than interrupting, ensuring smooth flow throughout the match.
+   * 
+   * @returns {Promise<Object|null>} For rounds, how the play window went against its plan (see performPlayWindow); null otherwise
    */
   async perform(play, context = {}) {
     if (this.isPerforming) {
@@ -125,22 +188,26 @@ class PerformanceSystem {
     }
 
     this.isPerforming = true;
-    this.currentPerformance = { play, context };
+    this.currentPerformance = { play, context, extraTime: 0, extended: 0, playWindowClosed: false };
     this.interrupted = false;
+    this.settings.rate = this.baseline.rate;
+    this.settings.pitch = this.baseline.pitch;
     
     eventBus.emit(Events.PERFORMANCE_STARTED, { play, context });
+    
+    let timing = null;
 
     try {
       // Process scripts based on play type
       if (play.blockType === 'round') {
-        await this.performRoundPlay(play, context);
+        timing = await this.performRoundPlay(play, context);
       } else if (play.blockType === 'ceremony') {
         await this.performCeremony(play, context);
       } else if (play.blockType === 'relax') {
         await this.performRelaxBlock(play, context);
       }
       
-      eventBus.emit(Events.PERFORMANCE_COMPLETED, { play, context });
+      eventBus.emit(Events.PERFORMANCE_COMPLETED, { play, context, timing });
       
     } catch (error) {
       console.error('[PerformanceSystem] Performance error:', error);
@@ -156,10 +223,13 @@ class PerformanceSystem {
         this.perform(next.play, next.context);
       }
     }
+    
+    return timing;
   }
 
   /**
    * Perform a round play
+   * @returns {Promise<Object>} Play window timing
    */
   async performRoundPlay(play, context) {
     const scripts = play.scripts;
@@ -170,118 +240,229 @@ class PerformanceSystem {
     
     // Introduction
     if (scripts.intro) {
-      await this.speak(scripts.intro);
+      await this.speakSection('intro', scripts.intro);
       await this.pause('medium');
     }
     
     // Player selection
     if (scripts.playerSelect) {
-      await this.speak(scripts.playerSelect);
+      await this.speakSection('playerSelect', scripts.playerSelect);
       await this.pause('small');
     }
     
     // Variant reveal
     if (scripts.variantReveal) {
-      await this.speak(scripts.variantReveal);
+      await this.speakSection('variantReveal', scripts.variantReveal);
     }
     
     // Sub-variant reveal
     if (scripts.subVariantReveal) {
       await this.pause('small');
-      await this.speak(scripts.subVariantReveal);
+      await this.speakSection('subVariantReveal', scripts.subVariantReveal);
     }
     
     // Modifier reveal
     if (scripts.modifierReveal) {
       await this.pause('medium');
-      await this.speak(scripts.modifierReveal);
+      await this.speakSection('modifierReveal', scripts.modifierReveal);
     }
     
     // Rules explanation
     if (scripts.rules) {
       await this.pause('small');
-      await this.speak(scripts.rules);
+      await this.speakSection('rules', scripts.rules);
     }
     
     // Positioning
     if (scripts.positioning) {
       await this.pause('medium');
-      await this.speak(scripts.positioning);
+      await this.speakSection('positioning', scripts.positioning);
     }
     
     // Countdown and start
     if (scripts.countdown) {
       await this.pause('large');
-      await this.speak(scripts.countdown);
+      await this.speakSection('countdown', scripts.countdown);
     } else if (scripts.start) {
       await this.pause('large');
-      await this.speak(scripts.start);
+      await this.speakSection('start', scripts.start);
     }
     
-    // During phase (if any)
-    if (scripts.during && scripts.during.length > 0) {
-      // Wait a bit before first encouragement
-      await this.pause('xlarge');
-      
-      for (let i = 0; i < scripts.during.length; i++) {
-        if (this.interrupted) break;
-        
-        await this.speak(scripts.during[i]);
-        
-        // Wait between encouragements
-        if (i < scripts.during.length - 1) {
-          await this.wait(15000); // 15 seconds between
-        }
-      }
-    }
+    // Play time runs from GO until Simon calls the ending
+    this.startSection('play');
+    const timing = await this.performPlayWindow(play, scripts.during || []);
+    this.completeSection('play');
     
     // Ending
     if (scripts.ending) {
-      await this.speak(scripts.ending);
+      await this.speakSection('ending', scripts.ending);
     }
     
     // Outro
     if (scripts.outro) {
       await this.pause('medium');
-      await this.speak(scripts.outro);
+      await this.speakSection('outro', scripts.outro);
+    }
+    
+    // Standings, once the host has something to announce
+    if (scripts.standings && this.hasSpeech(scripts.standings)) {
+      await this.pause('small');
+      await this.speakSection('standings', scripts.standings);
     }
+    
+    return timing;
   }
 
   /**
-   * Perform a ceremony
+   * Run the play window: from GO to the moment Simon calls time
+   * 
+   * The window lasts exactly the play's duration, however much Simon says during it. Each encouragement's speaking time is worked out up front - from its audio when it's already been generated, from its word count when it hasn't - and the planner spreads them so the silences between them are even and the ending lands on time. Each line is then started against the clock rather than after a fixed gap, so a line that ran long eats into the next silence instead of pushing everything back. Lines that can't fit with at least an xlarge pause around them are left out; a short window is better with one encouragement than with the ending arriving late. Time the host adds is held on top, just before the ending.
+   * 
+   * Times are measured on the performance clock, which runs at the time scale - in an instant simulation nothing is measured and the actual times are null.
+   * 
+   * @param {Object} play - The round being performed (duration in seconds)
+   * @param {string[]} lines - During-play encouragements
+   * @returns {Promise<Object>} { plannedPlayMs, actualPlayMs, extendedMs, during: [{ line, plannedAt, actualAt, estimatedMs }], dropped }
    */
-  async performCeremony(play, context) {
-    const scripts = play.scripts || {};
+  async performPlayWindow(play, lines) {
+    const windowMs = (play.duration || 0) * 1000;
+    const estimates = lines.map(line => this.estimateLineDuration(line));
+    const plan = planPlayWindow(windowMs, estimates, {
+      minGapMs: getPauseDuration('xlarge', configLoader.get('difficulty.pauseMultiplier', 1.0))
+    });
     
-    if (play.ceremonyType === 'opening') {
-      // Welcome
-      if (scripts.welcome) {
-        await this.speak(scripts.welcome);
-        await this.pause('medium');
-      }
+    const clock = this.startClock();
+    const during = [];
+    
+    for (const slot of plan.slots) {
+      if (this.interrupted) break;
       
-      // Explanation
-      if (scripts.explanation) {
-        await this.speak(scripts.explanation);
-        await this.pause('medium');
-      }
+      await this.wait(slot.at - (clock.elapsed() ?? slot.at));
+      if (this.interrupted) break;
       
-      // Team building
-      if (scripts.teamBuilding) {
-        await this.speak(scripts.teamBuilding);
-      }
+      during.push({
+        line: slot.index,
+        plannedAt: slot.at,
+        actualAt: clock.elapsed(),
+        estimatedMs: estimates[slot.index]
+      });
+      await this.speak(lines[slot.index]);
+    }
+    
+    // The rest of the window, then any extra play time the host asked for
+    await this.wait(windowMs - (clock.elapsed() ?? windowMs));
+    await this.holdForExtensions();
+    
+    return {
+      plannedPlayMs: windowMs,
+      actualPlayMs: clock.elapsed(),
+      extendedMs: this.currentPerformance?.extended || 0,
+      during,
+      dropped: plan.dropped
+    };
+  }
+
+  /**
+   * A stopwatch on the performance clock
+   * elapsed() is in unscaled milliseconds, or null when the time scale is zero and no time passes
+   */
+  startClock() {
+    const start = Date.now();
+    return {
+      elapsed: () => (this.timeScale > 0 ? Math.round((Date.now() - start) / this.timeScale) : null)
+    };
+  }
+
+  /**
+   * How long a script line will take to perform, pauses and sound effects included
+   * 
+   * Speech is timed from the line's generated audio where the TTS service has it, and estimated from its word count and Simon's rate where it doesn't. Mock mode is timed the way mock mode speaks.
+   * 
+   * @param {string} text - Script line, with markup and tokens
+   * @param {Object} tokens - Token values (defaults to the current performance's)
+   * @returns {number} Milliseconds
+   */
+  estimateLineDuration(text, tokens) {
+    if (!text) return 0;
+    
+    const mock = this.mockMode || configLoader.get('system.mockTTS');
+    const pauseMultiplier = configLoader.get('difficulty.pauseMultiplier', 1.0);
+    
+    return splitScriptSegments(this.processScriptTokens(text, tokens)).reduce((total, segment) => {
+      if (segment.type === 'pause') return total + getPauseDuration(segment.duration, pauseMultiplier);
+      if (segment.type === 'sfx') return total + (SOUND_EFFECTS[segment.name]?.duration || 0);
+      if (!segment.text?.trim()) return total;
+      if (mock) return total + segment.text.length * SPEECH_TIMING.MOCK_MS_PER_CHAR;
       
-    } else if (play.ceremonyType === 'closing') {
-      // Celebration
-      if (scripts.celebration) {
-        await this.speak(scripts.celebration);
-        await this.pause('medium');
-      }
+      return total + this.getSegmentLines(segment).reduce((sum, line) => {
+        const measured = ttsService.getAudioDuration(line.options.ssml || line.text);
+        return sum + (measured !== null
+          ? measured / (line.options.playbackRate || 1)
+          : estimateSpeechDuration(line.text, line.rate));
+      }, 0);
+    }, 0);
+  }
+
+  /**
+   * Keep the round going while the host keeps adding time
+   */
+  async holdForExtensions() {
+    const performance = this.currentPerformance;
+    
+    while (!this.interrupted && performance.extraTime > 0) {
+      const extra = performance.extraTime;
+      performance.extraTime = 0;
+      await this.wait(extra);
+    }
+    
+    performance.playWindowClosed = true;
+  }
+
+  /**
+   * Add play time to the round being performed
+   * 
+   * The time is held just before Simon calls the ending, so asking for it during the intro or halfway through the encouragements has the same effect: the round runs that much longer. Once the ending has started there's nothing left to extend.
+   * 
+   * @param {number} milliseconds - Extra play time
+   * @returns {boolean} Whether the round could still be extended
+   */
+  extendPlayTime(milliseconds) {
+    const performance = this.currentPerformance;
+    if (!performance || performance.play.blockType !== 'round' || performance.playWindowClosed) {
+      return false;
+    }
+    
+    performance.extraTime += milliseconds;
+    performance.extended += milliseconds;
+    return true;
+  }
+
+  /**
+   * Perform a ceremony, segment by segment
+   * 
+   * Each segment's lines are spoken in order, and whatever time the segment has left after a line is shared out between it and the lines still to come - so every team called on gets the same moment to shout back before the next one is called, and the ceremony runs to the length it was planned at. A segment that's already over its time just takes a short breath between lines.
+   */
+  async performCeremony(play, context) {
+    const scripts = play.scripts || {};
+    const segments = play.segments || Object.keys(scripts).map(name => ({ name, duration: 0 }));
+    
+    for (const segment of segments) {
+      const lines = [scripts[segment.name]].flat().filter(line => line && this.hasSpeech(line));
+      const segmentMs = (segment.duration || 0) * 1000;
+      const clock = this.startClock();
       
-      // Thanks
-      if (scripts.thanks) {
-        await this.speak(scripts.thanks);
+      for (let i = 0; i < lines.length && !this.interrupted; i++) {
+        await this.speakSection(segment.name, lines[i]);
+        
+        const remainingMs = segmentMs - (clock.elapsed() ?? segmentMs);
+        if (remainingMs > 0) {
+          await this.wait(remainingMs / (lines.length - i));
+        } else {
+          await this.pause('small');
+        }
       }
+      
+      if (this.interrupted) break;
     }
   }
 
@@ -293,52 +474,130 @@ class PerformanceSystem {
     
     // Introduction
     if (scripts.intro) {
-      await this.speak(scripts.intro);
+      await this.speakSection('intro', scripts.intro);
       await this.pause('medium');
     }
     
     // Instructions
     if (scripts.instructions) {
       for (const instruction of scripts.instructions) {
-        await this.speak(instruction);
+        await this.speakSection('instructions', instruction);
         await this.pause('large');
       }
     }
     
     // Outro
     if (scripts.outro) {
-      await this.speak(scripts.outro);
+      await this.speakSection('outro', scripts.outro);
     }
   }
 
+  /**
+   * Speak one named part of a play's scripts
+   * 
+   * Listeners hear which part of the performance Simon is in - the audio mixer rolls the drums under a variant reveal and blows the whistle on the ending - without the scripts themselves knowing anything about it. The section is closed even when speaking fails, so nothing is left waiting on it.
+   * 
+   * @param {string} section - Script name (variantReveal, countdown, ending...)
+   * @param {string} text - The line to speak
+   */
+  async speakSection(section, text) {
+    this.startSection(section, text);
+    try {
+      await this.speak(text);
+    } finally {
+      this.completeSection(section);
+    }
+  }
+
+  /**
+   * Announce the start of a section (text is null for ones with no script of their own, like play time)
+   */
+  startSection(section, text = null) {
+    eventBus.emit(Events.SCRIPT_SECTION_STARTED, {
+      section,
+      text: text && this.processScriptTokens(text),
+      play: this.currentPerformance?.play || null
+    });
+  }
+
+  /**
+   * Announce the end of a section
+   */
+  completeSection(section) {
+    eventBus.emit(Events.SCRIPT_SECTION_COMPLETED, {
+      section,
+      play: this.currentPerformance?.play || null
+    });
+  }
+
   /**
    * Speak text with TTS
    */
   async speak(text) {
     if (!text) return;
     
+    this.lastLine = text;
+    this.isSpeaking = true;
+    
     // Process script tokens
     const processed = this.processScriptTokens(text);
     
     // Handle pause tokens
     const segments = this.extractPauseSegments(processed);
     
-    for (const segment of segments) {
-      if (this.interrupted) break;
-      
-      if (segment.type === 'speech') {
-        await this.speakSegment(segment.text);
-      } else if (segment.type === 'pause') {
-        await this.pause(segment.duration);
+    try {
+      for (const segment of segments) {
+        if (this.interrupted) break;
+        
+        if (segment.type === 'speech') {
+          await this.speakSegment(segment);
+        } else if (segment.type === 'pause') {
+          await this.pause(segment.duration);
+        } else if (segment.type === 'sfx') {
+          await this.playSoundEffect(segment.name);
+        }
       }
+    } finally {
+      this.isSpeaking = false;
+    }
+    
+    // A repeat asked for mid-line plays once the line is finished
+    if (this.repeatPending && !this.interrupted) {
+      this.repeatPending = false;
+      await this.speak(text);
     }
   }
 
   /**
-   * Speak a single text segment
+   * Say the most recent line again
+   * 
+   * If Simon is in the middle of a line, the repeat waits for it to finish rather than talking over it; otherwise (say, during play time) it's spoken straight away.
+   * 
+   * @returns {string|null} The line being repeated, or null if nothing has been said
    */
-  async speakSegment(text) {
-    if (!text.trim()) return;
+  repeatLastLine() {
+    if (!this.lastLine) return null;
+    
+    if (this.isSpeaking) {
+      this.repeatPending = true;
+    } else {
+      this.speak(this.lastLine);
+    }
+    
+    return this.lastLine;
+  }
+
+  /**
+   * Speak a single speech segment
+   * @param {Object|string} segment - Speech segment from splitScriptSegments, or plain text
+   */
+  async speakSegment(segment) {
+    if (typeof segment === 'string') {
+      [segment] = splitScriptSegments(segment).filter(part => part.type === 'speech');
+    }
+    if (!segment?.text.trim()) return;
+    
+    const { text } = segment;
     
     // Speaking: text
     eventBus.emit(Events.SCRIPT_STARTED, { text });
@@ -346,13 +605,24 @@ class PerformanceSystem {
     if (this.mockMode || configLoader.get('system.mockTTS')) {
       // Mock mode - just log
       console.log(`[Simon Says] ${text}`);
-      await this.wait(text.length * 50); // Simulate speaking time
+      await this.wait(text.length * SPEECH_TIMING.MOCK_MS_PER_CHAR); // Simulate speaking time
+      if (!this.interrupted) {
+        eventBus.emit(Events.SCRIPT_COMPLETED, { text });
+      }
       
     } else {
       // Use the unified TTS service
       try {
-        await ttsService.speak(text, this.settings.pitch, this.settings.rate);
-        eventBus.emit(Events.SCRIPT_COMPLETED, { text });
+        // Each line resolves false when interrupt() cut it off
+        let completed = true;
+        for (const line of this.getSegmentLines(segment)) {
+          if (this.interrupted) break;
+          completed = await ttsService.speak(line.text, line.pitch, line.rate, line.options);
+          if (completed === false) break;
+        }
+        if (completed !== false && !this.interrupted) {
+          eventBus.emit(Events.SCRIPT_COMPLETED, { text });
+        }
       } catch (error) {
         console.error('[PerformanceSystem] Speech error:', error);
         throw error;
@@ -360,17 +630,140 @@ class PerformanceSystem {
     }
   }
 
+  /**
+   * What to hand the TTS service for a speech segment
+   * 
+   * A plain segment is one line at Simon's current rate and pitch - exactly as before styles existed, so it hits the same cache entries. A styled segment depends on the voice. One that understands SSML gets the whole segment as a single marked-up line, keeping the sentence's natural flow. Anything else gets each differently styled stretch as its own line, with the style's rate and pitch multiplied into Simon's and its volume applied on playback - the same words, just in pieces. Audio-returning voices that can't change rate at synthesis have it applied as a playback rate instead.
+   * 
+   * @returns {Array} [{ text, pitch, rate, options: { ssml, volume, playbackRate } }]
+   */
+  getSegmentLines(segment) {
+    const { pitch, rate, volume } = this.settings;
+    
+    if (isStyledSpeech(segment) && ttsService.getProvider()?.capabilities.ssml) {
+      return [{ text: segment.text, pitch, rate, options: { ssml: toSSML(segment) } }];
+    }
+    
+    return getSpeechRuns(segment).map(run => {
+      const prosody = getSpeechProsody(run.style);
+      return {
+        text: run.text,
+        pitch: pitch * prosody.pitch,
+        rate: rate * prosody.rate,
+        options: { volume: volume * prosody.volume, playbackRate: prosody.rate }
+      };
+    });
+  }
+
+  /**
+   * Play a sound effect cue
+   * 
+   * Effects come from the SOUND_EFFECTS table. Their length is taken from the table rather than the audio file, so the performance waits the same time whether or not the sound actually plays - in mock mode, before the browser allows audio, or when the file is missing - and an interrupt ends the wait like any pause.
+   * 
+   * @param {string} name - Effect name from an [sfx:name] cue
+   */
+  async playSoundEffect(name) {
+    const effect = SOUND_EFFECTS[name];
+    if (!effect) {
+      console.warn(`[PerformanceSystem] Unknown sound effect: ${name}`);
+      return;
+    }
+    
+    eventBus.emit(Events.SOUND_EFFECT_PLAYED, { name, ...effect });
+    
+    if (this.mockMode || configLoader.get('system.mockTTS') || typeof Audio === 'undefined') {
+      console.log(`[Simon Says] *${name}*`);
+    } else {
+      const audio = new Audio(effect.src);
+      audio.volume = this.settings.volume;
+      this.currentSound = audio;
+      audio.play().catch(error => {
+        console.warn(`[PerformanceSystem] Could not play sound effect ${name}:`, error);
+      });
+    }
+    
+    await this.wait(effect.duration);
+    this.currentSound = null;
+  }
+
+  /**
+   * Start generating a play's lines before they're needed
+   * 
+   * Every line of a play is known the moment its scripts are assembled, long before Simon reaches them. Handing them to the TTS prefetch queue as soon as that happens means an uncached line - usually one that names players - is generated while Simon is still talking or the players are still playing, instead of in the silence between two segments. The lines are broken up exactly as speak() will break them, so what gets cached is what will be asked for.
+   * 
+   * @param {Object} scripts - Assembled play.scripts (any nesting of strings, arrays and objects)
+   * @param {Object} context - The context the play will be performed with, for its tokens
+   * @returns {number} How many new lines were queued
+   */
+  prefetch(scripts, context = {}) {
+    if (!scripts || this.mockMode || configLoader.get('system.mockTTS')) return 0;
+    
+    return ttsService.queuePrefetch(this.getSpokenLines(scripts, context));
+  }
+
+  /**
+   * Take a play's lines back out of the prefetch queue, or empty it with no scripts
+   * (lines already generated stay cached)
+   */
+  cancelPrefetch(scripts = null, context = {}) {
+    ttsService.clearPrefetchQueue(scripts ? this.getSpokenLines(scripts, context) : null);
+  }
+
+  /**
+   * Every string speak() will hand to the voice for a set of scripts, in order
+   * (SSML markup for styled segments when the voice understands it; lines waiting on live tokens are left out)
+   */
+  getSpokenLines(scripts, context = {}) {
+    const collect = (node) => {
+      if (typeof node === 'string') return [node];
+      if (Array.isArray(node)) return node.flatMap(collect);
+      if (node && typeof node === 'object') return Object.values(node).flatMap(collect);
+      return [];
+    };
+    
+    return collect(scripts).flatMap(line => 
+      splitScriptSegments(this.processScriptTokens(line, context.tokens || {}))
+        .filter(segment => segment.type === 'speech' && !UNRESOLVED_TOKEN.test(segment.text))
+        .flatMap(segment => this.getSegmentLines(segment).map(entry => entry.options.ssml || entry.text))
+    );
+  }
+
+  /**
+   * Set where live tokens come from
+   * 
+   * Some lines can't be finished when their scripts are assembled - the standings after a round depend on a result the host records while Simon is already calling time. Those lines keep their tokens until the moment they're spoken, when the source is asked for the current values.
+   * 
+   * @param {Function|null} source - Returns a token map ({ standings: "..." })
+   */
+  setLiveTokenSource(source) {
+    this.liveTokenSource = source;
+  }
+
+  /**
+   * Tokens for the line being spoken: the performance's own, then the live ones
+   */
+  getTokens() {
+    return {
+      ...(this.currentPerformance?.context?.tokens || {}),
+      ...(this.liveTokenSource?.() || {})
+    };
+  }
+
+  /**
+   * Whether a line still has something to say once its tokens are filled in
+   */
+  hasSpeech(text) {
+    return this.processScriptTokens(text).trim() !== '';
+  }
+
   /**
    * Process script tokens (variable replacement)
    * 
    * Script tokens are placeholders that get replaced with actual values right before speaking. When a script says "Welcome {player1} from {team1}!", this method replaces those tokens with "Welcome Alice from Red Rockets!" This system allows scripts to be written generically but delivered personally. It's crucial for making players feel involved - hearing your name called out by Simon creates a different level of engagement than generic announcements. The token system is also extensible, allowing new tokens to be added as the game grows.
    */
-  processScriptTokens(text) {
+  processScriptTokens(text, tokens = this.getTokens()) {
     let processed = text;
     
-    // Get token values from context
-    const tokens = this.currentPerformance?.context?.tokens || {};
-    
     // Replace tokens
     Object.entries(tokens).forEach(([key, value]) => {
       const regex = new RegExp(`\\{${key}\\}`, 'g');
@@ -386,38 +779,7 @@ class PerformanceSystem {
    * This method is like a script parser for a play, breaking text into speaking parts and stage directions. When it encounters text like "Ready... [small] Set... [small] GO!", it creates a sequence of speech segments and pause instructions. This parsing allows script writers to embed timing directly in the text rather than managing complex timing logic. The result is scripts that read naturally while encoding sophisticated performance instructions. It's the difference between Simon rushing through instructions and delivering them with the perfect rhythm that builds excitement.
    */
   extractPauseSegments(text) {
-    const segments = [];
-    const pauseRegex = /\[(\w+)\]/g;
-    let lastIndex = 0;
-    let match;
-    
-    while ((match = pauseRegex.exec(text)) !== null) {
-      // Add speech segment before pause
-      if (match.index > lastIndex) {
-        segments.push({
-          type: 'speech',
-          text: text.substring(lastIndex, match.index).trim()
-        });
-      }
-      
-      // Add pause segment
-      segments.push({
-        type: 'pause',
-        duration: match[1]
-      });
-      
-      lastIndex = match.index + match[0].length;
-    }
-    
-    // Add remaining speech
-    if (lastIndex < text.length) {
-      segments.push({
-        type: 'speech',
-        text: text.substring(lastIndex).trim()
-      });
-    }
-    
-    return segments;
+    return splitScriptSegments(text);
   }
 
   /**
@@ -442,15 +804,22 @@ class PerformanceSystem {
 
   /**
    * Wait for milliseconds
+   * A line repeated mid-round waits alongside the play window, so each wait keeps its own handle.
    */
   async wait(milliseconds) {
+    const scaled = milliseconds * this.timeScale;
+    if (scaled <= 0 || this.interrupted) return;
+    
     return new Promise(resolve => {
-      const timeout = setTimeout(resolve, milliseconds);
-      
-      // Store timeout so it can be cleared if interrupted
-      if (this.currentPerformance) {
-        this.currentPerformance.timeout = timeout;
-      }
+      const pending = {
+        finish: () => {
+          clearTimeout(pending.timeout);
+          this.pendingWaits.delete(pending);
+          resolve();
+        }
+      };
+      pending.timeout = setTimeout(pending.finish, scaled);
+      this.pendingWaits.add(pending);
     });
   }
 
@@ -491,28 +860,49 @@ class PerformanceSystem {
     }
   }
 
+  /**
+   * Speak as a personality: its voice on each TTS provider and its baseline rate and pitch
+   * 
+   * Providers the profile doesn't name go back to their default voice, so switching from a personality with its own ElevenLabs voice to one without doesn't leave the old voice behind.
+   * 
+   * @param {Object} profile - { voices: { providerId: voice }, rate, pitch }
+   */
+  setVoiceProfile({ voices = {}, rate = 1.0, pitch = 1.0 } = {}) {
+    this.voiceProfile = voices;
+    this.applyVoices();
+    
+    this.baseline = { rate, pitch };
+    this.settings.rate = rate;
+    this.settings.pitch = pitch;
+  }
+
   /**
    * Interrupt current performance
    */
   interrupt() {
     this.interrupted = true;
     
-    // Stop current speech
-    if (this.synthesis) {
-      this.synthesis.cancel();
-    }
+    // Stop current speech, including audio that's mid-playback
+    ttsService.cancel();
+    this.currentSound?.pause();
     
-    // Clear any pending timeouts
-    if (this.currentPerformance?.timeout) {
-      clearTimeout(this.currentPerformance.timeout);
-    }
+    // End every pending wait now, so the performance can unwind
+    this.pendingWaits.forEach(pending => pending.finish());
     
     // Clear queue
     this.performanceQueue = [];
+    this.repeatPending = false;
     
     // Performance interrupted
   }
 
+  /**
+   * Clear a previous interruption so speech outside perform() can play again
+   */
+  clearInterrupt() {
+    this.interrupted = false;
+  }
+
   /**
    * Update voice settings
    */
@@ -524,6 +914,7 @@ class PerformanceSystem {
       const voices = this.synthesis.getVoices();
       this.voice = this.selectBestVoice(voices);
       this.settings.voice = this.voice;
+      this.applyVoices();
     }
   }
 
@@ -592,6 +983,13 @@ class PerformanceSystem {
     this.mockMode = enabled;
     // Mock mode ${enabled ? 'enabled' : 'disabled'}
   }
+
+  /**
+   * Scale every pause and simulated speaking time (0 = no waiting at all)
+   */
+  setTimeScale(scale) {
+    this.timeScale = Math.max(0, scale);
+  }
 }
 
 // Create singleton instance
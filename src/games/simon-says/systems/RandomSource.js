@@ -0,0 +1,111 @@
+/**
+ * Random Source for Simon Says
+ *
+ * Every surprise in a match - which pattern, which round type, who gets called into the duel, which line Simon uses to announce it - comes from a roll of the dice. With Math.random those rolls are gone the moment they're made, so when a host says "it picked the same two kids four times in a row", there's no way to watch that match happen again. The RandomSource replaces the dice with a seeded generator: start it from the same seed and it produces the same sequence of numbers, every time, on every device.
+ *
+ * The orchestrator owns one RandomSource and hands it to every selector that rolls dice, the same way it hands the VarietyEnforcer to the PlaySelector. Each match gets a fresh seed (or the one the caller asks for), and the seed is stored on the match in MatchState. Start a new match with the same seed, configuration and roster, and it replays the exact same pattern, plays, players and scripts. Seeds are short base-36 strings so they can be read off a screen and typed back in. The generator itself is mulberry32 - tiny, fast, and plenty random for picking party games.
+ */
+
+// ============================================
+// SEED HELPERS
+// ============================================
+
+/**
+ * Generate a fresh seed short enough to read aloud
+ * @returns {string} Six-character base-36 seed
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
+
+// Seed text -> 32-bit starting state (FNV-1a)
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 2166136261;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+
+  return hash >>> 0;
+}
+
+// ============================================
+// RANDOM SOURCE CLASS
+// ============================================
+
+class RandomSource {
+  /**
+   * @param {string|number} seed - Starting seed (a fresh one if omitted)
+   */
+  constructor(seed = createSeed()) {
+    // Bound so it can be passed where a Math.random-style function is expected
+    this.next = this.next.bind(this);
+    this.setSeed(seed);
+  }
+
+  /**
+   * Restart the sequence from a seed
+   */
+  setSeed(seed) {
+    this.seed = String(seed);
+    this.state = hashSeed(this.seed);
+    return this.seed;
+  }
+
+  /**
+   * Next number in [0, 1), a drop-in for Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Integer between min and max (inclusive)
+   */
+  int(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  /**
+   * Random item from an array (null when empty)
+   */
+  pick(array) {
+    if (!array || array.length === 0) return null;
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * True with the given probability
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Current position in the sequence (for checkpoints)
+   */
+  getState() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  /**
+   * Continue from a saved position
+   */
+  setState(saved) {
+    this.seed = String(saved.seed);
+    this.state = saved.state >>> 0;
+  }
+}
+
+// Shared unseeded source for anything running outside a match
+const randomSource = new RandomSource();
+
+export default randomSource;
+export { RandomSource };
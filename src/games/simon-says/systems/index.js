@@ -9,9 +9,16 @@ export { Events } from './EventBus';
 
 // State management
 export { default as stateStore, StateStore, StateKeys } from './StateStore';
+export { default as checkpointStore, CheckpointStore } from './CheckpointStore';
+
+// Randomness
+export { default as randomSource, RandomSource, createSeed } from './RandomSource';
 
 // Configuration
 export { default as configLoader, ConfigLoader } from './ConfigLoader';
 
 // Performance
-export { default as performanceSystem, PerformanceSystem } from './PerformanceSystem';
\ No newline at end of file
+export { default as performanceSystem, PerformanceSystem } from './PerformanceSystem';
+
+// Music and sound cues
+export { default as audioMixer, AudioMixer, CueType } from './AudioMixer';
\ No newline at end of file